@@ -0,0 +1,25 @@
+var pn532 = require('../src/pn532');
+var SerialPort = require('serialport').SerialPort;
+var ndef = pn532.ndef;
+
+var serialPort = new SerialPort('/dev/tty.usbserial-AFWR836M', { baudrate: 115200 });
+var rfid = new pn532.PN532(serialPort);
+
+console.log('Waiting for rfid ready event...');
+rfid.on('ready', function() {
+    var message = [
+        ndef.uriRecord('http://www.google.com')
+    ];
+
+    console.log('Emulating an NDEF tag, tap it with a phone...');
+    var emulator = rfid.emulateNdefTag(message);
+    emulator.on('activated', function() {
+        console.log('Phone connected');
+    });
+    emulator.on('read', function() {
+        console.log('Message read');
+    });
+    emulator.on('deactivated', function() {
+        console.log('Phone left');
+    });
+});
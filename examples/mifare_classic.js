@@ -3,24 +3,36 @@ var SerialPort = require('serialport').SerialPort;
 
 var serialPort = new SerialPort('/dev/tty.usbserial-AFWR836M', { baudrate: 115200 });
 var rfid = new pn532.PN532(serialPort, { pollInterval: 3000 });
-var ndef = require('ndef');
+
+// Keys of the sectors, the well-known keys (ie. FF FF FF FF FF FF) are tried for the others
+var keyStore = new pn532.KeyStore({
+    keys: {
+        1: { A: 'FFFFFFFFFFFF' }
+    }
+});
 
 console.log('Waiting for rfid ready event...');
 rfid.on('ready', function() {
 
-    console.log('Listening for a tag scan...');
-    rfid.on('tag', function(tag) {
+    console.log('Scanning for a tag...');
+    rfid.scanTag().then(function(tags) {
+        var tag = tags[0];
         console.log('Tag', tag);
 
-        console.log('Authenticating...');
-        rfid.authenticateBlock(tag.uid).then(function() {
-            console.log('Reading tag data...');
-            rfid.readData().then(function(data) {
-                console.log('Tag data:', data);
+        var card = new pn532.MifareClassic(tag, { keyStore: keyStore });
+
+        console.log('Reading sector 1...');
+        return card.readSector(1).then(function(data) {
+            console.log('Sector data:', data);
 
-                var records = ndef.decodeMessage(data.toJSON());
-                console.log(records);
-            });
+            console.log('Writing block 4...');
+            return card.write(4, Buffer.from('Hello, MIFARE!!!'));
+        }).then(function() {
+            return card.read(4);
+        }).then(function(data) {
+            console.log('Block 4:', data.toString());
         });
+    }).catch(function(error) {
+        console.log('Error', error);
     });
 });
@@ -3,7 +3,7 @@ var SerialPort = require('serialport').SerialPort;
 
 var serialPort = new SerialPort('/dev/tty.usbserial-AFWR836M', { baudrate: 115200 });
 var rfid = new pn532.PN532(serialPort);
-var ndef = require('ndef');
+var ndef = pn532.ndef;
 
 console.log('Waiting for rfid ready event...');
 rfid.on('ready', function() {
@@ -13,11 +13,16 @@ rfid.on('ready', function() {
         console.log('Tag', tag);
 
         console.log('Reading tag data...');
-        rfid.readNdefData().then(function(data) {
-            console.log('Tag data:', data);
-
-            var records = ndef.decodeMessage(Array.from(data));
-            console.log(records);
+        rfid.readNdef().then(function(records) {
+            records.forEach(function(record) {
+                if (record.matches(ndef.TNF_WELL_KNOWN, ndef.RTD_URI)) {
+                    console.log('URI:', ndef.decodeUri(record));
+                } else if (record.matches(ndef.TNF_WELL_KNOWN, ndef.RTD_TEXT)) {
+                    console.log('Text:', ndef.decodeText(record).text);
+                } else {
+                    console.log('Record:', record);
+                }
+            });
         });
     });
 });
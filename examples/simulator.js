@@ -0,0 +1,28 @@
+var pn532 = require('../src/pn532');
+
+var simulator = new pn532.PN532_Simulator();
+var rfid = new pn532.PN532(simulator);
+
+var tag = new pn532.VirtualNtag215();
+
+console.log('Waiting for rfid ready event...');
+rfid.on('ready', function() {
+    rfid.getFirmwareVersion().then(function(data) {
+        console.log('firmware: ', data);
+
+        console.log('Placing tag in field...');
+        simulator.placeTag(tag);
+
+        return rfid.scanTag();
+    }).then(function(tags) {
+        console.log('Tag found:', tags[0]);
+
+        console.log('Writing tag data...');
+        return rfid.writeNdefData([0xD1, 0x01, 0x04, 0x54, 0x02, 0x65, 0x6E, 0x68]);
+    }).then(function() {
+        console.log('Reading tag data...');
+        return rfid.readNdefData();
+    }).then(function(data) {
+        console.log('Tag data:', data);
+    });
+});
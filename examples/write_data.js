@@ -3,23 +3,22 @@ var SerialPort = require('serialport').SerialPort;
 
 var serialPort = new SerialPort('/dev/tty.usbserial-AFWR836M', { baudrate: 115200 });
 var rfid = new pn532.PN532(serialPort);
-var ndef = require('ndef');
+var ndef = pn532.ndef;
 
 console.log('Waiting for rfid ready event...');
 rfid.on('ready', function() {
 
     console.log('Waiting for a tag...');
-    rfid.scanTag().then(function(tag) {
-        console.log('Tag found:', tag);
+    rfid.scanTag().then(function(tags) {
+        console.log('Tag found:', tags[0]);
 
-        var messages = [
+        var records = [
             ndef.uriRecord('http://www.google.com'),
             ndef.textRecord('test')
         ];
-        var data = ndef.encodeMessage(messages);
 
         console.log('Writing tag data...');
-        rfid.writeNdefData(data).then(function(response) {
+        rfid.writeNdef(records).then(function(response) {
             console.log('Write successful');
         });
     });
@@ -0,0 +1,157 @@
+'use strict';
+/*
+    ISO/IEC 7816-4 APDUs exchanged with ISO/IEC14443-4 (ISO-DEP) targets
+*/
+
+var errors = require('./errors');
+
+var CLA_ISO      = 0x00;
+var CLA_CHAINING = 0x10; // Bit of CLA set on the commands of a chain but the last
+
+var INS_SELECT        = 0xA4;
+var INS_READ_BINARY   = 0xB0;
+var INS_UPDATE_BINARY = 0xD6;
+var INS_GET_RESPONSE  = 0xC0;
+
+var P1_SELECT_BY_NAME = 0x04; // Select by DF name (AID)
+var P1_SELECT_BY_ID   = 0x00; // Select MF, DF or EF by file identifier
+var P2_FIRST_OR_ONLY  = 0x00; // First or only occurrence, return FCI
+var P2_NO_RESPONSE    = 0x0C; // First or only occurrence, no response data
+
+// Status words (SW1 SW2)
+var SW_OK                     = 0x9000;
+var SW_WRONG_LENGTH           = 0x6700;
+var SW_SECURITY_NOT_SATISFIED = 0x6982;
+var SW_FILE_NOT_FOUND         = 0x6A82;
+var SW_WRONG_P1P2             = 0x6B00;
+var SW_INS_NOT_SUPPORTED      = 0x6D00;
+var SW_CLA_NOT_SUPPORTED      = 0x6E00;
+var SW_UNKNOWN                = 0x6F00; // No precise diagnosis
+
+var SW1_MORE_DATA = 0x61; // SW2 bytes are still available with GET RESPONSE
+var SW1_WRONG_LE  = 0x6C; // Wrong Le, SW2 is the exact length available
+
+/*
+    Parses a response APDU: response data followed by the status bytes SW1 SW2
+
+    @param {Buffer} buffer
+    @returns {object} {data, sw1, sw2, sw, ok}, ok being whether the status is 90 00
+*/
+function parseResponse(buffer) {
+    if (buffer.length < 2) {
+        throw new errors.PN532Error('A response APDU has at least the 2 status bytes, got ' + buffer.length +
+                                    ' bytes');
+    }
+    var sw1 = buffer[buffer.length - 2];
+    var sw2 = buffer[buffer.length - 1];
+    return {
+        data: buffer.slice(0, buffer.length - 2),
+        sw1: sw1,
+        sw2: sw2,
+        sw: (sw1 << 8) | sw2,
+        ok: sw1 === 0x90 && sw2 === 0x00
+    };
+}
+
+/*
+    Builds a response APDU
+
+    @param {(array|Buffer)} data - Response data (can be empty)
+    @param {number} sw - Status word (ie. SW_OK)
+    @returns {Buffer}
+*/
+function buildResponse(data, sw) {
+    return Buffer.concat([new Buffer(data || []), new Buffer([sw >> 8, sw & 0xFF])]);
+}
+
+/*
+    Parses a short command APDU: CLA INS P1 P2 [Lc Data] [Le]
+
+    @param {Buffer} buffer
+    @returns {object} {cla, ins, p1, p2, data, le}, le being undefined when absent (0x00 is 256)
+*/
+function parseCommand(buffer) {
+    if (buffer.length < 4) {
+        throw new errors.PN532Error('A command APDU has at least 4 bytes, got ' + buffer.length);
+    }
+    var command = {
+        cla: buffer[0],
+        ins: buffer[1],
+        p1: buffer[2],
+        p2: buffer[3],
+        data: buffer.slice(4, 4),
+        le: undefined
+    };
+
+    if (buffer.length === 5) {
+        command.le = buffer[4] || 256;
+    } else if (buffer.length > 5) {
+        var lc = buffer[4];
+        command.data = buffer.slice(5, 5 + lc);
+        if (buffer.length > 5 + lc) {
+            command.le = buffer[5 + lc] || 256;
+        }
+    }
+    return command;
+}
+
+/*
+    Builds a short command APDU
+
+    @param {number} cla
+    @param {number} ins
+    @param {number} p1
+    @param {number} p2
+    @param {(array|Buffer)} [data] - Command data (255 bytes at most)
+    @param {number} [le] - Expected length of the response data (1-256), absent if undefined
+    @returns {Buffer}
+*/
+function buildCommand(cla, ins, p1, p2, data, le) {
+    var bytes = [cla, ins, p1, p2];
+    if (data && data.length) {
+        bytes = bytes.concat([data.length], Array.from(data));
+    }
+    if (le !== undefined) {
+        bytes.push(le & 0xFF);
+    }
+    return new Buffer(bytes);
+}
+
+/*
+    Builds a SELECT by DF name (AID) command APDU
+
+    @param {(array|Buffer|string)} aid - Application identifier, as bytes or a hex string
+    @returns {Buffer}
+*/
+function selectAid(aid) {
+    if (typeof aid === 'string') {
+        aid = new Buffer(aid.replace(/[\s:]/g, ''), 'hex');
+    }
+    return buildCommand(CLA_ISO, INS_SELECT, P1_SELECT_BY_NAME, P2_FIRST_OR_ONLY, aid, 0x00);
+}
+
+exports.CLA_ISO = CLA_ISO;
+exports.CLA_CHAINING = CLA_CHAINING;
+exports.INS_SELECT = INS_SELECT;
+exports.INS_READ_BINARY = INS_READ_BINARY;
+exports.INS_UPDATE_BINARY = INS_UPDATE_BINARY;
+exports.INS_GET_RESPONSE = INS_GET_RESPONSE;
+exports.P1_SELECT_BY_NAME = P1_SELECT_BY_NAME;
+exports.P1_SELECT_BY_ID = P1_SELECT_BY_ID;
+exports.P2_FIRST_OR_ONLY = P2_FIRST_OR_ONLY;
+exports.P2_NO_RESPONSE = P2_NO_RESPONSE;
+exports.SW_OK = SW_OK;
+exports.SW_WRONG_LENGTH = SW_WRONG_LENGTH;
+exports.SW_SECURITY_NOT_SATISFIED = SW_SECURITY_NOT_SATISFIED;
+exports.SW_FILE_NOT_FOUND = SW_FILE_NOT_FOUND;
+exports.SW_WRONG_P1P2 = SW_WRONG_P1P2;
+exports.SW_INS_NOT_SUPPORTED = SW_INS_NOT_SUPPORTED;
+exports.SW_CLA_NOT_SUPPORTED = SW_CLA_NOT_SUPPORTED;
+exports.SW_UNKNOWN = SW_UNKNOWN;
+exports.SW1_MORE_DATA = SW1_MORE_DATA;
+exports.SW1_WRONG_LE = SW1_WRONG_LE;
+exports.parseResponse = parseResponse;
+exports.buildResponse = buildResponse;
+exports.parseCommand = parseCommand;
+exports.buildCommand = buildCommand;
+exports.selectAid = selectAid;
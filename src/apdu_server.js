@@ -0,0 +1,236 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var logger = require('winston').loggers.get('emulator');
+
+var apdu = require('./apdu');
+var c = require('./constants');
+var errors = require('./errors');
+
+var MAX_RESPONSE_DATA = 256; // Largest data of a short response APDU, the rest is sent with GET RESPONSE
+
+// Normalizes an AID given as a hex string or as bytes
+var normalizeAid = (aid) => typeof aid === 'string' ? aid.replace(/[\s:]/g, '').toUpperCase() :
+                                                      new Buffer(aid).toString('hex').toUpperCase();
+
+/*
+    Serves applications to initiators (ie. phones in reader mode), the PN532 being configured as an ISO/IEC14443-4
+    card (TgInitAsTarget).  Commands are routed to the handler of the application selected by AID (SELECT by
+    name), until another application is selected.
+
+    A handler is called with each command APDU sent to its application, including its SELECT, parsed by
+    apdu.parseCommand() (with the raw APDU as buffer).  It returns the response APDU (data followed by SW1 SW2), or
+    a Promise of it.  A handler returning nothing answers 90 00 to its SELECT, and 6D 00 (INS not supported) to
+    other commands.  Commands for an unknown AID are answered 6A 82 (file not found), and commands sent before an
+    application was selected 6D 00.
+
+    Commands chained by the initiator (bit 0x10 of CLA) reach the handler as one command, and responses
+    longer than 256 bytes are sent in parts completed with GET RESPONSE (SW1 61).
+
+        'activated'     Emitted when an initiator activated the PN532
+        'select'        Emitted with the AID of the application selected
+        'deactivated'   Emitted when the initiator released the PN532 or left the field
+        'error'         Emitted when a command to the PN532 failed, which stops the server
+*/
+class ApduServer extends EventEmitter {
+    /*
+        @constructor
+        @param {PN532} pn532
+        @param {object} handlers - Handler of each application, by AID (hex string)
+        @param {object} [options]
+        @param {(array|Buffer)} [options.nfcId1] - Last 3 bytes of the UID, see PN532.initAsTarget()
+        @param {(array|Buffer)} [options.historicalBytes] - Historical bytes of the ATS
+        @param {boolean} [options.rearm=true] - Whether to wait for the next initiator once one left
+        @param {number} [options.timeout=5000] - Milliseconds to wait for each command of the initiator
+    */
+    constructor(pn532, handlers, options) {
+        super();
+        options = options || {};
+
+        this.pn532 = pn532;
+        this.nfcId1 = options.nfcId1;
+        this.historicalBytes = options.historicalBytes;
+        this.rearm = options.rearm === undefined ? true : !!options.rearm;
+        this.timeout = options.timeout || 5000;
+        this.isRunning = false;
+        this._waitingFor = null; // Command waiting for the initiator, aborted by stop()
+
+        this.handlers = {};
+        Object.keys(handlers).forEach((aid) => {
+            this.handlers[normalizeAid(aid)] = handlers[aid];
+        });
+    }
+
+    // Start waiting for initiators
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        logger.info('Serving applications', Object.keys(this.handlers).join(', '));
+        this.isRunning = true;
+        this._serve();
+    }
+
+    /*
+        Stop serving, aborting the command of the server waiting for the initiator (commands of others are left
+        alone)
+
+        @returns {Promise} Resolves once stopped
+    */
+    stop() {
+        logger.info('Stopping server');
+        this.isRunning = false;
+        if (this._waitingFor !== null) {
+            this.pn532.abortCommand(this._waitingFor);
+        }
+        return this._serving || Promise.resolve();
+    }
+
+    /*
+        Track a command waiting for the initiator, for stop() to abort it
+
+        @param {number} command - Command code
+        @param {function} send - Sends the command, returning its Promise
+        @returns {Promise} The Promise returned by send
+    */
+    _waitFor(command, send) {
+        this._waitingFor = command;
+        var done = () => {
+            this._waitingFor = null;
+        };
+        return send().then((result) => {
+            done();
+            return result;
+        }, (error) => {
+            done();
+            throw error;
+        });
+    }
+
+    _serve() {
+        if (!this.isRunning) {
+            this._serving = null;
+            return;
+        }
+
+        var activation = this._waitFor(c.TG_INIT_AS_TARGET, () => {
+            return this.pn532.initAsTarget({nfcId1: this.nfcId1, historicalBytes: this.historicalBytes});
+        });
+        this._serving = activation
+            .then(() => {
+                logger.info('Activated by initiator');
+                this._selected = null;
+                this._chainedData = [];
+                this._remainingResponse = null;
+                this.emit('activated');
+                return this._exchange();
+            })
+            .catch((error) => {
+                if (error instanceof errors.CommandAbortedError && !this.isRunning) {
+                    return;
+                }
+                if (error instanceof errors.StatusError || error instanceof errors.CommandTimeoutError) {
+                    // Released by the initiator, or the initiator left the field
+                    logger.info('Deactivated:', error.message);
+                    this.emit('deactivated');
+                } else {
+                    logger.error('Error serving applications', util.inspect(error));
+                    this.isRunning = false;
+                    this.emit('error', error);
+                }
+            })
+            .then(() => {
+                if (!this.rearm) {
+                    this.isRunning = false;
+                }
+                this._serve();
+            });
+    }
+
+    // Answers the commands of the initiator until it releases the PN532
+    _exchange() {
+        return this._waitFor(c.TG_GET_DATA, () => this.pn532.targetGetData({timeout: this.timeout}))
+            .then((command) => this._process(command))
+            .then((response) => this.pn532.targetSetData(response, {timeout: this.timeout}))
+            .then(() => this._exchange());
+    }
+
+    /*
+        @param {Buffer} buffer - Command APDU
+        @returns {Promise<Buffer>} Response APDU
+    */
+    _process(buffer) {
+        if (buffer.length < 4) {
+            return Promise.resolve(apdu.buildResponse([], apdu.SW_WRONG_LENGTH));
+        }
+
+        var command = apdu.parseCommand(buffer);
+        command.buffer = buffer;
+        logger.debug('Command APDU', util.inspect(command));
+
+        // Rest of a response longer than a short response APDU
+        if (command.ins === apdu.INS_GET_RESPONSE && this._remainingResponse) {
+            return Promise.resolve(this._respond(this._remainingResponse));
+        }
+        this._remainingResponse = null;
+
+        // Command chaining (ISO/IEC 7816-4 section 5.1.1.1), the last command of the chain has the bit cleared
+        if (command.cla & apdu.CLA_CHAINING) {
+            this._chainedData.push(command.data);
+            return Promise.resolve(apdu.buildResponse([], apdu.SW_OK));
+        }
+        if (this._chainedData.length) {
+            command.data = Buffer.concat(this._chainedData.concat(command.data));
+            this._chainedData = [];
+        }
+
+        var isSelect = command.ins === apdu.INS_SELECT && command.p1 === apdu.P1_SELECT_BY_NAME;
+        if (isSelect) {
+            var aid = normalizeAid(command.data);
+            this._selected = this.handlers[aid] ? aid : null;
+            if (!this._selected) {
+                logger.info('Unknown application selected', aid);
+                return Promise.resolve(apdu.buildResponse([], apdu.SW_FILE_NOT_FOUND));
+            }
+            this.emit('select', aid);
+        }
+
+        if (!this._selected) {
+            return Promise.resolve(apdu.buildResponse([], apdu.SW_INS_NOT_SUPPORTED));
+        }
+
+        var handler = this.handlers[this._selected];
+        return Promise.resolve()
+            .then(() => handler(command))
+            .then((response) => {
+                if (response === undefined || response === null) {
+                    return apdu.buildResponse([], isSelect ? apdu.SW_OK : apdu.SW_INS_NOT_SUPPORTED);
+                }
+                return this._respond(new Buffer(response));
+            }, (error) => {
+                logger.error('Error handling command for ' + this._selected, util.inspect(error));
+                return apdu.buildResponse([], apdu.SW_UNKNOWN);
+            });
+    }
+
+    /*
+        Splits a response APDU longer than a short response APDU, keeping the rest for GET RESPONSE
+
+        @param {Buffer} response - Response APDU
+        @returns {Buffer} The response APDU to send
+    */
+    _respond(response) {
+        var data = response.slice(0, response.length - 2);
+        if (data.length <= MAX_RESPONSE_DATA) {
+            this._remainingResponse = null;
+            return response;
+        }
+
+        this._remainingResponse = response.slice(MAX_RESPONSE_DATA);
+        var remaining = this._remainingResponse.length - 2;
+        return apdu.buildResponse(data.slice(0, MAX_RESPONSE_DATA),
+                                  (apdu.SW1_MORE_DATA << 8) | Math.min(remaining, MAX_RESPONSE_DATA) & 0xFF);
+    }
+}
+
+module.exports = ApduServer;
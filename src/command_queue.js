@@ -0,0 +1,273 @@
+'use strict';
+var util = require('util');
+var logger = require('winston').loggers.get('command-queue');
+
+var frame = require('./frame');
+var DataFrame = frame.DataFrame;
+var AckFrame = frame.AckFrame;
+var NackFrame = frame.NackFrame;
+var ErrorFrame = frame.ErrorFrame;
+var errors = require('./errors');
+
+// Commands with a higher priority are sent first.  Commands of equal priority are sent in the order queued.
+var PRIORITY_LOW    = 0; // Background work (ie. tag polling)
+var PRIORITY_NORMAL = 1;
+var PRIORITY_HIGH   = 2; // User issued reads/writes
+
+// The user manual asks for a resend when no ACK arrives within 15ms (page 40), which leaves no room
+// for the latency of the host's serial/I2C stack.
+var DEFAULT_ACK_TIMEOUT = 50;
+var DEFAULT_TIMEOUT     = 1000;
+var DEFAULT_RETRIES     = 2;
+
+/*
+    Sends commands to the PN532 one at a time, matching each response to the command that caused it.
+    Commands that are not acknowledged (or are NACKed) are resent, and commands that are not answered
+    in time are aborted by sending an ACK frame to the PN532.  The response of an aborted command may still
+    arrive: until the next command is acknowledged, a response of the aborted command is dropped.
+*/
+class CommandQueue {
+    /*
+        @constructor
+        @param {object} hal - An instance of PN532_UART or PN532_I2C
+        @param {FrameEmitter} frameEmitter - Emitter of the frames received from the hal
+        @param {object} [options] - Defaults for the options of enqueue()
+        @param {number} [options.ackTimeout=50]
+        @param {number} [options.timeout=1000]
+        @param {number} [options.retries=2]
+    */
+    constructor(hal, frameEmitter, options) {
+        options = options || {};
+
+        this.hal = hal;
+        this.frameEmitter = frameEmitter;
+        this.ackTimeout = options.ackTimeout || DEFAULT_ACK_TIMEOUT;
+        this.timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+        this.retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+
+        this._pending = [];
+        this._current = null;
+        this._sequence = 0;
+        this._aborted = null; // Command aborted, whose response may arrive until the next command is acknowledged
+
+        this.frameEmitter.on('frame', (frame) => this._onFrame(frame));
+        this.frameEmitter.on('error', (error) => this._onError(error));
+    }
+
+    /*
+        Queue a command to be sent to the PN532
+
+        @param {array} commandBuffer - Command code followed by the command's parameters
+        @param {object} [options]
+        @param {number} [options.priority=PRIORITY_NORMAL] - See PRIORITY_* exports
+        @param {number} [options.ackTimeout] - Milliseconds to wait for the ACK before resending the command
+        @param {number} [options.timeout] - Milliseconds to wait for the response after the ACK (0 waits forever)
+        @param {number} [options.retries] - Number of times the command is resent when NACKed or not acknowledged
+        @returns {Promise<DataFrame>} Resolves with the response frame for the command.  Rejects with a
+            CommandTimeoutError if the command was not acknowledged or answered in time.
+    */
+    enqueue(commandBuffer, options) {
+        options = options || {};
+
+        return new Promise((resolve, reject) => {
+            var entry = {
+                commandBuffer: commandBuffer,
+                command: commandBuffer[0],
+                priority: options.priority === undefined ? PRIORITY_NORMAL : options.priority,
+                ackTimeout: options.ackTimeout || this.ackTimeout,
+                timeout: options.timeout === undefined ? this.timeout : options.timeout,
+                retries: options.retries === undefined ? this.retries : options.retries,
+                attempts: 0,
+                isAcknowledged: false,
+                timer: null,
+                sequence: this._sequence++,
+                resolve: resolve,
+                reject: reject
+            };
+
+            var index = this._pending.findIndex((pending) => pending.priority < entry.priority);
+            if (index === -1) {
+                this._pending.push(entry);
+            } else {
+                this._pending.splice(index, 0, entry);
+            }
+            logger.debug('Command queued', util.inspect(entry.command), 'pending:', this._pending.length);
+
+            this._next();
+        });
+    }
+
+    /*
+        Abort the command currently waiting on the PN532 by sending it an ACK frame
+
+        @param {number} [command] - Only abort this command (command code): the current command if it is this
+            command, else the first queued one
+        @returns {boolean} true if a command was aborted
+    */
+    abort(command) {
+        if (command !== undefined && (!this._current || this._current.command !== command)) {
+            var index = this._pending.findIndex((entry) => entry.command === command);
+            if (index === -1) {
+                return false;
+            }
+            logger.info('Removing queued command', util.inspect(command));
+            this._pending.splice(index, 1)[0].reject(new errors.CommandAbortedError(command));
+            return true;
+        }
+        if (!this._current) {
+            return false;
+        }
+
+        logger.info('Aborting command', util.inspect(this._current.command));
+        this._sendAck();
+        this._finish(new errors.CommandAbortedError(this._current.command));
+        return true;
+    }
+
+    /*
+        Abort the current command and reject the pending ones with a CommandAbortedError
+    */
+    clear() {
+        var pending = this._pending;
+        this._pending = [];
+        pending.forEach((entry) => entry.reject(new errors.CommandAbortedError(entry.command)));
+        this.abort();
+    }
+
+    /*
+        Reject the current and the pending commands with the error, writing nothing to the transport (ie. once it
+        closed)
+
+        @param {Error} error
+    */
+    fail(error) {
+        var pending = this._pending;
+        this._pending = [];
+        pending.forEach((entry) => entry.reject(error));
+        this._aborted = null;
+        if (this._current) {
+            this._finish(error);
+        }
+    }
+
+    _next() {
+        if (this._current || !this._pending.length) {
+            return;
+        }
+
+        this._current = this._pending.shift();
+        this._send();
+    }
+
+    _send() {
+        var entry = this._current;
+        entry.attempts++;
+
+        var buffer = new DataFrame(entry.commandBuffer).toBuffer();
+        logger.debug('Sending buffer (attempt ' + entry.attempts + '):', util.inspect(buffer));
+        this.hal.write(buffer);
+
+        this._startTimer(entry.ackTimeout, () => this._resend('No ACK received'));
+    }
+
+    _resend(reason) {
+        var entry = this._current;
+        if (entry.attempts > entry.retries) {
+            logger.error(reason + ', giving up on command', util.inspect(entry.command));
+            this._sendAck();
+            this._finish(new errors.CommandTimeoutError(entry.command, 'ack', entry.ackTimeout));
+            return;
+        }
+
+        logger.warn(reason + ', resending command', util.inspect(entry.command));
+        this._send();
+    }
+
+    // An ACK frame sent to the PN532 aborts the command it is processing (section 6.2.1.3 of user manual)
+    _sendAck() {
+        this._aborted = this._current.command;
+        this.hal.write(new AckFrame().toBuffer());
+    }
+
+    // Whether the frame is the response of the command aborted last, received before the PN532 acknowledged
+    // the next command
+    _isLateResponse(frame) {
+        if (this._aborted === null || frame.getDataCommand() !== this._aborted + 1 ||
+            (this._current && this._current.isAcknowledged)) {
+            return false;
+        }
+        this._aborted = null;
+        return true;
+    }
+
+    _startTimer(timeout, onTimeout) {
+        var entry = this._current;
+        clearTimeout(entry.timer);
+        entry.timer = timeout ? setTimeout(onTimeout, timeout) : null;
+    }
+
+    _finish(error, frame) {
+        var entry = this._current;
+        clearTimeout(entry.timer);
+        this._current = null;
+
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(frame);
+        }
+
+        // Wait for the promise callbacks to run so a caller chaining commands (ie. reading several blocks)
+        // can queue its next command before a lower priority one already waiting is sent.
+        setImmediate(() => this._next());
+    }
+
+    _onFrame(frame) {
+        if (frame instanceof DataFrame && !(frame instanceof ErrorFrame) && this._isLateResponse(frame)) {
+            logger.warn('Dropping the response of an aborted command', util.inspect(frame));
+            return;
+        }
+        if (!this._current) {
+            logger.warn('Frame received with no command pending', util.inspect(frame));
+            return;
+        }
+
+        var entry = this._current;
+
+        if (frame instanceof AckFrame) {
+            logger.info('Command Acknowledged', util.inspect(frame));
+            // The PN532 moved on to this command, the aborted one will not answer anymore
+            entry.isAcknowledged = true;
+            this._aborted = null;
+            this._startTimer(entry.timeout, () => {
+                logger.error('No response received, aborting command', util.inspect(entry.command));
+                this._sendAck();
+                this._finish(new errors.CommandTimeoutError(entry.command, 'response', entry.timeout));
+            });
+        } else if (frame instanceof NackFrame) {
+            this._resend('NACK received');
+        } else if (frame instanceof ErrorFrame) {
+            // Reported through the 'error' event
+        } else if (frame instanceof DataFrame) {
+            if (frame.getDataCommand() === entry.command + 1) {
+                logger.info('Command Response', util.inspect(frame));
+                this._finish(null, frame);
+            } else {
+                logger.warn('Response does not match pending command', util.inspect(entry.command),
+                            util.inspect(frame));
+            }
+        }
+    }
+
+    _onError(error) {
+        logger.error('Error received for command', error);
+        if (this._current) {
+            this._finish(error);
+        }
+    }
+}
+
+exports.CommandQueue = CommandQueue;
+exports.PRIORITY_LOW = PRIORITY_LOW;
+exports.PRIORITY_NORMAL = PRIORITY_NORMAL;
+exports.PRIORITY_HIGH = PRIORITY_HIGH;
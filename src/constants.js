@@ -5,10 +5,15 @@
 
 // Typical PN532 address
 exports.I2C_ADDRESS = 0x48 >> 1; // 7-bit address bit shifted to 8-bit (?)
-// exports.I2C_READBIT = 0x01;
-// exports.I2C_BUSY = 0x00;
-// exports.I2C_READY = 0x01;
-// exports.I2C_READYTIMEOUT = 20;
+exports.I2C_BUSY = 0x00;          // Status byte while the PN532 has no frame ready
+exports.I2C_READY = 0x01;         // Status byte once the PN532 has a frame ready to be read
+exports.I2C_READYTIMEOUT = 20;    // Milliseconds between checks of the IRQ line
+
+// Section 6.2.5 - SPI (page 45).  First byte of each transfer.
+exports.SPI_DATA_WRITE  = 0x01;
+exports.SPI_STATUS_READ = 0x02;
+exports.SPI_DATA_READ   = 0x03;
+exports.SPI_READY       = 0x01;   // Status once the PN532 has a frame ready to be read
 
 // Section 7 - Commands supported (page 65)
 // Miscellaneous
@@ -48,10 +53,38 @@ exports.TG_GET_INITIATOR_COMMAND       = 0x88;
 exports.TG_RESPONSE_TO_INITIATOR       = 0x90;
 exports.TG_GET_TARGET_STATUS           = 0x8A;
 
+// Mode of TgInitAsTarget (section 7.3.14 of user manual)
+exports.TG_MODE_PASSIVE_ONLY = 0x01; // Only passive communication
+exports.TG_MODE_DEP_ONLY     = 0x02; // Only DEP (NFCIP-1) communication
+exports.TG_MODE_PICC_ONLY    = 0x04; // Only ISO/IEC14443-4 PICC emulation
+
+// Baud rate of InJumpForDEP (section 7.3.3 of user manual)
+exports.DEP_BAUD_106 = 0x00;
+exports.DEP_BAUD_212 = 0x01;
+exports.DEP_BAUD_424 = 0x02;
+
+// Optional parameters present in InJumpForDEP (Next)
+exports.DEP_NEXT_PASSIVE_INITIATOR_DATA = 0x01;
+exports.DEP_NEXT_NFCID3                 = 0x02;
+exports.DEP_NEXT_GENERAL_BYTES          = 0x04;
+
+// Polling request sent as passive initiator data of InJumpForDEP at 212/424 kbps
+exports.DEP_PASSIVE_INITIATOR_DATA = [0x00, 0xFF, 0xFF, 0x00, 0x00];
+
+// Bit of the mode answered by TgInitAsTarget when activated by an NFC-DEP initiator (ATR_REQ)
+exports.TG_ACTIVATED_DEP = 0x04;
+
+// Chaining of InDataExchange (section 7.3.8 of user manual), and of TgGetData/TgSetData in target mode
+exports.DATA_EXCHANGE_MAX_DATA = 262;  // Largest data sent or received in one command
+exports.DATA_EXCHANGE_MI       = 0x40; // More information bit of Tg (data out) and of the status byte (data in)
+
 // Frame Identifiers (TFI)
 exports.DIRECTION_HOST_TO_PN532        = 0xD4;
 exports.DIRECTION_PN532_TO_HOST        = 0xD5;
 
+// Values for the PN532's DIAGNOSE function (NumTst).
+exports.DIAGNOSE_CARD_PRESENCE = 0x06; // Attention Request Test or ISO/IEC14443-4 card presence detection
+
 // Values for PN532's SAMCONFIGURATION function.
 exports.SAMCONFIGURATION_MODE_NORMAL       = 0x01;
 exports.SAMCONFIGURATION_MODE_VIRTUAL_CARD = 0x02;
@@ -73,12 +106,51 @@ exports.CARD_FELICA414 = 0x02; // 424 kbps (FeliCa polling)
 exports.CARD_ISO14443B = 0x03; // 106 kbps type B (ISO/IEC14443-3B)
 exports.CARD_JEWEL     = 0x04; // 106 kbps Innovision Jewel tag
 
+// FeliCa Polling request (payload of InListPassiveTarget): wildcard system code, system code requested, 1 slot
+exports.FELICA_POLLING_REQUEST = [0x00, 0xFF, 0xFF, 0x01, 0x00];
+
+exports.ISO14443B_AFI_ALL = 0x00; // Application family identifier selecting all ISO14443B cards
+
+// Bit of SEL_RES (SAK) set for ISO/IEC14443-4 (ISO-DEP) compliant tags
+exports.SAK_ISO14443_4_COMPLIANT = 0x20;
+
+// Bit of SEL_RES (SAK) set for NFC-DEP (NFCIP-1) compliant targets
+exports.SAK_NFC_DEP_COMPLIANT = 0x40;
+
+// Types of target for InAutoPoll.  Section 7.3.13 (page 145)
+exports.AUTOPOLL_GENERIC_106     = 0x00; // Generic passive 106 kbps (ISO/IEC14443-4A, Mifare and DEP)
+exports.AUTOPOLL_GENERIC_212     = 0x01; // Generic passive 212 kbps (FeliCa and DEP)
+exports.AUTOPOLL_GENERIC_424     = 0x02; // Generic passive 424 kbps (FeliCa and DEP)
+exports.AUTOPOLL_ISO14443_4B     = 0x03; // Passive 106 kbps ISO/IEC14443-4B
+exports.AUTOPOLL_JEWEL           = 0x04; // Innovision Jewel tag
+exports.AUTOPOLL_MIFARE          = 0x10; // Mifare card
+exports.AUTOPOLL_FELICA212       = 0x11; // FeliCa 212 kbps card
+exports.AUTOPOLL_FELICA424       = 0x12; // FeliCa 424 kbps card
+exports.AUTOPOLL_ISO14443_4A     = 0x20; // Passive 106 kbps ISO/IEC14443-4A
+exports.AUTOPOLL_ISO14443_4B_2   = 0x23; // Passive 106 kbps ISO/IEC14443-4B
+exports.AUTOPOLL_DEP_PASSIVE_106 = 0x40; // DEP passive 106 kbps
+exports.AUTOPOLL_DEP_PASSIVE_212 = 0x41; // DEP passive 212 kbps
+exports.AUTOPOLL_DEP_PASSIVE_424 = 0x42; // DEP passive 424 kbps
+exports.AUTOPOLL_DEP_ACTIVE_106  = 0x80; // DEP active 106 kbps
+exports.AUTOPOLL_DEP_ACTIVE_212  = 0x81; // DEP active 212 kbps
+exports.AUTOPOLL_DEP_ACTIVE_424  = 0x82; // DEP active 424 kbps
+
+exports.AUTOPOLL_PERIOD_UNIT   = 150;  // Milliseconds per unit of the polling period
+exports.AUTOPOLL_POLL_ENDLESS  = 0xFF; // Number of polling to poll until a target is found
+
 exports.MIFARE_COMMAND_AUTH_A   = 0x60;
 exports.MIFARE_COMMAND_AUTH_B   = 0x61;
 exports.MIFARE_COMMAND_READ     = 0x30;
 exports.MIFARE_COMMAND_WRITE_4 = 0xA2;
 exports.MIFARE_COMMAND_WRITE_16 = 0xA0;
 
+// Commands of MIFARE Ultralight EV1 and NTAG21x, sent with InCommunicateThru
+exports.MIFARE_COMMAND_GET_VERSION = 0x60;
+exports.MIFARE_COMMAND_FAST_READ   = 0x3A;
+exports.MIFARE_COMMAND_READ_CNT    = 0x39;
+exports.MIFARE_COMMAND_PWD_AUTH    = 0x1B;
+exports.MIFARE_COMMAND_READ_SIG    = 0x3C;
+
 exports.TAG_MEM_NULL_TLV        = 0x00;
 exports.TAG_MEM_LOCK_TLV        = 0x01;
 exports.TAG_MEM_MEMCONTROL_TLV  = 0x02;
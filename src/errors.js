@@ -0,0 +1,243 @@
+'use strict';
+
+/*
+    Base class of the errors raised by this library.
+*/
+class PN532Error extends Error {
+    /*
+        @constructor
+        @param {string} message
+    */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/*
+    Raised when the PN532 does not acknowledge or answer a command in time.
+*/
+class CommandTimeoutError extends PN532Error {
+    /*
+        @constructor
+        @param {number} command - Code of the command that timed out
+        @param {string} stage - 'ack' if the command was never acknowledged, 'response' if no response followed the ACK
+        @param {number} timeout - Milliseconds waited
+    */
+    constructor(command, stage, timeout) {
+        super('Command 0x' + command.toString(16) + ' timed out after ' + timeout + 'ms waiting for ' +
+              (stage === 'ack' ? 'ACK' : 'response'));
+        this.command = command;
+        this.stage = stage;
+        this.timeout = timeout;
+    }
+}
+
+/*
+    Raised for a command that was aborted before its response was received.
+*/
+class CommandAbortedError extends PN532Error {
+    /*
+        @constructor
+        @param {number} command - Code of the aborted command
+    */
+    constructor(command) {
+        super('Command 0x' + command.toString(16) + ' aborted');
+        this.command = command;
+    }
+}
+
+/*
+    Raised for a frame received from the PN532 that failed validation (ie. a checksum mismatch).
+*/
+class FrameError extends PN532Error {
+    /*
+        @constructor
+        @param {string} message - Why the frame is invalid
+        @param {Buffer} buffer - The invalid frame
+    */
+    constructor(message, buffer) {
+        super(message);
+        this.buffer = buffer;
+    }
+}
+
+/*
+    Raised when the PN532 answers with an error frame [00 00 FF 01 FF 7F 81 00], which it sends for
+    a command frame with a syntax error (section 6.2.1.5 of user manual).
+*/
+class ApplicationError extends PN532Error {
+    constructor() {
+        super('The PN532 detected a syntax error in the command frame');
+    }
+}
+
+/*
+    Raised for the commands in flight or sent while the transport is closed (ie. a dropped TCP connection).
+*/
+class TransportClosedError extends PN532Error {
+    constructor() {
+        super('The transport to the PN532 is closed');
+    }
+}
+
+/*
+    Raised when using a Target which was released, or replaced by the targets of a later scan.
+*/
+class StaleTargetError extends PN532Error {
+    /*
+        @constructor
+        @param {Target} target
+        @param {string} reason - Why the target can no longer be used (ie. 'released')
+    */
+    constructor(target, reason) {
+        super('Target ' + target.tagNumber + ' (' + target.uid + ') is no longer usable: ' + reason);
+        this.target = target;
+        this.reason = reason;
+    }
+}
+
+/*
+    Raised when the LLCP link with a peer fails (ie. the peer does not support LLCP, or refused a connection).
+*/
+class LlcpError extends PN532Error {}
+
+/*
+    Raised for an NDEF message or record which cannot be decoded or encoded (see the ndef module).
+*/
+class NdefError extends PN532Error {}
+
+/*
+    Raised when a SNEP server answers a request with another response than Success.
+*/
+class SnepError extends PN532Error {
+    /*
+        @constructor
+        @param {number} response - Response code of the SNEP server (ie. 0xC2 for Bad Request)
+    */
+    constructor(response) {
+        super('SNEP request failed with response 0x' + response.toString(16));
+        this.response = response;
+    }
+}
+
+// Section 7.1 - Error handling (page 67)
+var STATUS_CODES = {
+    0x01: ['TIMEOUT', 'The target has not answered'],
+    0x02: ['CRC', 'A CRC error has been detected by the CIU'],
+    0x03: ['PARITY', 'A parity error has been detected by the CIU'],
+    0x04: ['BIT_COUNT', 'An erroneous bit count has been detected during an anti-collision/select operation'],
+    0x05: ['FRAMING', 'Framing error during MIFARE operation'],
+    0x06: ['BIT_COLLISION', 'An abnormal bit-collision has been detected during bit wise anti-collision at 106 kbps'],
+    0x07: ['BUFFER_SIZE', 'Communication buffer size insufficient'],
+    0x09: ['RF_BUFFER_OVERFLOW', 'RF buffer overflow has been detected by the CIU'],
+    0x0A: ['RF_FIELD', 'In active communication mode, the RF field has not been switched on in time by the counterpart'],
+    0x0B: ['RF_PROTOCOL', 'RF protocol error'],
+    0x0D: ['TEMPERATURE', 'Overheating detected, the antenna drivers have been switched off'],
+    0x0E: ['INTERNAL_BUFFER_OVERFLOW', 'Internal buffer overflow'],
+    0x10: ['INVALID_PARAMETER', 'Invalid parameter (range, format, ...)'],
+    0x12: ['DEP_UNSUPPORTED_COMMAND', 'DEP protocol: the command received from the initiator is not supported'],
+    0x13: ['DATA_FORMAT', 'DEP protocol, MIFARE or ISO/IEC14443-4: the data format does not match the specification'],
+    0x14: ['MIFARE_AUTHENTICATION', 'MIFARE: authentication error'],
+    0x23: ['UID_CHECK_BYTE', 'ISO/IEC14443-3: the UID check byte is wrong'],
+    0x25: ['DEP_INVALID_STATE', 'DEP protocol: invalid device state, the operation is not allowed'],
+    0x26: ['OPERATION_NOT_ALLOWED', 'Operation not allowed in this configuration (host controller interface)'],
+    0x27: ['WRONG_CONTEXT', 'The command is not acceptable in the current context (initiator vs. target, ' +
+                            'unknown target number, target not in the good state, ...)'],
+    0x29: ['TARGET_RELEASED', 'The PN532 configured as target has been released by its initiator'],
+    0x2A: ['CARD_EXCHANGED', 'ISO/IEC14443-3B: the ID of the card does not match, the card has been exchanged'],
+    0x2B: ['CARD_DISAPPEARED', 'ISO/IEC14443-3B: the card previously activated has disappeared'],
+    0x2C: ['NFCID3_MISMATCH', 'Mismatch between the NFCID3 initiator and the NFCID3 target in DEP 212/424 kbps passive'],
+    0x2D: ['OVER_CURRENT', 'An over-current event has been detected'],
+    0x2E: ['NAD_MISSING', 'NAD missing in DEP frame']
+};
+
+/*
+    Raised when the status byte of a response (ie. InDataExchange) reports an error.
+*/
+class StatusError extends PN532Error {
+    /*
+        @constructor
+        @param {number} status - Status byte of the response (bits 5-0 hold the error code)
+        @param {number} [command] - Code of the command which failed
+    */
+    constructor(status, command) {
+        var code = status & STATUS_ERROR_MASK;
+        var description = STATUS_CODES[code] || ['UNKNOWN', 'Unknown error'];
+
+        super(description[1] + ' (status 0x' + code.toString(16) + ')');
+        this.status = status;
+        this.code = code;
+        this.codeName = description[0];
+        this.meaning = description[1];
+        this.command = command;
+    }
+
+    /*
+        @param {number} status - Status byte of a response
+        @returns {boolean} true if the status byte reports an error
+    */
+    static isError(status) {
+        return (status & STATUS_ERROR_MASK) !== 0;
+    }
+
+    /*
+        Creates the error matching a status byte
+
+        @param {number} status - Status byte of the response
+        @param {number} [command] - Code of the command which failed
+        @returns {StatusError} An instance of the most specific subclass for the error code
+    */
+    static fromStatus(status, command) {
+        var ErrorClass = STATUS_ERROR_CLASSES[status & STATUS_ERROR_MASK] || StatusError;
+        return new ErrorClass(status, command);
+    }
+}
+
+// The target did not answer (0x01)
+class TargetTimeoutError extends StatusError {}
+
+// The frame exchanged with the target was corrupted (CRC, parity, bit count, framing, collision, RF protocol)
+class TransmissionError extends StatusError {}
+
+// MIFARE authentication failed (0x14)
+class AuthenticationError extends StatusError {}
+
+// The command is not acceptable in the PN532's current context (0x27)
+class WrongContextError extends StatusError {}
+
+// The PN532 (as target) has been released by its initiator (0x29)
+class TargetReleasedError extends StatusError {}
+
+var STATUS_ERROR_MASK = 0x3F; // Bit 7 is NAD present, bit 6 is MI (more information)
+
+var STATUS_ERROR_CLASSES = {
+    0x01: TargetTimeoutError,
+    0x02: TransmissionError,
+    0x03: TransmissionError,
+    0x04: TransmissionError,
+    0x05: TransmissionError,
+    0x06: TransmissionError,
+    0x0B: TransmissionError,
+    0x14: AuthenticationError,
+    0x27: WrongContextError,
+    0x29: TargetReleasedError
+};
+
+exports.PN532Error = PN532Error;
+exports.CommandTimeoutError = CommandTimeoutError;
+exports.CommandAbortedError = CommandAbortedError;
+exports.FrameError = FrameError;
+exports.ApplicationError = ApplicationError;
+exports.TransportClosedError = TransportClosedError;
+exports.StaleTargetError = StaleTargetError;
+exports.LlcpError = LlcpError;
+exports.NdefError = NdefError;
+exports.SnepError = SnepError;
+exports.StatusError = StatusError;
+exports.TargetTimeoutError = TargetTimeoutError;
+exports.TransmissionError = TransmissionError;
+exports.AuthenticationError = AuthenticationError;
+exports.WrongContextError = WrongContextError;
+exports.TargetReleasedError = TargetReleasedError;
+exports.STATUS_CODES = STATUS_CODES;
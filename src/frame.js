@@ -7,6 +7,7 @@ var PREAMBLE     = 0x00;
 var START_CODE_1 = 0x00;
 var START_CODE_2 = 0xFF;
 var POSTAMBLE    = 0x00;
+var START_SEQUENCE = new Buffer([PREAMBLE, START_CODE_1, START_CODE_2]);
 
 var curTime = () => { // @WNR
     let cur = new Date();
@@ -14,6 +15,18 @@ var curTime = () => { // @WNR
            cur.getSeconds() + "." + cur.getMilliseconds() + "] ";
 }
 
+// Longest data (TFI and PD0 ... PDn) of a normal information frame.  Longer data is sent in an extended frame.
+var MAX_NORMAL_DATA_LENGTH = 0xFE;
+
+// Whether a buffer starting with the preamble and start code holds an extended information frame
+var isExtendedHeader = (buffer) => buffer[3] === 0xFF && buffer[4] === 0xFF;
+
+// Value which makes the sum of the bytes (and the value) 0x00
+var checksum = (bytes) => {
+    var sum = bytes.reduce((prev, current) => prev + current, 0);
+    return (0x100 - (sum & 0xFF)) & 0xFF;
+};
+
 /*
     Represents a single communication frame for communication with the PN532 NFC Chip.
 */
@@ -52,6 +65,16 @@ class Frame {
         throw new Error(curTime() + 'Invalid Response');
     }
 
+    /*
+        Finds the start of the first frame in a buffer
+
+        @param {Buffer} buffer
+        @returns {number} Index of the preamble and start code (00 00 FF), or -1 if there isn't one
+    */
+    static findStart(buffer) {
+        return buffer.indexOf(START_SEQUENCE);
+    }
+
     static isFrame(buffer) {
         return DataFrame.isFrame(buffer) ||
                AckFrame.isFrame(buffer) ||
@@ -81,11 +104,17 @@ class DataFrame extends Frame {
                 this.bufferType = "frame";
 
                 // Only buffers that are frames follow these rules.
-                dataLength = buffer[3];
-                dataStart = 6;
+                // LEN counts the TFI (direction) byte, which precedes the data.
+                if (isExtendedHeader(buffer)) {
+                    dataLength = buffer.readUInt16BE(5) - 1;
+                    dataStart = 9;
+                } else {
+                    dataLength = buffer[3] - 1;
+                    dataStart = 6;
+                }
                 dataEnd = dataStart + dataLength;
                 d = new Buffer(dataLength);
-                dir = buffer[5];
+                dir = buffer[dataStart - 1];
             } else {
                 this.bufferType = "apdu";
 
@@ -98,14 +127,10 @@ class DataFrame extends Frame {
                 dir = c.DIRECTION_PN532_TO_HOST;
                 // likley an APDU sending from the PN532 to the Android HCE, although this is a guess.
             }
-            console.log(curTime() + 'dataLength, start, end');
-            console.log(dataLength);
-            console.log(dataStart);
-            console.log(dataEnd);
             buffer.copy(d, 0, dataStart, dataEnd);
 
             this._data = d;
-            this.direction = dir;
+            this._direction = dir;
         } else if (data instanceof Array) {
             this._data = data;
             this._direction = direction || c.DIRECTION_HOST_TO_PN532;
@@ -164,62 +189,110 @@ class DataFrame extends Frame {
         return this._data.length + 1;
     }
 
+    // Whether the frame's data is too long for a normal information frame (more than 254 bytes)
+    isExtended() {
+        return this.getDataLength() > MAX_NORMAL_DATA_LENGTH;
+    }
+
     // Gets the checksum of getDataLength().
     getDataLengthChecksum() {
-        return (~this.getDataLength() & 0xFF) + 0x01;
+        var length = this.getDataLength();
+        return checksum([length >> 8, length & 0xFF]);
     }
 
     // Gets a checksum for the frame's data.
     getDataChecksum() {
-        var dataCopy = this._data.slice();
-        if (!Array.isArray(dataCopy)) dataCopy = new Array();
-        dataCopy.push(this._direction);
+        return checksum([this._direction].concat(Array.from(this._data)));
+    }
 
-        var sum = dataCopy.reduce((prev,current) => prev + current);
-        var inverse = (~sum & 0xFF) + 0x01;
+    getFrameLength() {
+        var frameLengthMinusData = this.isExtended() ? 11 : 8;
+        return this._data.length + frameLengthMinusData;
+    }
+
+    /*
+        Checks the frame at the start of a buffer (which must begin with the preamble and start code).
 
-        if (inverse > 255) {
-            inverse = inverse - 255;
+        @param {Buffer} buffer
+        @returns {object} {complete: false} if the buffer does not yet hold the whole frame, otherwise
+            {complete: true, length: <frame length>, error: <null, or why the frame is invalid>}
+    */
+    static checkFrame(buffer) {
+        if (buffer.length < 5) {
+            return {complete: false};
         }
 
-        return inverse;
-    }
+        var dataLength, dataStart;
+        var extended = isExtendedHeader(buffer);
+        if (extended) {
+            // Extended information frame [00 00 FF FF FF LENm LENl LCS TFI PD0 ... PDn DCS 00]
+            if (buffer.length < 8) {
+                return {complete: false};
+            }
+            dataLength = buffer.readUInt16BE(5);
+            dataStart = 8;
+        } else {
+            // Normal information frame [00 00 FF LEN LCS TFI PD0 ... PDn DCS 00]
+            dataLength = buffer[3];
+            dataStart = 5;
+        }
 
-    getFrameLength() {
-        var frameLengthMinusData = 7;
-        return this._data.length + frameLengthMinusData;
+        if (checksum(Array.from(buffer.slice(dataStart - (extended ? 3 : 2), dataStart))) !== 0) {
+            // The length can not be trusted, so neither can the frame's end
+            return {complete: true, length: 3, error: 'Invalid length checksum (LCS)'};
+        }
+
+        var frameLength = dataStart + dataLength + 2;
+        if (buffer.length < frameLength) {
+            return {complete: false};
+        }
+
+        var sum = 0;
+        for (var i = dataStart; i < frameLength - 1; i++) {
+            sum += buffer[i];
+        }
+        if ((sum & 0xFF) !== 0) {
+            return {complete: true, length: frameLength, error: 'Invalid data checksum (DCS)'};
+        }
+
+        if (buffer[frameLength - 1] !== POSTAMBLE) {
+            return {complete: true, length: frameLength, error: 'Missing postamble'};
+        }
+
+        return {complete: true, length: frameLength, error: null};
     }
 
     static isFrame(buffer) {
         // Checks if a buffer from the PN532 is valid.
-        var frameLengthMinusData = 7;
-        if (buffer.length <= frameLengthMinusData) {
-            return false;
-        }
-
-        var dataLength = buffer[3];
-        var validFrameLength = frameLengthMinusData + dataLength;
-        if (buffer.length < validFrameLength) {
+        if (buffer.length < 8 ||
+            buffer[0] !== PREAMBLE ||
+            buffer[1] !== START_CODE_1 ||
+            buffer[2] !== START_CODE_2) {
             return false;
         }
 
-        // TODO: Check LCS and DCS checksums
-
-        return (buffer[0] === PREAMBLE &&
-                buffer[1] === START_CODE_1 &&
-                buffer[2] === START_CODE_2 &&
-                buffer[validFrameLength - 1] === 0x00);
+        var result = DataFrame.checkFrame(buffer);
+        return result.complete && !result.error;
     }
 
     toBuffer() {
+        var length = this.isExtended() ? [
+            0xFF,
+            0xFF,
+            this.getDataLength() >> 8,
+            this.getDataLength() & 0xFF
+        ] : [
+            this.getDataLength()
+        ];
+
         var array = [].concat([
             PREAMBLE,
             START_CODE_1,
-            START_CODE_2,
-            this.getDataLength(),
+            START_CODE_2
+        ],  length, [
             this.getDataLengthChecksum(),
             this.getDirection()
-        ],  this._data, [
+        ],  Array.from(this._data), [
             this.getDataChecksum(),
             POSTAMBLE
         ]);
@@ -305,6 +378,10 @@ class ErrorFrame extends DataFrame {
         super([0x7F]);
     }
 
+    getFrameLength() {
+        return 8;
+    }
+
     static isFrame(buffer) {
         //  Checks if the buffer is an error frame. [00 00 FF 01 FF 7F 81 00]
         return (buffer.length >= 8 &&
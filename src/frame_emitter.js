@@ -9,15 +9,21 @@ var DataFrame = frame.DataFrame;
 var ErrorFrame = frame.ErrorFrame;
 var AckFrame = frame.AckFrame;
 var NackFrame = frame.NackFrame;
+var errors = require('./errors');
 
 class FrameEmitter extends EventEmitter {
     /*
         @constructor
         @param {object} hal - An instance of PN532_UART or PN532_I2C
+        @param {object} [options]
+        @param {boolean} [options.nackOnError=false] - Send a NACK to the PN532 when an invalid frame is received,
+            requesting it to resend the frame
     */
-    constructor(hal) {
+    constructor(hal, options) {
         super();
+        options = options || {};
         this.hal = hal;
+        this.nackOnError = !!options.nackOnError;
         this.buffer = new Buffer(0);
 
         logger.debug('listening to data');
@@ -36,21 +42,56 @@ class FrameEmitter extends EventEmitter {
     }
 
     _processBuffer() {
-        // TODO: filter garbage at front of buffer (anything not 0x00, 0x00, 0xFF at start?)
-
         logger.debug('Processing buffer', util.inspect(this.buffer));
 
-        if (Frame.isFrame(this.buffer)) {
-            logger.debug('Frame found in buffer');
+        while (this.buffer.length) {
+            var start = Frame.findStart(this.buffer);
+            if (start === -1) {
+                // Keep the last bytes as they may be the beginning of the next frame's start code
+                var keep = Math.min(this.buffer.length, 2);
+                if (this.buffer.length > keep) {
+                    logger.warn('Dropping garbage from buffer', util.inspect(this.buffer.slice(0, -keep)));
+                }
+                this.buffer = this.buffer.slice(-keep);
+                return;
+            }
+            if (start > 0) {
+                logger.warn('Dropping garbage from buffer', util.inspect(this.buffer.slice(0, start)));
+                this.buffer = this.buffer.slice(start);
+            }
+
+            if (this.buffer.length < 6) {
+                return;
+            }
+
+            var frame;
+            if (AckFrame.isFrame(this.buffer)) {
+                frame = new AckFrame();
+            } else if (NackFrame.isFrame(this.buffer)) {
+                frame = new NackFrame();
+            } else {
+                var result = DataFrame.checkFrame(this.buffer);
+                if (!result.complete) {
+                    // Next 'data' event on the hal will process the buffer after more data is received
+                    return;
+                }
+
+                if (result.error) {
+                    this._frameError(result.error, this.buffer.slice(0, result.length));
+                    this.buffer = this.buffer.slice(result.length);
+                    continue;
+                }
 
-            var frame = Frame.fromBuffer(this.buffer);
-            // logger.info('Frame', frame.toString());
+                frame = Frame.fromBuffer(this.buffer);
+            }
+
+            logger.debug('Frame found in buffer');
             logger.info('Frame', util.inspect(frame));
             this.emit('frame', frame);
 
             if (frame instanceof ErrorFrame) {
                 logger.error('ErrorFrame found in buffer');
-                this.emit('error', frame);
+                this.emit('error', new errors.ApplicationError());
             } else if (frame instanceof DataFrame) {
                 logger.debug('DataFrame found in buffer');
                 this.emit('response', frame);
@@ -61,12 +102,16 @@ class FrameEmitter extends EventEmitter {
             }
 
             this.buffer = this.buffer.slice(frame.getFrameLength()); // strip off frame's data from buffer
+        }
+    }
 
-            // If more data still on buffer, process buffer again,
-            // otherwise next 'data' event on serial will process the buffer after more data is receive
-            if (this.buffer.length) {
-                this._processBuffer();
-            }
+    _frameError(message, buffer) {
+        logger.warn(message, util.inspect(buffer));
+        this.emit('frameError', new errors.FrameError(message, buffer));
+
+        if (this.nackOnError) {
+            logger.debug('Requesting the PN532 to resend its last frame');
+            this.hal.write(new NackFrame().toBuffer());
         }
     }
 }
@@ -0,0 +1,552 @@
+'use strict';
+/*
+    NFC Forum Logical Link Control Protocol (LLCP 1.1) over NFC-DEP
+*/
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var logger = require('winston').loggers.get('llcp');
+
+var errors = require('./errors');
+
+// PDU types (PTYPE)
+var PTYPE_SYMM    = 0x00;
+var PTYPE_PAX     = 0x01;
+var PTYPE_AGF     = 0x02;
+var PTYPE_UI      = 0x03;
+var PTYPE_CONNECT = 0x04;
+var PTYPE_DISC    = 0x05;
+var PTYPE_CC      = 0x06;
+var PTYPE_DM      = 0x07;
+var PTYPE_FRMR    = 0x08;
+var PTYPE_SNL     = 0x09;
+var PTYPE_I       = 0x0C;
+var PTYPE_RR      = 0x0D;
+var PTYPE_RNR     = 0x0E;
+
+// Parameters (TLV) of the general bytes and of CONNECT/CC PDUs
+var PARAM_VERSION = 0x01;
+var PARAM_MIUX    = 0x02;
+var PARAM_WKS     = 0x03;
+var PARAM_LTO     = 0x04;
+var PARAM_RW      = 0x05;
+var PARAM_SN      = 0x06;
+var PARAM_OPT     = 0x07;
+
+// Reasons of DM PDUs
+var DM_DISCONNECTED         = 0x00;
+var DM_NO_ACTIVE_CONNECTION = 0x01;
+var DM_NO_SERVICE           = 0x02;
+
+var MAGIC       = new Buffer([0x46, 0x66, 0x6D]); // Starts the general bytes of ATR_REQ/ATR_RES
+var VERSION     = 0x11; // 1.1
+var DEFAULT_MIU = 128;  // Maximum information unit without MIUX
+var DEFAULT_LTO = 100;  // Link timeout in milliseconds
+
+// Service access points
+var SAP_LINK_MANAGEMENT = 0x00;
+var SAP_SDP             = 0x01; // Service discovery, CONNECT by service name
+var SAP_SNEP            = 0x04;
+var FIRST_LOCAL_SAP     = 0x20; // SAPs of the connections initiated locally
+
+var SERVICE_NAMES = {
+    'urn:nfc:sn:snep': SAP_SNEP
+};
+
+/*
+    Encodes a PDU: DSAP (6 bits), PTYPE (4 bits), SSAP (6 bits), the sequence byte N(S) N(R) of I, RR and RNR
+    PDUs, then the information field
+
+    @param {object} pdu - {dsap, ptype, ssap, ns, nr, info}
+    @returns {Buffer}
+*/
+function encodePdu(pdu) {
+    var header = [(pdu.dsap << 2) | (pdu.ptype >> 2), ((pdu.ptype & 0x03) << 6) | pdu.ssap];
+    if (pdu.ptype === PTYPE_I || pdu.ptype === PTYPE_RR || pdu.ptype === PTYPE_RNR) {
+        header.push(((pdu.ns || 0) << 4) | (pdu.nr || 0));
+    }
+    return Buffer.concat([new Buffer(header), new Buffer(pdu.info || [])]);
+}
+
+/*
+    @param {Buffer} buffer
+    @returns {object} {dsap, ptype, ssap, ns, nr, info}
+*/
+function decodePdu(buffer) {
+    if (buffer.length < 2) {
+        throw new errors.LlcpError('PDU of ' + buffer.length + ' bytes is too short');
+    }
+    var pdu = {
+        dsap: buffer[0] >> 2,
+        ptype: ((buffer[0] & 0x03) << 2) | (buffer[1] >> 6),
+        ssap: buffer[1] & 0x3F,
+        info: buffer.slice(2)
+    };
+    if (pdu.ptype === PTYPE_I || pdu.ptype === PTYPE_RR || pdu.ptype === PTYPE_RNR) {
+        pdu.ns = buffer[2] >> 4;
+        pdu.nr = buffer[2] & 0x0F;
+        pdu.info = buffer.slice(3);
+    }
+    return pdu;
+}
+
+/*
+    @param {object} params - {version, miux, wks, lto (milliseconds), rw, sn}, undefined parameters are omitted
+    @returns {Buffer}
+*/
+function encodeParameters(params) {
+    var bytes = [];
+    var add = (type, value) => {
+        bytes = bytes.concat([type, value.length], value);
+    };
+    if (params.version !== undefined) {
+        add(PARAM_VERSION, [params.version]);
+    }
+    if (params.miux !== undefined) {
+        add(PARAM_MIUX, [(params.miux >> 8) & 0x07, params.miux & 0xFF]);
+    }
+    if (params.wks !== undefined) {
+        add(PARAM_WKS, [params.wks >> 8, params.wks & 0xFF]);
+    }
+    if (params.lto !== undefined) {
+        add(PARAM_LTO, [Math.round(params.lto / 10)]); // In units of 10ms
+    }
+    if (params.rw !== undefined) {
+        add(PARAM_RW, [params.rw & 0x0F]);
+    }
+    if (params.sn !== undefined) {
+        add(PARAM_SN, Array.from(new Buffer(params.sn)));
+    }
+    return new Buffer(bytes);
+}
+
+/*
+    @param {Buffer} buffer
+    @returns {object} {version, miux, wks, lto (milliseconds), rw, sn, opt}, absent parameters being undefined
+*/
+function decodeParameters(buffer) {
+    var params = {};
+    for (var offset = 0; offset + 2 <= buffer.length; offset += 2 + buffer[offset + 1]) {
+        var value = buffer.slice(offset + 2, offset + 2 + buffer[offset + 1]);
+        switch (buffer[offset]) {
+            case PARAM_VERSION:
+                params.version = value[0];
+                break;
+            case PARAM_MIUX:
+                params.miux = ((value[0] & 0x07) << 8) | value[1];
+                break;
+            case PARAM_WKS:
+                params.wks = value.readUInt16BE(0);
+                break;
+            case PARAM_LTO:
+                params.lto = value[0] * 10;
+                break;
+            case PARAM_RW:
+                params.rw = value[0] & 0x0F;
+                break;
+            case PARAM_SN:
+                params.sn = value.toString();
+                break;
+            case PARAM_OPT:
+                params.opt = value[0];
+                break;
+        }
+    }
+    return params;
+}
+
+/*
+    A data link connection between a local and a remote service access point.  Sends with a receive window of one
+    I PDU: each I PDU is acknowledged before the next one is sent.
+
+        'data'      Emitted with the information field of each I PDU received
+        'close'     Emitted once the connection is closed (by either side)
+*/
+class LlcpConnection extends EventEmitter {
+    constructor(link, localSap, remoteSap, remoteMiu) {
+        super();
+        this.link = link;
+        this.localSap = localSap;
+        this.remoteSap = remoteSap;
+        this.remoteMiu = remoteMiu;
+        this.isClosed = false;
+
+        this._sendState = 0;    // V(S)
+        this._receiveState = 0; // V(R)
+        this._sending = [];     // {data, resolve, reject}, the first waiting for its acknowledgement
+        this._closing = null;
+    }
+
+    /*
+        Send data, split in I PDUs of the remote MIU
+
+        @param {(array|Buffer)} data
+        @returns {Promise} Resolves once the remote service acknowledged all the data
+    */
+    send(data) {
+        if (this.isClosed) {
+            return Promise.reject(new errors.LlcpError('Connection ' + this.localSap + ' is closed'));
+        }
+
+        data = new Buffer(data);
+        var sends = [];
+        for (var offset = 0; offset < data.length || offset === 0; offset += this.remoteMiu) {
+            var chunk = data.slice(offset, offset + this.remoteMiu);
+            sends.push(new Promise((resolve, reject) => {
+                this._sending.push({data: chunk, resolve: resolve, reject: reject});
+            }));
+        }
+        if (this._sending.length === sends.length) {
+            this._sendNext();
+        }
+        return Promise.all(sends);
+    }
+
+    /*
+        Close the connection (DISC)
+
+        @returns {Promise} Resolves once the remote service confirmed (DM)
+    */
+    close() {
+        if (this.isClosed) {
+            return Promise.resolve();
+        }
+        return this._closing || (this._closing = new Promise((resolve) => {
+            this.once('close', resolve);
+            this.link._queue({dsap: this.remoteSap, ptype: PTYPE_DISC, ssap: this.localSap});
+        }));
+    }
+
+    _sendNext() {
+        if (!this._sending.length) {
+            return;
+        }
+        this.link._queue({
+            dsap: this.remoteSap,
+            ptype: PTYPE_I,
+            ssap: this.localSap,
+            ns: this._sendState,
+            nr: this._receiveState,
+            info: this._sending[0].data
+        });
+        this._sendState = (this._sendState + 1) % 16;
+    }
+
+    _receive(pdu) {
+        switch (pdu.ptype) {
+            case PTYPE_I:
+                if (pdu.ns !== this._receiveState) {
+                    logger.warn('Unexpected N(S) ' + pdu.ns + ' on connection ' + this.localSap);
+                }
+                this._receiveState = (pdu.ns + 1) % 16;
+                this._acknowledge(pdu.nr);
+                this.link._queue({dsap: this.remoteSap, ptype: PTYPE_RR, ssap: this.localSap, nr: this._receiveState});
+                this.emit('data', pdu.info);
+                break;
+            case PTYPE_RR:
+            case PTYPE_RNR:
+                this._acknowledge(pdu.nr);
+                break;
+            case PTYPE_DISC:
+                this.link._queue({dsap: this.remoteSap, ptype: PTYPE_DM, ssap: this.localSap, info: [DM_DISCONNECTED]});
+                this._close();
+                break;
+            case PTYPE_DM:
+                this._close();
+                break;
+        }
+    }
+
+    // N(R) acknowledges the I PDUs sent before it
+    _acknowledge(nr) {
+        if (this._sending.length && nr === this._sendState) {
+            this._sending.shift().resolve();
+            this._sendNext();
+        }
+    }
+
+    _close() {
+        if (this.isClosed) {
+            return;
+        }
+        this.isClosed = true;
+        this.link._removeConnection(this);
+        this._sending.forEach((send) => send.reject(new errors.LlcpError('Connection ' + this.localSap +
+                                                                         ' closed')));
+        this._sending = [];
+        this.emit('close');
+    }
+}
+
+/*
+    An LLCP link with a peer, over the NFC-DEP exchanges of the PN532 (see PeerToPeer).  The link does not exchange
+    PDUs itself: each PDU received is given to receive(), and nextPdu() gives the PDU to send in return (SYMM when
+    there is nothing to send).
+
+        'deactivated'   Emitted when the link was deactivated (by either side)
+*/
+class LlcpLink extends EventEmitter {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {number} [options.miu=128] - Largest information field received (128-2175)
+        @param {number} [options.lto=100] - Link timeout announced to the peer, in milliseconds
+    */
+    constructor(options) {
+        options = options || {};
+        super();
+
+        this.miu = options.miu || DEFAULT_MIU;
+        this.lto = options.lto || DEFAULT_LTO;
+        this.remote = null; // Parameters of the peer
+        this.isActive = false;
+
+        this._services = {};    // Listeners by SAP
+        this._connections = []; // LlcpConnection
+        this._connecting = {};  // Pending connect(), by local SAP
+        this._outgoing = [];    // PDUs waiting to be sent
+        this._deactivating = false;
+    }
+
+    // General bytes of ATR_REQ/ATR_RES announcing LLCP to the peer
+    getGeneralBytes() {
+        var wks = (1 << SAP_LINK_MANAGEMENT) | (1 << SAP_SDP);
+        Object.keys(this._services).forEach((sap) => {
+            wks |= 1 << sap;
+        });
+        return Buffer.concat([MAGIC, encodeParameters({
+            version: VERSION,
+            miux: this.miu - DEFAULT_MIU,
+            wks: wks,
+            lto: this.lto
+        })]);
+    }
+
+    /*
+        Activate the link with the general bytes of the peer
+
+        @param {Buffer} generalBytes - General bytes of the peer's ATR_REQ/ATR_RES
+    */
+    activate(generalBytes) {
+        if (generalBytes.length < MAGIC.length || !generalBytes.slice(0, MAGIC.length).equals(MAGIC)) {
+            throw new errors.LlcpError('The peer does not support LLCP');
+        }
+        var params = decodeParameters(generalBytes.slice(MAGIC.length));
+        if ((params.version >> 4) !== (VERSION >> 4)) {
+            throw new errors.LlcpError('Unsupported LLCP version ' + util.inspect(params.version));
+        }
+
+        this.remote = {
+            version: params.version,
+            miu: DEFAULT_MIU + (params.miux || 0),
+            wks: params.wks,
+            lto: params.lto || DEFAULT_LTO
+        };
+        this.isActive = true;
+        logger.info('Link activated', util.inspect(this.remote));
+    }
+
+    /*
+        Listen for connections to a service access point
+
+        @param {number} sap - Service access point (ie. SAP_SNEP)
+        @param {function} onConnection - Called with each LlcpConnection
+    */
+    listen(sap, onConnection) {
+        this._services[sap] = onConnection;
+    }
+
+    /*
+        Connect to a service of the peer
+
+        @param {(number|string)} service - Service access point, or service name (ie. 'urn:nfc:sn:snep')
+        @returns {Promise<LlcpConnection>}
+    */
+    connect(service) {
+        if (!this.isActive) {
+            return Promise.reject(new errors.LlcpError('The link is not active'));
+        }
+
+        var localSap = FIRST_LOCAL_SAP;
+        while (this._connecting[localSap] || this._connections.some((conn) => conn.localSap === localSap)) {
+            localSap++;
+        }
+
+        return new Promise((resolve, reject) => {
+            this._connecting[localSap] = {resolve: resolve, reject: reject};
+            var byName = typeof service === 'string';
+            this._queue({
+                dsap: byName ? SAP_SDP : service,
+                ptype: PTYPE_CONNECT,
+                ssap: localSap,
+                info: encodeParameters({miux: this.miu - DEFAULT_MIU, rw: 1, sn: byName ? service : undefined})
+            });
+        });
+    }
+
+    // Deactivate the link, the DISC PDU being sent with the next nextPdu()
+    deactivate() {
+        if (this.isActive && !this._deactivating) {
+            this._deactivating = true;
+            this._outgoing = [];
+            this._queue({dsap: SAP_LINK_MANAGEMENT, ptype: PTYPE_DISC, ssap: SAP_LINK_MANAGEMENT});
+        }
+    }
+
+    /*
+        @returns {Buffer} The PDU to send to the peer
+    */
+    nextPdu() {
+        var pdu = this._outgoing.shift() || {dsap: 0, ptype: PTYPE_SYMM, ssap: 0};
+        if (pdu.ptype !== PTYPE_SYMM) {
+            logger.debug('Sending PDU', util.inspect(pdu));
+        }
+        if (this._deactivating && pdu.ptype === PTYPE_DISC && pdu.dsap === SAP_LINK_MANAGEMENT) {
+            // The link is deactivated once its DISC is sent
+            this.terminate();
+        }
+        return encodePdu(pdu);
+    }
+
+    // Whether there are PDUs waiting to be sent
+    hasPendingPdu() {
+        return this._outgoing.length > 0;
+    }
+
+    /*
+        @param {Buffer} buffer - PDU received from the peer
+    */
+    receive(buffer) {
+        if (!this.isActive) {
+            return;
+        }
+        var pdu = decodePdu(buffer);
+        if (pdu.ptype !== PTYPE_SYMM) {
+            logger.debug('Received PDU', util.inspect(pdu));
+        }
+
+        switch (pdu.ptype) {
+            case PTYPE_SYMM:
+                break;
+            case PTYPE_AGF:
+                // Aggregated PDUs, each preceded by its length (2 bytes)
+                for (var offset = 0; offset + 2 <= pdu.info.length; offset += 2 + pdu.info.readUInt16BE(offset)) {
+                    this.receive(pdu.info.slice(offset + 2, offset + 2 + pdu.info.readUInt16BE(offset)));
+                }
+                break;
+            case PTYPE_CONNECT:
+                this._onConnect(pdu);
+                break;
+            case PTYPE_CC:
+                var connecting = this._connecting[pdu.dsap];
+                if (connecting) {
+                    delete this._connecting[pdu.dsap];
+                    var params = decodeParameters(pdu.info);
+                    var connection = new LlcpConnection(this, pdu.dsap, pdu.ssap, DEFAULT_MIU + (params.miux || 0));
+                    this._connections.push(connection);
+                    connecting.resolve(connection);
+                }
+                break;
+            case PTYPE_DM:
+                if (this._connecting[pdu.dsap]) {
+                    var rejected = this._connecting[pdu.dsap];
+                    delete this._connecting[pdu.dsap];
+                    rejected.reject(new errors.LlcpError('Connection refused (reason ' + pdu.info[0] + ')'));
+                    break;
+                }
+                this._toConnection(pdu);
+                break;
+            case PTYPE_DISC:
+                if (pdu.dsap === SAP_LINK_MANAGEMENT && pdu.ssap === SAP_LINK_MANAGEMENT) {
+                    logger.info('Link deactivated by the peer');
+                    this.terminate();
+                    break;
+                }
+                this._toConnection(pdu);
+                break;
+            case PTYPE_I:
+            case PTYPE_RR:
+            case PTYPE_RNR:
+                this._toConnection(pdu);
+                break;
+            default:
+                logger.warn('Unsupported PDU type', pdu.ptype);
+        }
+    }
+
+    _onConnect(pdu) {
+        var params = decodeParameters(pdu.info);
+        var sap = pdu.dsap === SAP_SDP && params.sn !== undefined ? SERVICE_NAMES[params.sn] : pdu.dsap;
+        var onConnection = this._services[sap];
+        if (!onConnection) {
+            logger.info('Connection to unknown service', params.sn || sap);
+            this._queue({dsap: pdu.ssap, ptype: PTYPE_DM, ssap: pdu.dsap, info: [DM_NO_SERVICE]});
+            return;
+        }
+
+        var connection = new LlcpConnection(this, sap, pdu.ssap, DEFAULT_MIU + (params.miux || 0));
+        this._connections.push(connection);
+        this._queue({
+            dsap: pdu.ssap,
+            ptype: PTYPE_CC,
+            ssap: sap,
+            info: encodeParameters({miux: this.miu - DEFAULT_MIU, rw: 1})
+        });
+        onConnection(connection);
+    }
+
+    _toConnection(pdu) {
+        var connection = this._connections.find((conn) => conn.localSap === pdu.dsap && conn.remoteSap === pdu.ssap);
+        if (connection) {
+            connection._receive(pdu);
+        } else if (pdu.ptype !== PTYPE_DM) {
+            this._queue({dsap: pdu.ssap, ptype: PTYPE_DM, ssap: pdu.dsap, info: [DM_NO_ACTIVE_CONNECTION]});
+        }
+    }
+
+    _queue(pdu) {
+        this._outgoing.push(pdu);
+    }
+
+    _removeConnection(connection) {
+        this._connections = this._connections.filter((conn) => conn !== connection);
+    }
+
+    // Deactivate the link at once, ie. when the peer left the field
+    terminate() {
+        if (!this.isActive) {
+            return;
+        }
+        this.isActive = false;
+        this._outgoing = [];
+        this._connections.slice().forEach((connection) => connection._close());
+        Object.keys(this._connecting).forEach((sap) => {
+            this._connecting[sap].reject(new errors.LlcpError('Link deactivated'));
+        });
+        this._connecting = {};
+        this.emit('deactivated');
+    }
+}
+
+exports.PTYPE_SYMM = PTYPE_SYMM;
+exports.PTYPE_PAX = PTYPE_PAX;
+exports.PTYPE_AGF = PTYPE_AGF;
+exports.PTYPE_UI = PTYPE_UI;
+exports.PTYPE_CONNECT = PTYPE_CONNECT;
+exports.PTYPE_DISC = PTYPE_DISC;
+exports.PTYPE_CC = PTYPE_CC;
+exports.PTYPE_DM = PTYPE_DM;
+exports.PTYPE_FRMR = PTYPE_FRMR;
+exports.PTYPE_SNL = PTYPE_SNL;
+exports.PTYPE_I = PTYPE_I;
+exports.PTYPE_RR = PTYPE_RR;
+exports.PTYPE_RNR = PTYPE_RNR;
+exports.SAP_LINK_MANAGEMENT = SAP_LINK_MANAGEMENT;
+exports.SAP_SDP = SAP_SDP;
+exports.SAP_SNEP = SAP_SNEP;
+exports.MAGIC = MAGIC;
+exports.encodePdu = encodePdu;
+exports.decodePdu = decodePdu;
+exports.encodeParameters = encodeParameters;
+exports.decodeParameters = decodeParameters;
+exports.LlcpConnection = LlcpConnection;
+exports.LlcpLink = LlcpLink;
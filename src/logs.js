@@ -36,6 +36,14 @@ module.exports = function setupLogging(level) {
         }
     });
 
+    winston.loggers.add('command-queue', {
+        console: {
+          level: level,
+          colorize: 'true',
+          label: 'command-queue'
+        }
+    });
+
     winston.loggers.add('uart', {
         console: {
           level: level,
@@ -51,4 +59,44 @@ module.exports = function setupLogging(level) {
           label: 'hsu'
         }
     });
+
+    winston.loggers.add('spi', {
+        console: {
+          level: level,
+          colorize: 'true',
+          label: 'spi'
+        }
+    });
+
+    winston.loggers.add('tcp', {
+        console: {
+          level: level,
+          colorize: 'true',
+          label: 'tcp'
+        }
+    });
+
+    winston.loggers.add('simulator', {
+        console: {
+          level: level,
+          colorize: 'true',
+          label: 'simulator'
+        }
+    });
+
+    winston.loggers.add('emulator', {
+        console: {
+          level: level,
+          colorize: 'true',
+          label: 'emulator'
+        }
+    });
+
+    winston.loggers.add('llcp', {
+        console: {
+          level: level,
+          colorize: 'true',
+          label: 'llcp'
+        }
+    });
 }
@@ -0,0 +1,132 @@
+'use strict';
+/*
+    MIFARE Application Directory (MAD, NXP AN10787): the application identifier (AID) of each sector of a MIFARE
+    Classic tag, stored in sector 0 (MAD1, sectors 1 to 15) and in sector 16 of 4K tags (MAD2, sectors 17 to 39).
+    Each directory starts with a CRC and an info byte pointing to the card publisher sector, followed by the AIDs.
+    Each AID is stored application code first, then function cluster code (ie. 03 E1 for AID_NDEF).
+*/
+var errors = require('./errors');
+
+var MAD_KEY_A = [0xA0, 0xA1, 0xA2, 0xA3, 0xA4, 0xA5]; // Public key A of the MAD sectors
+
+var MAD1_SECTOR = 0;
+var MAD2_SECTOR = 16;
+var MAD1_BLOCKS = [1, 2];      // Blocks of sector 0 holding MAD1, block 0 is the manufacturer block
+var MAD2_BLOCKS = [64, 65, 66];
+var MAD1_AIDS   = 15;          // Sectors 1 to 15
+var MAD2_AIDS   = 23;          // Sectors 17 to 39
+
+// General purpose byte of the sector 0 trailer: MAD available (DA), multi-application card (MA), MAD version (ADV)
+var GPB_MAD_AVAILABLE    = 0x80;
+var GPB_MULTIAPPLICATION = 0x40;
+var GPB_VERSION_MASK     = 0x03;
+var GPB_MAD1             = GPB_MAD_AVAILABLE | GPB_MULTIAPPLICATION | 0x01;
+var GPB_MAD2             = GPB_MAD_AVAILABLE | GPB_MULTIAPPLICATION | 0x02;
+
+var AID_FREE            = 0x0000;
+var AID_DEFECT          = 0x0001;
+var AID_RESERVED        = 0x0002;
+var AID_ADDITIONAL_INFO = 0x0004;
+var AID_NDEF            = 0xE103; // NFC Forum (function cluster E1, application 03)
+
+var CRC_POLYNOMIAL = 0x1D; // x^8 + x^4 + x^3 + x^2 + 1
+var CRC_PRESET     = 0xC7;
+
+/*
+    CRC of a directory, computed over its info byte and its AIDs
+
+    @param {(array|Buffer)} bytes
+    @returns {number}
+*/
+function crc8(bytes) {
+    var crc = CRC_PRESET;
+    Array.from(bytes).forEach((byte) => {
+        crc ^= byte;
+        for (var bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ CRC_POLYNOMIAL) & 0xFF : (crc << 1) & 0xFF;
+        }
+    });
+    return crc;
+}
+
+// Decodes a directory (CRC, info byte, then the AIDs of count sectors)
+function decodeDirectory(buffer, count, name) {
+    buffer = new Buffer(buffer);
+    var crc = crc8(buffer.slice(1, 2 + count * 2));
+    if (crc !== buffer[0]) {
+        throw new errors.PN532Error(name + ' CRC mismatch: 0x' + buffer[0].toString(16) + ' read, 0x' +
+                                    crc.toString(16) + ' computed');
+    }
+    var aids = [];
+    for (var i = 0; i < count; i++) {
+        aids.push(buffer.readUInt16LE(2 + i * 2));
+    }
+    return {infoByte: buffer[1], aids: aids};
+}
+
+function encodeDirectory(aids, infoByte) {
+    var buffer = new Buffer(2 + aids.length * 2);
+    buffer[1] = infoByte;
+    aids.forEach((aid, i) => buffer.writeUInt16LE(aid, 2 + i * 2));
+    buffer[0] = crc8(buffer.slice(1));
+    return buffer;
+}
+
+/*
+    @param {(array|Buffer)} mad1 - Blocks 1 and 2 (32 bytes)
+    @param {(array|Buffer)} [mad2] - Blocks 64 to 66 (48 bytes) of 4K tags with MAD2
+    @returns {object} {publisherSector, aids}, aids holding the AID of each sector (null for the MAD sectors)
+    @throws {PN532Error} If a CRC does not match
+*/
+function decodeMad(mad1, mad2) {
+    var directory = decodeDirectory(mad1, MAD1_AIDS, 'MAD1');
+    var aids = [null].concat(directory.aids);
+    if (mad2) {
+        aids = aids.concat([null], decodeDirectory(mad2, MAD2_AIDS, 'MAD2').aids);
+    }
+    return {
+        publisherSector: directory.infoByte & 0x3F,
+        aids: aids
+    };
+}
+
+/*
+    @param {array} aids - AID of each sector, the entries of the MAD sectors being ignored.  Sectors after 15
+        require MAD2.
+    @param {object} [options]
+    @param {number} [options.publisherSector=0] - Card publisher sector (info byte), 0 for none
+    @returns {object} {mad1, mad2}, the bytes of blocks 1-2 and of blocks 64-66 (null without sectors after 15)
+*/
+function encodeMad(aids, options) {
+    options = options || {};
+    var infoByte = (options.publisherSector || 0) & 0x3F;
+    var aidsOf = (first, count) => {
+        var result = [];
+        for (var sector = first; sector < first + count; sector++) {
+            result.push(aids[sector] || AID_FREE);
+        }
+        return result;
+    };
+    return {
+        mad1: encodeDirectory(aidsOf(MAD1_SECTOR + 1, MAD1_AIDS), infoByte),
+        mad2: aids.length > MAD2_SECTOR ? encodeDirectory(aidsOf(MAD2_SECTOR + 1, MAD2_AIDS), infoByte) : null
+    };
+}
+
+exports.MAD_KEY_A = MAD_KEY_A;
+exports.MAD1_SECTOR = MAD1_SECTOR;
+exports.MAD2_SECTOR = MAD2_SECTOR;
+exports.MAD1_BLOCKS = MAD1_BLOCKS;
+exports.MAD2_BLOCKS = MAD2_BLOCKS;
+exports.GPB_MAD_AVAILABLE = GPB_MAD_AVAILABLE;
+exports.GPB_VERSION_MASK = GPB_VERSION_MASK;
+exports.GPB_MAD1 = GPB_MAD1;
+exports.GPB_MAD2 = GPB_MAD2;
+exports.AID_FREE = AID_FREE;
+exports.AID_DEFECT = AID_DEFECT;
+exports.AID_RESERVED = AID_RESERVED;
+exports.AID_ADDITIONAL_INFO = AID_ADDITIONAL_INFO;
+exports.AID_NDEF = AID_NDEF;
+exports.crc8 = crc8;
+exports.decodeMad = decodeMad;
+exports.encodeMad = encodeMad;
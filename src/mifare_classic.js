@@ -0,0 +1,849 @@
+'use strict';
+/*
+    MIFARE Classic (Mini, 1K and 4K) memory: sectors of 4 blocks of 16 bytes (the first 32 sectors) or of 16 blocks
+    (the last 8 sectors of the 4K), the last block of each sector being its trailer (key A, access bits, key B).
+    Each sector must be authenticated with one of its keys before its blocks are read or written.
+*/
+var util = require('util');
+var logger = require('winston').loggers.get('pn532');
+
+var c = require('./constants');
+var errors = require('./errors');
+var mad = require('./mad');
+var ndef = require('./ndef');
+var targets = require('./targets');
+
+var BLOCK_SIZE         = 16;
+var KEY_SIZE           = 6;
+var SMALL_SECTORS      = 32; // Sectors of 4 blocks, the following sectors (4K) have 16 blocks
+var SMALL_SECTOR_SIZE  = 4;
+var LARGE_SECTOR_SIZE  = 16;
+
+var KEY_A = 'A';
+var KEY_B = 'B';
+
+// Number of sectors by family
+var SECTOR_COUNTS = {};
+SECTOR_COUNTS[targets.FAMILY_CLASSIC_MINI] = 5;
+SECTOR_COUNTS[targets.FAMILY_CLASSIC_1K]   = 16;
+SECTOR_COUNTS[targets.FAMILY_CLASSIC_4K]   = 40;
+
+// Keys tried when the key store has no key for a sector (or its keys fail)
+var WELL_KNOWN_KEYS = [
+    [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF], // Transport key
+    [0xA0, 0xA1, 0xA2, 0xA3, 0xA4, 0xA5], // MIFARE Application Directory (MAD) key A
+    [0xD3, 0xF7, 0xD3, 0xF7, 0xD3, 0xF7], // NFC Forum key A of the NDEF sectors
+    [0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    [0xB0, 0xB1, 0xB2, 0xB3, 0xB4, 0xB5],
+    [0x4D, 0x3A, 0x99, 0xC3, 0x51, 0xDD],
+    [0x1A, 0x98, 0x2C, 0x7E, 0x45, 0x9A],
+    [0xAA, 0xBB, 0xCC, 0xDD, 0xEE, 0xFF]
+];
+
+/*
+    @param {number} sector
+    @returns {number} The first block of the sector
+*/
+function getFirstBlock(sector) {
+    return sector < SMALL_SECTORS ? sector * SMALL_SECTOR_SIZE :
+                                    SMALL_SECTORS * SMALL_SECTOR_SIZE + (sector - SMALL_SECTORS) * LARGE_SECTOR_SIZE;
+}
+
+/*
+    @param {number} sector
+    @returns {number} The number of blocks of the sector, trailer included
+*/
+function getBlockCount(sector) {
+    return sector < SMALL_SECTORS ? SMALL_SECTOR_SIZE : LARGE_SECTOR_SIZE;
+}
+
+/*
+    @param {number} sector
+    @returns {number} The trailer block of the sector
+*/
+function getTrailerBlock(sector) {
+    return getFirstBlock(sector) + getBlockCount(sector) - 1;
+}
+
+/*
+    @param {number} block
+    @returns {number} The sector holding the block
+*/
+function getSector(block) {
+    var smallBlocks = SMALL_SECTORS * SMALL_SECTOR_SIZE;
+    return block < smallBlocks ? Math.floor(block / SMALL_SECTOR_SIZE) :
+                                 SMALL_SECTORS + Math.floor((block - smallBlocks) / LARGE_SECTOR_SIZE);
+}
+
+/*
+    @param {number} block
+    @returns {boolean} Whether the block is the trailer of its sector
+*/
+function isTrailer(block) {
+    return getTrailerBlock(getSector(block)) === block;
+}
+
+/*
+    @param {number} block
+    @returns {number} Index of the access condition of the block in its sector trailer: 0-2 for the data blocks
+        (groups of 5 blocks in the sectors of 16 blocks), 3 for the trailer
+*/
+function getAccessGroup(block) {
+    var sector = getSector(block);
+    var offset = block - getFirstBlock(sector);
+    return sector < SMALL_SECTORS ? offset : Math.min(Math.floor(offset / 5), 3);
+}
+
+// Normalizes a key given as a hex string or as bytes
+function toKey(key) {
+    key = typeof key === 'string' ? new Buffer(key.replace(/[\s:]/g, ''), 'hex') : new Buffer(key);
+    if (key.length !== KEY_SIZE) {
+        throw new errors.PN532Error('MIFARE Classic keys have ' + KEY_SIZE + ' bytes, got ' + key.length);
+    }
+    return key;
+}
+
+/*
+    Sector trailer: key A (6 bytes), access bits (3 bytes), general purpose byte (GPB) and key B (6 bytes).
+
+    The access bits hold the access condition of each group of blocks (C1 C2 C3, stored here as the number
+    C1 << 2 | C2 << 1 | C3), each bit being stored with its inverted copy:
+
+        byte 6:  ~C2_3 ~C2_2 ~C2_1 ~C2_0  ~C1_3 ~C1_2 ~C1_1 ~C1_0
+        byte 7:   C1_3  C1_2  C1_1  C1_0  ~C3_3 ~C3_2 ~C3_1 ~C3_0
+        byte 8:   C3_3  C3_2  C3_1  C3_0   C2_3  C2_2  C2_1  C2_0
+
+    Group 3 is the trailer.  Access bits whose inverted copies do not match block the sector for good.
+*/
+var TRAILER_ACCESS_BITS_OFFSET = 6;
+var TRAILER_GPB_OFFSET         = 9;
+var TRAILER_KEY_B_OFFSET       = 10;
+
+var ACCESS_TRANSPORT = [0x00, 0x00, 0x00, 0x01]; // Access conditions of blank tags (access bits FF 07 80)
+
+var NEVER = [];
+var KEY_A_OR_B = [KEY_A, KEY_B];
+
+// Keys allowed for each operation on the data blocks, by access condition (MF1S50 datasheet, section 8.7.3)
+var DATA_BLOCK_PERMISSIONS = [
+    {read: KEY_A_OR_B, write: KEY_A_OR_B, increment: KEY_A_OR_B, decrement: KEY_A_OR_B}, // 000, transport
+    {read: KEY_A_OR_B, write: NEVER,      increment: NEVER,      decrement: KEY_A_OR_B}, // 001, value block
+    {read: KEY_A_OR_B, write: NEVER,      increment: NEVER,      decrement: NEVER},      // 010, read only
+    {read: [KEY_B],    write: [KEY_B],    increment: NEVER,      decrement: NEVER},      // 011
+    {read: KEY_A_OR_B, write: [KEY_B],    increment: NEVER,      decrement: NEVER},      // 100
+    {read: [KEY_B],    write: NEVER,      increment: NEVER,      decrement: NEVER},      // 101
+    {read: KEY_A_OR_B, write: [KEY_B],    increment: [KEY_B],    decrement: KEY_A_OR_B}, // 110, value block
+    {read: NEVER,      write: NEVER,      increment: NEVER,      decrement: NEVER}       // 111
+];
+
+// Keys allowed for each operation on the trailer, by access condition (MF1S50 datasheet, section 8.7.2)
+var TRAILER_PERMISSIONS = [
+    {readKeyA: NEVER, writeKeyA: [KEY_A], readAccessBits: [KEY_A],    writeAccessBits: NEVER,
+     readKeyB: [KEY_A], writeKeyB: [KEY_A]},                                                   // 000
+    {readKeyA: NEVER, writeKeyA: [KEY_A], readAccessBits: [KEY_A],    writeAccessBits: [KEY_A],
+     readKeyB: [KEY_A], writeKeyB: [KEY_A]},                                                   // 001, transport
+    {readKeyA: NEVER, writeKeyA: NEVER,   readAccessBits: [KEY_A],    writeAccessBits: NEVER,
+     readKeyB: [KEY_A], writeKeyB: NEVER},                                                     // 010
+    {readKeyA: NEVER, writeKeyA: [KEY_B], readAccessBits: KEY_A_OR_B, writeAccessBits: [KEY_B],
+     readKeyB: NEVER,   writeKeyB: [KEY_B]},                                                   // 011
+    {readKeyA: NEVER, writeKeyA: [KEY_B], readAccessBits: KEY_A_OR_B, writeAccessBits: NEVER,
+     readKeyB: NEVER,   writeKeyB: [KEY_B]},                                                   // 100
+    {readKeyA: NEVER, writeKeyA: NEVER,   readAccessBits: KEY_A_OR_B, writeAccessBits: [KEY_B],
+     readKeyB: NEVER,   writeKeyB: NEVER},                                                     // 101
+    {readKeyA: NEVER, writeKeyA: NEVER,   readAccessBits: KEY_A_OR_B, writeAccessBits: NEVER,
+     readKeyB: NEVER,   writeKeyB: NEVER},                                                     // 110
+    {readKeyA: NEVER, writeKeyA: NEVER,   readAccessBits: KEY_A_OR_B, writeAccessBits: NEVER,
+     readKeyB: NEVER,   writeKeyB: NEVER}                                                      // 111
+];
+
+/*
+    NDEF on MIFARE Classic (NFC Forum mapping, NXP AN1304): the MAD marks the NDEF sectors with AID_NDEF, their
+    data blocks (trailers skipped) holding the TLVs one after the other.  The MAD sectors and the NDEF sectors have
+    public keys A, key B (kept secret) writing the trailers.
+*/
+var NFC_KEY_A     = [0xD3, 0xF7, 0xD3, 0xF7, 0xD3, 0xF7]; // Public key A of the NDEF sectors
+var DEFAULT_KEY_B = [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+
+var ACCESS_MAD  = [0x04, 0x04, 0x04, 0x03]; // 78 77 88: keys A and B read the data blocks, key B writes them
+var ACCESS_NDEF = [0x00, 0x00, 0x00, 0x03]; // 7F 07 88: keys A and B read and write the data blocks
+
+var GPB_NDEF_READ_WRITE = 0x40; // Mapping version 1.0, read and write access granted
+
+/*
+    @param {(array|Buffer)} accessBits - Bytes 6 to 8 of a sector trailer
+    @returns {array} The access condition of each group of blocks (0-7, C1 << 2 | C2 << 1 | C3), the trailer last
+    @throws {PN532Error} If the inverted copies of the access bits do not match
+*/
+function decodeAccessBits(accessBits) {
+    if (accessBits.length !== 3) {
+        throw new errors.PN532Error('Access bits take 3 bytes, got ' + accessBits.length);
+    }
+    var c1 = accessBits[1] >> 4;
+    var c2 = accessBits[2] & 0x0F;
+    var c3 = accessBits[2] >> 4;
+    if ((accessBits[0] & 0x0F) !== (~c1 & 0x0F) || (accessBits[0] >> 4) !== (~c2 & 0x0F) ||
+        (accessBits[1] & 0x0F) !== (~c3 & 0x0F)) {
+        throw new errors.PN532Error('Invalid access bits ' + new Buffer(accessBits).toString('hex') +
+                                    ': the inverted copies do not match');
+    }
+
+    var conditions = [];
+    for (var group = 0; group < 4; group++) {
+        conditions.push(((c1 >> group) & 1) << 2 | ((c2 >> group) & 1) << 1 | ((c3 >> group) & 1));
+    }
+    return conditions;
+}
+
+/*
+    @param {array} conditions - Access condition of each group of blocks (see decodeAccessBits()), each given as a
+        number (0-7) or as the permissions it grants (see DATA_BLOCK_PERMISSIONS and TRAILER_PERMISSIONS)
+    @returns {Buffer} The access bits (3 bytes)
+*/
+function encodeAccessBits(conditions) {
+    if (conditions.length !== 4) {
+        throw new errors.PN532Error('Access bits hold 4 access conditions, got ' + conditions.length);
+    }
+    var c1 = 0;
+    var c2 = 0;
+    var c3 = 0;
+    conditions.forEach((condition, group) => {
+        condition = typeof condition === 'number' ? condition : findCondition(condition, group === 3);
+        if (condition < 0 || condition > 7) {
+            throw new errors.PN532Error('Invalid access condition ' + condition);
+        }
+        c1 |= ((condition >> 2) & 1) << group;
+        c2 |= ((condition >> 1) & 1) << group;
+        c3 |= (condition & 1) << group;
+    });
+    return new Buffer([(~c2 & 0x0F) << 4 | (~c1 & 0x0F), c1 << 4 | (~c3 & 0x0F), c3 << 4 | c2]);
+}
+
+/*
+    @param {object} permissions - Keys allowed for each operation, ie. {read: [KEY_A, KEY_B], write: [KEY_B]}
+        (operations not given are never allowed)
+    @param {boolean} isTrailerGroup - Whether the permissions are those of a trailer
+    @returns {number} The access condition granting these permissions
+*/
+function findCondition(permissions, isTrailerGroup) {
+    var table = isTrailerGroup ? TRAILER_PERMISSIONS : DATA_BLOCK_PERMISSIONS;
+    var sameKeys = (a, b) => (a || []).slice().sort().join() === (b || []).slice().sort().join();
+    var condition = table.findIndex((candidate) => {
+        return Object.keys(candidate).every((operation) => sameKeys(candidate[operation], permissions[operation]));
+    });
+    if (condition === -1) {
+        throw new errors.PN532Error('No access condition grants ' + JSON.stringify(permissions));
+    }
+    return condition;
+}
+
+/*
+    @param {(array|Buffer)} trailer - Sector trailer (16 bytes)
+    @returns {object} {keyA, accessBits, conditions, gpb, keyB, permissions}, permissions being the keys allowed
+        for each operation on each group of blocks (see getAccessGroup()), the trailer last.  Key A (and key B when
+        not readable) reads as zeros.
+    @throws {PN532Error} If the access bits are invalid
+*/
+function decodeTrailer(trailer) {
+    trailer = new Buffer(trailer);
+    if (trailer.length !== BLOCK_SIZE) {
+        throw new errors.PN532Error('Sector trailers have ' + BLOCK_SIZE + ' bytes, got ' + trailer.length);
+    }
+    var accessBits = trailer.slice(TRAILER_ACCESS_BITS_OFFSET, TRAILER_GPB_OFFSET);
+    var conditions = decodeAccessBits(accessBits);
+    return {
+        keyA: trailer.slice(0, KEY_SIZE),
+        accessBits: accessBits,
+        conditions: conditions,
+        gpb: trailer[TRAILER_GPB_OFFSET],
+        keyB: trailer.slice(TRAILER_KEY_B_OFFSET),
+        permissions: conditions.map((condition, group) => {
+            return (group === 3 ? TRAILER_PERMISSIONS : DATA_BLOCK_PERMISSIONS)[condition];
+        })
+    };
+}
+
+/*
+    @param {object} trailer
+    @param {(array|Buffer|string)} trailer.keyA
+    @param {array} [trailer.conditions] - See encodeAccessBits(), ACCESS_TRANSPORT by default
+    @param {number} [trailer.gpb=0x69] - General purpose byte
+    @param {(array|Buffer|string)} trailer.keyB
+    @returns {Buffer} The sector trailer (16 bytes)
+*/
+function encodeTrailer(trailer) {
+    return Buffer.concat([
+        toKey(trailer.keyA),
+        encodeAccessBits(trailer.conditions || ACCESS_TRANSPORT),
+        new Buffer([trailer.gpb === undefined ? 0x69 : trailer.gpb]),
+        toKey(trailer.keyB)
+    ]);
+}
+
+/*
+    @param {(array|Buffer)} trailer - Trailer of the sector of the block
+    @param {number} block
+    @returns {object} The keys allowed for each operation on the block (see DATA_BLOCK_PERMISSIONS and
+        TRAILER_PERMISSIONS)
+*/
+function getBlockPermissions(trailer, block) {
+    return decodeTrailer(trailer).permissions[getAccessGroup(block)];
+}
+
+/*
+    Keys of the sectors of MIFARE Classic tags.  Authentication tries the keys set for the sector, then the default
+    keys, then (unless disabled) the well-known keys.
+*/
+class KeyStore {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {object} [options.keys] - Keys by sector: {A, B}, each key being 6 bytes or a hex string
+        @param {array} [options.defaultKeys] - Keys tried for every sector, as key A and key B
+        @param {boolean} [options.useWellKnownKeys=true] - Whether to try the well-known keys (ie. transport key
+            FF FF FF FF FF FF, MAD and NFC Forum keys)
+    */
+    constructor(options) {
+        options = options || {};
+
+        this.keys = {};
+        this.defaultKeys = (options.defaultKeys || []).map(toKey);
+        this.useWellKnownKeys = options.useWellKnownKeys === undefined ? true : !!options.useWellKnownKeys;
+
+        var keys = options.keys || {};
+        Object.keys(keys).forEach((sector) => {
+            [KEY_A, KEY_B].forEach((keyType) => {
+                if (keys[sector][keyType]) {
+                    this.setKey(Number(sector), keyType, keys[sector][keyType]);
+                }
+            });
+        });
+    }
+
+    /*
+        @param {number} sector
+        @param {string} keyType - KEY_A or KEY_B
+        @param {(array|Buffer|string)} key - 6 bytes, or a hex string
+    */
+    setKey(sector, keyType, key) {
+        this.keys[sector] = this.keys[sector] || {};
+        this.keys[sector][keyType] = toKey(key);
+    }
+
+    /*
+        @param {number} sector
+        @param {string} keyType - KEY_A or KEY_B
+        @returns {Buffer} The key set for the sector, undefined if none
+    */
+    getKey(sector, keyType) {
+        return (this.keys[sector] || {})[keyType];
+    }
+
+    /*
+        Keys to try in turn to authenticate a sector
+
+        @param {number} sector
+        @param {string} [keyType] - Only this type of key (KEY_A or KEY_B), both by default (key A first)
+        @returns {array} {keyType, key}
+    */
+    getCandidates(sector, keyType) {
+        var keyTypes = keyType ? [keyType] : [KEY_A, KEY_B];
+        var candidates = [];
+        var add = (type, key) => {
+            if (!candidates.some((candidate) => candidate.keyType === type && candidate.key.equals(key))) {
+                candidates.push({keyType: type, key: key});
+            }
+        };
+
+        keyTypes.forEach((type) => {
+            if (this.getKey(sector, type)) {
+                add(type, this.getKey(sector, type));
+            }
+        });
+        var fallbacks = this.defaultKeys.concat(this.useWellKnownKeys ? WELL_KNOWN_KEYS.map(toKey) : []);
+        fallbacks.forEach((key) => keyTypes.forEach((type) => add(type, key)));
+        return candidates;
+    }
+}
+
+/*
+    Reads and writes a MIFARE Classic tag, authenticating the sector of each block accessed with the keys of its key
+    store.  The sector authenticated is remembered until the target is selected again (ie. by a scan, which resets
+    the authentication on the tag): crossing to another sector authenticates it.  Reads and writes pause polling
+    (PN532.exclusive()) so that no poll comes between the authentication and the access.
+*/
+class MifareClassic {
+    /*
+        @constructor
+        @param {Target} target - MIFARE Classic target returned by scanTag() or autoPoll()
+        @param {object} [options]
+        @param {KeyStore} [options.keyStore] - Keys of the sectors, a KeyStore trying the well-known keys by default
+        @param {number} [options.sectorCount] - Number of sectors, by default from the family of the target (1K
+            when unknown)
+        @param {boolean} [options.allowTrailerWrites=false] - Whether sector trailers can be written
+    */
+    constructor(target, options) {
+        options = options || {};
+
+        this.target = target;
+        this.keyStore = options.keyStore || new KeyStore();
+        this.sectorCount = options.sectorCount || SECTOR_COUNTS[target.family] ||
+                           SECTOR_COUNTS[targets.FAMILY_CLASSIC_1K];
+        this.blockCount = getFirstBlock(this.sectorCount);
+        this.allowTrailerWrites = !!options.allowTrailerWrites;
+
+        this.authenticated = null; // {sector, keyType, activation}
+        this._isHalted = false;    // A failed command halts the tag until it is selected again
+    }
+
+    /*
+        Authenticate a sector, trying the keys of the key store in turn.  The key that succeeded is kept in the key
+        store.
+
+        @param {number} sector
+        @param {object} [options]
+        @param {string} [options.keyType] - Only try this type of key (KEY_A or KEY_B)
+        @param {(array|Buffer|string)} [options.key] - Only try this key
+        @returns {Promise<object>} Resolves with the {keyType, key} that succeeded.  Rejects with the
+            AuthenticationError of the last key tried if none succeeded.
+    */
+    authenticate(sector, options) {
+        options = options || {};
+        if (sector >= this.sectorCount) {
+            return Promise.reject(new errors.PN532Error('Sector ' + sector + ' out of range (' + this.sectorCount +
+                                                        ' sectors)'));
+        }
+
+        var candidates = options.key ? [{keyType: options.keyType || KEY_A, key: toKey(options.key)}] :
+                                       this.keyStore.getCandidates(sector, options.keyType);
+        var block = getTrailerBlock(sector);
+        var uid = this._getAuthenticationUid();
+        this.authenticated = null;
+
+        var tryKey = (index, lastError) => {
+            if (index >= candidates.length) {
+                return Promise.reject(lastError || new errors.PN532Error('No key to authenticate sector ' + sector));
+            }
+
+            var candidate = candidates[index];
+            var command = candidate.keyType === KEY_A ? c.MIFARE_COMMAND_AUTH_A : c.MIFARE_COMMAND_AUTH_B;
+            var reselect = this._isHalted ? this.target.select() : Promise.resolve();
+            return reselect
+                .then(() => {
+                    this._isHalted = false;
+                    return this.target.transceive([command, block].concat(Array.from(candidate.key), uid));
+                })
+                .then(() => {
+                    logger.debug('Sector ' + sector + ' authenticated with key ' + candidate.keyType);
+                    this.keyStore.setKey(sector, candidate.keyType, candidate.key);
+                    this.authenticated = {sector: sector, keyType: candidate.keyType,
+                                          activation: this.target.activation};
+                    return candidate;
+                }, (error) => {
+                    if (!(error instanceof errors.AuthenticationError)) {
+                        throw error;
+                    }
+                    this._isHalted = true;
+                    return tryKey(index + 1, error);
+                });
+        };
+        return tryKey(0, null);
+    }
+
+    /*
+        Read a block, authenticating its sector if needed
+
+        @param {number} block
+        @returns {Promise<Buffer>} The 16 bytes of the block (key A of trailers reads as zeros)
+    */
+    read(block) {
+        return this._exclusive(() => this._authenticateBlock(block, {})
+            .then(() => this._transceive(this.target.read(block))))
+            .then((data) => {
+                if (data.length !== BLOCK_SIZE) {
+                    throw new errors.PN532Error('Read of block ' + block + ' returned ' + data.length + ' bytes');
+                }
+                return data;
+            });
+    }
+
+    /*
+        Read consecutive blocks, authenticating each sector crossed
+
+        @param {number} block - First block
+        @param {number} count - Number of blocks
+        @returns {Promise<Buffer>}
+    */
+    readBlocks(block, count) {
+        var blocks = [];
+        var readNext = (index) => {
+            if (index >= count) {
+                return Buffer.concat(blocks);
+            }
+            return this.read(block + index).then((data) => {
+                blocks.push(data);
+                return readNext(index + 1);
+            });
+        };
+        return this._exclusive(() => readNext(0));
+    }
+
+    /*
+        Read the data blocks of a sector (its trailer excluded)
+
+        @param {number} sector
+        @returns {Promise<Buffer>}
+    */
+    readSector(sector) {
+        return this.readBlocks(getFirstBlock(sector), getBlockCount(sector) - 1);
+    }
+
+    /*
+        Write a block, authenticating its sector if needed
+
+        @param {number} block
+        @param {(array|Buffer)} data - 16 bytes
+        @param {object} [options]
+        @param {string} [options.keyType] - Type of key to authenticate with (ie. KEY_B when key A only reads)
+        @param {boolean} [options.allowTrailer] - Whether the block can be a sector trailer, by default
+            options.allowTrailerWrites of the constructor
+        @returns {Promise}
+    */
+    write(block, data, options) {
+        options = options || {};
+        if (data.length !== BLOCK_SIZE) {
+            return Promise.reject(new errors.PN532Error('MIFARE Classic blocks have 16 bytes, got ' + data.length));
+        }
+        if (block === 0) {
+            return Promise.reject(new errors.PN532Error('Block 0 (manufacturer block) is read-only'));
+        }
+        var allowTrailer = options.allowTrailer === undefined ? this.allowTrailerWrites : options.allowTrailer;
+        if (isTrailer(block) && !allowTrailer) {
+            return Promise.reject(new errors.PN532Error('Block ' + block + ' is the trailer of sector ' +
+                                                        getSector(block) + ', writing it is not allowed'));
+        }
+        if (isTrailer(block)) {
+            try {
+                decodeTrailer(data); // Invalid access bits would block the sector
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        logger.debug('Writing block ' + block, util.inspect(data));
+        return this._exclusive(() => this._authenticateBlock(block, options)
+            .then(() => this._transceive(this.target.write(block, data))));
+    }
+
+    /*
+        Write consecutive blocks, authenticating each sector crossed
+
+        @param {number} block - First block
+        @param {(array|Buffer)} data - A multiple of 16 bytes
+        @param {object} [options] - Options of write()
+        @returns {Promise}
+    */
+    writeBlocks(block, data, options) {
+        data = new Buffer(data);
+        if (data.length % BLOCK_SIZE) {
+            return Promise.reject(new errors.PN532Error('Data of ' + data.length + ' bytes is not a multiple of ' +
+                                                        BLOCK_SIZE + ' bytes'));
+        }
+        var writeNext = (offset) => {
+            if (offset >= data.length) {
+                return Promise.resolve();
+            }
+            return this.write(block + offset / BLOCK_SIZE, data.slice(offset, offset + BLOCK_SIZE), options)
+                .then(() => writeNext(offset + BLOCK_SIZE));
+        };
+        return this._exclusive(() => writeNext(0));
+    }
+
+    /*
+        Read the MIFARE Application Directory (MAD1, and MAD2 of 4K tags), authenticating sectors 0 and 16 with
+        the public MAD key unless the key store has other keys for them
+
+        @returns {Promise<object>} Resolves with {publisherSector, aids} (see mad.decodeMad()).  Rejects with a
+            PN532Error if the tag has no MAD, or a CRC does not match.
+    */
+    readMad() {
+        this._setDefaultKeyA(mad.MAD1_SECTOR, mad.MAD_KEY_A);
+        this._setDefaultKeyA(mad.MAD2_SECTOR, mad.MAD_KEY_A);
+
+        return this.read(getTrailerBlock(mad.MAD1_SECTOR))
+            .then((trailer) => {
+                var gpb = trailer[TRAILER_GPB_OFFSET];
+                if (!(gpb & mad.GPB_MAD_AVAILABLE)) {
+                    throw new errors.PN532Error('The tag has no MAD (general purpose byte 0x' + gpb.toString(16) +
+                                                ')');
+                }
+                var hasMad2 = (gpb & mad.GPB_VERSION_MASK) === 2 && this.sectorCount > mad.MAD2_SECTOR;
+                return this.readBlocks(mad.MAD1_BLOCKS[0], mad.MAD1_BLOCKS.length)
+                    .then((mad1) => {
+                        if (!hasMad2) {
+                            return mad.decodeMad(mad1);
+                        }
+                        return this.readBlocks(mad.MAD2_BLOCKS[0], mad.MAD2_BLOCKS.length)
+                            .then((mad2) => mad.decodeMad(mad1, mad2));
+                    });
+            });
+    }
+
+    /*
+        Read the NDEF message of the tag, from the NDEF sectors listed by the MAD
+
+        @returns {Promise<Buffer>} The NDEF message (empty for an empty NDEF TLV).  Rejects with a PN532Error if the
+            tag has no MAD, no NDEF sector or no NDEF TLV.
+    */
+    readNdef() {
+        return this._getNdefSectors().then((sectors) => {
+            var data = new Buffer(0);
+            var index = 0;
+
+            // Reads the following NDEF sectors until size bytes are read (or all the sectors)
+            var readUpTo = (size) => {
+                if (data.length >= size || index >= sectors.length) {
+                    return Promise.resolve();
+                }
+                return this.readSector(sectors[index++]).then((sectorData) => {
+                    data = Buffer.concat([data, sectorData]);
+                    return readUpTo(size);
+                });
+            };
+            var byteAt = (offset) => readUpTo(offset + 1).then(() => {
+                if (offset >= data.length) {
+                    throw new errors.PN532Error('No NDEF TLV in the NDEF sectors');
+                }
+                return data[offset];
+            });
+
+            // TLV (type, then a length of 1 byte or of 3 bytes starting with 0xFF) at offset, skipping the others
+            var readTlv = (offset) => byteAt(offset).then((type) => {
+                if (type === c.TAG_MEM_NULL_TLV) {
+                    return readTlv(offset + 1);
+                }
+                if (type === c.TAG_MEM_TERMINATOR_TLV) {
+                    throw new errors.PN532Error('No NDEF TLV in the NDEF sectors');
+                }
+                return byteAt(offset + 1)
+                    .then((length) => {
+                        if (length !== 0xFF) {
+                            return {length: length, valueOffset: offset + 2};
+                        }
+                        return byteAt(offset + 3).then(() => {
+                            return {length: data.readUInt16BE(offset + 2), valueOffset: offset + 4};
+                        });
+                    })
+                    .then((tlv) => {
+                        var end = tlv.valueOffset + tlv.length;
+                        if (type !== c.TAG_MEM_NDEF_TLV) {
+                            return readTlv(end);
+                        }
+                        return readUpTo(end).then(() => {
+                            if (data.length < end) {
+                                throw new errors.PN532Error('NDEF TLV of ' + tlv.length + ' bytes exceeds the ' +
+                                                            'NDEF sectors');
+                            }
+                            return data.slice(tlv.valueOffset, end);
+                        });
+                    });
+            });
+            return readTlv(0);
+        });
+    }
+
+    /*
+        Write an NDEF message to the NDEF sectors listed by the MAD
+
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+        @returns {Promise} Rejects with a PN532Error if the tag has no MAD or no NDEF sector, or if the message
+            exceeds the NDEF sectors
+    */
+    writeNdef(message) {
+        try {
+            message = new Buffer(ndef.toMessage(message));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        var length = message.length < 0xFF ? [message.length] : [0xFF, message.length >> 8, message.length & 0xFF];
+        var tlv = Buffer.concat([
+            new Buffer([c.TAG_MEM_NDEF_TLV].concat(length)),
+            message,
+            new Buffer([c.TAG_MEM_TERMINATOR_TLV])
+        ]);
+
+        return this._getNdefSectors().then((sectors) => {
+            var blocks = [];
+            sectors.forEach((sector) => {
+                for (var block = getFirstBlock(sector); block < getTrailerBlock(sector); block++) {
+                    blocks.push(block);
+                }
+            });
+
+            // The terminator TLV is left out when the NDEF TLV fills the sectors
+            var capacity = blocks.length * BLOCK_SIZE;
+            if (tlv.length - 1 > capacity) {
+                throw new errors.PN532Error('NDEF message of ' + message.length + ' bytes exceeds the NDEF sectors (' +
+                                            capacity + ' bytes)');
+            }
+            var padding = new Buffer((BLOCK_SIZE - tlv.length % BLOCK_SIZE) % BLOCK_SIZE).fill(0);
+            var data = Buffer.concat([tlv, padding]).slice(0, capacity);
+
+            logger.info('Writing NDEF message of ' + message.length + ' bytes to sectors ' + sectors.join(', '));
+            var writeNext = (index) => {
+                if (index * BLOCK_SIZE >= data.length) {
+                    return Promise.resolve();
+                }
+                return this.write(blocks[index], data.slice(index * BLOCK_SIZE, (index + 1) * BLOCK_SIZE))
+                    .then(() => writeNext(index + 1));
+            };
+            return writeNext(0);
+        });
+    }
+
+    /*
+        Format the tag for NDEF: writes the MAD (marking every other sector as an NDEF sector) and an empty NDEF
+        message, then the trailers with the public MAD and NFC Forum keys A.  The sectors are authenticated with
+        the keys of the key store, the new keys are kept in it.
+
+        @param {object} [options]
+        @param {(array|Buffer|string)} [options.keyB=FFFFFFFFFFFF] - Key B of the trailers, the only key writing
+            the MAD and the trailers once formatted
+        @param {string} [options.keyType] - Type of key to authenticate the sectors with, ie. KEY_B to format a tag
+            formatted before (key A only reads its MAD)
+        @returns {Promise}
+    */
+    formatNdef(options) {
+        options = options || {};
+        var keyB = toKey(options.keyB || DEFAULT_KEY_B);
+        var writeOptions = {keyType: options.keyType, allowTrailer: true};
+
+        var hasMad2 = this.sectorCount > mad.MAD2_SECTOR;
+        var madGpb = hasMad2 ? mad.GPB_MAD2 : mad.GPB_MAD1;
+        var aids = [];
+        for (var sector = 0; sector < this.sectorCount; sector++) {
+            var isMadSector = sector === mad.MAD1_SECTOR || (hasMad2 && sector === mad.MAD2_SECTOR);
+            aids.push(isMadSector ? null : mad.AID_NDEF);
+        }
+        var directory = mad.encodeMad(aids);
+
+        // Data blocks of each sector, then its trailer
+        var sectors = aids.map((aid, sector) => {
+            var dataBlocks = new Buffer((getBlockCount(sector) - 1) * BLOCK_SIZE).fill(0);
+            var trailer = {keyA: NFC_KEY_A, conditions: ACCESS_NDEF, gpb: GPB_NDEF_READ_WRITE, keyB: keyB};
+            if (sector === mad.MAD1_SECTOR) {
+                dataBlocks = directory.mad1; // Block 0 is the manufacturer block
+                trailer = {keyA: mad.MAD_KEY_A, conditions: ACCESS_MAD, gpb: madGpb, keyB: keyB};
+            } else if (aid === null) {
+                dataBlocks = directory.mad2;
+                trailer = {keyA: mad.MAD_KEY_A, conditions: ACCESS_MAD, gpb: madGpb, keyB: keyB};
+            } else if (sector === 1) {
+                new Buffer([c.TAG_MEM_NDEF_TLV, 0x00, c.TAG_MEM_TERMINATOR_TLV]).copy(dataBlocks);
+            }
+            var firstBlock = sector === mad.MAD1_SECTOR ? mad.MAD1_BLOCKS[0] : getFirstBlock(sector);
+            return {sector: sector, firstBlock: firstBlock, dataBlocks: dataBlocks, trailer: trailer};
+        });
+
+        logger.info('Formatting ' + this.sectorCount + ' sectors for NDEF');
+        var formatNext = (index) => {
+            if (index >= sectors.length) {
+                return Promise.resolve();
+            }
+            var sector = sectors[index];
+            return this.writeBlocks(sector.firstBlock, sector.dataBlocks, writeOptions)
+                .then(() => this.write(getTrailerBlock(sector.sector), encodeTrailer(sector.trailer), writeOptions))
+                .then(() => {
+                    this.keyStore.setKey(sector.sector, KEY_A, sector.trailer.keyA);
+                    this.keyStore.setKey(sector.sector, KEY_B, keyB);
+                    return formatNext(index + 1);
+                });
+        };
+        return formatNext(0);
+    }
+
+    // NDEF sectors listed by the MAD, with the public NFC Forum key A unless the key store has other keys for them
+    _getNdefSectors() {
+        return this.readMad().then((directory) => {
+            var sectors = [];
+            directory.aids.forEach((aid, sector) => {
+                if (aid === mad.AID_NDEF && sector < this.sectorCount) {
+                    sectors.push(sector);
+                }
+            });
+            if (!sectors.length) {
+                throw new errors.PN532Error('The MAD lists no NDEF sector');
+            }
+            sectors.forEach((sector) => this._setDefaultKeyA(sector, NFC_KEY_A));
+            return sectors;
+        });
+    }
+
+    // Sets key A of a sector in the key store, unless it has one
+    _setDefaultKeyA(sector, key) {
+        if (sector < this.sectorCount && !this.keyStore.getKey(sector, KEY_A)) {
+            this.keyStore.setKey(sector, KEY_A, key);
+        }
+    }
+
+    // Authenticates the sector of a block, unless already authenticated (with the type of key requested)
+    _authenticateBlock(block, options) {
+        if (block >= this.blockCount) {
+            return Promise.reject(new errors.PN532Error('Block ' + block + ' out of range (' + this.blockCount +
+                                                        ' blocks)'));
+        }
+        var sector = getSector(block);
+        var current = this.authenticated;
+        if (current && current.activation === this.target.activation && current.sector === sector &&
+            (!options.keyType || current.keyType === options.keyType)) {
+            return Promise.resolve();
+        }
+        return this.authenticate(sector, {keyType: options.keyType});
+    }
+
+    // Runs a sequence of commands with no poll in between
+    _exclusive(sequence) {
+        return this.target.pn532.exclusive(sequence);
+    }
+
+    // A failed read or write (ie. not allowed by the access bits) halts the tag, its sector must be authenticated again
+    _transceive(exchange) {
+        return exchange.catch((error) => {
+            if (error instanceof errors.StatusError) {
+                this.authenticated = null;
+                this._isHalted = true;
+            }
+            throw error;
+        });
+    }
+
+    // Authentication takes the last 4 bytes of the UID (NUID of 7 byte UIDs)
+    _getAuthenticationUid() {
+        var uid = this.target.uid.split(':').map((byte) => parseInt(byte, 16));
+        return uid.slice(-4);
+    }
+}
+
+exports.BLOCK_SIZE = BLOCK_SIZE;
+exports.KEY_A = KEY_A;
+exports.KEY_B = KEY_B;
+exports.WELL_KNOWN_KEYS = WELL_KNOWN_KEYS;
+exports.getFirstBlock = getFirstBlock;
+exports.getBlockCount = getBlockCount;
+exports.getTrailerBlock = getTrailerBlock;
+exports.getSector = getSector;
+exports.isTrailer = isTrailer;
+exports.getAccessGroup = getAccessGroup;
+exports.ACCESS_TRANSPORT = ACCESS_TRANSPORT;
+exports.DATA_BLOCK_PERMISSIONS = DATA_BLOCK_PERMISSIONS;
+exports.TRAILER_PERMISSIONS = TRAILER_PERMISSIONS;
+exports.decodeAccessBits = decodeAccessBits;
+exports.encodeAccessBits = encodeAccessBits;
+exports.findCondition = findCondition;
+exports.decodeTrailer = decodeTrailer;
+exports.encodeTrailer = encodeTrailer;
+exports.getBlockPermissions = getBlockPermissions;
+exports.NFC_KEY_A = NFC_KEY_A;
+exports.ACCESS_MAD = ACCESS_MAD;
+exports.ACCESS_NDEF = ACCESS_NDEF;
+exports.GPB_NDEF_READ_WRITE = GPB_NDEF_READ_WRITE;
+exports.KeyStore = KeyStore;
+exports.MifareClassic = MifareClassic;
@@ -0,0 +1,580 @@
+'use strict';
+/*
+    NDEF messages (NFC Forum NDEF 1.0): records of a Type Name Format (TNF), a type, an optional ID and a payload,
+    in short (1 byte payload length) or normal records (4 bytes), payloads being optionally split in chunks.  Helpers
+    build and decode the NFC Forum well-known types Text, URI and Smart Poster, MIME records, external types and
+    Android Application Records (AAR).
+*/
+var errors = require('./errors');
+
+// Type Name Format, in the 3 low bits of the record header
+var TNF_EMPTY        = 0x00;
+var TNF_WELL_KNOWN   = 0x01; // NFC Forum Record Type Definition (RTD), ie. 'T' or 'U'
+var TNF_MIME_MEDIA   = 0x02; // ie. 'text/plain'
+var TNF_ABSOLUTE_URI = 0x03;
+var TNF_EXTERNAL     = 0x04; // ie. 'android.com:pkg'
+var TNF_UNKNOWN      = 0x05;
+var TNF_UNCHANGED    = 0x06; // Middle and last chunks of a chunked record
+var TNF_RESERVED     = 0x07;
+
+// Flags of the record header
+var FLAG_MB  = 0x80; // Message begin
+var FLAG_ME  = 0x40; // Message end
+var FLAG_CF  = 0x20; // Chunk flag: the payload continues in the next record
+var FLAG_SR  = 0x10; // Short record: 1 byte payload length
+var FLAG_IL  = 0x08; // ID length present
+var TNF_MASK = 0x07;
+
+var SHORT_RECORD_MAX_PAYLOAD = 0xFF;
+
+// NFC Forum well-known types
+var RTD_TEXT         = 'T';
+var RTD_URI          = 'U';
+var RTD_SMART_POSTER = 'Sp';
+var RTD_ACTION       = 'act'; // Local types of Smart Poster records
+var RTD_SIZE         = 's';
+var RTD_TYPE         = 't';
+
+var AAR_TYPE = 'android.com:pkg';
+
+// Status byte of Text records
+var TEXT_UTF16         = 0x80;
+var TEXT_LANGUAGE_MASK = 0x3F;
+var ENCODING_UTF8      = 'utf8';
+var ENCODING_UTF16     = 'utf16';
+var DEFAULT_LANGUAGE   = 'en';
+
+// Actions of Smart Posters
+var ACTION_DO   = 0x00;
+var ACTION_SAVE = 0x01;
+var ACTION_EDIT = 0x02;
+
+// Prefixes abbreviated by the first byte of URI records, by code
+var URI_PREFIXES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:', 'ftp://anonymous:anonymous@',
+    'ftp://ftp.', 'ftps://', 'sftp://', 'smb://', 'nfs://', 'ftp://', 'dav://', 'news:', 'telnet://', 'imap:',
+    'rtsp://', 'urn:', 'pop:', 'sip:', 'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://', 'tcpobex://',
+    'irdaobex://', 'file://', 'urn:epc:id:', 'urn:epc:tag:', 'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:'
+];
+
+var toBuffer = (data) => {
+    if (data instanceof Buffer) {
+        return data;
+    }
+    return typeof data === 'string' ? new Buffer(data, 'utf8') : new Buffer(data || []);
+};
+
+/*
+    Record of an NDEF message.  The type, ID and payload are Buffers (strings being encoded in UTF-8).
+*/
+class NdefRecord {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {number} [options.tnf=TNF_EMPTY] - Type Name Format (TNF_*)
+        @param {(string|array|Buffer)} [options.type]
+        @param {(string|array|Buffer)} [options.id]
+        @param {(string|array|Buffer)} [options.payload]
+    */
+    constructor(options) {
+        options = options || {};
+        this.tnf = options.tnf || TNF_EMPTY;
+        this.type = toBuffer(options.type);
+        this.id = toBuffer(options.id);
+        this.payload = toBuffer(options.payload);
+    }
+
+    /*
+        @param {number} tnf
+        @param {string} type - ie. RTD_TEXT
+        @returns {boolean} Whether the record has this TNF and type
+    */
+    matches(tnf, type) {
+        return this.tnf === tnf && this.type.toString('utf8') === type;
+    }
+}
+
+// Checks the fields of a record to encode
+function checkRecord(record) {
+    if (record.tnf === TNF_UNCHANGED || record.tnf === TNF_RESERVED || record.tnf > TNF_MASK) {
+        throw new errors.NdefError('Invalid TNF ' + record.tnf + ' for a record');
+    }
+    if (record.tnf === TNF_EMPTY && (record.type.length || record.id.length || record.payload.length)) {
+        throw new errors.NdefError('Empty records have no type, ID or payload');
+    }
+    if (record.tnf === TNF_UNKNOWN && record.type.length) {
+        throw new errors.NdefError('Records of unknown type have no type');
+    }
+    if (record.type.length > 0xFF || record.id.length > 0xFF) {
+        throw new errors.NdefError('Types and IDs have up to 255 bytes');
+    }
+}
+
+/*
+    Encode an NDEF message
+
+    @param {array} records - NdefRecords (or objects with their fields).  An empty array gives the empty NDEF message
+        (a single empty record).
+    @param {object} [options]
+    @param {number} [options.chunkSize] - Payloads longer than chunkSize bytes are split in chunked records
+    @returns {Buffer}
+*/
+function encodeMessage(records, options) {
+    options = options || {};
+    records = records.map((record) => (record instanceof NdefRecord) ? record : new NdefRecord(record));
+    if (!records.length) {
+        records = [new NdefRecord()];
+    }
+    if (options.chunkSize !== undefined && options.chunkSize < 1) {
+        throw new errors.NdefError('Invalid chunk size ' + options.chunkSize);
+    }
+
+    var buffers = [];
+    records.forEach((record, index) => {
+        checkRecord(record);
+
+        var chunks = [];
+        var chunkSize = options.chunkSize || record.payload.length;
+        for (var offset = 0; offset < record.payload.length; offset += chunkSize) {
+            chunks.push(record.payload.slice(offset, offset + chunkSize));
+        }
+        if (!chunks.length) {
+            chunks.push(new Buffer(0));
+        }
+
+        chunks.forEach((chunk, chunkIndex) => {
+            var isFirst = chunkIndex === 0;
+            var isLast = chunkIndex === chunks.length - 1;
+            var header = (isFirst ? record.tnf : TNF_UNCHANGED) |
+                         (index === 0 && isFirst ? FLAG_MB : 0) |
+                         (index === records.length - 1 && isLast ? FLAG_ME : 0) |
+                         (isLast ? 0 : FLAG_CF) |
+                         (chunk.length <= SHORT_RECORD_MAX_PAYLOAD ? FLAG_SR : 0) |
+                         (isFirst && record.id.length ? FLAG_IL : 0);
+
+            var type = isFirst ? record.type : new Buffer(0);
+            var id = isFirst ? record.id : new Buffer(0);
+            var payloadLength;
+            if (header & FLAG_SR) {
+                payloadLength = new Buffer([chunk.length]);
+            } else {
+                payloadLength = new Buffer(4);
+                payloadLength.writeUInt32BE(chunk.length, 0);
+            }
+
+            buffers.push(new Buffer([header, type.length]), payloadLength);
+            if (header & FLAG_IL) {
+                buffers.push(new Buffer([id.length]));
+            }
+            buffers.push(type, id, chunk);
+        });
+    });
+    return Buffer.concat(buffers);
+}
+
+/*
+    Decode an NDEF message, reassembling chunked records
+
+    @param {(array|Buffer)} message - Encoded NDEF message (an empty message gives no records)
+    @returns {array} The NdefRecords.  Throws an NdefError if the message is malformed.
+*/
+function decodeMessage(message) {
+    var data = toBuffer(message);
+    var records = [];
+    var chunked = null; // First chunk of the chunked record being decoded, and its payloads
+    var offset = 0;
+    var isEnd = !data.length;
+
+    while (!isEnd) {
+        if (offset + 3 > data.length) {
+            throw new errors.NdefError('NDEF record truncated at byte ' + offset);
+        }
+        var header = data[offset];
+        var tnf = header & TNF_MASK;
+        var isFirst = offset === 0;
+        if (!!(header & FLAG_MB) !== isFirst) {
+            throw new errors.NdefError('Message begin flag ' + (isFirst ? 'missing' : 'set') + ' at byte ' + offset);
+        }
+
+        var typeLength = data[offset + 1];
+        var payloadLength;
+        var position = offset + 2;
+        var checkLength = (length) => {
+            if (position + length > data.length) {
+                throw new errors.NdefError('NDEF record truncated at byte ' + offset);
+            }
+        };
+        if (header & FLAG_SR) {
+            checkLength(1);
+            payloadLength = data[position];
+            position += 1;
+        } else {
+            checkLength(4);
+            payloadLength = data.readUInt32BE(position);
+            position += 4;
+        }
+        var idLength = 0;
+        if (header & FLAG_IL) {
+            checkLength(1);
+            idLength = data[position];
+            position += 1;
+        }
+        if (position + typeLength + idLength + payloadLength > data.length) {
+            throw new errors.NdefError('NDEF record at byte ' + offset + ' exceeds the message (' + data.length +
+                                       ' bytes)');
+        }
+
+        var type = data.slice(position, position + typeLength);
+        var id = data.slice(position + typeLength, position + typeLength + idLength);
+        var payload = data.slice(position + typeLength + idLength, position + typeLength + idLength + payloadLength);
+
+        if (chunked) {
+            if (tnf !== TNF_UNCHANGED || typeLength || idLength) {
+                throw new errors.NdefError('Invalid chunk at byte ' + offset +
+                                           ', chunks have TNF_UNCHANGED and no type or ID');
+            }
+            chunked.payloads.push(payload);
+        } else {
+            if (tnf === TNF_UNCHANGED) {
+                throw new errors.NdefError('TNF_UNCHANGED outside of a chunked record at byte ' + offset);
+            }
+            chunked = {tnf: tnf, type: type, id: id, payloads: [payload]};
+        }
+
+        if (!(header & FLAG_CF)) {
+            records.push(new NdefRecord({
+                tnf: chunked.tnf,
+                type: new Buffer(chunked.type),
+                id: new Buffer(chunked.id),
+                payload: Buffer.concat(chunked.payloads)
+            }));
+            chunked = null;
+        }
+
+        offset = position + typeLength + idLength + payloadLength;
+        isEnd = !!(header & FLAG_ME);
+        if (!isEnd && offset >= data.length) {
+            throw new errors.NdefError('Message end flag missing, the message ends at byte ' + offset);
+        }
+    }
+
+    if (chunked) {
+        throw new errors.NdefError('The last record of the message is chunked');
+    }
+    return records;
+}
+
+/*
+    NDEF message of records, or the message itself if already encoded
+
+    @param {(array|Buffer|NdefRecord)} message - Encoded NDEF message, NdefRecord or array of NdefRecords
+    @returns {Buffer}
+*/
+function toMessage(message) {
+    if (message instanceof NdefRecord) {
+        return encodeMessage([message]);
+    }
+    if (Array.isArray(message) && message.length && typeof message[0] === 'object') {
+        return encodeMessage(message);
+    }
+    return toBuffer(message);
+}
+
+function checkType(record, tnf, type) {
+    if (!record.matches(tnf, type)) {
+        throw new errors.NdefError('Not a record of type ' + type + ' (TNF ' + record.tnf + ', type ' +
+                                   record.type.toString('utf8') + ')');
+    }
+}
+
+// UTF-16 text starts with a byte order mark, big-endian without it
+function decodeUtf16(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return bytes.slice(2).toString('utf16le');
+    }
+    var start = (bytes[0] === 0xFE && bytes[1] === 0xFF) ? 2 : 0;
+    var swapped = new Buffer(bytes.slice(start));
+    for (var i = 0; i + 1 < swapped.length; i += 2) {
+        var byte = swapped[i];
+        swapped[i] = swapped[i + 1];
+        swapped[i + 1] = byte;
+    }
+    return swapped.toString('utf16le');
+}
+
+function encodeUtf16(text) {
+    var bytes = new Buffer(text, 'utf16le');
+    for (var i = 0; i + 1 < bytes.length; i += 2) {
+        var byte = bytes[i];
+        bytes[i] = bytes[i + 1];
+        bytes[i + 1] = byte;
+    }
+    return Buffer.concat([new Buffer([0xFE, 0xFF]), bytes]);
+}
+
+/*
+    Text record (well-known type 'T')
+
+    @param {string} text
+    @param {object} [options]
+    @param {string} [options.language='en'] - IANA language code, ie. 'en-US'
+    @param {string} [options.encoding='utf8'] - ENCODING_UTF8 or ENCODING_UTF16
+    @param {(string|array|Buffer)} [options.id]
+    @returns {NdefRecord}
+*/
+function textRecord(text, options) {
+    options = options || {};
+    var language = new Buffer(options.language || DEFAULT_LANGUAGE, 'ascii');
+    var encoding = options.encoding || ENCODING_UTF8;
+    if (language.length > TEXT_LANGUAGE_MASK) {
+        throw new errors.NdefError('Language codes have up to ' + TEXT_LANGUAGE_MASK + ' characters');
+    }
+    if (encoding !== ENCODING_UTF8 && encoding !== ENCODING_UTF16) {
+        throw new errors.NdefError('Unsupported encoding ' + encoding);
+    }
+
+    var status = language.length | (encoding === ENCODING_UTF16 ? TEXT_UTF16 : 0);
+    var encoded = encoding === ENCODING_UTF16 ? encodeUtf16(text) : new Buffer(text, 'utf8');
+    return new NdefRecord({
+        tnf: TNF_WELL_KNOWN,
+        type: RTD_TEXT,
+        id: options.id,
+        payload: Buffer.concat([new Buffer([status]), language, encoded])
+    });
+}
+
+/*
+    @param {NdefRecord} record - Text record
+    @returns {object} {text, language, encoding}
+*/
+function decodeText(record) {
+    checkType(record, TNF_WELL_KNOWN, RTD_TEXT);
+    var payload = record.payload;
+    if (!payload.length || 1 + (payload[0] & TEXT_LANGUAGE_MASK) > payload.length) {
+        throw new errors.NdefError('Invalid Text record payload');
+    }
+    var languageEnd = 1 + (payload[0] & TEXT_LANGUAGE_MASK);
+    var isUtf16 = !!(payload[0] & TEXT_UTF16);
+    var text = payload.slice(languageEnd);
+    return {
+        text: isUtf16 ? decodeUtf16(text) : text.toString('utf8'),
+        language: payload.slice(1, languageEnd).toString('ascii'),
+        encoding: isUtf16 ? ENCODING_UTF16 : ENCODING_UTF8
+    };
+}
+
+/*
+    URI record (well-known type 'U'), its prefix (ie. 'https://www.') being abbreviated
+
+    @param {string} uri
+    @param {object} [options]
+    @param {(string|array|Buffer)} [options.id]
+    @returns {NdefRecord}
+*/
+function uriRecord(uri, options) {
+    options = options || {};
+    var code = 0;
+    URI_PREFIXES.forEach((prefix, index) => {
+        if (uri.startsWith(prefix) && prefix.length > URI_PREFIXES[code].length) {
+            code = index;
+        }
+    });
+    return new NdefRecord({
+        tnf: TNF_WELL_KNOWN,
+        type: RTD_URI,
+        id: options.id,
+        payload: Buffer.concat([new Buffer([code]), new Buffer(uri.slice(URI_PREFIXES[code].length), 'utf8')])
+    });
+}
+
+/*
+    @param {NdefRecord} record - URI record, or absolute URI record (TNF_ABSOLUTE_URI)
+    @returns {string} The URI
+*/
+function decodeUri(record) {
+    if (record.tnf === TNF_ABSOLUTE_URI) {
+        return record.type.toString('utf8');
+    }
+    checkType(record, TNF_WELL_KNOWN, RTD_URI);
+    if (!record.payload.length) {
+        throw new errors.NdefError('Invalid URI record payload');
+    }
+    // Codes past the table are reserved, and read as no prefix
+    var prefix = URI_PREFIXES[record.payload[0]] || '';
+    return prefix + record.payload.slice(1).toString('utf8');
+}
+
+/*
+    Smart Poster record (well-known type 'Sp'): a URI with titles and how to act on it
+
+    @param {string} uri
+    @param {object} [options]
+    @param {(string|array)} [options.title] - Title, or titles in several languages ([{text, language}])
+    @param {string} [options.language='en'] - Language of a title given as a string
+    @param {number} [options.action] - ACTION_DO, ACTION_SAVE or ACTION_EDIT
+    @param {number} [options.size] - Size of the resource referenced by the URI
+    @param {string} [options.type] - MIME type of the resource referenced by the URI
+    @param {array} [options.icons] - Icons ([{mimeType, data}])
+    @param {(string|array|Buffer)} [options.id]
+    @returns {NdefRecord}
+*/
+function smartPosterRecord(uri, options) {
+    options = options || {};
+    var records = [uriRecord(uri)];
+
+    var titles = options.title === undefined ? [] : options.title;
+    if (typeof titles === 'string') {
+        titles = [{text: titles, language: options.language}];
+    }
+    titles.forEach((title) => records.push(textRecord(title.text, {language: title.language})));
+
+    if (options.action !== undefined) {
+        records.push(new NdefRecord({tnf: TNF_WELL_KNOWN, type: RTD_ACTION, payload: [options.action]}));
+    }
+    if (options.size !== undefined) {
+        var size = new Buffer(4);
+        size.writeUInt32BE(options.size, 0);
+        records.push(new NdefRecord({tnf: TNF_WELL_KNOWN, type: RTD_SIZE, payload: size}));
+    }
+    if (options.type !== undefined) {
+        records.push(new NdefRecord({tnf: TNF_WELL_KNOWN, type: RTD_TYPE, payload: options.type}));
+    }
+    (options.icons || []).forEach((icon) => records.push(mimeRecord(icon.mimeType, icon.data)));
+
+    return new NdefRecord({
+        tnf: TNF_WELL_KNOWN,
+        type: RTD_SMART_POSTER,
+        id: options.id,
+        payload: encodeMessage(records)
+    });
+}
+
+/*
+    @param {NdefRecord} record - Smart Poster record
+    @returns {object} {uri, titles ([{text, language, encoding}]), action, size, type, icons ([{mimeType, data}]),
+        records}, action, size and type being undefined when absent.  records are all the records of the poster.
+*/
+function decodeSmartPoster(record) {
+    checkType(record, TNF_WELL_KNOWN, RTD_SMART_POSTER);
+    var records = decodeMessage(record.payload);
+    var poster = {uri: undefined, titles: [], action: undefined, size: undefined, type: undefined, icons: [],
+                  records: records};
+
+    records.forEach((child) => {
+        if (child.matches(TNF_WELL_KNOWN, RTD_URI)) {
+            poster.uri = decodeUri(child);
+        } else if (child.matches(TNF_WELL_KNOWN, RTD_TEXT)) {
+            poster.titles.push(decodeText(child));
+        } else if (child.matches(TNF_WELL_KNOWN, RTD_ACTION) && child.payload.length) {
+            poster.action = child.payload[0];
+        } else if (child.matches(TNF_WELL_KNOWN, RTD_SIZE) && child.payload.length === 4) {
+            poster.size = child.payload.readUInt32BE(0);
+        } else if (child.matches(TNF_WELL_KNOWN, RTD_TYPE)) {
+            poster.type = child.payload.toString('utf8');
+        } else if (child.tnf === TNF_MIME_MEDIA) {
+            poster.icons.push({mimeType: child.type.toString('ascii'), data: child.payload});
+        }
+    });
+
+    if (poster.uri === undefined) {
+        throw new errors.NdefError('Smart Poster without URI record');
+    }
+    return poster;
+}
+
+/*
+    MIME record (TNF_MIME_MEDIA)
+
+    @param {string} mimeType - ie. 'application/json'
+    @param {(string|array|Buffer)} payload - Strings are encoded in UTF-8
+    @param {object} [options]
+    @param {(string|array|Buffer)} [options.id]
+    @returns {NdefRecord}
+*/
+function mimeRecord(mimeType, payload, options) {
+    options = options || {};
+    return new NdefRecord({
+        tnf: TNF_MIME_MEDIA,
+        type: new Buffer(mimeType, 'ascii'),
+        id: options.id,
+        payload: payload
+    });
+}
+
+/*
+    External type record (TNF_EXTERNAL)
+
+    @param {string} type - Domain and type, ie. 'example.com:ticket'
+    @param {(string|array|Buffer)} payload - Strings are encoded in UTF-8
+    @param {object} [options]
+    @param {(string|array|Buffer)} [options.id]
+    @returns {NdefRecord}
+*/
+function externalRecord(type, payload, options) {
+    options = options || {};
+    if (type.indexOf(':') === -1) {
+        throw new errors.NdefError('External types are a domain and a type separated by \':\', got ' + type);
+    }
+    return new NdefRecord({
+        tnf: TNF_EXTERNAL,
+        type: type.toLowerCase(),
+        id: options.id,
+        payload: payload
+    });
+}
+
+/*
+    Android Application Record: Android starts the application (or opens its store page), whichever record the
+    message starts with
+
+    @param {string} packageName - ie. 'com.example.app'
+    @returns {NdefRecord}
+*/
+function aarRecord(packageName) {
+    return externalRecord(AAR_TYPE, packageName);
+}
+
+/*
+    @param {NdefRecord} record - Android Application Record
+    @returns {string} The package name
+*/
+function decodeAar(record) {
+    checkType(record, TNF_EXTERNAL, AAR_TYPE);
+    return record.payload.toString('utf8');
+}
+
+exports.TNF_EMPTY = TNF_EMPTY;
+exports.TNF_WELL_KNOWN = TNF_WELL_KNOWN;
+exports.TNF_MIME_MEDIA = TNF_MIME_MEDIA;
+exports.TNF_ABSOLUTE_URI = TNF_ABSOLUTE_URI;
+exports.TNF_EXTERNAL = TNF_EXTERNAL;
+exports.TNF_UNKNOWN = TNF_UNKNOWN;
+exports.TNF_UNCHANGED = TNF_UNCHANGED;
+exports.TNF_RESERVED = TNF_RESERVED;
+exports.RTD_TEXT = RTD_TEXT;
+exports.RTD_URI = RTD_URI;
+exports.RTD_SMART_POSTER = RTD_SMART_POSTER;
+exports.RTD_ACTION = RTD_ACTION;
+exports.RTD_SIZE = RTD_SIZE;
+exports.RTD_TYPE = RTD_TYPE;
+exports.AAR_TYPE = AAR_TYPE;
+exports.ENCODING_UTF8 = ENCODING_UTF8;
+exports.ENCODING_UTF16 = ENCODING_UTF16;
+exports.ACTION_DO = ACTION_DO;
+exports.ACTION_SAVE = ACTION_SAVE;
+exports.ACTION_EDIT = ACTION_EDIT;
+exports.URI_PREFIXES = URI_PREFIXES;
+exports.NdefRecord = NdefRecord;
+exports.encodeMessage = encodeMessage;
+exports.decodeMessage = decodeMessage;
+exports.toMessage = toMessage;
+exports.textRecord = textRecord;
+exports.decodeText = decodeText;
+exports.uriRecord = uriRecord;
+exports.decodeUri = decodeUri;
+exports.smartPosterRecord = smartPosterRecord;
+exports.decodeSmartPoster = decodeSmartPoster;
+exports.mimeRecord = mimeRecord;
+exports.externalRecord = externalRecord;
+exports.aarRecord = aarRecord;
+exports.decodeAar = decodeAar;
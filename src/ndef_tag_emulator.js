@@ -0,0 +1,210 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var logger = require('winston').loggers.get('emulator');
+
+var apdu = require('./apdu');
+var errors = require('./errors');
+var ndef = require('./ndef');
+var ApduServer = require('./apdu_server');
+
+// NFC Forum Type 4 Tag Operation Specification 2.0
+var NDEF_APPLICATION_AID = 'D2760000850101';
+var CC_FILE_ID           = 0xE103;
+var NDEF_FILE_ID         = 0xE104;
+var MAPPING_VERSION      = 0x20;
+var ACCESS_GRANTED       = 0x00;
+var ACCESS_DENIED        = 0xFF;
+var NLEN_SIZE            = 2; // The NDEF file starts with the length of the message
+
+// Largest response data (MLe) and command data (MLc), a response APDU fits in one TgSetData
+var MAX_RESPONSE_DATA = 0xFF;
+var MAX_COMMAND_DATA  = 0xFF;
+
+var SW_NO_CURRENT_EF = 0x6986; // Command not allowed, no EF selected
+
+/*
+    Emulates an NFC Forum Type 4 tag serving an NDEF message, the PN532 being configured as an ISO/IEC14443-4
+    card.  It serves the NDEF application with an ApduServer, answering the SELECT of the capability container
+    (CC) and of the NDEF file, and READ BINARY and UPDATE BINARY of these files.
+
+        'activated'     Emitted when an initiator (ie. a phone) activated the PN532
+        'read'          Emitted with the message when the initiator finished reading the NDEF message
+        'write'         Emitted with the new message when the initiator wrote an NDEF message (options.writable)
+        'deactivated'   Emitted when the initiator released the PN532 or left the field
+        'error'         Emitted when a command to the PN532 failed, which stops the emulation
+*/
+class NdefTagEmulator extends EventEmitter {
+    /*
+        @constructor
+        @param {PN532} pn532
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+        @param {object} [options]
+        @param {boolean} [options.writable=false] - Whether initiators can write an NDEF message
+        @param {number} [options.maxNdefSize] - Size of the NDEF file, the message and its 2 byte length (by
+            default the size of the message, or 1024 bytes if writable)
+        @param {(array|Buffer)} [options.nfcId1] - Last 3 bytes of the UID, see PN532.initAsTarget()
+        @param {boolean} [options.rearm=true] - Whether to wait for the next initiator once one left
+        @param {number} [options.timeout=5000] - Milliseconds to wait for each command of the initiator
+    */
+    constructor(pn532, message, options) {
+        super();
+        options = options || {};
+        message = ndef.toMessage(message);
+
+        this.writable = !!options.writable;
+        this.maxNdefSize = options.maxNdefSize || Math.max(NLEN_SIZE + message.length, this.writable ? 1024 : 0);
+
+        var handlers = {};
+        handlers[NDEF_APPLICATION_AID] = (command) => this._process(command);
+        this.server = new ApduServer(pn532, handlers, options);
+        ['activated', 'deactivated', 'error'].forEach((event) => {
+            this.server.on(event, (arg) => this.emit(event, arg));
+        });
+
+        this.setMessage(message);
+    }
+
+    // Whether the emulator waits for initiators
+    get isRunning() {
+        return this.server.isRunning;
+    }
+
+    /*
+        Replace the NDEF message served
+
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+    */
+    setMessage(message) {
+        message = ndef.toMessage(message);
+        if (NLEN_SIZE + message.length > this.maxNdefSize) {
+            throw new errors.PN532Error('NDEF message of ' + message.length + ' bytes does not fit an NDEF file of ' +
+                                        this.maxNdefSize + ' bytes');
+        }
+        this.message = new Buffer(message);
+
+        this._ndefFile = new Buffer(this.maxNdefSize).fill(0);
+        this._ndefFile.writeUInt16BE(this.message.length, 0);
+        this.message.copy(this._ndefFile, NLEN_SIZE);
+    }
+
+    // Start waiting for initiators
+    start() {
+        logger.info('Emulating NDEF tag...');
+        this.server.start();
+    }
+
+    /*
+        Stop emulating the tag, aborting the command the PN532 is processing
+
+        @returns {Promise} Resolves once stopped
+    */
+    stop() {
+        return this.server.stop();
+    }
+
+    // Capability container: CCLEN, mapping version, MLe, MLc and the NDEF file control TLV
+    _getCapabilityContainer() {
+        var cc = new Buffer(15);
+        cc.writeUInt16BE(cc.length, 0);
+        cc[2] = MAPPING_VERSION;
+        cc.writeUInt16BE(MAX_RESPONSE_DATA, 3);
+        cc.writeUInt16BE(MAX_COMMAND_DATA, 5);
+        cc[7] = 0x04; // NDEF file control TLV
+        cc[8] = 0x06;
+        cc.writeUInt16BE(NDEF_FILE_ID, 9);
+        cc.writeUInt16BE(this.maxNdefSize, 11);
+        cc[13] = ACCESS_GRANTED; // Read access
+        cc[14] = this.writable ? ACCESS_GRANTED : ACCESS_DENIED;
+        return cc;
+    }
+
+    /*
+        @param {object} command - Command APDU sent to the NDEF application, see apdu.parseCommand()
+        @returns {Buffer} Response APDU
+    */
+    _process(command) {
+        if (command.cla !== apdu.CLA_ISO) {
+            return apdu.buildResponse([], apdu.SW_CLA_NOT_SUPPORTED);
+        }
+
+        switch (command.ins) {
+            case apdu.INS_SELECT:
+                return this._select(command);
+            case apdu.INS_READ_BINARY:
+                return this._readBinary(command);
+            case apdu.INS_UPDATE_BINARY:
+                return this._updateBinary(command);
+            default:
+                return apdu.buildResponse([], apdu.SW_INS_NOT_SUPPORTED);
+        }
+    }
+
+    _select(command) {
+        if (command.p1 === apdu.P1_SELECT_BY_NAME) {
+            // The NDEF application, other applications are answered by the server
+            this._selectedFile = null;
+            return apdu.buildResponse([], apdu.SW_OK);
+        }
+
+        if (command.p1 === apdu.P1_SELECT_BY_ID && command.data.length === 2) {
+            var fileId = command.data.readUInt16BE(0);
+            if (fileId === CC_FILE_ID || fileId === NDEF_FILE_ID) {
+                this._selectedFile = fileId;
+                return apdu.buildResponse([], apdu.SW_OK);
+            }
+        }
+
+        return apdu.buildResponse([], apdu.SW_FILE_NOT_FOUND);
+    }
+
+    _readBinary(command) {
+        if (this._selectedFile === null) {
+            return apdu.buildResponse([], SW_NO_CURRENT_EF);
+        }
+
+        var file = this._selectedFile === CC_FILE_ID ? this._getCapabilityContainer() : this._ndefFile;
+        var offset = (command.p1 << 8) | command.p2;
+        if (offset > file.length) {
+            return apdu.buildResponse([], apdu.SW_WRONG_P1P2);
+        }
+
+        var length = Math.min(command.le || 0, MAX_RESPONSE_DATA);
+        var data = file.slice(offset, offset + length);
+
+        if (this._selectedFile === NDEF_FILE_ID && offset < NLEN_SIZE + this.message.length &&
+            offset + data.length >= NLEN_SIZE + this.message.length) {
+            logger.info('NDEF message read');
+            this.emit('read', this.message);
+        }
+
+        return apdu.buildResponse(data, apdu.SW_OK);
+    }
+
+    // Type 4 tags are written by clearing NLEN, writing the message and then writing its NLEN
+    _updateBinary(command) {
+        if (this._selectedFile === null) {
+            return apdu.buildResponse([], SW_NO_CURRENT_EF);
+        }
+        if (this._selectedFile !== NDEF_FILE_ID || !this.writable) {
+            return apdu.buildResponse([], apdu.SW_SECURITY_NOT_SATISFIED);
+        }
+
+        var offset = (command.p1 << 8) | command.p2;
+        if (offset + command.data.length > this._ndefFile.length) {
+            return apdu.buildResponse([], apdu.SW_WRONG_P1P2);
+        }
+        command.data.copy(this._ndefFile, offset);
+
+        var length = this._ndefFile.readUInt16BE(0);
+        if (offset < NLEN_SIZE && length > 0 && NLEN_SIZE + length <= this._ndefFile.length) {
+            this.message = new Buffer(this._ndefFile.slice(NLEN_SIZE, NLEN_SIZE + length));
+            logger.info('NDEF message written', util.inspect(this.message));
+            this.emit('write', this.message);
+        }
+
+        return apdu.buildResponse([], apdu.SW_OK);
+    }
+}
+
+module.exports = NdefTagEmulator;
@@ -0,0 +1,391 @@
+'use strict';
+/*
+    NTAG213, NTAG215 and NTAG216: password protection (PWD_AUTH, the pages from AUTH0 on being protected as ACCESS
+    sets), the NFC counter (READ_CNT) and the NXP originality signature (READ_SIG), an ECDSA signature of the UID on
+    the secp128r1 curve.  The last 4 pages hold the configuration: CFG0 (AUTH0 in byte 3), CFG1 (ACCESS in byte 0),
+    PWD and PACK, PWD and PACK always reading as zeros.
+*/
+var logger = require('winston').loggers.get('pn532');
+
+var c = require('./constants');
+var errors = require('./errors');
+var type2Tag = require('./type2_tag');
+
+// First configuration page (CFG0) of each chip
+var CONFIG_PAGES = {};
+CONFIG_PAGES[type2Tag.CHIP_NTAG213] = 0x29;
+CONFIG_PAGES[type2Tag.CHIP_NTAG215] = 0x83;
+CONFIG_PAGES[type2Tag.CHIP_NTAG216] = 0xE3;
+
+var CFG0_OFFSET = 0;
+var CFG1_OFFSET = 1;
+var PWD_OFFSET  = 2;
+var PACK_OFFSET = 3;
+var AUTH0_BYTE  = 3; // Byte of CFG0
+var ACCESS_BYTE = 0; // Byte of CFG1
+
+// Bits of ACCESS
+var ACCESS_PROT             = 0x80; // Reads are protected too, not only writes
+var ACCESS_CFGLCK           = 0x40; // The configuration is locked for good
+var ACCESS_NFC_CNT_EN       = 0x10; // The NFC counter is incremented at the first read after each activation
+var ACCESS_NFC_CNT_PWD_PROT = 0x08; // READ_CNT requires the password
+var ACCESS_AUTHLIM_MASK     = 0x07; // Failed authentications before the password is disabled for good (0: no limit)
+
+var AUTH0_DISABLED   = 0xFF; // Past the last page: no page is protected
+var COUNTER_ADDRESS  = 0x02; // Address of the NFC counter for READ_CNT
+var PASSWORD_SIZE    = 4;
+var PACK_SIZE        = 2;
+var SIGNATURE_SIZE   = 32;
+var DEFAULT_PASSWORD = [0xFF, 0xFF, 0xFF, 0xFF];
+var DEFAULT_PACK     = [0x00, 0x00];
+
+// Public key of the NXP originality signature of NTAG21x (uncompressed point)
+var NXP_PUBLIC_KEY = '04494E1A386D3D3CFE3DC10E5DE68A499B1C202DB5B132393E89ED19FE5BE8BC61';
+
+// Curve secp128r1 (SEC 2), y^2 = x^3 + ax + b over the prime field p, of generator G and order n.  Built by
+// getCurve() on first use: BigInt is missing before Node 10.4, where only verifySignature() is unavailable.
+var SECP128R1 = null;
+
+var ZERO;
+var ONE;
+var TWO;
+var THREE;
+
+/*
+    @returns {object} The curve secp128r1: {p, a, b, g: {x, y}, n}, as BigInts
+    @throws {PN532Error} If BigInt is not supported (Node before 10.4)
+*/
+function getCurve() {
+    if (SECP128R1) {
+        return SECP128R1;
+    }
+    if (typeof BigInt === 'undefined') {
+        throw new errors.PN532Error('Verifying signatures requires BigInt (Node 10.4 or later)');
+    }
+
+    ZERO = BigInt(0);
+    ONE = BigInt(1);
+    TWO = BigInt(2);
+    THREE = BigInt(3);
+    SECP128R1 = {
+        p: BigInt('0xFFFFFFFDFFFFFFFFFFFFFFFFFFFFFFFF'),
+        a: BigInt('0xFFFFFFFDFFFFFFFFFFFFFFFFFFFFFFFC'),
+        b: BigInt('0xE87579C11079F43DD824993C2CEE5ED3'),
+        g: {
+            x: BigInt('0x161FF7528B899B2D0C28607CA52C5B86'),
+            y: BigInt('0xCF5AC8395BAFEB13C02DA292DDED7A83')
+        },
+        n: BigInt('0xFFFFFFFE0000000075A30D1B9038A115')
+    };
+    return SECP128R1;
+}
+
+var toBigInt = (bytes) => bytes.length ? BigInt('0x' + new Buffer(bytes).toString('hex')) : ZERO;
+
+var mod = (value, modulus) => {
+    var result = value % modulus;
+    return result < ZERO ? result + modulus : result;
+};
+
+// Modular inverse (extended Euclidean algorithm)
+function invert(value, modulus) {
+    var r0 = mod(value, modulus);
+    var r1 = modulus;
+    var s0 = ONE;
+    var s1 = ZERO;
+    while (r1 !== ZERO) {
+        var quotient = r0 / r1;
+        var r = r0 - quotient * r1;
+        r0 = r1;
+        r1 = r;
+        var s = s0 - quotient * s1;
+        s0 = s1;
+        s1 = s;
+    }
+    return mod(s0, modulus);
+}
+
+// Points in affine coordinates, null being the point at infinity
+function addPoints(curve, p1, p2) {
+    if (!p1) {
+        return p2;
+    }
+    if (!p2) {
+        return p1;
+    }
+    var slope;
+    if (p1.x === p2.x) {
+        if (mod(p1.y + p2.y, curve.p) === ZERO) {
+            return null;
+        }
+        slope = mod((THREE * p1.x * p1.x + curve.a) * invert(TWO * p1.y, curve.p), curve.p);
+    } else {
+        slope = mod((p2.y - p1.y) * invert(p2.x - p1.x, curve.p), curve.p);
+    }
+    var x = mod(slope * slope - p1.x - p2.x, curve.p);
+    return {x: x, y: mod(slope * (p1.x - x) - p1.y, curve.p)};
+}
+
+function multiplyPoint(curve, point, scalar) {
+    var result = null;
+    var addend = point;
+    while (scalar > ZERO) {
+        if (scalar & ONE) {
+            result = addPoints(curve, result, addend);
+        }
+        addend = addPoints(curve, addend, addend);
+        scalar >>= ONE;
+    }
+    return result;
+}
+
+/*
+    Verify an ECDSA signature on secp128r1 of a message taken as is (not hashed), as the NXP originality signatures
+
+    @param {(array|Buffer)} message - ie. the UID of the tag
+    @param {(array|Buffer)} signature - r and s (16 bytes each)
+    @param {(array|Buffer|string)} [publicKey] - Uncompressed point (0x04, x and y), NXP_PUBLIC_KEY by default
+    @returns {boolean} Whether the signature is valid
+    @throws {PN532Error} If BigInt is not supported (Node before 10.4)
+*/
+function verifySignature(message, signature, publicKey) {
+    var curve = getCurve();
+    var key = typeof publicKey === 'string' || !publicKey ? new Buffer(publicKey || NXP_PUBLIC_KEY, 'hex') :
+                                                             new Buffer(publicKey);
+    if (key.length !== 33 || key[0] !== 0x04) {
+        throw new errors.PN532Error('Public keys are uncompressed points of 33 bytes');
+    }
+    if (signature.length !== SIGNATURE_SIZE) {
+        throw new errors.PN532Error('Signatures have ' + SIGNATURE_SIZE + ' bytes, got ' + signature.length);
+    }
+
+    var q = {x: toBigInt(key.slice(1, 17)), y: toBigInt(key.slice(17))};
+    var r = toBigInt(signature.slice(0, 16));
+    var s = toBigInt(signature.slice(16));
+    if (r <= ZERO || r >= curve.n || s <= ZERO || s >= curve.n) {
+        return false;
+    }
+
+    var w = invert(s, curve.n);
+    var u1 = mod(toBigInt(message) * w, curve.n);
+    var u2 = mod(r * w, curve.n);
+    var point = addPoints(curve, multiplyPoint(curve, curve.g, u1), multiplyPoint(curve, q, u2));
+    return !!point && mod(point.x, curve.n) === r;
+}
+
+/*
+    Type 2 tag (see Type2Tag) with the commands of NTAG213, NTAG215 and NTAG216.  Once the password protects pages,
+    authenticate() before reading or writing them (again after each activation of the tag).
+*/
+class Ntag21x extends type2Tag.Type2Tag {
+    /*
+        Authenticate with the password (PWD_AUTH)
+
+        @param {(array|Buffer)} password - 4 bytes
+        @param {object} [options]
+        @param {(array|Buffer)} [options.pack] - PACK expected from the tag (2 bytes): a tag answering another PACK
+            accepted any password (ie. a clone)
+        @returns {Promise<Buffer>} Resolves with the PACK.  Rejects with a StatusError if the password is wrong (the
+            tag is selected again), and with a PN532Error if the PACK differs.
+    */
+    authenticate(password, options) {
+        options = options || {};
+        if (password.length !== PASSWORD_SIZE) {
+            return Promise.reject(new errors.PN532Error('Passwords have ' + PASSWORD_SIZE + ' bytes, got ' +
+                                                        password.length));
+        }
+
+        return this.target.communicateThru([c.MIFARE_COMMAND_PWD_AUTH].concat(Array.from(password)))
+            .then((pack) => {
+                if (options.pack && !pack.equals(new Buffer(options.pack))) {
+                    throw new errors.PN532Error('PACK ' + pack.toString('hex') + ' differs from the PACK expected ' +
+                                                new Buffer(options.pack).toString('hex'));
+                }
+                logger.debug('Password authentication succeeded');
+                return pack;
+            }, (error) => {
+                if (!(error instanceof errors.StatusError)) {
+                    throw error;
+                }
+                // The tag refused the password and halted
+                return this.target.select().catch(() => {}).then(() => {
+                    throw error;
+                });
+            });
+    }
+
+    /*
+        Read the password protection and counter configuration
+
+        @returns {Promise<object>} {auth0, isProtected, protectReads, authLimit, isConfigLocked, counterEnabled,
+            counterPasswordProtected}, auth0 being the first page protected
+    */
+    readConfiguration() {
+        return this._readConfigPages().then((config) => {
+            var auth0 = config.cfg0[AUTH0_BYTE];
+            var access = config.cfg1[ACCESS_BYTE];
+            return {
+                auth0: auth0,
+                isProtected: auth0 < this.chip.pageCount,
+                protectReads: !!(access & ACCESS_PROT),
+                authLimit: access & ACCESS_AUTHLIM_MASK,
+                isConfigLocked: !!(access & ACCESS_CFGLCK),
+                counterEnabled: !!(access & ACCESS_NFC_CNT_EN),
+                counterPasswordProtected: !!(access & ACCESS_NFC_CNT_PWD_PROT)
+            };
+        });
+    }
+
+    /*
+        Set the password and PACK, and protect the pages from options.firstPage on.  A tag already protected
+        requires authenticate() first.
+
+        @param {(array|Buffer)} password - 4 bytes
+        @param {(array|Buffer)} pack - 2 bytes, answered by the tag to authenticate() so the tag can be trusted
+        @param {object} [options]
+        @param {number} [options.firstPage=4] - First page protected (AUTH0), the user memory by default
+        @param {boolean} [options.protectReads=false] - Whether reads require the password too, not only writes
+        @param {number} [options.authLimit=0] - Failed authentications (1-7) before the password is disabled for
+            good, 0 for no limit
+        @returns {Promise}
+    */
+    setPassword(password, pack, options) {
+        options = options || {};
+        if (password.length !== PASSWORD_SIZE || pack.length !== PACK_SIZE) {
+            return Promise.reject(new errors.PN532Error('Passwords have ' + PASSWORD_SIZE + ' bytes and PACKs ' +
+                                                        PACK_SIZE + ' bytes'));
+        }
+        var firstPage = options.firstPage === undefined ? type2Tag.USER_MEMORY_START : options.firstPage;
+        var authLimit = options.authLimit || 0;
+        if (authLimit < 0 || authLimit > ACCESS_AUTHLIM_MASK) {
+            return Promise.reject(new errors.PN532Error('Invalid authentication limit ' + authLimit));
+        }
+
+        return this._readConfigPages().then((config) => {
+            var cfg0 = new Buffer(config.cfg0);
+            var cfg1 = new Buffer(config.cfg1);
+            cfg0[AUTH0_BYTE] = firstPage;
+            cfg1[ACCESS_BYTE] = (cfg1[ACCESS_BYTE] & ~(ACCESS_PROT | ACCESS_AUTHLIM_MASK)) |
+                                (options.protectReads ? ACCESS_PROT : 0) | authLimit;
+
+            // AUTH0 last, as it enables the protection
+            logger.info('Protecting the pages from ' + firstPage + ' with a password');
+            return this.writePage(config.page + PWD_OFFSET, password)
+                .then(() => this.writePage(config.page + PACK_OFFSET, Array.from(pack).concat([0x00, 0x00])))
+                .then(() => this.writePage(config.page + CFG1_OFFSET, cfg1))
+                .then(() => this.writePage(config.page + CFG0_OFFSET, cfg0));
+        });
+    }
+
+    /*
+        Remove the password protection, resetting the password and PACK to their defaults (FF FF FF FF and 00 00).
+        A protected tag requires authenticate() first.
+
+        @returns {Promise}
+    */
+    clearPassword() {
+        return this._readConfigPages().then((config) => {
+            var cfg0 = new Buffer(config.cfg0);
+            var cfg1 = new Buffer(config.cfg1);
+            cfg0[AUTH0_BYTE] = AUTH0_DISABLED;
+            cfg1[ACCESS_BYTE] &= ~(ACCESS_PROT | ACCESS_AUTHLIM_MASK);
+
+            logger.info('Removing the password protection');
+            return this.writePage(config.page + CFG0_OFFSET, cfg0)
+                .then(() => this.writePage(config.page + CFG1_OFFSET, cfg1))
+                .then(() => this.writePage(config.page + PWD_OFFSET, DEFAULT_PASSWORD))
+                .then(() => this.writePage(config.page + PACK_OFFSET, DEFAULT_PACK.concat([0x00, 0x00])));
+        });
+    }
+
+    /*
+        Enable or disable the NFC counter
+
+        @param {object} [options]
+        @param {boolean} [options.enabled=true]
+        @param {boolean} [options.passwordProtected=false] - Whether readCounter() requires the password
+        @returns {Promise}
+    */
+    configureCounter(options) {
+        options = options || {};
+        var enabled = options.enabled === undefined ? true : !!options.enabled;
+        return this._readConfigPages().then((config) => {
+            var cfg1 = new Buffer(config.cfg1);
+            cfg1[ACCESS_BYTE] = (cfg1[ACCESS_BYTE] & ~(ACCESS_NFC_CNT_EN | ACCESS_NFC_CNT_PWD_PROT)) |
+                                (enabled ? ACCESS_NFC_CNT_EN : 0) |
+                                (options.passwordProtected ? ACCESS_NFC_CNT_PWD_PROT : 0);
+            return this.writePage(config.page + CFG1_OFFSET, cfg1);
+        });
+    }
+
+    /*
+        Read the NFC counter (READ_CNT), counting the activations of the tag read since the counter was enabled
+
+        @returns {Promise<number>} Rejects with a StatusError if the counter is disabled (or protected without
+            authentication)
+    */
+    readCounter() {
+        return this.target.communicateThru([c.MIFARE_COMMAND_READ_CNT, COUNTER_ADDRESS])
+            .then((data) => {
+                if (data.length !== 3) {
+                    throw new errors.PN532Error('READ_CNT returned ' + data.length + ' bytes');
+                }
+                return data.readUIntLE(0, 3);
+            });
+    }
+
+    /*
+        Read the originality signature (READ_SIG)
+
+        @returns {Promise<Buffer>} The 32 bytes of the signature of the UID
+    */
+    readSignature() {
+        return this.target.communicateThru([c.MIFARE_COMMAND_READ_SIG, 0x00])
+            .then((signature) => {
+                if (signature.length !== SIGNATURE_SIZE) {
+                    throw new errors.PN532Error('READ_SIG returned ' + signature.length + ' bytes');
+                }
+                return signature;
+            });
+    }
+
+    /*
+        Verify the originality signature of the UID against the public key of NXP
+
+        @param {(array|Buffer|string)} [publicKey] - NXP_PUBLIC_KEY by default
+        @returns {Promise<object>} {isOriginal, signature}, isOriginal being false for clones (ie. copied UID without
+            the matching signature)
+    */
+    verifyOriginality(publicKey) {
+        var uid = new Buffer(this.target.uid.split(':').map((byte) => parseInt(byte, 16)));
+        return this.readSignature().then((signature) => {
+            var isOriginal = verifySignature(uid, signature, publicKey);
+            logger.info('Originality signature ' + (isOriginal ? 'valid' : 'invalid'));
+            return {isOriginal: isOriginal, signature: signature};
+        });
+    }
+
+    // Reads CFG0 and CFG1
+    _readConfigPages() {
+        return this.identify().then((chip) => {
+            var page = CONFIG_PAGES[chip.name];
+            if (page === undefined) {
+                throw new errors.PN532Error(chip.name + ' is not an NTAG213, NTAG215 or NTAG216');
+            }
+            return this.readPages(page, 2).then((data) => {
+                return {page: page, cfg0: data.slice(0, 4), cfg1: data.slice(4, 8)};
+            });
+        });
+    }
+}
+
+exports.CONFIG_PAGES = CONFIG_PAGES;
+exports.ACCESS_PROT = ACCESS_PROT;
+exports.ACCESS_CFGLCK = ACCESS_CFGLCK;
+exports.ACCESS_NFC_CNT_EN = ACCESS_NFC_CNT_EN;
+exports.ACCESS_NFC_CNT_PWD_PROT = ACCESS_NFC_CNT_PWD_PROT;
+exports.AUTH0_DISABLED = AUTH0_DISABLED;
+exports.NXP_PUBLIC_KEY = NXP_PUBLIC_KEY;
+exports.getCurve = getCurve;
+exports.verifySignature = verifySignature;
+exports.Ntag21x = Ntag21x;
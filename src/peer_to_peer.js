@@ -0,0 +1,269 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var crypto = require('crypto');
+var util = require('util');
+var logger = require('winston').loggers.get('llcp');
+
+var c = require('./constants');
+var errors = require('./errors');
+var llcp = require('./llcp');
+var ndef = require('./ndef');
+var snep = require('./snep');
+
+var ROLE_INITIATOR = 'initiator';
+var ROLE_TARGET    = 'target';
+
+var NFCID2_NFC_DEP      = [0x01, 0xFE]; // First bytes of the NFCID2t of NFC-DEP targets at 212/424 kbps
+var ATR_REQ_COMMAND     = 0xD4;
+var ATR_REQ_HEADER_SIZE = 16; // Command bytes, NFCID3i, DIDi, BSi, BRi and PPi before the general bytes
+
+/*
+    Peer-to-peer mode with a phone (or another PN532): an LLCP link over NFC-DEP, the PN532 being the initiator
+    (InJumpForDEP) or the target (TgInitAsTarget).  The link runs a SNEP server receiving the NDEF messages pushed
+    by the peer, and push() sends NDEF messages to the SNEP server of the peer.
+
+    LLCP exchanges PDUs in turn: the initiator sends a PDU and the target answers with another, SYMM when there is
+    nothing to send.
+
+        'activated'     Emitted when the LLCP link with a peer is activated
+        'ndefReceived'  Emitted with each NDEF message received from the peer (Buffer)
+        'deactivated'   Emitted when the link is deactivated, or the peer left the field
+        'error'         Emitted when a command to the PN532 failed, which stops the peer-to-peer mode
+*/
+class PeerToPeer extends EventEmitter {
+    /*
+        @constructor
+        @param {PN532} pn532
+        @param {object} [options]
+        @param {string} [options.role='target'] - ROLE_INITIATOR to activate the peers, ROLE_TARGET to wait for
+            peers activating the PN532
+        @param {boolean} [options.rearm=true] - Whether to wait for the next peer once one left
+        @param {number} [options.activationTimeout=0] - Milliseconds to wait for a peer (0 waits forever)
+        @param {number} [options.timeout=5000] - Milliseconds to wait for each PDU of the peer
+        @param {number} [options.lto=100] - LLCP link timeout announced to the peer, in milliseconds
+        @param {number} [options.symmInterval=10] - Milliseconds between the SYMM PDUs of the initiator, when
+            neither side has anything to send
+        @param {(array|Buffer)} [options.nfcId3] - NFCID3 (10 bytes), random by default
+        @param {boolean} [options.active=false] - Whether the initiator uses the active communication mode
+        @param {number} [options.baudRate=DEP_BAUD_106] - Baud rate of the initiator, see DEP_BAUD_* exports
+        @param {number} [options.maxMessageSize=65536] - Largest NDEF message received
+    */
+    constructor(pn532, options) {
+        super();
+        options = options || {};
+
+        this.pn532 = pn532;
+        this.role = options.role || ROLE_TARGET;
+        this.rearm = options.rearm === undefined ? true : !!options.rearm;
+        this.activationTimeout = options.activationTimeout || 0;
+        this.timeout = options.timeout || 5000;
+        this.lto = options.lto;
+        this.symmInterval = options.symmInterval === undefined ? 10 : options.symmInterval;
+        this.nfcId3 = options.nfcId3 ? new Buffer(options.nfcId3) : crypto.randomBytes(10);
+        this.active = !!options.active;
+        this.baudRate = options.baudRate || c.DEP_BAUD_106;
+        this.isRunning = false;
+        this.link = null;
+        this._waitingFor = null; // Command waiting for a peer, aborted by stop()
+
+        this.snepServer = new snep.SnepServer({maxMessageSize: options.maxMessageSize});
+        this.snepServer.on('put', (message) => this.emit('ndefReceived', message));
+    }
+
+    // Whether an LLCP link with a peer is active
+    get isActive() {
+        return !!this.link && this.link.isActive;
+    }
+
+    // Start waiting for peers (target), or activating them (initiator)
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        logger.info('Starting peer-to-peer mode as ' + this.role);
+        this.isRunning = true;
+        this._run();
+    }
+
+    /*
+        Stop the peer-to-peer mode, deactivating the link with the current peer (or aborting the command waiting
+        for a peer when none is activated, commands of others are left alone)
+
+        @returns {Promise} Resolves once stopped
+    */
+    stop() {
+        logger.info('Stopping peer-to-peer mode');
+        this.isRunning = false;
+        if (this.isActive) {
+            this.link.deactivate();
+        } else if (this._waitingFor !== null) {
+            this.pn532.abortCommand(this._waitingFor);
+        }
+        return this._running || Promise.resolve();
+    }
+
+    /*
+        Send an NDEF message to the SNEP server of the peer
+
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+        @returns {Promise} Resolves once the peer accepted the message.  Rejects with an LlcpError if no link is
+            active or the peer refused the connection, and with a SnepError if the peer did not accept the message.
+    */
+    push(message) {
+        if (!this.isActive) {
+            return Promise.reject(new errors.LlcpError('No peer-to-peer link is active'));
+        }
+        try {
+            message = ndef.toMessage(message);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        logger.info('Pushing NDEF message', util.inspect(message));
+        return this.link.connect(llcp.SAP_SNEP)
+            .then((connection) => {
+                return snep.put(connection, message)
+                    .then(() => connection.close(), (error) => {
+                        connection.close();
+                        throw error;
+                    });
+            });
+    }
+
+    /*
+        Track a command waiting for a peer, for stop() to abort it
+
+        @param {number} command - Command code
+        @param {function} send - Sends the command, returning its Promise
+        @returns {Promise} The Promise returned by send
+    */
+    _waitFor(command, send) {
+        this._waitingFor = command;
+        var done = () => {
+            this._waitingFor = null;
+        };
+        return send().then((result) => {
+            done();
+            return result;
+        }, (error) => {
+            done();
+            throw error;
+        });
+    }
+
+    _run() {
+        if (!this.isRunning) {
+            this._running = null;
+            return;
+        }
+
+        var link = this.link = new llcp.LlcpLink({lto: this.lto});
+        link.listen(llcp.SAP_SNEP, (connection) => this.snepServer.handle(connection));
+        link.on('deactivated', () => {
+            logger.info('Link deactivated');
+            this.emit('deactivated');
+        });
+
+        var activation = this.role === ROLE_INITIATOR ? this._activateTarget(link) : this._waitForInitiator(link);
+        this._running = activation
+            .then(() => {
+                this.emit('activated');
+                return this.role === ROLE_INITIATOR ? this._exchangeAsInitiator(link) :
+                                                      this._exchangeAsTarget(link);
+            })
+            .catch((error) => {
+                if (error instanceof errors.CommandAbortedError && !this.isRunning) {
+                    return;
+                }
+                var isLinkLost = error instanceof errors.StatusError ||
+                                 error instanceof errors.CommandTimeoutError;
+                if (link.isActive && isLinkLost) {
+                    // Released by the initiator, or the peer left the field
+                    logger.info('Peer lost:', error.message);
+                    link.terminate();
+                } else {
+                    logger.error('Error in peer-to-peer mode', util.inspect(error));
+                    link.terminate();
+                    this.isRunning = false;
+                    this.emit('error', error);
+                }
+            })
+            .then(() => {
+                if (!this.rearm) {
+                    this.isRunning = false;
+                }
+                this._run();
+            });
+    }
+
+    // Activates a peer with InJumpForDEP, announcing LLCP in the general bytes of ATR_REQ
+    _activateTarget(link) {
+        return this._waitFor(c.COMMAND_IN_JUMP_FOR_DEP, () => this.pn532.jumpForDep({
+            active: this.active,
+            baudRate: this.baudRate,
+            nfcId3: this.nfcId3,
+            generalBytes: link.getGeneralBytes(),
+            timeout: this.activationTimeout
+        })).then((target) => {
+            this.target = target;
+            link.activate(target.generalBytes);
+        });
+    }
+
+    // Waits for a peer activating the PN532 with ATR_REQ, announcing LLCP in the general bytes of ATR_RES
+    _waitForInitiator(link) {
+        var felicaParams = NFCID2_NFC_DEP.concat(Array.from(this.nfcId3.slice(0, 6)), new Array(8).fill(0),
+                                                 [0xFF, 0xFF]);
+        return this._waitFor(c.TG_INIT_AS_TARGET, () => this.pn532.initAsTarget({
+            mode: c.TG_MODE_DEP_ONLY,
+            selRes: c.SAK_NFC_DEP_COMPLIANT,
+            felicaParams: felicaParams,
+            nfcId3: this.nfcId3,
+            generalBytes: link.getGeneralBytes(),
+            timeout: this.activationTimeout
+        })).then((result) => {
+            if (!(result.mode & c.TG_ACTIVATED_DEP)) {
+                throw new errors.LlcpError('Activated by an initiator not using NFC-DEP');
+            }
+            // The ATR_REQ received, preceded by its length at 106 kbps
+            var atrReq = result.initiatorCommand;
+            var offset = atrReq[0] === ATR_REQ_COMMAND ? 0 : 1;
+            link.activate(atrReq.slice(offset + ATR_REQ_HEADER_SIZE));
+        });
+    }
+
+    // Sends the PDUs of the link with InDataExchange, until the link is deactivated
+    _exchangeAsInitiator(link) {
+        if (!link.isActive) {
+            return this.pn532.releaseTarget(this.target.tagNumber).catch(() => {});
+        }
+
+        var pdu = link.nextPdu();
+        return this.pn532.dataExchange(this.target.tagNumber, pdu, {timeout: this.timeout})
+            .then((response) => {
+                link.receive(response);
+
+                var isIdle = llcp.decodePdu(pdu).ptype === llcp.PTYPE_SYMM &&
+                             llcp.decodePdu(response).ptype === llcp.PTYPE_SYMM && !link.hasPendingPdu();
+                if (isIdle && this.symmInterval) {
+                    return new Promise((resolve) => setTimeout(resolve, this.symmInterval));
+                }
+            })
+            .then(() => this._exchangeAsInitiator(link));
+    }
+
+    // Answers each PDU of the initiator with a PDU of the link, until the link is deactivated
+    _exchangeAsTarget(link) {
+        return this.pn532.targetGetData({timeout: this.timeout})
+            .then((pdu) => {
+                link.receive(pdu);
+                return this.pn532.targetSetData(link.nextPdu(), {timeout: this.timeout});
+            })
+            .then(() => link.isActive ? this._exchangeAsTarget(link) : undefined);
+    }
+}
+
+PeerToPeer.ROLE_INITIATOR = ROLE_INITIATOR;
+PeerToPeer.ROLE_TARGET = ROLE_TARGET;
+
+module.exports = PeerToPeer;
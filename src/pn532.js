@@ -7,10 +7,29 @@ setupLogging(process.env.PN532_LOGGING);
 var logger = require('winston').loggers.get('pn532');
 
 var FrameEmitter = require('./frame_emitter').FrameEmitter;
-var frame = require('./frame');
-var DataFrame = frame.DataFrame;
-var AckFrame = frame.AckFrame;
+var commandQueue = require('./command_queue');
+var CommandQueue = commandQueue.CommandQueue;
 var c = require('./constants');
+var errors = require('./errors');
+var targets = require('./targets');
+var Target = require('./target');
+var apduUtil = require('./apdu');
+var ApduServer = require('./apdu_server');
+var NdefTagEmulator = require('./ndef_tag_emulator');
+var llcp = require('./llcp');
+var snep = require('./snep');
+var PeerToPeer = require('./peer_to_peer');
+var mad = require('./mad');
+var ndef = require('./ndef');
+var mifareClassic = require('./mifare_classic');
+var ntag21x = require('./ntag21x');
+var type2Tag = require('./type2_tag');
+var virtualTags = require('./virtual_tags');
+var PN532_UART = require('./pn532_uart');
+var PN532_TCP = require('./pn532_tcp');
+var PN532_I2C = require('./pn532_i2c');
+var PN532_SPI = require('./pn532_spi');
+var PN532_Simulator = require('./pn532_simulator');
 
 var curTime = () => { // @WNR
     let cur = new Date();
@@ -18,83 +37,306 @@ var curTime = () => { // @WNR
            cur.getSeconds() + "." + cur.getMilliseconds() + "] ";
 }
 
+/*
+    Checks if an object implements the transport (hal) interface used to talk to the PN532:
+
+        init()          Prepares the transport, returns a Promise resolved once frames can be written
+        write(buffer)   Writes a frame (Buffer) to the PN532
+        close()         Releases the transport, returns a Promise (optional, see PN532.close())
+        'data' event    Emitted with each Buffer received from the PN532 (not necessarily whole frames)
+        'error' event   Emitted when the transport fails
+        'close' event   Emitted when the transport closed on its own, ie. a dropped connection (optional)
+*/
+function isHal(hal) {
+    return typeof hal.init === 'function' &&
+           typeof hal.write === 'function' &&
+           typeof hal.on === 'function';
+}
+
+// InitiatorData of InListPassiveTarget by type of card (section 7.3.5 of user manual)
+var INITIATOR_DATA = {};
+INITIATOR_DATA[c.CARD_FELICA212] = c.FELICA_POLLING_REQUEST;
+INITIATOR_DATA[c.CARD_FELICA414] = c.FELICA_POLLING_REQUEST;
+INITIATOR_DATA[c.CARD_ISO14443B] = [c.ISO14443B_AFI_ALL];
+
+// Listening to these events starts polling for tags
+var POLLING_EVENTS = ['tag', 'tagPresent', 'tagRemoved'];
+
 class PN532 extends EventEmitter {
     /*
         @constructor
-        @param {object} hal - An instance of node-serialport's SerialPort or node-i2c's i2c
+        @param {object} hal - A transport (see isHal(), ie. PN532_UART, PN532_TCP, PN532_I2C, PN532_SPI or
+            PN532_Simulator),
+            or an instance of node-serialport's SerialPort or node-i2c's i2c which is wrapped in its transport
+        @param {object} [options]
+        @param {number} [options.pollInterval=1000] - Milliseconds between tag scans when polling
+        @param {number} [options.scanTimeout=1000] - Milliseconds each poll waits for a tag to enter the field
+        @param {number} [options.presenceTimeout=200] - Milliseconds each poll waits for a present tag to answer
+        @param {number} [options.removalDebounce=2] - Number of polls in a row which must miss a present tag
+            before it is considered removed
+        @param {number} [options.pollIdleTime=1000] - Milliseconds without commands of the user (any priority but
+            PRIORITY_LOW) before polling resumes, so polls do not re-select the tag in the middle of a sequence
+        @param {number} [options.ackTimeout=50] - Milliseconds to wait for a command's ACK before resending it
+        @param {number} [options.timeout=1000] - Milliseconds to wait for a command's response after the ACK
+        @param {number} [options.retries=2] - Number of times a command is resent when NACKed or not acknowledged
     */
     constructor(hal, options) {
         super();
         options = options || {};
         this.pollInterval = options.pollInterval || 1000;
-
-        if (hal.constructor.name === 'SerialPort') {
-            var PN532_UART = require('./pn532_uart');
+        this.isClosed = false;
+        this.scanTimeout = options.scanTimeout || 1000;
+        this.presenceTimeout = options.presenceTimeout || 200;
+        this.removalDebounce = options.removalDebounce || 2;
+        this.pollIdleTime = options.pollIdleTime === undefined ? 1000 : options.pollIdleTime;
+        this.isPolling = false;
+        this.presentTag = null;
+        this.targets = []; // Targets currently listed by the PN532
+
+        // Activity of the user, pausing polling
+        this._userCommands = 0;       // Commands queued or in flight
+        this._lastUserCommand = 0;    // Time the last command ended
+        this._exclusiveSequences = 0; // Sequences running, see exclusive()
+
+        if (isHal(hal)) {
+            this.hal = hal;
+        } else if (hal.constructor.name === 'SerialPort') {
             this.hal = new PN532_UART(hal);
         } else if (hal.constructor.name === 'i2c') {
-            var PN532_I2C = require('./pn532_i2c');
             this.hal = new PN532_I2C(hal);
         } else {
-            throw new Error(curTime() + 'Unknown hardware type: ', hal.constructor.name);
+            throw new errors.PN532Error('Unknown hardware type: ' + hal.constructor.name);
         }
 
-        this.frameEmitter = new FrameEmitter(this.hal);
+        // Retransmission on NACK is described for HSU (UART) only
+        var nackOnError = this.hal instanceof PN532_UART;
+        this.frameEmitter = new FrameEmitter(this.hal, {nackOnError: nackOnError});
+        this.frameEmitter.on('frameError', (error) => this.emit('frameError', error));
+        this.commandQueue = new CommandQueue(this.hal, this.frameEmitter, {
+            ackTimeout: options.ackTimeout,
+            timeout: options.timeout,
+            retries: options.retries
+        });
+        this.hal.on('close', () => {
+            if (!this.isClosed) {
+                logger.warn(curTime() + 'Transport closed');
+                this.commandQueue.fail(new errors.TransportClosedError());
+                this.emit('close');
+            }
+        });
         this.hal.init().then(() => {
-            this.configureSecureAccessModule().then(() => this.emit('ready'));
+            return this.configureSecureAccessModule().then(() => this.emit('ready'));
+        }).catch((error) => {
+            logger.error(curTime() + 'Error initializing hardware', error);
+            this.emit('error', error);
         });
 
         this.on('newListener', (event) => {
-            // TODO: Only poll once (for each event type)
-            if (event === 'tag') {
-                console.log(curTime() + 'Polling for tag scans...');
-                var scanTag = () => {
-                    this.scanTag().then((tag) => {
-                        this.emit('tag', tag);
-                        setTimeout(() => scanTag(), this.pollInterval);
-                    });
-                };
-                scanTag();
+            if (POLLING_EVENTS.indexOf(event) !== -1) {
+                this.startPolling();
             }
         });
     }
 
-    sendCommand(commandBuffer) {
-        return new Promise((resolve, reject) => {
+    /*
+        Polls for tags, tracking the presence of the tag in the field.  Started when listening to one of
+        the 'tag', 'tagPresent' or 'tagRemoved' events.
+
+            'tag'           Emitted with the tag after each poll which found it in the field
+            'tagPresent'    Emitted with the tag once when it enters the field
+            'tagRemoved'    Emitted with the tag once it has left the field (after options.removalDebounce
+                            polls in a row did not find it)
+
+        Polls are skipped while the user sends commands (and until options.pollIdleTime after the last one), or runs
+        a sequence with exclusive(): each poll lists the targets again, which would reset their state (ie. the
+        authentication of a MIFARE Classic sector).
+    */
+    startPolling() {
+        if (this.isPolling) {
+            return;
+        }
+        logger.info(curTime() + 'Polling for tag scans...');
+        this.isPolling = true;
+
+        var misses = 0;
+
+        var removed = () => {
+            var tag = this.presentTag;
+            this.presentTag = null;
+            misses = 0;
+            this.emit('tagRemoved', tag);
+        };
 
-            var removeListeners = () => {
-                console.log(curTime() + 'Removing listeners');
-                this.frameEmitter.removeListener('frame', onFrame);
-                this.frameEmitter.removeListener('error', onError);
-            };
-
-            // Wire up listening to wait for response (or error) from PN532
-            var onFrame = (frame) => {
-                console.log(curTime() + 'Response received for sendCommand', util.inspect(frame));
-                // TODO: If no ACK after 15ms, resend? (page 40 of user guide, UART only)?
-
-                if (frame instanceof AckFrame) {
-                    logger.info(curTime() + 'Command Acknowledged', util.inspect(frame));
-                } else if (frame instanceof DataFrame) {
-                    logger.info(curTime() + 'Command Response', util.inspect(frame));
-                    removeListeners();
-                    resolve(frame);
+        var found = (tag) => {
+            if (this.presentTag && this.presentTag.uid !== tag.uid) {
+                removed(); // Replaced by another tag between polls
+            }
+            misses = 0;
+            this.emit('tag', tag);
+            if (!this.presentTag) {
+                this.presentTag = tag;
+                this.emit('tagPresent', tag);
+            }
+        };
+
+        var poll = () => {
+            if (!this.isPolling || this.isClosed) {
+                this.isPolling = false;
+                return;
+            }
+            if (this._isInUse()) {
+                this._pollTimer = setTimeout(poll, this.pollInterval);
+                return;
+            }
+
+            var scan = this.presentTag ? this.checkTagPresence(this.presentTag) : this.scanTag({
+                priority: commandQueue.PRIORITY_LOW,
+                timeout: this.scanTimeout
+            }).then((tags) => tags[0]);
+
+            scan
+                .then((tag) => {
+                    if (tag) {
+                        found(tag);
+                    } else if (this.presentTag && ++misses >= this.removalDebounce) {
+                        removed();
+                    }
+                })
+                .catch((error) => {
+                    // No tag entered the field before the scan timed out, the scan was aborted, or the transport is
+                    // closed until the user opens it again
+                    if (!(error instanceof errors.CommandTimeoutError) &&
+                        !(error instanceof errors.CommandAbortedError) &&
+                        !(error instanceof errors.TransportClosedError)) {
+                        logger.error(curTime() + 'Error polling for tag', error);
+                    }
+                })
+                .then(() => {
+                    this._pollTimer = setTimeout(poll, this.pollInterval);
+                });
+        };
+        poll();
+    }
+
+    // Stops polling for tags
+    stopPolling() {
+        logger.info(curTime() + 'Stopped polling for tag scans');
+        this.isPolling = false;
+        clearTimeout(this._pollTimer);
+    }
+
+    /*
+        Run a sequence of commands with no poll in between (ie. authenticate a MIFARE Classic sector, then read it)
+
+        @param {function} sequence - Sends the commands, returning a Promise
+        @returns {Promise} Resolves or rejects as the Promise returned by sequence
+    */
+    exclusive(sequence) {
+        this._exclusiveSequences++;
+        var done = () => {
+            this._exclusiveSequences--;
+            this._lastUserCommand = Date.now();
+        };
+        return Promise.resolve()
+            .then(() => sequence())
+            .then((result) => {
+                done();
+                return result;
+            }, (error) => {
+                done();
+                throw error;
+            });
+    }
+
+    // Whether the user is using the PN532, polls would then disturb the targets
+    _isInUse() {
+        return this._userCommands > 0 || this._exclusiveSequences > 0 ||
+               Date.now() - this._lastUserCommand < this.pollIdleTime;
+    }
+
+    /*
+        Checks if a tag is still in the field.  ISO/IEC14443-4 (ISO-DEP) tags are checked with the card presence
+        detection of Diagnose, other tags by scanning for tags again.
+
+        @param {object} tag - Tag returned by scanTag()
+        @param {object} [options]
+        @param {number} [options.priority=PRIORITY_LOW]
+        @param {number} [options.timeout] - Milliseconds to wait for the tag to answer (options.presenceTimeout
+            of the constructor by default)
+        @returns {Promise<object>} Resolves with the tag if it is present, otherwise undefined
+    */
+    checkTagPresence(tag, options) {
+        options = options || {};
+        var commandOptions = {
+            priority: options.priority === undefined ? commandQueue.PRIORITY_LOW : options.priority,
+            timeout: options.timeout || this.presenceTimeout
+        };
+
+        if (tag.SAK & c.SAK_ISO14443_4_COMPLIANT) {
+            return this.sendCommand([c.COMMAND_DIAGNOSE, c.DIAGNOSE_CARD_PRESENCE], commandOptions)
+                .then((frame) => frame.getDataBody()[0] === 0x00 ? tag : undefined);
+        }
+
+        return this.scanTag(commandOptions)
+            .then((scanned) => scanned.find((target) => target.uid === tag.uid))
+            .catch((error) => {
+                if (error instanceof errors.CommandTimeoutError) {
+                    return undefined;
                 }
-            };
-            this.frameEmitter.on('frame', onFrame);
-
-            var onError = (error) => {
-                logger.error(curTime() + 'Error received for sendCommand', error);
-                removeListeners();
-                reject(error);
-            };
-            this.frameEmitter.on('error', onError);
-
-            // Send command to PN532
-            var dataFrame = new DataFrame(commandBuffer);
-            var buffer = dataFrame.toBuffer();
-            console.log(curTime() + 'Sending buffer:', util.inspect(buffer));
-            this.hal.write(buffer);
-        });
+                throw error;
+            });
+    }
+
+    /*
+        Queue a command to be sent to the PN532.  Commands are sent one at a time.
+
+        @param {array} commandBuffer - Command code followed by the command's parameters
+        @param {object} [options]
+        @param {number} [options.priority] - See PRIORITY_* exports.  Higher priority commands are sent first.
+        @param {number} [options.ackTimeout] - Milliseconds to wait for the ACK before resending the command
+        @param {number} [options.timeout] - Milliseconds to wait for the response after the ACK (0 waits forever)
+        @param {number} [options.retries] - Number of times the command is resent when NACKed or not acknowledged
+        @returns {Promise<DataFrame>} Resolves with the response frame for the command.  Rejects with a
+            CommandTimeoutError if the command was not acknowledged or answered in time.
+    */
+    sendCommand(commandBuffer, options) {
+        var command = this.commandQueue.enqueue(commandBuffer, options);
+        if (options && options.priority === commandQueue.PRIORITY_LOW) {
+            return command;
+        }
+
+        this._userCommands++;
+        var done = () => {
+            this._userCommands--;
+            this._lastUserCommand = Date.now();
+        };
+        command.then(done, done);
+        return command;
+    }
+
+    /*
+        Stops polling, aborts the queued commands and closes the transport
+
+        @returns {Promise} Resolves once the transport is closed
+    */
+    close() {
+        logger.info(curTime() + 'Closing...');
+        this.isClosed = true;
+        this.stopPolling();
+        this.commandQueue.clear();
+        return typeof this.hal.close === 'function' ? this.hal.close() : Promise.resolve();
+    }
+
+    /*
+        Abort the command the PN532 is currently processing (ie. a scanTag() waiting for a tag).
+        The aborted command's promise rejects with a CommandAbortedError.
+
+        @param {number} [command] - Only abort this command (command code, ie. TG_GET_DATA), whether the PN532 is
+            processing it or it is queued
+        @returns {boolean} true if a command was aborted
+    */
+    abortCommand(command) {
+        return this.commandQueue.abort(command);
     }
 
     configureSecureAccessModule() {
@@ -138,210 +380,703 @@ class PN532 extends EventEmitter {
             });
     }
 
-    scanTag() {
+    /*
+        Lists the targets in the field (InListPassiveTarget), trying each type of card in turn until targets
+        are found
+
+        @param {object} [options]
+        @param {array} [options.types] - Types of card to scan for (CARD_* exports), by default ISO14443A only
+        @param {number} [options.maxTargets=1] - Maximum number of targets to list (1 or 2, Jewel lists 1)
+        @param {number} [options.priority] - See PRIORITY_* exports
+        @param {number} [options.timeout] - Milliseconds to wait for a tag of each type to enter the field (0 waits
+            forever).  Defaults to 0 when scanning a single type, otherwise to options.scanTimeout of the constructor.
+        @returns {Promise<array>} Resolves with a Target for each target of the first type found (see targets.js
+            for their properties), or an empty array if no target was found.  Rejects with a CommandTimeoutError if no
+            target was found and the last type scanned timed out.
+    */
+    scanTag(options) {
         logger.info(curTime() + 'Scanning tag...');
 
-        var maxNumberOfTargets = 0x01;
-        var baudRate = c.CARD_ISO14443A;
+        options = options || {};
+
+        var types = options.types || [c.CARD_ISO14443A];
+        var maxNumberOfTargets = options.maxTargets || 0x01;
+        var timeout = options.timeout;
+        if (timeout === undefined) {
+            timeout = types.length > 1 ? this.scanTimeout : 0;
+        }
 
-        var commandBuffer = [
-            c.COMMAND_IN_LIST_PASSIVE_TARGET,
-            maxNumberOfTargets,
-            baudRate
+        if (maxNumberOfTargets > 2) {
+            return Promise.reject(new errors.PN532Error('The PN532 lists 2 targets at most, got ' +
+                                                        maxNumberOfTargets));
+        }
+
+        var scanType = (index, timeoutError) => {
+            if (index >= types.length) {
+                return timeoutError ? Promise.reject(timeoutError) : Promise.resolve([]);
+            }
+
+            var baudRate = types[index];
+            var commandBuffer = [
+                c.COMMAND_IN_LIST_PASSIVE_TARGET,
+                baudRate === c.CARD_JEWEL ? 0x01 : maxNumberOfTargets,
+                baudRate
+            ].concat(INITIATOR_DATA[baudRate] || []);
+
+            return this.sendCommand(commandBuffer, {priority: options.priority, timeout: timeout})
+                .then((frame) => {
+                    var body = frame.getDataBody();
+                    logger.debug(curTime() + 'Targets listed:', util.inspect(body));
+
+                    var found = this._updateTargets(targets.parseListPassiveTarget(baudRate, body));
+                    return found.length ? found : scanType(index + 1, null);
+                }, (error) => {
+                    if (error instanceof errors.CommandTimeoutError) {
+                        // Background polls leave the targets of the user alone
+                        if (options.priority !== commandQueue.PRIORITY_LOW) {
+                            this._updateTargets([]);
+                        }
+                        return scanType(index + 1, error);
+                    }
+                    throw error;
+                });
+        };
+        return scanType(0, null);
+    }
+
+    /*
+        Polls for targets of several types in a single command (InAutoPoll).  The PN532 polls each type in turn,
+        pollCount times, until targets are found.
+
+        @param {object} [options]
+        @param {array} [options.types] - Types of target to poll for (AUTOPOLL_* exports, 15 at most).  Defaults to
+            Mifare (ISO/IEC14443A), ISO/IEC14443-4B, FeliCa 212 and 424 kbps and Jewel.
+        @param {number} [options.pollCount=1] - Number of polling (0x01-0xFE), AUTOPOLL_POLL_ENDLESS polls until
+            a target is found
+        @param {number} [options.period=2] - Time between pollings of a type, in units of 150ms (0x01-0x0F)
+        @param {number} [options.priority] - See PRIORITY_* exports
+        @param {number} [options.timeout] - Milliseconds to wait for the response (0 waits forever).  Defaults to
+            the time taken polling every type, pollCount times, or 0 when polling endlessly.
+        @returns {Promise<array>} Resolves with a Target for each target found (2 at most), see targets.js for
+            their properties.  autoPollType is the type each target was found with.
+    */
+    autoPoll(options) {
+        logger.info(curTime() + 'Auto polling...');
+
+        options = options || {};
+
+        var types = options.types || [
+            c.AUTOPOLL_MIFARE,
+            c.AUTOPOLL_ISO14443_4B,
+            c.AUTOPOLL_FELICA212,
+            c.AUTOPOLL_FELICA424,
+            c.AUTOPOLL_JEWEL
         ];
+        var pollCount = options.pollCount || 0x01;
+        var period = options.period || 0x02;
 
-        return this.sendCommand(commandBuffer)
+        if (!types.length || types.length > 15) {
+            return Promise.reject(new errors.PN532Error('Auto polling takes 1 to 15 types, got ' + types.length));
+        }
+        if (pollCount > c.AUTOPOLL_POLL_ENDLESS || period > 0x0F) {
+            return Promise.reject(new errors.PN532Error('Invalid auto polling pollCount ' + pollCount +
+                                                        ' or period ' + period));
+        }
+
+        var timeout = options.timeout;
+        if (timeout === undefined) {
+            timeout = pollCount === c.AUTOPOLL_POLL_ENDLESS ? 0 :
+                      pollCount * types.length * period * c.AUTOPOLL_PERIOD_UNIT + this.commandQueue.timeout;
+        }
+
+        var commandBuffer = [
+            c.COMMAND_IN_AUTO_POLL,
+            pollCount,
+            period
+        ].concat(types);
+
+        return this.sendCommand(commandBuffer, {priority: options.priority, timeout: timeout})
+            .then((frame) => this._updateTargets(targets.parseAutoPoll(frame.getDataBody())), (error) => {
+                if (error instanceof errors.CommandTimeoutError && options.priority !== commandQueue.PRIORITY_LOW) {
+                    this._updateTargets([]);
+                }
+                throw error;
+            });
+    }
+
+    /*
+        Replaces the targets listed by the PN532.  Targets listed again (same uid and logical number) are kept,
+        the others are invalidated.
+
+        @param {array} listed - Properties of the targets listed
+        @returns {array} The Target of each listed target
+    */
+    _updateTargets(listed) {
+        var previous = this.targets;
+        this.targets = listed.map((properties) => {
+            var target = previous.find((target) => target.isValid && target.tagNumber === properties.tagNumber &&
+                                                   target.uid === properties.uid);
+            if (target) {
+                Object.assign(target, properties);
+                target.isSelected = true;
+                target.activation++;
+                return target;
+            }
+            return new Target(this, properties);
+        });
+
+        previous
+            .filter((target) => this.targets.indexOf(target) === -1)
+            .forEach((target) => target._invalidate('replaced by a new scan'));
+
+        return this.targets;
+    }
+
+    /*
+        Sends a command taking a target's logical number and answering with a status byte (InSelect, InDeselect
+        and InRelease)
+
+        @returns {Promise} Rejects with a StatusError if the PN532 reports an error
+    */
+    _sendTargetCommand(command, tagNumber, options) {
+        return this.sendCommand([command, tagNumber], options)
             .then((frame) => {
-                var body = frame.getDataBody();
-                console.log('body', util.inspect(body));
-
-                var numberOfTags = body[0];
-                if (numberOfTags === 1) {
-                    var tagNumber = body[1];
-                    var uidLength = body[5];
-
-                    var uid = body.slice(6, 6 + uidLength)
-                                  .toString('hex')
-                                  .match(/.{1,2}/g)
-                                  .join(':');
-
-                    return {
-                        ATQA: body.slice(2, 4), // SENS_RES
-                        SAK: body[4],           // SEL_RES
-                        uid: uid
-                    };
+                var status = frame.getDataBody()[0];
+                if (errors.StatusError.isError(status)) {
+                    throw errors.StatusError.fromStatus(status, command);
                 }
             });
     }
 
-    readBlock(options) {
-        logger.info(curTime() + 'Reading block...');
+    /*
+        Select a target (InSelect)
 
-        var options = options || {};
+        @param {number} tagNumber - Logical number of the target
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise}
+    */
+    selectTarget(tagNumber, options) {
+        logger.info(curTime() + 'Selecting target ' + tagNumber + '...');
+        return this._sendTargetCommand(c.COMMAND_IN_SELECT, tagNumber, options)
+            .then(() => {
+                this.targets
+                    .filter((target) => target.tagNumber === tagNumber)
+                    .forEach((target) => {
+                        target.isSelected = true;
+                        target.activation++;
+                    });
+            });
+    }
 
-        var tagNumber = options.tagNumber || 0x01;
-        var blockAddress = options.blockAddress || 0x01;
+    /*
+        Deselect a target, the PN532 keeps its information (InDeselect)
 
-        var commandBuffer = [
-            c.COMMAND_IN_DATA_EXCHANGE,
-            tagNumber,
-            c.MIFARE_COMMAND_READ,
-            blockAddress,
-        ];
+        @param {number} tagNumber - Logical number of the target, 0 deselects all the targets
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise}
+    */
+    deselectTarget(tagNumber, options) {
+        logger.info(curTime() + 'Deselecting target ' + tagNumber + '...');
+        return this._sendTargetCommand(c.COMMAND_IN_DESELECT, tagNumber, options)
+            .then(() => {
+                this.targets
+                    .filter((target) => tagNumber === 0 || target.tagNumber === tagNumber)
+                    .forEach((target) => {
+                        target.isSelected = false;
+                    });
+            });
+    }
+
+    /*
+        Release a target, the PN532 forgets it (InRelease).  Its Target can no longer be used.
+
+        @param {number} tagNumber - Logical number of the target, 0 releases all the targets
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise}
+    */
+    releaseTarget(tagNumber, options) {
+        logger.info(curTime() + 'Releasing target ' + tagNumber + '...');
+        return this._sendTargetCommand(c.COMMAND_IN_RELEASE, tagNumber, options)
+            .then(() => {
+                var released = this.targets.filter((target) => tagNumber === 0 || target.tagNumber === tagNumber);
+                this.targets = this.targets.filter((target) => released.indexOf(target) === -1);
+                released.forEach((target) => {
+                    target.isReleased = true;
+                    target.isSelected = false;
+                    target._invalidate('released');
+                });
+            });
+    }
+
+    /*
+        Exchange data with a target (InDataExchange).  Data longer than the PN532 exchanges in one command is sent
+        in several commands chained with the MI (more information) bit of Tg, and responses with the MI bit set
+        in their status are completed with further commands.
+
+        @param {number} tagNumber - Logical number of the target
+        @param {(array|Buffer)} dataOut - Data (ie. a MIFARE command or an APDU) sent to the target
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>} Resolves with the data returned by the target.  Rejects with a StatusError
+            if the PN532 reports an error.
+    */
+    dataExchange(tagNumber, dataOut, options) {
+        dataOut = Array.from(dataOut);
+
+        var exchange = (chunk, isChained) => {
+            var commandBuffer = [
+                c.COMMAND_IN_DATA_EXCHANGE,
+                isChained ? tagNumber | c.DATA_EXCHANGE_MI : tagNumber
+            ].concat(chunk);
+
+            return this.sendCommand(commandBuffer, options)
+                .then((frame) => {
+                    var body = frame.getDataBody();
+                    logger.debug(curTime() + 'Frame data from data exchange:', util.inspect(body));
+
+                    var status = body[0];
+                    if (errors.StatusError.isError(status)) {
+                        throw errors.StatusError.fromStatus(status, c.COMMAND_IN_DATA_EXCHANGE);
+                    }
+                    return body;
+                });
+        };
+
+        // Send the chunks of the data but the last with the MI bit of Tg set
+        var send = (offset) => {
+            var chunk = dataOut.slice(offset, offset + c.DATA_EXCHANGE_MAX_DATA);
+            var isChained = offset + c.DATA_EXCHANGE_MAX_DATA < dataOut.length;
+            return exchange(chunk, isChained)
+                .then((body) => isChained ? send(offset + c.DATA_EXCHANGE_MAX_DATA) : body);
+        };
+
+        // Request the rest of the response while its status has the MI bit set
+        var receive = (body, received) => {
+            received = received.concat(body.slice(1)); // skip status byte
+            if (body[0] & c.DATA_EXCHANGE_MI) {
+                return exchange([], false).then((next) => receive(next, received));
+            }
+            return Buffer.concat(received);
+        };
+
+        return send(0).then((body) => receive(body, []));
+    }
+
+    /*
+        Exchange raw data with the selected target (InCommunicateThru), ie. commands that InDataExchange does not
+        pass as is (GET_VERSION of NTAG21x is taken for a MIFARE Classic authentication)
 
-        return this.sendCommand(commandBuffer)
+        @param {(array|Buffer)} dataOut - Data sent to the target
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>} Resolves with the data returned by the target.  Rejects with a StatusError
+            if the PN532 reports an error.
+    */
+    communicateThru(dataOut, options) {
+        var commandBuffer = [c.COMMAND_IN_COMMUNICATE_THRU].concat(Array.from(dataOut));
+        return this.sendCommand(commandBuffer, options)
             .then((frame) => {
                 var body = frame.getDataBody();
-                console.log(curTime() + 'Frame data from block read:', util.inspect(body));
+                logger.debug(curTime() + 'Frame data from communicate thru:', util.inspect(body));
+
+                if (errors.StatusError.isError(body[0])) {
+                    throw errors.StatusError.fromStatus(body[0], c.COMMAND_IN_COMMUNICATE_THRU);
+                }
+                return body.slice(1);
+            });
+    }
+
+    /*
+        Exchange an APDU with an ISO/IEC14443-4 (ISO-DEP) target, ie. a smart card or a phone emulating a card (HCE).
+        Responses with SW1 61 (more data available) are completed with GET RESPONSE, and commands answered
+        with SW1 6C (wrong Le) are resent with the Le given by SW2.
+
+        @param {Target} target - Target returned by scanTag() or autoPoll()
+        @param {(array|Buffer)} apdu - Command APDU
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<object>} Resolves with the response: {data, sw1, sw2, sw, ok}, ok being whether the status
+            is 90 00 (see apdu.js)
+    */
+    transceiveApdu(target, apdu, options) {
+        if (target.type === targets.TYPE_ISO14443A && !(target.SAK & c.SAK_ISO14443_4_COMPLIANT)) {
+            return Promise.reject(new errors.PN532Error('Target ' + target.tagNumber + ' (' + target.uid +
+                                                        ') is not ISO/IEC14443-4 compliant'));
+        }
+
+        logger.info(curTime() + 'Exchanging APDU...', util.inspect(apdu));
+        apdu = new Buffer(apdu);
+
+        var transceive = (command, received) => {
+            return target.transceive(command, options)
+                .then((data) => {
+                    var response = apduUtil.parseResponse(data);
+                    received.push(response.data);
+
+                    if (response.sw1 === apduUtil.SW1_MORE_DATA) {
+                        var getResponse = apduUtil.buildCommand(apdu[0], apduUtil.INS_GET_RESPONSE, 0x00, 0x00,
+                                                                null, response.sw2);
+                        return transceive(getResponse, received);
+                    }
+                    if (response.sw1 === apduUtil.SW1_WRONG_LE && command === apdu) {
+                        // Le is appended to a command which had none, or replaces it
+                        var parsed = apduUtil.parseCommand(apdu);
+                        var resent = apduUtil.buildCommand(parsed.cla, parsed.ins, parsed.p1, parsed.p2, parsed.data,
+                                                           response.sw2 || 256);
+                        return transceive(resent, []);
+                    }
+
+                    response.data = Buffer.concat(received);
+                    return response;
+                });
+        };
+        return transceive(apdu, []);
+    }
 
-                var status = body[0];
+    /*
+        Select an application on an ISO/IEC14443-4 (ISO-DEP) target by its AID (SELECT by DF name)
+
+        @param {Target} target - Target returned by scanTag() or autoPoll()
+        @param {(array|Buffer|string)} aid - Application identifier, as bytes or a hex string
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<object>} Resolves with the response of transceiveApdu(), its data being the FCI
+    */
+    selectAid(target, aid, options) {
+        return this.transceiveApdu(target, apduUtil.selectAid(aid), options);
+    }
+
+    /*
+        Activate an NFC-DEP target (ie. a phone in peer-to-peer mode), the PN532 being the initiator
+        (InJumpForDEP).  The target replaces the targets of previous scans, data is exchanged with dataExchange().
+
+        @param {object} [options]
+        @param {boolean} [options.active=false] - Whether to use the active communication mode
+        @param {number} [options.baudRate=DEP_BAUD_106] - See DEP_BAUD_* exports
+        @param {(array|Buffer)} [options.nfcId3] - NFCID3i (10 bytes), chosen by the PN532 by default
+        @param {(array|Buffer)} [options.generalBytes] - General bytes of ATR_REQ (ie. LLCP parameters)
+        @param {number} [options.priority] - See PRIORITY_* exports
+        @param {number} [options.timeout=0] - Milliseconds to wait for a target (0 waits forever)
+        @returns {Promise<Target>} Resolves with the target, its generalBytes being those of its ATR_RES.  Rejects
+            with a StatusError if the PN532 reports an error.
+    */
+    jumpForDep(options) {
+        logger.info(curTime() + 'Activating NFC-DEP target...');
+
+        options = options || {};
+
+        var baudRate = options.baudRate || c.DEP_BAUD_106;
+        var next = 0;
+        var parameters = [];
+        if (!options.active && baudRate !== c.DEP_BAUD_106) {
+            next |= c.DEP_NEXT_PASSIVE_INITIATOR_DATA;
+            parameters = parameters.concat(c.DEP_PASSIVE_INITIATOR_DATA);
+        }
+        if (options.nfcId3) {
+            next |= c.DEP_NEXT_NFCID3;
+            parameters = parameters.concat(Array.from(options.nfcId3));
+        }
+        if (options.generalBytes && options.generalBytes.length) {
+            next |= c.DEP_NEXT_GENERAL_BYTES;
+            parameters = parameters.concat(Array.from(options.generalBytes));
+        }
+
+        var commandBuffer = [c.COMMAND_IN_JUMP_FOR_DEP, options.active ? 0x01 : 0x00, baudRate, next]
+            .concat(parameters);
+
+        return this.sendCommand(commandBuffer, {priority: options.priority, timeout: options.timeout || 0})
+            .then((frame) => {
+                var body = frame.getDataBody();
+                logger.debug(curTime() + 'NFC-DEP target activated:', util.inspect(body));
 
-                if (status === 0x13) {
-                    logger.warn(curTime() + 'The data format does not match to the specification.');
+                if (errors.StatusError.isError(body[0])) {
+                    throw errors.StatusError.fromStatus(body[0], c.COMMAND_IN_JUMP_FOR_DEP);
                 }
-                var block = body.slice(1, body.length - 1); // skip status byte and last byte (not part of memory)
-                // var unknown = body[body.length];
+                return this._updateTargets([targets.parseJumpForDep(body)])[0];
+            });
+    }
 
-                return block;
-        });
+    /*
+        Configure the PN532 as a target and wait to be activated by an initiator (TgInitAsTarget)
+
+        @param {object} [options]
+        @param {number} [options.mode] - TG_MODE_* flags, ISO/IEC14443-4 PICC emulation only by default
+        @param {(array|Buffer)} [options.sensRes=[0x04, 0x00]] - SENS_RES (ATQA) answered to the initiator
+        @param {(array|Buffer)} [options.nfcId1=[0x00, 0x00, 0x00]] - Last 3 bytes of the UID (the PN532 sets
+            the first byte to 0x08, a random UID)
+        @param {number} [options.selRes=0x20] - SEL_RES (SAK) answered to the initiator, ISO/IEC14443-4 compliant
+        @param {(array|Buffer)} [options.felicaParams] - NFCID2t, PAD and system code (18 bytes)
+        @param {(array|Buffer)} [options.nfcId3] - NFCID3t (10 bytes)
+        @param {(array|Buffer)} [options.generalBytes] - General bytes of ATR_RES (DEP)
+        @param {(array|Buffer)} [options.historicalBytes] - Historical bytes of the ATS (PICC emulation)
+        @param {number} [options.timeout=0] - Milliseconds to wait for an initiator (0 waits forever)
+        @param {number} [options.priority] - See PRIORITY_* exports
+        @returns {Promise<object>} Resolves once activated with {mode, initiatorCommand}: the mode the PN532 was
+            activated in, and the first command received from the initiator
+    */
+    initAsTarget(options) {
+        logger.info(curTime() + 'Initializing as target...');
+
+        options = options || {};
+
+        var generalBytes = Array.from(options.generalBytes || []);
+        var historicalBytes = Array.from(options.historicalBytes || []);
+
+        var commandBuffer = [].concat(
+            [c.TG_INIT_AS_TARGET],
+            [options.mode === undefined ? c.TG_MODE_PASSIVE_ONLY | c.TG_MODE_PICC_ONLY : options.mode],
+            Array.from(options.sensRes || [0x04, 0x00]),
+            Array.from(options.nfcId1 || [0x00, 0x00, 0x00]),
+            [options.selRes === undefined ? c.SAK_ISO14443_4_COMPLIANT : options.selRes],
+            Array.from(options.felicaParams || new Buffer(18).fill(0)),
+            Array.from(options.nfcId3 || new Buffer(10).fill(0)),
+            [generalBytes.length], generalBytes,
+            [historicalBytes.length], historicalBytes
+        );
+
+        return this.sendCommand(commandBuffer, {priority: options.priority, timeout: options.timeout || 0})
+            .then((frame) => {
+                var body = frame.getDataBody();
+                return {
+                    mode: body[0],
+                    initiatorCommand: body.slice(1)
+                };
+            });
     }
 
-    readNdefData() {
-        logger.info(curTime() + 'Reading data...');
+    /*
+        Receive data from the initiator, the PN532 being activated as a target (TgGetData).  Data received with
+        the MI (more information) bit set in the status is completed with further TgGetData.
+
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>} Resolves with the data received (ie. a command APDU).  Rejects with a
+            StatusError if the PN532 reports an error, ie. a TargetReleasedError once the initiator released it.
+    */
+    targetGetData(options) {
+        var receive = (received) => {
+            return this._sendTargetDataCommand([c.TG_GET_DATA], options)
+                .then((body) => {
+                    logger.debug(curTime() + 'Data from initiator:', util.inspect(body));
+
+                    received = received.concat(body.slice(1)); // skip status byte
+                    return body[0] & c.DATA_EXCHANGE_MI ? receive(received) : Buffer.concat(received);
+                });
+        };
+        return receive([]);
+    }
 
-        return this.readBlock({blockAddress: 0x04})
-            .then((block) => {
-                console.log(curTime() + 'block:', util.inspect(block));
+    /*
+        Send data to the initiator in response to the data received, the PN532 being activated as a target
+        (TgSetData).  Data longer than the PN532 sends in one command is preceded by TgSetMetaData commands
+        sending the first chunks with the MI (more information) bit.
 
-                // Find NDEF TLV (0x03) in block of data - See NFC Forum Type 2 Tag Operation Section 2.4 (TLV Blocks)
-                var ndefValueOffset = null;
-                var ndefLength = null;
-                var blockOffset = 0;
+        @param {(array|Buffer)} data - Data sent (ie. a response APDU)
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise} Rejects with a StatusError if the PN532 reports an error
+    */
+    targetSetData(data, options) {
+        logger.debug(curTime() + 'Data to initiator:', util.inspect(data));
+        data = Array.from(data);
+
+        var send = (offset) => {
+            var chunk = data.slice(offset, offset + c.DATA_EXCHANGE_MAX_DATA);
+            if (offset + c.DATA_EXCHANGE_MAX_DATA < data.length) {
+                return this._sendTargetDataCommand([c.TG_SET_META_DATA].concat(chunk), options)
+                    .then(() => send(offset + c.DATA_EXCHANGE_MAX_DATA));
+            }
+            return this._sendTargetDataCommand([c.TG_SET_DATA].concat(chunk), options);
+        };
+        return send(0);
+    }
 
-                while (ndefValueOffset === null) {
-                    console.log(curTime() + 'blockOffset:', blockOffset, 'block.length:', block.length);
-                    if (blockOffset >= block.length) {
-                        throw new Error(curTime() + 'Unable to locate NDEF TLV (0x03) byte in block:', block)
-                    }
+    /*
+        Sends a command of the PN532 activated as a target, answering with a status byte
 
-                    var type = block[blockOffset];       // Type of TLV
-                    var length = block[blockOffset + 1]; // Length of TLV
-                    console.log(curTime() + 'blockOffset', blockOffset);
-                    console.log(curTime() + 'type', type, 'length', length);
-
-                    if (type === c.TAG_MEM_NDEF_TLV) {
-                        console.log('NDEF TLV found');
-                        ndefLength = length;                  // Length proceeds NDEF_TLV type byte
-                        ndefValueOffset = blockOffset + 2;    // Value (NDEF data) proceeds NDEV_TLV length byte
-                        console.log(curTime() + 'ndefLength:', ndefLength);
-                        console.log(curTime() + 'ndefValueOffset:', ndefValueOffset);
-                    } else {
-                        // Skip TLV (type byte, length byte, plus length of value)
-                        blockOffset = blockOffset + 2 + length;
-                    }
+        @returns {Promise<Buffer>} Resolves with the response body, status byte included.  Rejects with
+            a StatusError if the PN532 reports an error.
+    */
+    _sendTargetDataCommand(commandBuffer, options) {
+        return this.sendCommand(commandBuffer, options)
+            .then((frame) => {
+                var body = frame.getDataBody();
+                if (errors.StatusError.isError(body[0])) {
+                    throw errors.StatusError.fromStatus(body[0], commandBuffer[0]);
                 }
+                return body;
+            });
+    }
 
-                var ndefData = block.slice(ndefValueOffset, block.length);
-                var additionalBlocks = Math.ceil((ndefValueOffset + ndefLength) / 16) - 1;
-                console.log(curTime() + 'Additional blocks needing to retrieve:', additionalBlocks);
-
-                // Sequentially grab each additional 16-byte block (or 4x 4-byte pages) of data, chaining promises
-                var self = this;
-                var allDataPromise = (function retrieveBlock(blockNum) {
-                    if (blockNum <= additionalBlocks) {
-                        var blockAddress = 4 * (blockNum + 1);
-                        console.log(curTime() + 'Retrieving block:', blockNum, 'at blockAddress:', blockAddress);
-                        return self.readBlock({blockAddress: blockAddress})
-                            .then(function(block) {
-                                blockNum++;
-                                ndefData = Buffer.concat([ndefData, block]);
-                                return retrieveBlock(blockNum);
-                            });
-                    }
-                })(1);
+    /*
+        Serve applications to the initiators (ie. phones in reader mode) tapping the PN532, the PN532 acting as an
+        ISO/IEC14443-4 card.  See ApduServer for the handlers, options and events.
+
+        @param {object} handlers - Handler of each application, by AID (hex string)
+        @param {object} [options] - Options of ApduServer
+        @returns {ApduServer} The started server, stop it with its stop() method
+    */
+    serve(handlers, options) {
+        var server = new ApduServer(this, handlers, options);
+        server.start();
+        return server;
+    }
+
+    /*
+        Emulate an NFC Forum Type 4 tag serving an NDEF message to the phones (or readers) tapping the PN532.
+        See NdefTagEmulator for the options and events.
+
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+        @param {object} [options] - Options of NdefTagEmulator
+        @returns {NdefTagEmulator} The started emulator, stop it with its stop() method
+    */
+    emulateNdefTag(message, options) {
+        var emulator = new NdefTagEmulator(this, message, options);
+        emulator.start();
+        return emulator;
+    }
 
-                return allDataPromise.then(() => ndefData.slice(0, ndefLength));
-            })
-            .catch(function(error) {
-                logger.error(curTime() + 'ERROR:', error);
+    /*
+        Start the peer-to-peer mode (LLCP over NFC-DEP), by default waiting for phones activating the PN532.
+        The NDEF messages pushed by the peers (SNEP) are emitted as 'ndefReceived' events of the PN532.  See
+        PeerToPeer for the options and events.
+
+        @param {object} [options] - Options of PeerToPeer
+        @returns {PeerToPeer} The started peer-to-peer mode, push messages with its push() method and stop it with
+            its stop() method
+    */
+    startPeerToPeer(options) {
+        var peerToPeer = new PeerToPeer(this, options);
+        peerToPeer.on('ndefReceived', (message) => this.emit('ndefReceived', message));
+        peerToPeer.start();
+        return peerToPeer;
+    }
+
+    /*
+        Push an NDEF message to a phone in peer-to-peer mode (SNEP PUT), the PN532 activating it as initiator.
+        The link is deactivated once the message was accepted.  NDEF messages pushed by the phone meanwhile are
+        emitted as 'ndefReceived' events.
+
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+        @param {object} [options] - Options of PeerToPeer, ie. activationTimeout to stop waiting for a phone
+        @returns {Promise} Resolves once the phone accepted the message.  Rejects with an LlcpError or a SnepError
+            if the phone refused it, or with a CommandTimeoutError if no phone was found in time.
+    */
+    snepPush(message, options) {
+        var peerToPeer = new PeerToPeer(this, Object.assign({}, options, {
+            role: PeerToPeer.ROLE_INITIATOR,
+            rearm: false
+        }));
+        peerToPeer.on('ndefReceived', (message) => this.emit('ndefReceived', message));
+
+        return new Promise((resolve, reject) => {
+            peerToPeer.once('error', reject);
+            peerToPeer.once('activated', () => {
+                peerToPeer.push(message)
+                    .then(() => peerToPeer.stop().then(resolve), (error) => {
+                        peerToPeer.stop().then(() => reject(error));
+                    });
             });
+            peerToPeer.start();
+        });
     }
 
-    writeBlock(block, options) {
-        logger.info(curTime() + 'Writing block...');
+    readBlock(options) {
+        logger.info(curTime() + 'Reading block...');
 
         var options = options || {};
 
         var tagNumber = options.tagNumber || 0x01;
         var blockAddress = options.blockAddress || 0x01;
 
-        var commandBuffer = [].concat([
-            c.COMMAND_IN_DATA_EXCHANGE,
-            tagNumber,
-            c.MIFARE_COMMAND_WRITE_4,
+        return this.dataExchange(tagNumber, [
+            c.MIFARE_COMMAND_READ,
             blockAddress
-        ],  block);
+        ]);
+    }
 
-        return this.sendCommand(commandBuffer)
-            .then((frame) => {
-                var body = frame.getDataBody();
-                console.log(curTime() + 'Frame data from block write:', util.inspect(body));
+    /*
+        Read the NDEF message of the Type 2 tag scanned last (its first NDEF TLV), see Type2Tag.readNdef()
 
-                var status = body[0];
+        @returns {Promise<Buffer>} Rejects with a PN532Error if no tag was scanned, the tag is not NDEF formatted or
+            has no NDEF TLV
+    */
+    readNdefData() {
+        logger.info(curTime() + 'Reading data...');
 
-                if (status === 0x13) {
-                    logger.warn(curTime() + 'The data format does not match to the specification.');
-                }
-                var block = body.slice(1, body.length - 1); // skip status byte and last byte (not part of memory)
-                // var unknown = body[body.length];
+        var target = this.targets[0];
+        if (!target) {
+            return Promise.reject(new errors.PN532Error('No tag to read, scan a tag first'));
+        }
+        return new type2Tag.Type2Tag(target).readNdef();
+    }
 
-                return block;
-            });
+    /*
+        Read the NDEF records of the Type 2 tag scanned last, see readNdefData()
+
+        @returns {Promise<array>} Resolves with the NdefRecords (none for an empty NDEF TLV).  Rejects with an
+            NdefError if the message is malformed.
+    */
+    readNdef() {
+        return this.readNdefData().then((data) => ndef.decodeMessage(data));
     }
 
-    writeNdefData(data) {
-        logger.info(curTime() + 'Writing data...');
+    writeBlock(block, options) {
+        logger.info(curTime() + 'Writing block...');
 
-        // Prepend data with NDEF type and length (TLV) and append terminator TLV
-        var block = [].concat([
-            c.TAG_MEM_NDEF_TLV,
-            data.length
-        ],  data, [
-            c.TAG_MEM_TERMINATOR_TLV
-        ]);
+        var options = options || {};
 
-        console.log(curTime() + 'block:', util.inspect(new Buffer(block)));
+        var tagNumber = options.tagNumber || 0x01;
+        var blockAddress = options.blockAddress || 0x01;
 
-        var PAGE_SIZE = 4;
-        var totalBlocks = Math.ceil(block.length / PAGE_SIZE);
+        // 16 byte blocks (ie. MIFARE Classic), or 4 byte pages (ie. MIFARE Ultralight/NTAG)
+        var command = block.length === 16 ? c.MIFARE_COMMAND_WRITE_16 : c.MIFARE_COMMAND_WRITE_4;
+        return this.dataExchange(tagNumber, [].concat([
+            command,
+            blockAddress
+        ],  Array.from(block)));
+    }
 
-        // Sequentially write each additional 4-byte pages of data, chaining promises
-        var self = this;
-        var allPromises = (function writeBlock(blockNum) {
-            if (blockNum < totalBlocks) {
-                var blockAddress = 0x04 + blockNum;
-                var pageData = block.splice(0, PAGE_SIZE);
+    /*
+        Write an NDEF message to the Type 2 tag scanned last, see Type2Tag.writeNdef()
 
-                if (pageData.length < PAGE_SIZE) {
-                    pageData.length = PAGE_SIZE; // Setting length will make sure NULL TLV (0x00) are written at the end of the page
-                }
+        @param {(array|Buffer)} data - Encoded NDEF message, or NdefRecords
+        @param {object} [options] - Options of Type2Tag.writeNdef(), ie. {verify: true}
+        @returns {Promise} Rejects with a PN532Error if no tag was scanned, or the message cannot be written
+    */
+    writeNdefData(data, options) {
+        logger.info(curTime() + 'Writing data...');
 
-                console.log(curTime() + 'Writing block:', blockNum, 'at blockAddress:', blockAddress);
-                console.log(curTime() + 'pageData:', util.inspect(new Buffer(pageData)));
-                return self.writeBlock(pageData, {blockAddress: blockAddress})
-                .then(function(block) {
-                    blockNum++;
-                    // ndefData = Buffer.concat([ndefData, block]);
-                    return writeBlock(blockNum);
-                });
-            }
-        })(0);
+        var target = this.targets[0];
+        if (!target) {
+            return Promise.reject(new errors.PN532Error('No tag to write, scan a tag first'));
+        }
+        return new type2Tag.Type2Tag(target).writeNdef(data, options);
+    }
 
-        // return allDataPromise.then(() => ndefData.slice(0, ndefLength));
-        return allPromises;
+    /*
+        Write NDEF records to the Type 2 tag scanned last, see writeNdefData()
+
+        @param {(array|NdefRecord)} records - NdefRecords, ie. [ndef.uriRecord('https://example.com')]
+        @param {object} [options] - Options of Type2Tag.writeNdef(), ie. {verify: true}
+        @returns {Promise} Rejects with an NdefError if not given NdefRecords (see writeNdefData() for encoded
+            messages)
+    */
+    writeNdef(records, options) {
+        records = [].concat(records);
+        if (!records.every((record) => record instanceof ndef.NdefRecord)) {
+            return Promise.reject(new errors.NdefError('writeNdef() takes NdefRecords, ' +
+                                                       'write encoded messages with writeNdefData()'));
+        }
+        return this.writeNdefData(ndef.encodeMessage(records), options);
     }
 
-    // WIP
+    /*
+        Authenticate the sector of a MIFARE Classic block.  See MifareClassic, which authenticates the sectors
+        accessed with the keys of a key store.
+
+        @param {string} uid - UID of the tag (ie. 'de:ad:be:ef'), the last 4 bytes being used
+        @param {object} [options]
+        @param {number} [options.blockAddress=4]
+        @param {number} [options.authType=MIFARE_COMMAND_AUTH_A] - MIFARE_COMMAND_AUTH_A or MIFARE_COMMAND_AUTH_B
+        @param {array} [options.authKey=[0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]]
+        @param {number} [options.tagNumber=1]
+        @returns {Promise} Rejects with an AuthenticationError if the key is wrong
+    */
     authenticateBlock(uid, options) {
         logger.info(curTime() + 'Authenticating block...');
 
@@ -351,33 +1086,99 @@ class PN532 extends EventEmitter {
         var authType = options.authType || c.MIFARE_COMMAND_AUTH_A
         var authKey = options.authKey || [0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
         var tagNumber = options.tagNumber || 0x01;
-        var uidArray = uid.split(':').map(s => Number('0x' + s));
+        var uidArray = uid.split(':').map(s => Number('0x' + s)).slice(-4);
 
-        var commandBuffer = [
-            c.COMMAND_IN_DATA_EXCHANGE,
-            tagNumber,
+        return this.dataExchange(tagNumber, [
             authType,
             blockAddress
-        ].concat(authKey).concat(uidArray);
-
-        return this.sendCommand(commandBuffer)
-        .then((frame) => {
-            var body = frame.getDataBody();
-            logger.info(curTime() + 'Frame data from mifare classic authenticate', util.inspect(body));
-
-            console.log(curTime() + 'body', body);
-            return body;
-
-            // var status = body[0];
-            // var tagData = body.slice(1, body.length);
-
-            // return {
-            //     status: status.toString(16),
-            //     tagData: tagData
-            // };
-        });
+        ].concat(authKey).concat(uidArray));
     }
 }
 
 exports.PN532 = PN532;
+exports.Target = Target;
+exports.apdu = apduUtil;
+exports.ApduServer = ApduServer;
+exports.NdefTagEmulator = NdefTagEmulator;
+exports.PeerToPeer = PeerToPeer;
+exports.mad = mad;
+exports.ndef = ndef;
+exports.NdefRecord = ndef.NdefRecord;
+exports.mifareClassic = mifareClassic;
+exports.MifareClassic = mifareClassic.MifareClassic;
+exports.KeyStore = mifareClassic.KeyStore;
+exports.KEY_A = mifareClassic.KEY_A;
+exports.KEY_B = mifareClassic.KEY_B;
+exports.type2Tag = type2Tag;
+exports.Type2Tag = type2Tag.Type2Tag;
+exports.ntag21x = ntag21x;
+exports.Ntag21x = ntag21x.Ntag21x;
+exports.llcp = llcp;
+exports.snep = snep;
+exports.PN532_UART = PN532_UART;
+exports.PN532_TCP = PN532_TCP;
+exports.PN532_I2C = PN532_I2C;
+exports.PN532_SPI = PN532_SPI;
+exports.PN532_Simulator = PN532_Simulator;
+exports.VirtualNtag215 = virtualTags.VirtualNtag215;
+exports.VirtualMifareClassic1K = virtualTags.VirtualMifareClassic1K;
+exports.VirtualIsoDepTag = virtualTags.VirtualIsoDepTag;
 exports.I2C_ADDRESS = c.I2C_ADDRESS;
+exports.CARD_ISO14443A = c.CARD_ISO14443A;
+exports.CARD_FELICA212 = c.CARD_FELICA212;
+exports.CARD_FELICA414 = c.CARD_FELICA414;
+exports.CARD_ISO14443B = c.CARD_ISO14443B;
+exports.CARD_JEWEL = c.CARD_JEWEL;
+exports.DEP_BAUD_106 = c.DEP_BAUD_106;
+exports.DEP_BAUD_212 = c.DEP_BAUD_212;
+exports.DEP_BAUD_424 = c.DEP_BAUD_424;
+exports.AUTOPOLL_GENERIC_106 = c.AUTOPOLL_GENERIC_106;
+exports.AUTOPOLL_GENERIC_212 = c.AUTOPOLL_GENERIC_212;
+exports.AUTOPOLL_GENERIC_424 = c.AUTOPOLL_GENERIC_424;
+exports.AUTOPOLL_ISO14443_4B = c.AUTOPOLL_ISO14443_4B;
+exports.AUTOPOLL_JEWEL = c.AUTOPOLL_JEWEL;
+exports.AUTOPOLL_MIFARE = c.AUTOPOLL_MIFARE;
+exports.AUTOPOLL_FELICA212 = c.AUTOPOLL_FELICA212;
+exports.AUTOPOLL_FELICA424 = c.AUTOPOLL_FELICA424;
+exports.AUTOPOLL_ISO14443_4A = c.AUTOPOLL_ISO14443_4A;
+exports.AUTOPOLL_ISO14443_4B_2 = c.AUTOPOLL_ISO14443_4B_2;
+exports.AUTOPOLL_DEP_PASSIVE_106 = c.AUTOPOLL_DEP_PASSIVE_106;
+exports.AUTOPOLL_DEP_PASSIVE_212 = c.AUTOPOLL_DEP_PASSIVE_212;
+exports.AUTOPOLL_DEP_PASSIVE_424 = c.AUTOPOLL_DEP_PASSIVE_424;
+exports.AUTOPOLL_DEP_ACTIVE_106 = c.AUTOPOLL_DEP_ACTIVE_106;
+exports.AUTOPOLL_DEP_ACTIVE_212 = c.AUTOPOLL_DEP_ACTIVE_212;
+exports.AUTOPOLL_DEP_ACTIVE_424 = c.AUTOPOLL_DEP_ACTIVE_424;
+exports.AUTOPOLL_POLL_ENDLESS = c.AUTOPOLL_POLL_ENDLESS;
+exports.TYPE_ISO14443A = targets.TYPE_ISO14443A;
+exports.TYPE_ISO14443B = targets.TYPE_ISO14443B;
+exports.TYPE_FELICA = targets.TYPE_FELICA;
+exports.TYPE_JEWEL = targets.TYPE_JEWEL;
+exports.TYPE_DEP = targets.TYPE_DEP;
+exports.FAMILY_ULTRALIGHT = targets.FAMILY_ULTRALIGHT;
+exports.FAMILY_CLASSIC_MINI = targets.FAMILY_CLASSIC_MINI;
+exports.FAMILY_CLASSIC_1K = targets.FAMILY_CLASSIC_1K;
+exports.FAMILY_CLASSIC_4K = targets.FAMILY_CLASSIC_4K;
+exports.FAMILY_DESFIRE = targets.FAMILY_DESFIRE;
+exports.FAMILY_ISO_DEP = targets.FAMILY_ISO_DEP;
+exports.FAMILY_FELICA = targets.FAMILY_FELICA;
+exports.FAMILY_JEWEL = targets.FAMILY_JEWEL;
+exports.FAMILY_UNKNOWN = targets.FAMILY_UNKNOWN;
+exports.PRIORITY_LOW = commandQueue.PRIORITY_LOW;
+exports.PRIORITY_NORMAL = commandQueue.PRIORITY_NORMAL;
+exports.PRIORITY_HIGH = commandQueue.PRIORITY_HIGH;
+exports.PN532Error = errors.PN532Error;
+exports.CommandTimeoutError = errors.CommandTimeoutError;
+exports.CommandAbortedError = errors.CommandAbortedError;
+exports.FrameError = errors.FrameError;
+exports.ApplicationError = errors.ApplicationError;
+exports.TransportClosedError = errors.TransportClosedError;
+exports.StaleTargetError = errors.StaleTargetError;
+exports.LlcpError = errors.LlcpError;
+exports.SnepError = errors.SnepError;
+exports.NdefError = errors.NdefError;
+exports.StatusError = errors.StatusError;
+exports.TargetTimeoutError = errors.TargetTimeoutError;
+exports.TransmissionError = errors.TransmissionError;
+exports.AuthenticationError = errors.AuthenticationError;
+exports.WrongContextError = errors.WrongContextError;
+exports.TargetReleasedError = errors.TargetReleasedError;
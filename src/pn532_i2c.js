@@ -1,30 +1,83 @@
 'use strict';
-var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 var logger = require('winston').loggers.get('i2c');
 
-class PN532_I2C extends EventEmitter {
-    constructor(wire) {
-        super();
+var PollingHal = require('./polling_hal');
+var c = require('./constants');
+
+/*
+    Transport for a PN532 on an I2C bus (section 6.2.4 of user manual).
+
+    Each read from the PN532 starts with a status byte, which is 0x00 (I2C_BUSY) until the PN532 has a frame ready
+    to be read, then 0x01 (I2C_READY).  The read bit of the address byte is set by the I2C driver.
+*/
+class PN532_I2C extends PollingHal {
+    /*
+        @constructor
+        @param {object} wire - An instance of node-i2c's i2c (or an object with the same read/write methods)
+        @param {object} [options] - See PollingHal
+        @param {object} [options.irq] - GPIO connected to the PN532's IRQ pin
+        @param {number} [options.pollInterval=5] - Milliseconds between polls of the status byte
+        @param {number} [options.readyTimeout=I2C_READYTIMEOUT] - Milliseconds between checks of the IRQ line
+    */
+    constructor(wire, options) {
+        options = Object.assign({readyTimeout: c.I2C_READYTIMEOUT}, options);
+        super(logger, options);
+
         this.wire = wire;
     }
 
     init() {
         logger.debug('Initializing I2C...');
         return new Promise((resolve, reject) => {
-            this.wire.on('data', (data) => {
-                this.emit('data', data);
-            });
-
-            this.wire.on('error', (error) => {
-                this.emit('error', error);
-            });
+            if (typeof this.wire.on === 'function') {
+                this.wire.on('error', (error) => {
+                    this.emit('error', error);
+                });
+            }
 
             resolve();
         });
     }
 
-    write(buffer) {
-        this.wire.write(buffer);
+    close() {
+        // Stop reading the response of the last command
+        this._operation++;
+        return Promise.resolve();
+    }
+
+    _write(buffer) {
+        logger.debug('Writing', util.inspect(buffer));
+        return new Promise((resolve, reject) => {
+            this.wire.write(buffer, (error) => error ? reject(error) : resolve());
+        });
+    }
+
+    _readStatus() {
+        return this._readRaw(1).then((data) => {
+            if (data[0] !== c.I2C_READY && data[0] !== c.I2C_BUSY) {
+                logger.warn('Unexpected status byte', util.inspect(data[0]));
+            }
+            return data[0] === c.I2C_READY;
+        });
+    }
+
+    // Reads from the PN532, stripping the leading status byte
+    _read(length) {
+        return this._readRaw(length + 1).then((data) => data.slice(1));
+    }
+
+    _readRaw(length) {
+        return new Promise((resolve, reject) => {
+            this.wire.read(length, (error, data) => {
+                if (error) {
+                    return reject(error);
+                }
+                data = new Buffer(data);
+                logger.debug('Read', util.inspect(data));
+                resolve(data);
+            });
+        });
     }
 }
 
@@ -0,0 +1,573 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var logger = require('winston').loggers.get('simulator');
+
+var frame = require('./frame');
+var Frame = frame.Frame;
+var DataFrame = frame.DataFrame;
+var AckFrame = frame.AckFrame;
+var NackFrame = frame.NackFrame;
+var ErrorFrame = frame.ErrorFrame;
+var c = require('./constants');
+
+// Largest data the PN532 returns from a target in one InDataExchange response (section 7.3.8 of user manual)
+var MAX_DATA_IN = 262;
+
+var MI_BIT = 0x40; // More information (chaining) bit of the status byte and of Tg
+
+var ATR_REQ_COMMAND    = [0xD4, 0x00];
+var ATR_REQ_PARAMETERS = [0x00, 0x00, 0x00, 0x32];       // DIDi, BSi, BRi and PPi (254 bytes frames, general bytes)
+var ATR_RES_PARAMETERS = [0x00, 0x00, 0x00, 0x0E, 0x32]; // DIDt, BSt, BRt, TO and PPt
+
+var PICC_UID_PREFIX = 0x08;                              // The UID of a PN532 emulating a card is random
+var PICC_ATS        = [0x05, 0x75, 0x33, 0x92, 0x03];    // ATS of a PN532 emulating a card
+
+/*
+    In-memory PN532 speaking the frame protocol of the PN532_UART and PN532_I2C hals.  Virtual tags
+    (see virtual_tags.js) can be placed in and removed from its field.
+*/
+class PN532_Simulator extends EventEmitter {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {object} [options.firmwareVersion] - {IC, Ver, Rev, Support} answered to GetFirmwareVersion
+    */
+    constructor(options) {
+        options = options || {};
+        super();
+
+        this.firmwareVersion = options.firmwareVersion || {IC: 0x32, Ver: 0x01, Rev: 0x06, Support: 0x07};
+        this.field = [];   // Tags in the field
+        this.targets = []; // Tags activated by InListPassiveTarget or InAutoPoll, by logical number - 1
+        this.passiveActivationRetries = 0xFF;
+
+        this._buffer = new Buffer(0);
+        this._lastResponse = null;
+        this._pendingListCommand = null;
+        this._chainIn = null;
+        this._chainOut = null;
+
+        // Target mode (TgInitAsTarget), driven by a virtual initiator (see connectInitiator())
+        this._initiator = null;
+        this._pendingInitAsTarget = null;
+        this._pendingGetData = null;
+
+        // Peer-to-peer (NFC-DEP) with another simulator, see connectPeer()
+        this.peer = null;
+        this._depPeer = null; // Peer activated with InJumpForDEP, or listed as a card, as target 1
+        this._pendingJumpForDep = null;
+    }
+
+    init() {
+        logger.debug('Initializing simulator...');
+        return Promise.resolve();
+    }
+
+    close() {
+        logger.debug('Closing simulator...');
+        this._pendingListCommand = null;
+        this._pendingInitAsTarget = null;
+        this._pendingGetData = null;
+        this._pendingJumpForDep = null;
+        return Promise.resolve();
+    }
+
+    /*
+        Links another simulator in peer-to-peer mode: InJumpForDEP activates the peer once it is configured as
+        a target with TgInitAsTarget, and InDataExchange then exchanges data with it (ie. LLCP between two PN532).
+        InListPassiveTarget lists the peer as an ISO/IEC14443-4 card while it waits as a target in PICC mode (ie.
+        emulating a Type 4 tag).
+
+        @param {PN532_Simulator} peer
+    */
+    connectPeer(peer) {
+        this.peer = peer;
+        peer.peer = this;
+    }
+
+    /*
+        Brings a virtual initiator (ie. a phone) in the field, which activates the PN532 configured as a target
+        with TgInitAsTarget
+
+        @param {(array|Buffer)} [atrReq] - ATR_REQ of an NFC-DEP initiator, an ISO/IEC14443-4 initiator by default
+        @returns {Promise<object>} Resolves once the PN532 is activated as a target, with the nfcId3 and the
+            generalBytes it was configured with
+    */
+    connectInitiator(atrReq) {
+        logger.debug('Initiator connected');
+        return new Promise((resolve) => {
+            this._initiator = {
+                atrReq: atrReq ? new Buffer(atrReq) : null,
+                isActivated: false,
+                onActivated: resolve,
+                exchanges: [], // Data waiting to be received with TgGetData
+                current: null  // Exchange waiting for the response sent with TgSetData
+            };
+            if (this._pendingInitAsTarget) {
+                this._activateAsTarget();
+            }
+        });
+    }
+
+    /*
+        Sends data (ie. a command APDU) from the virtual initiator to the PN532 activated as a target
+
+        @param {(array|Buffer)} data
+        @returns {Promise<Buffer>} Resolves with the response sent by the host with TgSetData
+    */
+    initiatorExchange(data) {
+        return new Promise((resolve, reject) => {
+            if (!this._initiator) {
+                return reject(new Error('No initiator connected'));
+            }
+            this._initiator.exchanges.push({data: new Buffer(data), resolve: resolve, reject: reject});
+            if (this._pendingGetData) {
+                this._pendingGetData = null;
+                this._tgGetData();
+            }
+        });
+    }
+
+    // Removes the virtual initiator from the field, releasing the PN532 activated as a target
+    disconnectInitiator() {
+        logger.debug('Initiator disconnected');
+        var initiator = this._initiator;
+        this._initiator = null;
+        if (!initiator) {
+            return;
+        }
+
+        initiator.exchanges.concat(initiator.current || []).forEach((exchange) => {
+            exchange.reject(new Error('Initiator disconnected'));
+        });
+        if (this._pendingGetData) {
+            this._pendingGetData = null;
+            this._respond([c.TG_GET_DATA + 1, 0x29]); // Released by the initiator
+        }
+    }
+
+    /*
+        Places a virtual tag in the field
+
+        @param {VirtualTag} tag
+    */
+    placeTag(tag) {
+        logger.debug('Tag placed in field', tag.uid.toString('hex'));
+        this.field.push(tag);
+
+        if (this._pendingListCommand) {
+            var pending = this._pendingListCommand;
+            this._pendingListCommand = null;
+            this._processCommand(pending);
+        }
+    }
+
+    /*
+        Removes a virtual tag from the field
+
+        @param {VirtualTag} tag
+    */
+    removeTag(tag) {
+        logger.debug('Tag removed from field', tag.uid.toString('hex'));
+        this.field = this.field.filter((t) => t !== tag);
+        tag.deactivate();
+    }
+
+    write(buffer) {
+        logger.debug('Data received', util.inspect(buffer));
+        this._buffer = Buffer.concat([this._buffer, buffer]);
+
+        while (this._buffer.length) {
+            var start = Frame.findStart(this._buffer);
+            if (start === -1) {
+                // Wakeup preamble (0x55 0x55 0x00...) or noise
+                this._buffer = this._buffer.slice(-2);
+                return;
+            }
+            this._buffer = this._buffer.slice(start);
+
+            if (AckFrame.isFrame(this._buffer)) {
+                logger.debug('ACK received, aborting command');
+                this._pendingListCommand = null;
+                this._pendingInitAsTarget = null;
+                this._pendingGetData = null;
+                this._pendingJumpForDep = null;
+                this._buffer = this._buffer.slice(6);
+            } else if (NackFrame.isFrame(this._buffer)) {
+                logger.debug('NACK received, resending last response');
+                if (this._lastResponse) {
+                    this._send(this._lastResponse);
+                }
+                this._buffer = this._buffer.slice(6);
+            } else {
+                var result = DataFrame.checkFrame(this._buffer);
+                if (!result.complete) {
+                    return;
+                }
+
+                var frameBuffer = this._buffer.slice(0, result.length);
+                this._buffer = this._buffer.slice(result.length);
+
+                if (result.error) {
+                    // The PN532 silently drops frames with a bad checksum, the host resends after the ACK timeout
+                    logger.warn(result.error, util.inspect(frameBuffer));
+                } else {
+                    this._send(new AckFrame().toBuffer());
+                    this._processCommand(Frame.fromBuffer(frameBuffer));
+                }
+            }
+        }
+    }
+
+    _send(buffer) {
+        setImmediate(() => this.emit('data', buffer));
+    }
+
+    _respond(data) {
+        this._lastResponse = new DataFrame(data, c.DIRECTION_PN532_TO_HOST).toBuffer();
+        this._send(this._lastResponse);
+    }
+
+    _processCommand(dataFrame) {
+        var command = dataFrame.getDataCommand();
+        var params = dataFrame.getDataBody();
+        logger.info('Command', util.inspect(dataFrame));
+
+        switch (command) {
+            case c.COMMAND_GET_FIRMWARE_VERSION:
+                var version = this.firmwareVersion;
+                return this._respond([command + 1, version.IC, version.Ver, version.Rev, version.Support]);
+            case c.COMMAND_DIAGNOSE:
+                if (params[0] === c.DIAGNOSE_CARD_PRESENCE) {
+                    var target = this.targets[0];
+                    var present = target && target.ats && this.field.indexOf(target) !== -1;
+                    return this._respond([command + 1, present ? 0x00 : 0x01]);
+                }
+                return this._respond([command + 1, 0x00]);
+            case c.COMMAND_GET_GENERAL_STATUS:
+                return this._respond([command + 1, 0x00, this.field.length ? 0x01 : 0x00, 0x00, 0x00]);
+            case c.COMMAND_SAMCONFIGURATION:
+                return this._respond([command + 1]);
+            case c.COMMAND_RF_CONFIGUATION:
+                if (params[0] === c.RFCONFIGURATION_CFGITEM_MAXRETRIES) {
+                    this.passiveActivationRetries = params[3];
+                }
+                return this._respond([command + 1]);
+            case c.COMMAND_IN_LIST_PASSIVE_TARGET:
+                return this._inListPassiveTarget(dataFrame, params);
+            case c.COMMAND_IN_AUTO_POLL:
+                return this._inAutoPoll(dataFrame, params);
+            case c.COMMAND_IN_DATA_EXCHANGE:
+                return this._inDataExchange(params);
+            case c.COMMAND_IN_COMMUNICATE_THRU:
+                return this._inCommunicateThru(params);
+            case c.COMMAND_IN_JUMP_FOR_DEP:
+                return this._inJumpForDep(params);
+            case c.TG_INIT_AS_TARGET:
+                this._pendingInitAsTarget = params;
+                if (this._initiator && !this._initiator.isActivated) {
+                    this._activateAsTarget();
+                } else if (this.peer && this.peer._pendingListCommand) {
+                    // The peer waits for a card
+                    var pending = this.peer._pendingListCommand;
+                    this.peer._pendingListCommand = null;
+                    this.peer._processCommand(pending);
+                }
+                return;
+            case c.TG_GET_DATA:
+                return this._tgGetData();
+            case c.TG_SET_DATA:
+            case c.TG_SET_META_DATA:
+                return this._tgSetData(command, params);
+            case c.COMMAND_IN_SELECT:
+            case c.COMMAND_IN_DESELECT:
+            case c.COMMAND_IN_RELEASE:
+                return this._inTargetCommand(command, params[0]);
+            default:
+                logger.warn('Unsupported command', util.inspect(command));
+                this._lastResponse = new ErrorFrame().toBuffer();
+                return this._send(this._lastResponse);
+        }
+    }
+
+    // Deactivates the previous targets and activates the given tags, numbered from 1
+    _activateTargets(tags) {
+        this._releasePeer();
+        this.targets.filter((tag) => tag).forEach((tag) => tag.deactivate());
+        this.targets = tags;
+        tags.forEach((tag) => tag.activate());
+    }
+
+    _inListPassiveTarget(dataFrame, params) {
+        var maxTargets = params[0];
+        var baudRate = params[1];
+
+        if (baudRate === c.CARD_ISO14443A && this._isPeerEmulatingCard()) {
+            return this._listPeer();
+        }
+
+        var tags = baudRate === c.CARD_ISO14443A ? this.field.slice(0, Math.min(maxTargets, 2)) : [];
+        if (!tags.length && this.passiveActivationRetries === 0xFF) {
+            // Retries forever, until a tag enters the field (or the command is aborted)
+            this._activateTargets([]);
+            this._pendingListCommand = dataFrame;
+            return;
+        }
+
+        this._activateTargets(tags);
+        var response = [c.COMMAND_IN_LIST_PASSIVE_TARGET + 1, tags.length];
+        tags.forEach((tag, index) => {
+            response = response.concat([index + 1], Array.from(tag.getTargetData()));
+        });
+        this._respond(response);
+    }
+
+    // Whether the peer waits as a target able to emulate an ISO/IEC14443-4 card (TgInitAsTarget)
+    _isPeerEmulatingCard() {
+        var params = this.peer && !this.peer._initiator && this.peer._pendingInitAsTarget;
+        return !!params && !(params[0] & c.TG_MODE_DEP_ONLY);
+    }
+
+    // Lists the peer as target 1 with the SENS_RES (configured LSB first), NFCID1t and SEL_RES of its TgInitAsTarget
+    _listPeer() {
+        var params = this.peer._pendingInitAsTarget;
+        var nfcId1 = [PICC_UID_PREFIX].concat(Array.from(params.slice(3, 6)));
+
+        this._activateTargets([]);
+        this._depPeer = this.peer;
+        this.peer.connectInitiator();
+        this._respond([c.COMMAND_IN_LIST_PASSIVE_TARGET + 1, 0x01, 0x01, params[2], params[1], params[6],
+                       nfcId1.length].concat(nfcId1, PICC_ATS));
+    }
+
+    // Only ISO/IEC14443A tags are simulated, polled with the generic 106 kbps, Mifare and ISO14443-4A types
+    _inAutoPoll(dataFrame, params) {
+        var pollCount = params[0];
+        var types = Array.from(params.slice(2));
+
+        var found = [];
+        types.forEach((type) => {
+            this.field.forEach((tag) => {
+                var isoDep = !!tag.ats;
+                var matches = type === c.AUTOPOLL_GENERIC_106 || type === c.AUTOPOLL_MIFARE ||
+                              (type === c.AUTOPOLL_ISO14443_4A && isoDep);
+                if (matches && found.length < 2 && !found.some((result) => result.tag === tag)) {
+                    // The generic type reports the type of the target found
+                    var foundType = type !== c.AUTOPOLL_GENERIC_106 ? type :
+                                    isoDep ? c.AUTOPOLL_ISO14443_4A : c.AUTOPOLL_MIFARE;
+                    found.push({type: foundType, tag: tag});
+                }
+            });
+        });
+
+        if (!found.length && pollCount === c.AUTOPOLL_POLL_ENDLESS) {
+            this._activateTargets([]);
+            this._pendingListCommand = dataFrame;
+            return;
+        }
+
+        this._activateTargets(found.map((result) => result.tag));
+        var response = [c.COMMAND_IN_AUTO_POLL + 1, found.length];
+        found.forEach((result, index) => {
+            var targetData = Buffer.concat([new Buffer([index + 1]), result.tag.getTargetData()]);
+            response = response.concat([result.type, targetData.length], Array.from(targetData));
+        });
+        this._respond(response);
+    }
+
+    _activateAsTarget() {
+        // Mode, SENS_RES, NFCID1t, SEL_RES, FeliCa parameters, NFCID3t, then the general bytes
+        var params = this._pendingInitAsTarget;
+        var generalBytesLength = params[35];
+
+        this._pendingInitAsTarget = null;
+        this._initiator.isActivated = true;
+        this._initiator.onActivated({
+            nfcId3: params.slice(25, 35),
+            generalBytes: params.slice(36, 36 + generalBytesLength)
+        });
+
+        var atrReq = this._initiator.atrReq;
+        if (atrReq) {
+            // Activated at 106 kbps passive by an NFC-DEP initiator, the command being its ATR_REQ (LEN included)
+            return this._respond([c.TG_INIT_AS_TARGET + 1, c.TG_ACTIVATED_DEP, atrReq.length + 1]
+                                 .concat(Array.from(atrReq)));
+        }
+        // Activated at 106 kbps as an ISO/IEC14443-4 PICC, the initiator's first command being RATS
+        this._respond([c.TG_INIT_AS_TARGET + 1, 0x08, 0xE0, 0x80]);
+    }
+
+    // Activates the peer (see connectPeer()) as target 1, once it is configured as a target
+    _inJumpForDep(params) {
+        var baudRate = params[1];
+        var next = params[2];
+        var offset = 3;
+        if (next & c.DEP_NEXT_PASSIVE_INITIATOR_DATA) {
+            offset += baudRate === c.DEP_BAUD_106 ? 4 : 5;
+        }
+        var nfcId3 = new Buffer([0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A]);
+        if (next & c.DEP_NEXT_NFCID3) {
+            nfcId3 = params.slice(offset, offset + 10);
+            offset += 10;
+        }
+        var generalBytes = next & c.DEP_NEXT_GENERAL_BYTES ? params.slice(offset) : new Buffer(0);
+
+        if (!this.peer) {
+            // Retries until the command is aborted
+            this._pendingJumpForDep = {};
+            return;
+        }
+
+        var pending = this._pendingJumpForDep = {};
+        var atrReq = Buffer.concat([new Buffer(ATR_REQ_COMMAND), nfcId3, new Buffer(ATR_REQ_PARAMETERS), generalBytes]);
+        var peer = this.peer;
+        peer.connectInitiator(atrReq).then((target) => {
+            if (this._pendingJumpForDep !== pending) {
+                // Aborted while waiting for the peer
+                return peer.disconnectInitiator();
+            }
+            this._pendingJumpForDep = null;
+            this._activateTargets([]);
+            this._depPeer = peer;
+            this._respond([c.COMMAND_IN_JUMP_FOR_DEP + 1, 0x00, 0x01].concat(
+                Array.from(target.nfcId3), ATR_RES_PARAMETERS, Array.from(target.generalBytes)));
+        });
+    }
+
+    // Releases the peer activated with InJumpForDEP
+    _releasePeer() {
+        if (this._depPeer) {
+            this._depPeer.disconnectInitiator();
+            this._depPeer = null;
+        }
+    }
+
+    _tgGetData() {
+        var initiator = this._initiator;
+        if (!initiator || !initiator.isActivated) {
+            return this._respond([c.TG_GET_DATA + 1, 0x29]);
+        }
+        var isReceiving = initiator.current && !initiator.current.isReceived;
+        if (!isReceiving && !initiator.exchanges.length) {
+            // Waits for the initiator to send data (or leave)
+            this._pendingGetData = true;
+            return;
+        }
+
+        // Data longer than one response is chained with the MI bit of the status
+        var exchange = isReceiving ? initiator.current : initiator.exchanges.shift();
+        initiator.current = exchange;
+        var chunk = exchange.data.slice(0, MAX_DATA_IN);
+        exchange.data = exchange.data.slice(chunk.length);
+        exchange.isReceived = !exchange.data.length;
+        exchange.response = [];
+        this._respond([c.TG_GET_DATA + 1, exchange.isReceived ? 0x00 : MI_BIT].concat(Array.from(chunk)));
+    }
+
+    // TgSetMetaData (chunks of the response but the last) and TgSetData
+    _tgSetData(command, params) {
+        var initiator = this._initiator;
+        if (!initiator || !initiator.current || !initiator.current.isReceived) {
+            return this._respond([command + 1, 0x29]);
+        }
+
+        var exchange = initiator.current;
+        exchange.response.push(params);
+        this._respond([command + 1, 0x00]);
+
+        if (command === c.TG_SET_DATA) {
+            initiator.current = null;
+            exchange.resolve(Buffer.concat(exchange.response));
+        }
+    }
+
+    // InSelect, InDeselect and InRelease of a target, or of all the targets for logical number 0
+    _inTargetCommand(command, tagNumber) {
+        if (this._depPeer && tagNumber <= 1) {
+            if (command !== c.COMMAND_IN_SELECT) {
+                this._releasePeer();
+            }
+            return this._respond([command + 1, 0x00]);
+        }
+
+        var tags = tagNumber === 0 ? this.targets.filter((tag) => tag) : [this.targets[tagNumber - 1]];
+        if (!tags[0]) {
+            return this._respond([command + 1, 0x27]); // Unknown target number
+        }
+
+        if (command === c.COMMAND_IN_SELECT) {
+            if (this.field.indexOf(tags[0]) === -1) {
+                return this._respond([command + 1, 0x01]);
+            }
+            tags[0].activate();
+        } else {
+            tags.forEach((tag) => tag.deactivate());
+        }
+
+        if (command === c.COMMAND_IN_RELEASE) {
+            // Released targets keep their logical number until the next InListPassiveTarget
+            tags.forEach((tag) => {
+                this.targets[this.targets.indexOf(tag)] = null;
+            });
+        }
+        this._respond([command + 1, 0x00]);
+    }
+
+    _inDataExchange(params) {
+        var respond = (status, data) => {
+            this._respond([c.COMMAND_IN_DATA_EXCHANGE + 1, status].concat(Array.from(data || [])));
+        };
+
+        var tagNumber = params[0] & 0x3F;
+        var peer = tagNumber === 1 ? this._depPeer : null;
+        var tag = this.targets[tagNumber - 1];
+        if (!peer && (!tag || this.field.indexOf(tag) === -1)) {
+            this._chainIn = this._chainOut = null;
+            return respond(tag ? 0x01 : 0x27); // Timeout (tag left the field), or unknown target number
+        }
+
+        // Host requests the rest of a chained response
+        if (this._chainOut && params.length === 1) {
+            var chunk = this._chainOut.slice(0, MAX_DATA_IN);
+            this._chainOut = this._chainOut.length > MAX_DATA_IN ? this._chainOut.slice(MAX_DATA_IN) : null;
+            return respond(this._chainOut ? MI_BIT : 0x00, chunk);
+        }
+
+        // Host sends a chained command, the last frame has the MI bit cleared
+        var data = Buffer.concat([this._chainIn || new Buffer(0), params.slice(1)]);
+        if (params[0] & MI_BIT) {
+            this._chainIn = data;
+            return respond(0x00);
+        }
+        this._chainIn = null;
+
+        var respondChained = (status, data) => {
+            if (data.length > MAX_DATA_IN) {
+                this._chainOut = data.slice(MAX_DATA_IN);
+                return respond(status | MI_BIT, data.slice(0, MAX_DATA_IN));
+            }
+            this._chainOut = null;
+            respond(status, data);
+        };
+
+        if (peer) {
+            return peer.initiatorExchange(data).then((response) => respondChained(0x00, response),
+                                                     () => respond(0x01)); // The peer was released
+        }
+        var result = tag.transceive(data);
+        respondChained(result.status, result.data);
+    }
+
+    // Raw exchange with the first target listed, if still in the field
+    _inCommunicateThru(params) {
+        var tag = this.targets[0];
+        if (!tag || this.field.indexOf(tag) === -1) {
+            return this._respond([c.COMMAND_IN_COMMUNICATE_THRU + 1, 0x01]);
+        }
+        var result = tag.transceive(params);
+        this._respond([c.COMMAND_IN_COMMUNICATE_THRU + 1, result.status].concat(Array.from(result.data)));
+    }
+}
+
+module.exports = PN532_Simulator;
@@ -0,0 +1,129 @@
+'use strict';
+var util = require('util');
+var logger = require('winston').loggers.get('spi');
+
+var PollingHal = require('./polling_hal');
+var c = require('./constants');
+
+// Reverses the bit order of a byte (the PN532 sends and receives LSB first)
+var reverseBits = (byte) => {
+    var reversed = 0;
+    for (var i = 0; i < 8; i++) {
+        reversed = (reversed << 1) | ((byte >> i) & 0x01);
+    }
+    return reversed;
+};
+
+/*
+    Transport for a PN532 on an SPI bus (section 6.2.5 of user manual).
+
+    Every transfer starts with a byte selecting the operation: data write (SPI_DATA_WRITE), status read
+    (SPI_STATUS_READ) or data read (SPI_DATA_READ).  The status is 0x01 (SPI_READY) once the PN532 has a frame
+    ready to be read.
+*/
+class PN532_SPI extends PollingHal {
+    /*
+        @constructor
+        @param {object} device - An opened spi-device device (or an object with the same transfer method)
+        @param {object} [options] - See PollingHal
+        @param {object} [options.irq] - GPIO connected to the PN532's IRQ pin
+        @param {object} [options.cs] - GPIO connected to the PN532's chip select (ie. an onoff Gpio configured as
+            'high').  When given, chip select is driven with its writeSync() method instead of by the SPI driver.
+        @param {number} [options.csDelay=2] - Milliseconds to wait after selecting the PN532 (options.cs only),
+            giving it time to wake up
+        @param {boolean} [options.lsbFirst=false] - Whether the device is configured to transfer LSB first.  When
+            false the bits are reversed in software.
+        @param {number} [options.speedHz=1000000] - Clock speed (5 MHz maximum)
+    */
+    constructor(device, options) {
+        options = options || {};
+        super(logger, options);
+
+        this.device = device;
+        this.cs = options.cs || null;
+        this.csDelay = options.csDelay === undefined ? 2 : options.csDelay;
+        this.lsbFirst = !!options.lsbFirst;
+        this.speedHz = options.speedHz || 1000000;
+    }
+
+    init() {
+        logger.debug('Initializing SPI...');
+        if (this.cs) {
+            this.cs.writeSync(1);
+        }
+        return Promise.resolve();
+    }
+
+    close() {
+        // Stop reading the response of the last command
+        this._operation++;
+        return new Promise((resolve, reject) => {
+            this.device.close((error) => error ? reject(error) : resolve());
+        });
+    }
+
+    _write(buffer) {
+        logger.debug('Writing', util.inspect(buffer));
+        return this._transfer(c.SPI_DATA_WRITE, buffer, 0);
+    }
+
+    _readStatus() {
+        return this._transfer(c.SPI_STATUS_READ, [], 1).then((data) => (data[0] & c.SPI_READY) !== 0);
+    }
+
+    _read(length) {
+        return this._transfer(c.SPI_DATA_READ, [], length).then((data) => {
+            logger.debug('Read', util.inspect(data));
+            return data;
+        });
+    }
+
+    /*
+        Transfers an operation with the PN532 selected
+
+        @param {number} operation - SPI_DATA_WRITE, SPI_STATUS_READ or SPI_DATA_READ
+        @param {(array|Buffer)} data - Data written after the operation byte
+        @param {number} readLength - Number of bytes read after the operation byte
+        @returns {Promise<Buffer>} Resolves with the bytes read
+    */
+    _transfer(operation, data, readLength) {
+        var length = 1 + Math.max(data.length, readLength);
+
+        var send = new Buffer(length).fill(0);
+        send[0] = operation;
+        new Buffer(data).copy(send, 1);
+
+        if (!this.lsbFirst) {
+            send = send.map(reverseBits);
+        }
+
+        var message = [{
+            sendBuffer: send,
+            receiveBuffer: new Buffer(length),
+            byteLength: length,
+            speedHz: this.speedHz
+        }];
+
+        var select = this.cs ? new Promise((resolve) => {
+            this.cs.writeSync(0);
+            setTimeout(resolve, this.csDelay);
+        }) : Promise.resolve();
+
+        return select
+            .then(() => new Promise((resolve, reject) => {
+                this.device.transfer(message, (error, message) => {
+                    if (this.cs) {
+                        this.cs.writeSync(1);
+                    }
+                    if (error) {
+                        return reject(error);
+                    }
+
+                    var received = message[0].receiveBuffer.slice(1, 1 + readLength);
+                    resolve(this.lsbFirst ? received : received.map(reverseBits));
+                });
+            }));
+    }
+}
+
+module.exports = PN532_SPI;
@@ -0,0 +1,93 @@
+'use strict';
+var net = require('net');
+var util = require('util');
+var logger = require('winston').loggers.get('tcp');
+
+var PN532_UART = require('./pn532_uart');
+var errors = require('./errors');
+
+/*
+    Transport for a PN532 on a remote serial port exposed over TCP (ie. with ser2net in raw mode).
+    Frames are the UART (HSU) ones, including the wakeup preamble.
+
+    A dropped connection emits 'close', and frames written until init() connects again fail with a
+    TransportClosedError ('error' event).  The transport does not reconnect on its own.
+*/
+class PN532_TCP extends PN532_UART {
+    /*
+        @constructor
+        @param {object} options
+        @param {string} options.host - Host of the remote serial port
+        @param {number} options.port - TCP port of the remote serial port
+        @param {number} [options.connectTimeout=5000] - Milliseconds to wait for the connection
+    */
+    constructor(options) {
+        super(null);
+        this.host = options.host;
+        this.port = options.port;
+        this.connectTimeout = options.connectTimeout || 5000;
+    }
+
+    init() {
+        logger.debug('Connecting to ' + this.host + ':' + this.port + '...');
+        return new Promise((resolve, reject) => {
+            var socket = net.connect({host: this.host, port: this.port});
+            socket.setNoDelay(true);
+            socket.setTimeout(this.connectTimeout);
+
+            var onConnectError = (error) => {
+                logger.error('Error connecting:', util.inspect(error));
+                socket.destroy();
+                reject(error);
+            };
+            socket.once('error', onConnectError);
+            socket.once('timeout', () => onConnectError(new errors.PN532Error('Timed out connecting to ' +
+                                                                              this.host + ':' + this.port)));
+
+            socket.once('connect', () => {
+                logger.debug('Connected.');
+                socket.setTimeout(0);
+                socket.removeAllListeners('timeout');
+                socket.removeListener('error', onConnectError);
+
+                socket.on('data', (data) => {
+                    this.emit('data', data);
+                });
+                socket.on('error', (error) => {
+                    logger.error('An error occurred on socket:', util.inspect(error));
+                    this.emit('error', error);
+                });
+                socket.on('close', () => {
+                    // The PN532 has to be woken up again by the next connection
+                    this.isAwake = false;
+                    this.emit('close');
+                });
+
+                this.serial = socket;
+                resolve();
+            });
+        });
+    }
+
+    write(buffer) {
+        if (!this.serial || this.serial.destroyed) {
+            logger.error('Not connected, dropping frame', util.inspect(buffer));
+            setImmediate(() => this.emit('error', new errors.TransportClosedError()));
+            return;
+        }
+        super.write(buffer);
+    }
+
+    close() {
+        logger.debug('Closing connection...');
+        return new Promise((resolve) => {
+            if (!this.serial || this.serial.destroyed) {
+                return resolve();
+            }
+            this.serial.once('close', () => resolve());
+            this.serial.destroy();
+        });
+    }
+}
+
+module.exports = PN532_TCP;
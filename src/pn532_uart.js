@@ -43,6 +43,16 @@ class PN532_UART extends EventEmitter {
 
         this.serial.write(buffer);
     }
+
+    close() {
+        logger.debug('Closing serial port...');
+        return new Promise((resolve, reject) => {
+            this.serial.close((error) => {
+                this.isAwake = false;
+                error ? reject(error) : resolve();
+            });
+        });
+    }
 }
 
 module.exports = PN532_UART;
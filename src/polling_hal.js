@@ -0,0 +1,191 @@
+'use strict';
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var frame = require('./frame');
+var AckFrame = frame.AckFrame;
+var NackFrame = frame.NackFrame;
+
+var ACK_LENGTH = 6;
+var HEADER_LENGTH = 8; // Long enough to hold the length of normal and extended frames [00 00 FF FF FF LENm LENl LCS]
+
+/*
+    Base class of the transports which have to ask the PN532 whether it has a frame ready (I2C and SPI).
+
+    After a command is written, its ACK frame is read, then its response frame.  The response length is unknown
+    beforehand so its header is read first, then the PN532 is sent a NACK to have it resend the frame, which is
+    read again with its exact length.  Reads wait for the PN532 until a newer write cancels them: a late ACK is
+    still read before the command queue resends the command (after its ackTimeout), instead of being left on the
+    bus to be taken for the next response.
+
+    Subclasses implement _write(buffer), _readStatus() and _read(length), each returning a Promise.
+*/
+class PollingHal extends EventEmitter {
+    /*
+        @constructor
+        @param {object} logger - Logger of the subclass
+        @param {object} [options]
+        @param {object} [options.irq] - GPIO connected to the PN532's IRQ pin (ie. an onoff Gpio configured with
+            edge 'falling').  When given, its readSync()/watch()/unwatch() methods are used to wait for the
+            PN532 instead of polling its status.
+        @param {number} [options.pollInterval=5] - Milliseconds between polls of the status
+        @param {number} [options.readyTimeout=20] - Milliseconds between checks of the IRQ line, in case an edge
+            was missed
+    */
+    constructor(logger, options) {
+        super();
+        options = options || {};
+
+        this.logger = logger;
+        this.irq = options.irq || null;
+        this.pollInterval = options.pollInterval || 5;
+        this.readyTimeout = options.readyTimeout || 20;
+
+        this._operation = 0;
+    }
+
+    write(buffer) {
+        // Stop reading the response of a previous command
+        var operation = ++this._operation;
+
+        var isAck = AckFrame.isFrame(buffer);
+        var isNack = NackFrame.isFrame(buffer);
+
+        this._write(buffer)
+            .then(() => {
+                if (isAck) {
+                    // An ACK aborts the command being processed, nothing to read
+                    return;
+                }
+                if (isNack) {
+                    // A NACK has the PN532 resend its last response
+                    return this._readResponse(operation);
+                }
+
+                return this._waitReady(operation)
+                    .then(() => this._read(ACK_LENGTH))
+                    .then((ack) => {
+                        if (!this._isCurrent(operation)) {
+                            return;
+                        }
+                        this.emit('data', ack);
+                        if (AckFrame.isFrame(ack)) {
+                            return this._readResponse(operation);
+                        }
+                    });
+            })
+            .catch((error) => {
+                if (error instanceof CancelledError) {
+                    this.logger.debug(error.message);
+                } else {
+                    this.logger.error('Error communicating with PN532', util.inspect(error));
+                    this.emit('error', error);
+                }
+            });
+    }
+
+    _readResponse(operation) {
+        return this._waitReady(operation)
+            .then(() => this._read(HEADER_LENGTH))
+            .then((header) => {
+                var length = getFrameLength(header);
+                if (length === null) {
+                    // Not a frame, let the frame emitter report the garbage
+                    this.emit('data', header);
+                    return;
+                }
+
+                // Have the PN532 resend the frame, then read it whole
+                return this._write(new NackFrame().toBuffer())
+                    .then(() => this._waitReady(operation))
+                    .then(() => this._read(length))
+                    .then((data) => {
+                        if (this._isCurrent(operation)) {
+                            this.emit('data', data);
+                        }
+                    });
+            });
+    }
+
+    _isCurrent(operation) {
+        return operation === this._operation;
+    }
+
+    /*
+        Waits for the PN532 to have data ready
+
+        @param {number} operation - Number of the write waiting, a newer write cancels the wait
+    */
+    _waitReady(operation) {
+        return new Promise((resolve, reject) => {
+            var check = (ready) => {
+                if (!this._isCurrent(operation)) {
+                    return reject(new CancelledError('Wait for PN532 cancelled by a newer command'));
+                }
+                if (ready) {
+                    return resolve();
+                }
+                poll();
+            };
+
+            var readStatus = () => {
+                this._readStatus()
+                    .then((ready) => check(ready))
+                    .catch(reject);
+            };
+
+            var poll = () => {
+                if (this.irq) {
+                    this._waitIrq(check);
+                } else {
+                    setTimeout(readStatus, this.pollInterval);
+                }
+            };
+
+            if (this.irq) {
+                poll();
+            } else {
+                readStatus();
+            }
+        });
+    }
+
+    // The IRQ line is pulled low while the PN532 has data ready
+    _waitIrq(callback) {
+        if (this.irq.readSync() === 0) {
+            return callback(true);
+        }
+
+        var onChange = (error, value) => {
+            if (error) {
+                this.logger.error('Error watching IRQ', util.inspect(error));
+            }
+            this.irq.unwatch(onChange);
+            clearTimeout(timer);
+            callback(value === 0);
+        };
+        // Wake up periodically to notice cancellation, or a missed edge
+        var timer = setTimeout(() => {
+            this.irq.unwatch(onChange);
+            callback(this.irq.readSync() === 0);
+        }, this.readyTimeout);
+
+        this.irq.watch(onChange);
+    }
+}
+
+// Rejects a read which is no longer wanted (not an error)
+class CancelledError extends Error {}
+
+// Gets the length of the frame which starts with a header, or null if the header isn't a frame's
+function getFrameLength(header) {
+    if (header[0] !== 0x00 || header[1] !== 0x00 || header[2] !== 0xFF) {
+        return null;
+    }
+    if (header[3] === 0xFF && header[4] === 0xFF) {
+        return header.readUInt16BE(5) + 10; // Extended frame
+    }
+    return header[3] + 7;
+}
+
+module.exports = PollingHal;
@@ -0,0 +1,237 @@
+'use strict';
+/*
+    NFC Forum Simple NDEF Exchange Protocol (SNEP 1.0), over the connections of an LLCP link
+*/
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var logger = require('winston').loggers.get('llcp');
+
+var errors = require('./errors');
+
+var VERSION     = 0x10; // 1.0
+var HEADER_SIZE = 6;    // Version, request/response code and the length of the information field (4 bytes)
+
+var REQUEST_CONTINUE = 0x00;
+var REQUEST_GET      = 0x01;
+var REQUEST_PUT      = 0x02;
+var REQUEST_REJECT   = 0x7F;
+
+var RESPONSE_CONTINUE            = 0x80;
+var RESPONSE_SUCCESS             = 0x81;
+var RESPONSE_NOT_FOUND           = 0xC0;
+var RESPONSE_EXCESS_DATA         = 0xC1;
+var RESPONSE_BAD_REQUEST         = 0xC2;
+var RESPONSE_NOT_IMPLEMENTED     = 0xE0;
+var RESPONSE_UNSUPPORTED_VERSION = 0xE1;
+var RESPONSE_REJECT              = 0xFF;
+
+var DEFAULT_MAX_MESSAGE_SIZE = 0x10000; // Largest NDEF message received
+
+/*
+    @param {number} code - Request or response code
+    @param {(array|Buffer)} [info] - Information field (ie. an NDEF message)
+    @returns {Buffer}
+*/
+function encodeMessage(code, info) {
+    var header = new Buffer(HEADER_SIZE);
+    info = new Buffer(info || []);
+    header[0] = VERSION;
+    header[1] = code;
+    header.writeUInt32BE(info.length, 2);
+    return Buffer.concat([header, info]);
+}
+
+/*
+    Exchanges SNEP messages over an LLCP connection.  Messages longer than the MIU of the peer are fragmented: the
+    first fragment is followed by the rest once the peer answered CONTINUE.
+*/
+class SnepChannel {
+    /*
+        @constructor
+        @param {LlcpConnection} connection
+        @param {boolean} isServer - Whether requests are received (as opposed to responses)
+        @param {number} maxMessageSize - Largest information field received, longer messages are rejected
+    */
+    constructor(connection, isServer, maxMessageSize) {
+        this.connection = connection;
+        this.isServer = isServer;
+        this.maxMessageSize = maxMessageSize;
+
+        this._fragments = null; // Fragments of the message being received
+        this._expected = 0;     // Size of the message being received
+        this._messages = [];    // Messages received, waiting for receive()
+        this._receiving = [];   // {resolve, reject} of pending receive()
+
+        connection.on('data', (data) => this._onData(data));
+        connection.on('close', () => {
+            this._receiving.forEach((receiving) => receiving.reject(new errors.LlcpError('SNEP connection closed')));
+            this._receiving = [];
+        });
+    }
+
+    /*
+        @param {number} code - Request or response code
+        @param {(array|Buffer)} [info]
+        @returns {Promise} Resolves once the message was acknowledged.  Rejects with a SnepError if the peer
+            rejected a fragmented message.
+    */
+    send(code, info) {
+        var message = encodeMessage(code, info);
+        var miu = this.connection.remoteMiu;
+        if (message.length <= miu) {
+            return this.connection.send(message);
+        }
+
+        return this.connection.send(message.slice(0, miu))
+            .then(() => this.receive())
+            .then((answer) => {
+                if (answer.code !== (this.isServer ? REQUEST_CONTINUE : RESPONSE_CONTINUE)) {
+                    throw new errors.SnepError(answer.code);
+                }
+                return this.connection.send(message.slice(miu));
+            });
+    }
+
+    /*
+        @returns {Promise<object>} Resolves with the next message received: {version, code, info}
+    */
+    receive() {
+        if (this._messages.length) {
+            return Promise.resolve(this._messages.shift());
+        }
+        if (this.connection.isClosed) {
+            return Promise.reject(new errors.LlcpError('SNEP connection closed'));
+        }
+        return new Promise((resolve, reject) => {
+            this._receiving.push({resolve: resolve, reject: reject});
+        });
+    }
+
+    _onData(data) {
+        if (!this._fragments) {
+            if (data.length < HEADER_SIZE) {
+                logger.warn('SNEP message too short', util.inspect(data));
+                return;
+            }
+            this._fragments = [];
+            this._expected = HEADER_SIZE + data.readUInt32BE(2);
+
+            if (data.length < this._expected) {
+                // First fragment of a longer message
+                var isTooLarge = this._expected - HEADER_SIZE > this.maxMessageSize;
+                var answer = this.isServer ? (isTooLarge ? RESPONSE_REJECT : RESPONSE_CONTINUE) :
+                                             (isTooLarge ? REQUEST_REJECT : REQUEST_CONTINUE);
+                this.connection.send(encodeMessage(answer)).catch(() => {});
+                if (isTooLarge) {
+                    logger.warn('Rejected SNEP message of ' + (this._expected - HEADER_SIZE) + ' bytes');
+                    this._fragments = null;
+                    return;
+                }
+            }
+        }
+
+        this._fragments.push(data);
+        var buffer = Buffer.concat(this._fragments);
+        if (buffer.length < this._expected) {
+            return;
+        }
+        this._fragments = null;
+
+        var message = {version: buffer[0], code: buffer[1], info: buffer.slice(HEADER_SIZE, this._expected)};
+        if (this._receiving.length) {
+            this._receiving.shift().resolve(message);
+        } else {
+            this._messages.push(message);
+        }
+    }
+}
+
+/*
+    Send an NDEF message to a SNEP server (PUT request)
+
+    @param {LlcpConnection} connection - Connection to the SNEP server of the peer
+    @param {(array|Buffer)} message - Encoded NDEF message
+    @returns {Promise} Resolves once the server answered Success.  Rejects with a SnepError for other responses.
+*/
+function put(connection, message) {
+    var channel = new SnepChannel(connection, false, DEFAULT_MAX_MESSAGE_SIZE);
+    return channel.send(REQUEST_PUT, message)
+        .then(() => channel.receive())
+        .then((response) => {
+            if (response.code !== RESPONSE_SUCCESS) {
+                throw new errors.SnepError(response.code);
+            }
+        });
+}
+
+/*
+    Default SNEP server, receiving the NDEF messages sent by the peers with PUT requests.  GET requests are answered
+    Not Implemented.
+
+        'put'       Emitted with each NDEF message received (Buffer)
+*/
+class SnepServer extends EventEmitter {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {number} [options.maxMessageSize=65536] - Largest NDEF message accepted
+    */
+    constructor(options) {
+        super();
+        options = options || {};
+        this.maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+    }
+
+    /*
+        Serve the requests of a connection until it is closed
+
+        @param {LlcpConnection} connection
+    */
+    handle(connection) {
+        var channel = new SnepChannel(connection, true, this.maxMessageSize);
+        var serve = () => {
+            return channel.receive()
+                .then((request) => {
+                    var response = this._process(request);
+                    return channel.send(response.code, response.info);
+                })
+                .then(serve);
+        };
+        serve().catch((error) => {
+            logger.debug('SNEP connection ended:', error.message);
+        });
+    }
+
+    _process(request) {
+        if ((request.version >> 4) !== (VERSION >> 4)) {
+            return {code: RESPONSE_UNSUPPORTED_VERSION};
+        }
+        switch (request.code) {
+            case REQUEST_PUT:
+                logger.info('NDEF message received', util.inspect(request.info));
+                this.emit('put', request.info);
+                return {code: RESPONSE_SUCCESS};
+            case REQUEST_GET:
+                return {code: RESPONSE_NOT_IMPLEMENTED};
+            default:
+                return {code: RESPONSE_BAD_REQUEST};
+        }
+    }
+}
+
+exports.VERSION = VERSION;
+exports.REQUEST_CONTINUE = REQUEST_CONTINUE;
+exports.REQUEST_GET = REQUEST_GET;
+exports.REQUEST_PUT = REQUEST_PUT;
+exports.REQUEST_REJECT = REQUEST_REJECT;
+exports.RESPONSE_CONTINUE = RESPONSE_CONTINUE;
+exports.RESPONSE_SUCCESS = RESPONSE_SUCCESS;
+exports.RESPONSE_NOT_FOUND = RESPONSE_NOT_FOUND;
+exports.RESPONSE_EXCESS_DATA = RESPONSE_EXCESS_DATA;
+exports.RESPONSE_BAD_REQUEST = RESPONSE_BAD_REQUEST;
+exports.RESPONSE_NOT_IMPLEMENTED = RESPONSE_NOT_IMPLEMENTED;
+exports.RESPONSE_UNSUPPORTED_VERSION = RESPONSE_UNSUPPORTED_VERSION;
+exports.RESPONSE_REJECT = RESPONSE_REJECT;
+exports.encodeMessage = encodeMessage;
+exports.put = put;
+exports.SnepServer = SnepServer;
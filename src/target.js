@@ -0,0 +1,148 @@
+'use strict';
+var logger = require('winston').loggers.get('pn532');
+
+var c = require('./constants');
+var errors = require('./errors');
+
+/*
+    A target listed by the PN532 (ie. by scanTag()), bound to its logical number (Tg).
+
+    The target is usable until it is released, or until a later scan lists other targets in its place.  A later
+    scan listing the same tag (same uid and logical number) keeps the target usable.  The commands of a family of
+    tags (ie. identifying a Type 2 chip) are in the classes wrapping a target: Type2Tag, Ntag21x and MifareClassic.
+*/
+class Target {
+    /*
+        @constructor
+        @param {PN532} pn532 - The PN532 which listed the target
+        @param {object} properties - Properties parsed from the target data (see targets.js), including tagNumber
+    */
+    constructor(pn532, properties) {
+        Object.defineProperty(this, 'pn532', {value: pn532});
+        Object.assign(this, properties);
+
+        this.isReleased = false;
+        this.isSelected = true;
+        // Counts the selections of the tag (listed again by a scan, or InSelect), each one resetting its state (ie.
+        // the sector authenticated on a MIFARE Classic)
+        this.activation = 0;
+        this._staleReason = null;
+    }
+
+    // Whether the target can still be used
+    get isValid() {
+        return this._staleReason === null;
+    }
+
+    /*
+        Read a block (16 bytes, or 4 pages of 4 bytes)
+
+        @param {number} blockAddress
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>}
+    */
+    read(blockAddress, options) {
+        return this.transceive([c.MIFARE_COMMAND_READ, blockAddress], options);
+    }
+
+    /*
+        Write a 4 byte page (ie. Ultralight/NTAG), or a 16 byte block (ie. Classic)
+
+        @param {number} blockAddress
+        @param {(array|Buffer)} data - 4 or 16 bytes
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>}
+    */
+    write(blockAddress, data, options) {
+        if (data.length !== 4 && data.length !== 16) {
+            return Promise.reject(new errors.PN532Error('Writes take 4 or 16 bytes, got ' + data.length));
+        }
+        var command = data.length === 16 ? c.MIFARE_COMMAND_WRITE_16 : c.MIFARE_COMMAND_WRITE_4;
+        return this.transceive([command, blockAddress].concat(Array.from(data)), options);
+    }
+
+    /*
+        Exchange data with the target (InDataExchange)
+
+        @param {(array|Buffer)} data
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>} Resolves with the data returned by the target
+    */
+    transceive(data, options) {
+        return this._check().then(() => this.pn532.dataExchange(this.tagNumber, data, options));
+    }
+
+    /*
+        Exchange raw data with the target (InCommunicateThru), see PN532.communicateThru()
+
+        @param {(array|Buffer)} data
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<Buffer>} Resolves with the data returned by the target
+    */
+    communicateThru(data, options) {
+        return this._check().then(() => this.pn532.communicateThru(data, options));
+    }
+
+    /*
+        Exchange an APDU with the target (ISO/IEC14443-4 targets only), see PN532.transceiveApdu()
+
+        @param {(array|Buffer)} apdu - Command APDU
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<object>} Resolves with the response: {data, sw1, sw2, sw, ok}
+    */
+    transceiveApdu(apdu, options) {
+        return this.pn532.transceiveApdu(this, apdu, options);
+    }
+
+    /*
+        Select an application by its AID, see PN532.selectAid()
+
+        @param {(array|Buffer|string)} aid
+        @param {object} [options] - Options of sendCommand()
+        @returns {Promise<object>}
+    */
+    selectAid(aid, options) {
+        return this.pn532.selectAid(this, aid, options);
+    }
+
+    /*
+        Select the target again after deselect() (InSelect)
+
+        @returns {Promise}
+    */
+    select() {
+        return this._check().then(() => this.pn532.selectTarget(this.tagNumber));
+    }
+
+    /*
+        Deselect the target, keeping its information so it can be selected again (InDeselect)
+
+        @returns {Promise}
+    */
+    deselect() {
+        return this._check().then(() => this.pn532.deselectTarget(this.tagNumber));
+    }
+
+    /*
+        Release the target (InRelease).  The target can no longer be used.
+
+        @returns {Promise}
+    */
+    release() {
+        return this._check().then(() => this.pn532.releaseTarget(this.tagNumber));
+    }
+
+    // Called by the PN532 when the target was released or replaced
+    _invalidate(reason) {
+        if (this.isValid) {
+            logger.debug('Target ' + this.tagNumber + ' invalidated: ' + reason);
+            this._staleReason = reason;
+        }
+    }
+
+    _check() {
+        return this.isValid ? Promise.resolve() : Promise.reject(new errors.StaleTargetError(this, this._staleReason));
+    }
+}
+
+module.exports = Target;
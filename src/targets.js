@@ -0,0 +1,282 @@
+'use strict';
+/*
+    Parsing of the target data returned by InListPassiveTarget and InAutoPoll (section 7.3.5 of user manual)
+*/
+
+var c = require('./constants');
+
+// Technologies of the targets
+var TYPE_ISO14443A = 'ISO14443A';
+var TYPE_ISO14443B = 'ISO14443B';
+var TYPE_FELICA    = 'FeliCa';
+var TYPE_JEWEL     = 'Jewel';
+var TYPE_DEP       = 'DEP';
+
+// Card families, detected from the SAK/ATQA of ISO14443A targets and the ATQB of ISO14443B targets
+var FAMILY_ULTRALIGHT   = 'MIFARE Ultralight/NTAG';
+var FAMILY_CLASSIC_MINI = 'MIFARE Classic Mini';
+var FAMILY_CLASSIC_1K   = 'MIFARE Classic 1K';
+var FAMILY_CLASSIC_4K   = 'MIFARE Classic 4K';
+var FAMILY_DESFIRE      = 'MIFARE DESFire';
+var FAMILY_ISO_DEP      = 'ISO-DEP';
+var FAMILY_FELICA       = 'FeliCa';
+var FAMILY_JEWEL        = 'Jewel';
+var FAMILY_UNKNOWN      = 'Unknown';
+
+// Families of ISO14443A targets by SAK (SEL_RES), see NXP AN10833 (MIFARE type identification procedure)
+var SAK_FAMILIES = {
+    0x00: FAMILY_ULTRALIGHT,
+    0x08: FAMILY_CLASSIC_1K,
+    0x09: FAMILY_CLASSIC_MINI,
+    0x18: FAMILY_CLASSIC_4K,
+    0x28: FAMILY_CLASSIC_1K, // SmartMX with Classic 1K emulation
+    0x38: FAMILY_CLASSIC_4K, // SmartMX with Classic 4K emulation
+    0x88: FAMILY_CLASSIC_1K  // Infineon Classic 1K
+};
+
+var ATQA_DESFIRE = 0x0344;
+
+var ATS_T0_TA_PRESENT = 0x10;
+var ATS_T0_TB_PRESENT = 0x20;
+var ATS_T0_TC_PRESENT = 0x40;
+
+var ATQB_PROTOCOL_TYPE_ISO14443_4 = 0x01; // Bit of the second protocol info byte
+
+// Formats a buffer as colon separated hex bytes (ie. 04:12:34)
+var toHex = (buffer) => Array.from(buffer).map((byte) => ('0' + byte.toString(16)).slice(-2)).join(':');
+
+/*
+    Returns the historical bytes of an ATS: TL, T0, the interface bytes TA, TB and TC (present according to
+    T0), then the historical bytes
+
+    @param {Buffer} ats
+    @returns {Buffer}
+*/
+function getHistoricalBytes(ats) {
+    if (ats.length < 2) {
+        return ats.slice(ats.length);
+    }
+    var t0 = ats[1];
+    var offset = 2;
+    [ATS_T0_TA_PRESENT, ATS_T0_TB_PRESENT, ATS_T0_TC_PRESENT].forEach((present) => {
+        if (t0 & present) {
+            offset++;
+        }
+    });
+    return ats.slice(offset);
+}
+
+/*
+    Detects the card family of an ISO14443A target
+
+    @param {object} target - Target with its ATQA and SAK
+    @returns {string} One of the FAMILY_* values
+*/
+function getIso14443aFamily(target) {
+    if (SAK_FAMILIES[target.SAK] !== undefined) {
+        return SAK_FAMILIES[target.SAK];
+    }
+    if (target.SAK & c.SAK_ISO14443_4_COMPLIANT) {
+        return target.ATQA.readUInt16BE(0) === ATQA_DESFIRE ? FAMILY_DESFIRE : FAMILY_ISO_DEP;
+    }
+    return FAMILY_UNKNOWN;
+}
+
+/*
+    Each parser reads one target from a buffer starting with its logical number (Tg).
+
+    @param {Buffer} data
+    @param {number} offset - Position of the target's logical number in data
+    @returns {object} {target: <normalized tag>, length: <bytes read from offset>}
+*/
+var parsers = {};
+
+// Tg, SENS_RES (2), SEL_RES, NFCIDLength, NFCID1 (NFCIDLength), ATS (if the target is ISO/IEC14443-4 compliant)
+parsers[TYPE_ISO14443A] = (data, offset) => {
+    var uidLength = data[offset + 4];
+    var length = 5 + uidLength;
+    var target = {
+        tagNumber: data[offset],
+        type: TYPE_ISO14443A,
+        ATQA: data.slice(offset + 1, offset + 3), // SENS_RES
+        SAK: data[offset + 3],                    // SEL_RES
+        uid: toHex(data.slice(offset + 5, offset + length))
+    };
+
+    if (target.SAK & c.SAK_ISO14443_4_COMPLIANT && offset + length < data.length) {
+        var atsLength = data[offset + length]; // TL, the length of the ATS includes itself
+        target.ATS = data.slice(offset + length, offset + length + atsLength);
+        target.historicalBytes = getHistoricalBytes(target.ATS);
+        length += atsLength;
+    }
+    target.family = getIso14443aFamily(target);
+
+    return {target: target, length: length};
+};
+
+// Tg, ATQB (12), ATTRIB_RES length, ATTRIB_RES
+parsers[TYPE_ISO14443B] = (data, offset) => {
+    var atqb = data.slice(offset + 1, offset + 13);
+    var attribLength = data[offset + 13];
+    return {
+        target: {
+            tagNumber: data[offset],
+            type: TYPE_ISO14443B,
+            ATQB: atqb,
+            ATTRIB_RES: data.slice(offset + 14, offset + 14 + attribLength),
+            uid: toHex(atqb.slice(1, 5)), // PUPI
+            applicationData: atqb.slice(5, 9),
+            protocolInfo: atqb.slice(9, 12),
+            family: atqb[10] & ATQB_PROTOCOL_TYPE_ISO14443_4 ? FAMILY_ISO_DEP : FAMILY_UNKNOWN
+        },
+        length: 14 + attribLength
+    };
+};
+
+// Tg, POL_RES length, response code (0x01), NFCID2t / IDm (8), PMm (8), system code (2, if requested)
+parsers[TYPE_FELICA] = (data, offset) => {
+    var pollLength = data[offset + 1];
+    var target = {
+        tagNumber: data[offset],
+        type: TYPE_FELICA,
+        family: FAMILY_FELICA,
+        IDm: data.slice(offset + 3, offset + 11),
+        PMm: data.slice(offset + 11, offset + 19)
+    };
+    target.uid = toHex(target.IDm);
+    if (pollLength >= 20) {
+        target.systemCode = data.readUInt16BE(offset + 19);
+    }
+
+    return {target: target, length: 1 + pollLength};
+};
+
+// Tg, SENS_RES (2), JEWELID (4)
+parsers[TYPE_JEWEL] = (data, offset) => {
+    return {
+        target: {
+            tagNumber: data[offset],
+            type: TYPE_JEWEL,
+            family: FAMILY_JEWEL,
+            ATQA: data.slice(offset + 1, offset + 3), // SENS_RES
+            uid: toHex(data.slice(offset + 3, offset + 7))
+        },
+        length: 7
+    };
+};
+
+var ATR_RES_COMMAND = [0xD5, 0x01]; // Command bytes starting ATR_RES
+
+// Tg, ATR_RES
+parsers[TYPE_DEP] = (data, offset) => {
+    return {
+        target: {
+            tagNumber: data[offset],
+            type: TYPE_DEP,
+            ATR_RES: data.slice(offset + 1),
+            uid: toHex(data.slice(offset + 3, offset + 13)), // NFCID3t
+            generalBytes: data.slice(offset + 18) // After NFCID3t, DIDt, BSt, BRt, TO and PPt
+        },
+        length: data.length - offset
+    };
+};
+
+// Technology of the targets found with each baud rate of InListPassiveTarget (CARD_* constants)
+var CARD_TYPES = {};
+CARD_TYPES[c.CARD_ISO14443A] = TYPE_ISO14443A;
+CARD_TYPES[c.CARD_FELICA212] = TYPE_FELICA;
+CARD_TYPES[c.CARD_FELICA414] = TYPE_FELICA;
+CARD_TYPES[c.CARD_ISO14443B] = TYPE_ISO14443B;
+CARD_TYPES[c.CARD_JEWEL]     = TYPE_JEWEL;
+
+// Technology of the targets found with each type of InAutoPoll (AUTOPOLL_* constants)
+var AUTOPOLL_TYPES = {};
+AUTOPOLL_TYPES[c.AUTOPOLL_GENERIC_106]      = TYPE_ISO14443A;
+AUTOPOLL_TYPES[c.AUTOPOLL_GENERIC_212]      = TYPE_FELICA;
+AUTOPOLL_TYPES[c.AUTOPOLL_GENERIC_424]      = TYPE_FELICA;
+AUTOPOLL_TYPES[c.AUTOPOLL_ISO14443_4B]      = TYPE_ISO14443B;
+AUTOPOLL_TYPES[c.AUTOPOLL_JEWEL]            = TYPE_JEWEL;
+AUTOPOLL_TYPES[c.AUTOPOLL_MIFARE]           = TYPE_ISO14443A;
+AUTOPOLL_TYPES[c.AUTOPOLL_FELICA212]        = TYPE_FELICA;
+AUTOPOLL_TYPES[c.AUTOPOLL_FELICA424]        = TYPE_FELICA;
+AUTOPOLL_TYPES[c.AUTOPOLL_ISO14443_4A]      = TYPE_ISO14443A;
+AUTOPOLL_TYPES[c.AUTOPOLL_ISO14443_4B_2]    = TYPE_ISO14443B;
+AUTOPOLL_TYPES[c.AUTOPOLL_DEP_PASSIVE_106]  = TYPE_DEP;
+AUTOPOLL_TYPES[c.AUTOPOLL_DEP_PASSIVE_212]  = TYPE_DEP;
+AUTOPOLL_TYPES[c.AUTOPOLL_DEP_PASSIVE_424]  = TYPE_DEP;
+AUTOPOLL_TYPES[c.AUTOPOLL_DEP_ACTIVE_106]   = TYPE_DEP;
+AUTOPOLL_TYPES[c.AUTOPOLL_DEP_ACTIVE_212]   = TYPE_DEP;
+AUTOPOLL_TYPES[c.AUTOPOLL_DEP_ACTIVE_424]   = TYPE_DEP;
+
+/*
+    Parses the response of InListPassiveTarget
+
+    @param {number} baudRate - Baud rate (CARD_* constant) the targets were listed with
+    @param {Buffer} body - Response body: NbTg followed by the data of each target
+    @returns {array} The normalized targets
+*/
+function parseListPassiveTarget(baudRate, body) {
+    var parse = parsers[CARD_TYPES[baudRate]];
+    var targets = [];
+    var offset = 1;
+    for (var i = 0; i < body[0]; i++) {
+        var result = parse(body, offset);
+        targets.push(result.target);
+        offset += result.length;
+    }
+    return targets;
+}
+
+/*
+    Parses the response of InAutoPoll
+
+    @param {Buffer} body - Response body: NbTg followed by the type, length and data of each target
+    @returns {array} The normalized targets, with the InAutoPoll type they were found with as autoPollType
+*/
+function parseAutoPoll(body) {
+    var targets = [];
+    var offset = 1;
+    for (var i = 0; i < body[0]; i++) {
+        var autoPollType = body[offset];
+        var length = body[offset + 1];
+        var data = body.slice(offset + 2, offset + 2 + length);
+
+        var type = AUTOPOLL_TYPES[autoPollType];
+        var target = type ? parsers[type](data, 0).target : {tagNumber: data[0], data: data.slice(1)};
+        target.autoPollType = autoPollType;
+        targets.push(target);
+
+        offset += 2 + length;
+    }
+    return targets;
+}
+
+/*
+    Parses the response of InJumpForDEP
+
+    @param {Buffer} body - Response body: Status, Tg, then the ATR_RES of the target without its command bytes
+        (NFCID3t, DIDt, BSt, BRt, TO, PPt and the general bytes)
+    @returns {object} The normalized target
+*/
+function parseJumpForDep(body) {
+    var data = Buffer.concat([body.slice(1, 2), new Buffer(ATR_RES_COMMAND), body.slice(2)]);
+    return parsers[TYPE_DEP](data, 0).target;
+}
+
+exports.TYPE_ISO14443A = TYPE_ISO14443A;
+exports.TYPE_ISO14443B = TYPE_ISO14443B;
+exports.TYPE_FELICA = TYPE_FELICA;
+exports.TYPE_JEWEL = TYPE_JEWEL;
+exports.TYPE_DEP = TYPE_DEP;
+exports.FAMILY_ULTRALIGHT = FAMILY_ULTRALIGHT;
+exports.FAMILY_CLASSIC_MINI = FAMILY_CLASSIC_MINI;
+exports.FAMILY_CLASSIC_1K = FAMILY_CLASSIC_1K;
+exports.FAMILY_CLASSIC_4K = FAMILY_CLASSIC_4K;
+exports.FAMILY_DESFIRE = FAMILY_DESFIRE;
+exports.FAMILY_ISO_DEP = FAMILY_ISO_DEP;
+exports.FAMILY_FELICA = FAMILY_FELICA;
+exports.FAMILY_JEWEL = FAMILY_JEWEL;
+exports.FAMILY_UNKNOWN = FAMILY_UNKNOWN;
+exports.parseListPassiveTarget = parseListPassiveTarget;
+exports.parseAutoPoll = parseAutoPoll;
+exports.parseJumpForDep = parseJumpForDep;
@@ -0,0 +1,619 @@
+'use strict';
+/*
+    NFC Forum Type 2 tags (MIFARE Ultralight, Ultralight EV1, NTAG203 and NTAG21x): pages of 4 bytes, the UID and
+    the static lock bytes in pages 0 to 2, the Capability Container (CC) in page 3, then the user memory from page 4.
+    The chip is identified with GET_VERSION, or by its size for the chips without GET_VERSION.
+*/
+var logger = require('winston').loggers.get('pn532');
+
+var c = require('./constants');
+var errors = require('./errors');
+var ndef = require('./ndef');
+
+var PAGE_SIZE         = 4;
+var LOCK_PAGE         = 2; // Bytes 2 and 3 are the static lock bytes
+var CC_PAGE           = 3;
+var USER_MEMORY_START = 4;
+var READ_PAGES        = 4;  // Pages returned by READ
+var FAST_READ_PAGES   = 60; // Pages read by each FAST_READ, within the frames of the PN532
+var VERSION_SIZE      = 8;
+
+var CC_MAGIC          = 0xE1; // NDEF formatted tag
+var CC_ACCESS_GRANTED = 0x00;
+var CC_ACCESS_NONE    = 0x0F;
+
+var CHIP_ULTRALIGHT       = 'MIFARE Ultralight';
+var CHIP_ULTRALIGHT_EV1_1 = 'MIFARE Ultralight EV1 (MF0UL11)';
+var CHIP_ULTRALIGHT_EV1_2 = 'MIFARE Ultralight EV1 (MF0UL21)';
+var CHIP_NTAG203          = 'NTAG203';
+var CHIP_NTAG213          = 'NTAG213';
+var CHIP_NTAG215          = 'NTAG215';
+var CHIP_NTAG216          = 'NTAG216';
+var CHIP_UNKNOWN          = 'Unknown';
+
+var PRODUCT_TYPE_ULTRALIGHT = 0x03;
+var PRODUCT_TYPE_NTAG       = 0x04;
+
+/*
+    Memory of the chips: pages, last page of user memory, page of the dynamic lock bytes (null if none), and whether
+    FAST_READ is supported.  The chips answering GET_VERSION are found by product type and storage size.
+*/
+var CHIPS = [
+    {name: CHIP_ULTRALIGHT, pageCount: 16, lastUserPage: 15, dynamicLockPage: null, fastRead: false},
+    {name: CHIP_NTAG203, pageCount: 42, lastUserPage: 39, dynamicLockPage: 40, fastRead: false},
+    {name: CHIP_ULTRALIGHT_EV1_1, productType: PRODUCT_TYPE_ULTRALIGHT, storageSize: 0x0B,
+     pageCount: 20, lastUserPage: 15, dynamicLockPage: null, fastRead: true},
+    {name: CHIP_ULTRALIGHT_EV1_2, productType: PRODUCT_TYPE_ULTRALIGHT, storageSize: 0x0E,
+     pageCount: 41, lastUserPage: 35, dynamicLockPage: 36, fastRead: true},
+    {name: CHIP_NTAG213, productType: PRODUCT_TYPE_NTAG, storageSize: 0x0F,
+     pageCount: 45, lastUserPage: 39, dynamicLockPage: 40, fastRead: true},
+    {name: CHIP_NTAG215, productType: PRODUCT_TYPE_NTAG, storageSize: 0x11,
+     pageCount: 135, lastUserPage: 129, dynamicLockPage: 130, fastRead: true},
+    {name: CHIP_NTAG216, productType: PRODUCT_TYPE_NTAG, storageSize: 0x13,
+     pageCount: 231, lastUserPage: 225, dynamicLockPage: 226, fastRead: true}
+];
+
+var findChip = (name) => CHIPS.find((chip) => chip.name === name);
+
+/*
+    @param {(array|Buffer)} data - Response to GET_VERSION (8 bytes)
+    @returns {object} {vendorId, productType, productSubtype, majorVersion, minorVersion, storageSize, protocolType}
+*/
+function parseVersion(data) {
+    if (data.length !== VERSION_SIZE) {
+        throw new errors.PN532Error('GET_VERSION returns ' + VERSION_SIZE + ' bytes, got ' + data.length);
+    }
+    return {
+        vendorId: data[1],
+        productType: data[2],
+        productSubtype: data[3],
+        majorVersion: data[4],
+        minorVersion: data[5],
+        storageSize: data[6],
+        protocolType: data[7]
+    };
+}
+
+/*
+    @param {(array|Buffer)} data - Page 3 (4 bytes)
+    @returns {object} {isNdefFormatted, majorVersion, minorVersion, dataAreaSize, readAccess, writeAccess,
+        isReadable, isWritable}, dataAreaSize being in bytes
+*/
+function parseCapabilityContainer(data) {
+    var readAccess = data[3] >> 4;
+    var writeAccess = data[3] & 0x0F;
+    return {
+        isNdefFormatted: data[0] === CC_MAGIC,
+        majorVersion: data[1] >> 4,
+        minorVersion: data[1] & 0x0F,
+        dataAreaSize: data[2] * 8,
+        readAccess: readAccess,
+        writeAccess: writeAccess,
+        isReadable: readAccess === CC_ACCESS_GRANTED,
+        isWritable: writeAccess === CC_ACCESS_GRANTED
+    };
+}
+
+/*
+    TLVs of the data area (NFC Forum Type 2 Tag Operation, section 2.3): the Lock Control and Memory Control TLVs
+    locate the dynamic lock bytes and the reserved bytes, which the following TLVs skip.  Their position holds the
+    number of major offsets (upper nibble) and of minor offsets (lower nibble), a major offset being
+    2^(lower nibble of their page control) bytes.
+*/
+var DATA_AREA_START = USER_MEMORY_START * PAGE_SIZE;
+
+// Without Lock Control TLV, the dynamic lock bits follow the data area, each locking 8 bytes past the first 48
+var STATIC_LOCKED_SIZE           = 48;
+var DEFAULT_BYTES_LOCKED_PER_BIT = 8;
+var DYNAMIC_LOCK_SIZE            = 3; // Dynamic lock bytes of the chips, the 4th byte of their page is RFUI
+
+function parseControlTlv(value, isLock) {
+    if (value.length !== 3) {
+        throw new errors.PN532Error((isLock ? 'Lock' : 'Memory') + ' Control TLV of ' + value.length +
+                                    ' bytes, expected 3');
+    }
+    var size = value[1] || 256;
+    var area = {
+        address: (value[0] >> 4) * (1 << (value[2] & 0x0F)) + (value[0] & 0x0F),
+        size: isLock ? Math.ceil(size / 8) : size
+    };
+    if (isLock) {
+        area.lockBitCount = size;
+        area.bytesLockedPerLockBit = 1 << (value[2] >> 4);
+    }
+    return area;
+}
+
+/*
+    @param {(array|Buffer)} memory - Memory of the tag from page 0 to the end of the data area
+    @returns {object} {tlvs, lockAreas, reservedAreas}:
+        tlvs            {type, address, length, value, end} of each TLV until the Terminator TLV (NULL TLVs
+                        skipped), address being the byte of the type in the memory and end the byte following the TLV
+        lockAreas       {address, size, lockBitCount, bytesLockedPerLockBit} of each Lock Control TLV
+        reservedAreas   {address, size} of each Memory Control TLV
+    @throws {PN532Error} If a TLV exceeds the data area
+*/
+function parseTlvs(memory) {
+    memory = new Buffer(memory);
+    var tlvs = [];
+    var lockAreas = [];
+    var reservedAreas = [];
+
+    var isSkipped = (address) => lockAreas.concat(reservedAreas).some((area) => {
+        return address >= area.address && address < area.address + area.size;
+    });
+    var address = DATA_AREA_START;
+    var tlvAddress = address;
+    var skipAreas = () => {
+        while (address < memory.length && isSkipped(address)) {
+            address++;
+        }
+    };
+    var readBytes = (count) => {
+        var bytes = [];
+        while (bytes.length < count) {
+            skipAreas();
+            if (address >= memory.length) {
+                throw new errors.PN532Error('TLV at byte ' + tlvAddress + ' exceeds the data area (' +
+                                            (memory.length - DATA_AREA_START) + ' bytes)');
+            }
+            bytes.push(memory[address++]);
+        }
+        return new Buffer(bytes);
+    };
+
+    while (address < memory.length) {
+        // Lock or reserved bytes ending the data area hold no TLV
+        skipAreas();
+        if (address >= memory.length) {
+            break;
+        }
+        tlvAddress = address;
+        var type = readBytes(1)[0];
+        if (type === c.TAG_MEM_NULL_TLV) {
+            continue;
+        }
+        if (type === c.TAG_MEM_TERMINATOR_TLV) {
+            break;
+        }
+        var length = readBytes(1)[0];
+        if (length === 0xFF) {
+            length = readBytes(2).readUInt16BE(0);
+        }
+        var value = readBytes(length);
+        tlvs.push({type: type, address: tlvAddress, length: length, value: value, end: address});
+
+        if (type === c.TAG_MEM_LOCK_TLV) {
+            lockAreas.push(parseControlTlv(value, true));
+        } else if (type === c.TAG_MEM_MEMCONTROL_TLV) {
+            reservedAreas.push(parseControlTlv(value, false));
+        }
+    }
+    return {tlvs: tlvs, lockAreas: lockAreas, reservedAreas: reservedAreas};
+}
+
+/*
+    Reads and writes the pages of a Type 2 tag, once its chip identified
+*/
+class Type2Tag {
+    /*
+        @constructor
+        @param {Target} target - Type 2 target (MIFARE Ultralight/NTAG family) returned by scanTag() or autoPoll()
+    */
+    constructor(target) {
+        this.target = target;
+        this.chip = null;    // See CHIPS
+        this.version = null; // Response to GET_VERSION, null for the chips without GET_VERSION
+    }
+
+    /*
+        Send GET_VERSION (MIFARE Ultralight EV1 and NTAG21x only)
+
+        @returns {Promise<Buffer>} The 8 bytes of the version.  Rejects with a StatusError if the tag does not
+            support GET_VERSION, which leaves it halted until selected again.
+    */
+    getVersion() {
+        return this.target.communicateThru([c.MIFARE_COMMAND_GET_VERSION])
+            .then((data) => {
+                parseVersion(data);
+                return data;
+            });
+    }
+
+    /*
+        Identify the chip with GET_VERSION, telling the chips without GET_VERSION apart by reading the last page of
+        NTAG203 (the tag is selected again after each command it refused)
+
+        @returns {Promise<object>} Resolves with the chip: {name, pageCount, lastUserPage, dynamicLockPage, fastRead},
+            name being one of the CHIP_* exports.  Chips answering an unknown version get their size from the
+            version, their name being CHIP_UNKNOWN.
+    */
+    identify() {
+        if (this.chip) {
+            return Promise.resolve(this.chip);
+        }
+
+        return this.getVersion()
+            .then((data) => {
+                var version = parseVersion(data);
+                var chip = CHIPS.find((candidate) => candidate.productType === version.productType &&
+                                                     candidate.storageSize === version.storageSize);
+                this.version = data;
+                return chip || this._getUnknownChip(version);
+            }, (error) => {
+                if (!(error instanceof errors.StatusError)) {
+                    throw error;
+                }
+                var ntag203 = findChip(CHIP_NTAG203);
+                return this.target.select()
+                    .then(() => this.target.read(ntag203.pageCount - 1))
+                    .then(() => ntag203, (error) => {
+                        if (!(error instanceof errors.StatusError)) {
+                            throw error;
+                        }
+                        return this.target.select().then(() => findChip(CHIP_ULTRALIGHT));
+                    });
+            })
+            .then((chip) => {
+                logger.info('Type 2 tag identified as ' + chip.name);
+                this.chip = chip;
+                return chip;
+            });
+    }
+
+    /*
+        Read consecutive pages, with FAST_READ when the chip supports it (READ returning 4 pages otherwise)
+
+        @param {number} page - First page
+        @param {number} count - Number of pages
+        @returns {Promise<Buffer>}
+    */
+    readPages(page, count) {
+        return this.identify().then((chip) => {
+            if (page < 0 || page + count > chip.pageCount) {
+                throw new errors.PN532Error('Pages ' + page + ' to ' + (page + count - 1) + ' out of range (' +
+                                            chip.pageCount + ' pages)');
+            }
+
+            var pages = [];
+            var readNext = (offset) => {
+                if (offset >= count) {
+                    return Buffer.concat(pages);
+                }
+                var chunk = Math.min(count - offset, chip.fastRead ? FAST_READ_PAGES : READ_PAGES);
+                var start = page + offset;
+                var read = chip.fastRead ?
+                    this.target.communicateThru([c.MIFARE_COMMAND_FAST_READ, start, start + chunk - 1]) :
+                    this.target.read(start);
+                return read.then((data) => {
+                    if (data.length < chunk * PAGE_SIZE) {
+                        throw new errors.PN532Error('Read of page ' + start + ' returned ' + data.length + ' bytes');
+                    }
+                    pages.push(data.slice(0, chunk * PAGE_SIZE));
+                    return readNext(offset + chunk);
+                });
+            };
+            return readNext(0);
+        });
+    }
+
+    /*
+        Write a page
+
+        @param {number} page
+        @param {(array|Buffer)} data - 4 bytes
+        @returns {Promise}
+    */
+    writePage(page, data) {
+        if (data.length !== PAGE_SIZE) {
+            return Promise.reject(new errors.PN532Error('Pages have ' + PAGE_SIZE + ' bytes, got ' + data.length));
+        }
+        return this.identify().then((chip) => {
+            if (page < LOCK_PAGE || page >= chip.pageCount) {
+                throw new errors.PN532Error('Page ' + page + ' is not writable (' + chip.pageCount + ' pages)');
+            }
+            return this.target.write(page, data);
+        });
+    }
+
+    /*
+        Identify the chip and read its Capability Container and lock bytes
+
+        @returns {Promise<object>} Resolves with:
+            chip            Name of the chip, one of the CHIP_* exports
+            version         Response to GET_VERSION (Buffer), null for the chips without GET_VERSION
+            pageCount       Number of pages
+            userMemory      {firstPage, lastPage, size}, size in bytes
+            cc              Capability Container, see parseCapabilityContainer()
+            lock            {staticBytes, dynamicBytes, isLocked}, the lock bytes (dynamicBytes null for the chips
+                            without dynamic lock bytes) and whether a page of the user memory (or the CC) is locked
+            isReadOnly      Whether the CC denies writes
+    */
+    getTagInfo() {
+        return this.identify()
+            .then(() => this.readPages(0, USER_MEMORY_START))
+            .then((header) => {
+                var chip = this.chip;
+                var staticBytes = header.slice(LOCK_PAGE * PAGE_SIZE + 2, CC_PAGE * PAGE_SIZE);
+                var cc = parseCapabilityContainer(header.slice(CC_PAGE * PAGE_SIZE));
+                var dynamicLock = chip.dynamicLockPage === null ? Promise.resolve(null) :
+                                                                  this.readPages(chip.dynamicLockPage, 1);
+                return dynamicLock.then((dynamicPage) => {
+                    var dynamicBytes = dynamicPage && dynamicPage.slice(0, 3);
+                    // Bits 0 to 2 of the first static lock byte, and the last dynamic lock byte, lock the lock bits
+                    var isLocked = !!(staticBytes[0] & 0xF8 || staticBytes[1] ||
+                                      (dynamicBytes && (dynamicBytes[0] || dynamicBytes[1])));
+                    return {
+                        chip: chip.name,
+                        version: this.version,
+                        pageCount: chip.pageCount,
+                        userMemory: {
+                            firstPage: USER_MEMORY_START,
+                            lastPage: chip.lastUserPage,
+                            size: (chip.lastUserPage - USER_MEMORY_START + 1) * PAGE_SIZE
+                        },
+                        cc: cc,
+                        lock: {
+                            staticBytes: staticBytes,
+                            dynamicBytes: dynamicBytes,
+                            isLocked: isLocked
+                        },
+                        isReadOnly: !cc.isWritable
+                    };
+                });
+            });
+    }
+
+    /*
+        Read the TLVs of the data area declared by the CC
+
+        @returns {Promise<object>} Resolves with the result of parseTlvs(), plus the cc (see
+            parseCapabilityContainer()) and the memory read (from page 0 to the end of the data area).  Rejects
+            with a PN532Error if the tag is not NDEF formatted, or its CC denies reads.
+    */
+    readTlvs() {
+        return this.readPages(0, USER_MEMORY_START)
+            .then((header) => {
+                var cc = parseCapabilityContainer(header.slice(CC_PAGE * PAGE_SIZE));
+                if (!cc.isNdefFormatted) {
+                    throw new errors.PN532Error('The tag is not NDEF formatted (CC ' +
+                                                header.slice(CC_PAGE * PAGE_SIZE).toString('hex') + ')');
+                }
+                if (!cc.isReadable) {
+                    throw new errors.PN532Error('The CC denies reads (read access 0x' + cc.readAccess.toString(16) +
+                                                ')');
+                }
+
+                // The data area declared by the CC, within the user memory
+                var pageCount = Math.min(cc.dataAreaSize / PAGE_SIZE, this.chip.lastUserPage - USER_MEMORY_START + 1);
+                return this.readPages(USER_MEMORY_START, pageCount).then((data) => {
+                    var memory = Buffer.concat([header, data]);
+                    var result = parseTlvs(memory);
+                    result.cc = cc;
+                    result.memory = memory;
+                    return result;
+                });
+            });
+    }
+
+    /*
+        Read the NDEF messages of the tag, one for each NDEF TLV
+
+        @returns {Promise<array>} Resolves with the NDEF messages (Buffers, empty for empty NDEF TLVs).  Rejects
+            with a PN532Error if the tag is not NDEF formatted.
+    */
+    readNdefMessages() {
+        return this.readTlvs().then((result) => {
+            return result.tlvs
+                .filter((tlv) => tlv.type === c.TAG_MEM_NDEF_TLV)
+                .map((tlv) => tlv.value);
+        });
+    }
+
+    /*
+        Read the NDEF message of the tag (its first NDEF TLV)
+
+        @returns {Promise<Buffer>} Rejects with a PN532Error if the tag is not NDEF formatted or has no NDEF TLV
+    */
+    readNdef() {
+        return this.readNdefMessages().then((messages) => {
+            if (!messages.length) {
+                throw new errors.PN532Error('No NDEF TLV in the data area');
+            }
+            return messages[0];
+        });
+    }
+
+    /*
+        Write an NDEF message in place of the NDEF TLV (after the Lock Control and Memory Control TLVs), skipping
+        the lock and reserved bytes.  The pages holding the NDEF TLV header are written first with an empty NDEF
+        TLV, then the message, then the header with the length of the message: a tag leaving the field during the
+        write keeps a valid (empty) NDEF message.
+
+        @param {(array|Buffer)} message - Encoded NDEF message, or NdefRecords
+        @param {object} [options]
+        @param {boolean} [options.verify=false] - Whether to read back the message written
+        @returns {Promise} Rejects with a PN532Error if the tag is not NDEF formatted, its CC denies writes, the
+            message exceeds the data area declared by the CC, or the message read back differs
+    */
+    writeNdef(message, options) {
+        options = options || {};
+        try {
+            message = new Buffer(ndef.toMessage(message));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.readTlvs()
+            .then((result) => {
+                if (!result.cc.isWritable) {
+                    throw new errors.PN532Error('The CC denies writes (write access 0x' +
+                                                result.cc.writeAccess.toString(16) + ')');
+                }
+
+                var memory = new Buffer(result.memory);
+                var skipped = result.lockAreas.concat(result.reservedAreas);
+                var start = result.tlvs
+                    .filter((tlv) => tlv.type === c.TAG_MEM_LOCK_TLV || tlv.type === c.TAG_MEM_MEMCONTROL_TLV)
+                    .reduce((end, tlv) => Math.max(end, tlv.end), DATA_AREA_START);
+                var addresses = [];
+                for (var address = start; address < memory.length; address++) {
+                    if (!skipped.some((area) => address >= area.address && address < area.address + area.size)) {
+                        addresses.push(address);
+                    }
+                }
+
+                // TLV of 1 or 3 byte length, the terminator TLV being left out when the NDEF TLV fills the data area
+                var length = message.length < 0xFF ? [message.length] :
+                                                     [0xFF, message.length >> 8, message.length & 0xFF];
+                var header = [c.TAG_MEM_NDEF_TLV].concat(length);
+                var tlv = header.concat(Array.from(message), [c.TAG_MEM_TERMINATOR_TLV]);
+                if (tlv.length - 1 > addresses.length) {
+                    throw new errors.PN532Error('NDEF message of ' + message.length + ' bytes exceeds the data ' +
+                                                'area (' + Math.max(addresses.length - header.length, 0) +
+                                                ' bytes available)');
+                }
+                tlv.slice(0, addresses.length).forEach((byte, i) => {
+                    memory[addresses[i]] = byte;
+                });
+
+                // Empty NDEF TLV (length 0, then a terminator TLV) in the pages of the header
+                var emptyTlv = new Buffer(memory);
+                var emptyTlvBytes = Math.min(Math.max(header.length, 3), addresses.length);
+                [c.TAG_MEM_NDEF_TLV, 0x00, c.TAG_MEM_TERMINATOR_TLV].forEach((byte, i) => {
+                    if (i < emptyTlvBytes) {
+                        emptyTlv[addresses[i]] = byte;
+                    }
+                });
+
+                var pagesOf = (from, to) => {
+                    var pages = [];
+                    addresses.slice(from, to).forEach((address) => {
+                        var page = Math.floor(address / PAGE_SIZE);
+                        if (pages.indexOf(page) === -1) {
+                            pages.push(page);
+                        }
+                    });
+                    return pages;
+                };
+                var headerPages = pagesOf(0, emptyTlvBytes);
+                var messagePages = pagesOf(0, tlv.length).filter((page) => headerPages.indexOf(page) === -1);
+
+                var writePages = (pages, image) => pages.reduce((promise, page) => {
+                    return promise.then(() => this.writePage(page, image.slice(page * PAGE_SIZE,
+                                                                               (page + 1) * PAGE_SIZE)));
+                }, Promise.resolve());
+
+                logger.info('Writing NDEF message of ' + message.length + ' bytes');
+                return writePages(headerPages, emptyTlv)
+                    .then(() => writePages(messagePages, memory))
+                    .then(() => writePages(headerPages, memory));
+            })
+            .then(() => {
+                if (!options.verify) {
+                    return;
+                }
+                return this.readNdef().then((written) => {
+                    if (!written.equals(message)) {
+                        throw new errors.PN532Error('The NDEF message read back differs from the message written');
+                    }
+                });
+            });
+    }
+
+    /*
+        Make the tag read-only for good: sets the write access of the CC to 0x0F, then the dynamic lock bits
+        (located by the Lock Control TLVs, or following the data area) and the static lock bits.  Lock bits can
+        never be cleared.
+
+        @returns {Promise} Rejects with a PN532Error if the tag is not NDEF formatted
+    */
+    makeReadOnly() {
+        return this.readTlvs().then((result) => {
+            var cc = new Buffer(result.memory.slice(CC_PAGE * PAGE_SIZE, USER_MEMORY_START * PAGE_SIZE));
+            cc[3] = (result.cc.readAccess << 4) | CC_ACCESS_NONE;
+            var staticLock = result.memory.slice(LOCK_PAGE * PAGE_SIZE, CC_PAGE * PAGE_SIZE);
+
+            logger.info('Making the tag read-only');
+            return this.writePage(CC_PAGE, cc)
+                .then(() => this._writeDynamicLockBits(result))
+                .then(() => this.writePage(LOCK_PAGE, [staticLock[0], staticLock[1], 0xFF, 0xFF]));
+        });
+    }
+
+    // Sets the dynamic lock bits, preserving the other bytes of their pages
+    _writeDynamicLockBits(result) {
+        var areas = result.lockAreas;
+        if (!areas.length && result.cc.dataAreaSize > STATIC_LOCKED_SIZE) {
+            if (this.chip.dynamicLockPage === null) {
+                logger.warn('No dynamic lock bytes known for ' + this.chip.name +
+                            ', only the static lock bits are set');
+            } else {
+                var bitCount = Math.ceil((result.cc.dataAreaSize - STATIC_LOCKED_SIZE) / DEFAULT_BYTES_LOCKED_PER_BIT);
+                areas = [{
+                    address: this.chip.dynamicLockPage * PAGE_SIZE,
+                    lockBitCount: Math.min(bitCount, DYNAMIC_LOCK_SIZE * 8)
+                }];
+            }
+        }
+
+        var bits = [];
+        areas.forEach((area) => {
+            for (var bit = 0; bit < area.lockBitCount; bit++) {
+                bits.push({address: area.address + (bit >> 3), mask: 1 << (bit & 7)});
+            }
+        });
+        var pages = [];
+        bits.forEach((bit) => {
+            var page = Math.floor(bit.address / PAGE_SIZE);
+            if (pages.indexOf(page) === -1) {
+                pages.push(page);
+            }
+        });
+
+        return pages.reduce((promise, page) => {
+            return promise
+                .then(() => this.readPages(page, 1))
+                .then((data) => {
+                    bits
+                        .filter((bit) => Math.floor(bit.address / PAGE_SIZE) === page)
+                        .forEach((bit) => {
+                            data[bit.address % PAGE_SIZE] |= bit.mask;
+                        });
+                    return this.writePage(page, data);
+                });
+        }, Promise.resolve());
+    }
+
+    // Chip answering an unknown version: the storage size gives 2^n bytes of user memory (between 2^n and 2^(n+1)
+    // when its lowest bit is set)
+    _getUnknownChip(version) {
+        var userPages = (1 << (version.storageSize >> 1)) / PAGE_SIZE;
+        return {
+            name: CHIP_UNKNOWN,
+            pageCount: USER_MEMORY_START + userPages,
+            lastUserPage: USER_MEMORY_START + userPages - 1,
+            dynamicLockPage: null,
+            fastRead: true
+        };
+    }
+}
+
+exports.PAGE_SIZE = PAGE_SIZE;
+exports.USER_MEMORY_START = USER_MEMORY_START;
+exports.CC_MAGIC = CC_MAGIC;
+exports.CC_ACCESS_GRANTED = CC_ACCESS_GRANTED;
+exports.CC_ACCESS_NONE = CC_ACCESS_NONE;
+exports.CHIP_ULTRALIGHT = CHIP_ULTRALIGHT;
+exports.CHIP_ULTRALIGHT_EV1_1 = CHIP_ULTRALIGHT_EV1_1;
+exports.CHIP_ULTRALIGHT_EV1_2 = CHIP_ULTRALIGHT_EV1_2;
+exports.CHIP_NTAG203 = CHIP_NTAG203;
+exports.CHIP_NTAG213 = CHIP_NTAG213;
+exports.CHIP_NTAG215 = CHIP_NTAG215;
+exports.CHIP_NTAG216 = CHIP_NTAG216;
+exports.CHIP_UNKNOWN = CHIP_UNKNOWN;
+exports.CHIPS = CHIPS;
+exports.parseVersion = parseVersion;
+exports.parseCapabilityContainer = parseCapabilityContainer;
+exports.parseTlvs = parseTlvs;
+exports.Type2Tag = Type2Tag;
@@ -0,0 +1,380 @@
+'use strict';
+/*
+    Virtual tags placed in the field of a PN532_Simulator
+*/
+
+var c = require('./constants');
+
+// Status bytes returned by the simulated PN532 (section 7.1 of user manual)
+var STATUS_OK          = 0x00;
+var STATUS_TIMEOUT     = 0x01; // The target has not answered
+var STATUS_MIFARE_NAK  = 0x14; // The PN532 reports a NAK from a MIFARE tag as an authentication error
+
+var xor = (bytes) => bytes.reduce((prev, current) => prev ^ current, 0);
+
+// Response of NTAG215 to GET_VERSION: NXP, NTAG, 50 pF, version 1.0, 504 bytes, ISO/IEC 14443-3
+var VERSION_NTAG215 = [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x11, 0x03];
+
+// Configuration of NTAG215: CFG0 (AUTH0 in byte 3), CFG1 (ACCESS in byte 0), PWD and PACK
+var NTAG215_CFG0_PAGE            = 0x83;
+var NTAG_ACCESS_PROT             = 0x80;
+var NTAG_ACCESS_NFC_CNT_EN       = 0x10;
+var NTAG_ACCESS_NFC_CNT_PWD_PROT = 0x08;
+
+var toBuffer = (data) => (data instanceof Buffer) ? data : new Buffer(data);
+
+/*
+    Base class of the virtual tags.  Subclasses answer the data of InDataExchange (and InCommunicateThru).
+*/
+class VirtualTag {
+    /*
+        @constructor
+        @param {object} options
+        @param {(Buffer|array)} options.uid - NFCID1 of the tag
+        @param {(Buffer|array)} options.atqa - SENS_RES of the tag
+        @param {number} options.sak - SEL_RES of the tag
+        @param {(Buffer|array)} [options.ats] - Answer to select, including its length byte (ISO-DEP tags only)
+    */
+    constructor(options) {
+        this.uid = toBuffer(options.uid);
+        this.atqa = toBuffer(options.atqa);
+        this.sak = options.sak;
+        this.ats = options.ats ? toBuffer(options.ats) : null;
+        this.isActive = false;
+    }
+
+    // Gets the target's data as returned by InListPassiveTarget (without the logical target number)
+    getTargetData() {
+        var data = Buffer.concat([this.atqa, new Buffer([this.sak, this.uid.length]), this.uid]);
+        return this.ats ? Buffer.concat([data, this.ats]) : data;
+    }
+
+    // Called when the tag is (re)activated by the PN532
+    activate() {
+        this.isActive = true;
+    }
+
+    // Called when the tag leaves the field or is halted
+    deactivate() {
+        this.isActive = false;
+    }
+
+    /*
+        @param {Buffer} data - Data sent by the PN532 to the tag
+        @returns {object} {status: <status byte>, data: <Buffer returned by the tag>}
+    */
+    transceive(data) {
+        return {status: STATUS_TIMEOUT, data: new Buffer(0)};
+    }
+}
+
+/*
+    NTAG215 (NFC Forum Type 2 tag) with 135 pages of 4 bytes.  The password protection (AUTH0, PROT) and the NFC
+    counter are enforced, AUTHLIM and CFGLCK are not.
+*/
+class VirtualNtag215 extends VirtualTag {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {(Buffer|array)} [options.uid] - 7 byte UID
+        @param {(Buffer|array)} [options.memory] - Image of the tag's memory, copied from page 0 over the default
+            configuration pages.  Defaults to an empty NDEF formatted tag.  The UID and its check bytes are always set
+            from options.uid.
+        @param {(Buffer|array)} [options.signature] - Originality signature returned by READ_SIG (32 bytes),
+            zeros by default
+        @param {number} [options.counter=0] - Initial value of the NFC counter
+    */
+    constructor(options) {
+        options = options || {};
+        super({
+            uid: options.uid || [0x04, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC],
+            atqa: [0x00, 0x44],
+            sak: 0x00
+        });
+
+        this.pageCount = 135;
+        this.memory = new Buffer(this.pageCount * 4).fill(0);
+        new Buffer([0x00, 0x00, 0x00, 0xBD]).copy(this.memory, 0x82 * 4); // Dynamic lock bytes
+        new Buffer([0x04, 0x00, 0x00, 0xFF]).copy(this.memory, NTAG215_CFG0_PAGE * 4); // CFG0 (AUTH0 = 0xFF)
+        new Buffer([0x00, 0x05, 0x00, 0x00]).copy(this.memory, (NTAG215_CFG0_PAGE + 1) * 4); // CFG1
+        new Buffer([0xFF, 0xFF, 0xFF, 0xFF]).copy(this.memory, (NTAG215_CFG0_PAGE + 2) * 4); // PWD
+        if (options.memory) {
+            toBuffer(options.memory).copy(this.memory);
+        } else {
+            new Buffer([0xE1, 0x10, 0x3E, 0x00]).copy(this.memory, 3 * 4); // Capability Container
+            new Buffer([c.TAG_MEM_NDEF_TLV, 0x00, c.TAG_MEM_TERMINATOR_TLV]).copy(this.memory, 4 * 4);
+        }
+
+        var uid = this.uid;
+        new Buffer([uid[0], uid[1], uid[2], xor([0x88, uid[0], uid[1], uid[2]])]).copy(this.memory, 0);
+        uid.copy(this.memory, 4, 3, 7);
+        this.memory[8] = xor([uid[3], uid[4], uid[5], uid[6]]);
+        this.memory[9] = 0x48;
+
+        this.signature = options.signature ? toBuffer(options.signature) : new Buffer(32).fill(0);
+        this.counter = options.counter || 0;
+        this.isAuthenticated = false;
+        this._isCounted = false; // Whether the counter was incremented since the activation
+    }
+
+    activate() {
+        super.activate();
+        this.isAuthenticated = false;
+        this._isCounted = false;
+    }
+
+    _fail() {
+        // A failed operation returns the tag to the idle state, it must be reactivated
+        this.deactivate();
+        this.isAuthenticated = false;
+        return {status: STATUS_MIFARE_NAK, data: new Buffer(0)};
+    }
+
+    // Whether the page is protected for reads (read is true) or writes, and the password was not given
+    _isProtected(page, read) {
+        var auth0 = this.memory[NTAG215_CFG0_PAGE * 4 + 3];
+        var access = this.memory[(NTAG215_CFG0_PAGE + 1) * 4];
+        return !this.isAuthenticated && page >= auth0 && (!read || !!(access & NTAG_ACCESS_PROT));
+    }
+
+    // The NFC counter is incremented by the first read after each activation, if enabled
+    _count() {
+        var access = this.memory[(NTAG215_CFG0_PAGE + 1) * 4];
+        if (!this._isCounted && (access & NTAG_ACCESS_NFC_CNT_EN) && this.counter < 0xFFFFFF) {
+            this.counter++;
+        }
+        this._isCounted = true;
+    }
+
+    // Gets the memory of pages, wrapping around to page 0 past the last page
+    _readPages(page, count) {
+        var data = new Buffer(count * 4);
+        for (var i = 0; i < count; i++) {
+            var address = ((page + i) % this.pageCount) * 4;
+            this.memory.copy(data, i * 4, address, address + 4);
+        }
+        // PWD and PACK always read as 0x00
+        for (var p = 0x85; p <= 0x86; p++) {
+            var offset = (p - page) * 4;
+            if (offset >= 0 && offset < data.length) {
+                data.fill(0, offset, offset + 4);
+            }
+        }
+        return data;
+    }
+
+    transceive(data) {
+        if (!this.isActive) {
+            return {status: STATUS_TIMEOUT, data: new Buffer(0)};
+        }
+
+        var command = data[0];
+        var page = data[1];
+
+        if (command === c.MIFARE_COMMAND_GET_VERSION) {
+            return {status: STATUS_OK, data: new Buffer(VERSION_NTAG215)};
+        }
+
+        if (command === c.MIFARE_COMMAND_PWD_AUTH) {
+            var pwd = NTAG215_CFG0_PAGE + 2;
+            if (data.length < 5 || !data.slice(1, 5).equals(this.memory.slice(pwd * 4, pwd * 4 + 4))) {
+                return this._fail();
+            }
+            this.isAuthenticated = true;
+            return {status: STATUS_OK, data: this.memory.slice((pwd + 1) * 4, (pwd + 1) * 4 + 2)};
+        }
+
+        if (command === c.MIFARE_COMMAND_READ_CNT) {
+            var access = this.memory[(NTAG215_CFG0_PAGE + 1) * 4];
+            if (page !== 0x02 || !(access & NTAG_ACCESS_NFC_CNT_EN) ||
+                ((access & NTAG_ACCESS_NFC_CNT_PWD_PROT) && !this.isAuthenticated)) {
+                return this._fail();
+            }
+            var counter = new Buffer(3);
+            counter.writeUIntLE(this.counter, 0, 3);
+            return {status: STATUS_OK, data: counter};
+        }
+
+        if (command === c.MIFARE_COMMAND_READ_SIG) {
+            return {status: STATUS_OK, data: new Buffer(this.signature)};
+        }
+
+        if (command === c.MIFARE_COMMAND_FAST_READ) {
+            var endPage = data[2];
+            if (data.length < 3 || page > endPage || endPage >= this.pageCount) {
+                return {status: STATUS_MIFARE_NAK, data: new Buffer(0)};
+            }
+            if (this._isProtected(endPage, true)) {
+                return this._fail();
+            }
+            this._count();
+            return {status: STATUS_OK, data: this._readPages(page, endPage - page + 1)};
+        }
+
+        if (command === c.MIFARE_COMMAND_READ) {
+            if (page >= this.pageCount) {
+                return {status: STATUS_MIFARE_NAK, data: new Buffer(0)};
+            }
+            if (this._isProtected(page, true)) {
+                return this._fail();
+            }
+            this._count();
+            return {status: STATUS_OK, data: this._readPages(page, 4)};
+        }
+
+        if (command === c.MIFARE_COMMAND_WRITE_4) {
+            if (page < 2 || page >= this.pageCount || data.length < 6) {
+                return {status: STATUS_MIFARE_NAK, data: new Buffer(0)};
+            }
+            if (this._isProtected(page, false)) {
+                return this._fail();
+            }
+            if (page === 2 || page === 3) {
+                // Lock bytes and Capability Container are one time programmable: bits can only be set
+                for (var i = (page === 2 ? 2 : 0); i < 4; i++) {
+                    this.memory[page * 4 + i] |= data[2 + i];
+                }
+            } else {
+                data.copy(this.memory, page * 4, 2, 6);
+            }
+            return {status: STATUS_OK, data: new Buffer(0)};
+        }
+
+        return {status: STATUS_MIFARE_NAK, data: new Buffer(0)};
+    }
+}
+
+/*
+    MIFARE Classic 1K with 16 sectors of 4 blocks.  Authentication keys are checked, but access conditions
+    are not enforced.
+*/
+class VirtualMifareClassic1K extends VirtualTag {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {(Buffer|array)} [options.uid] - 4 byte UID
+        @param {(Buffer|array)} [options.memory] - Image of the tag's memory, copied from block 0.  Defaults to
+            a blank tag (transport keys FF FF FF FF FF FF).  Block 0 is always set from options.uid.
+    */
+    constructor(options) {
+        options = options || {};
+        super({
+            uid: options.uid || [0xDE, 0xAD, 0xBE, 0xEF],
+            atqa: [0x00, 0x04],
+            sak: 0x08
+        });
+
+        this.blockCount = 64;
+        this.memory = new Buffer(this.blockCount * 16).fill(0);
+        if (options.memory) {
+            toBuffer(options.memory).copy(this.memory);
+        } else {
+            var trailer = new Buffer([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x07, 0x80, 0x69,
+                                      0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+            for (var block = 3; block < this.blockCount; block += 4) {
+                trailer.copy(this.memory, block * 16);
+            }
+        }
+
+        this.uid.copy(this.memory, 0);
+        this.memory[4] = xor(Array.from(this.uid));
+        this.memory[5] = this.sak;
+        this.memory[6] = this.atqa[1];
+        this.memory[7] = this.atqa[0];
+
+        this.authenticatedSector = null;
+    }
+
+    activate() {
+        super.activate();
+        this.authenticatedSector = null;
+    }
+
+    _fail() {
+        // A failed operation returns the card to the idle state, it must be reactivated
+        this.deactivate();
+        this.authenticatedSector = null;
+        return {status: STATUS_MIFARE_NAK, data: new Buffer(0)};
+    }
+
+    transceive(data) {
+        if (!this.isActive) {
+            return {status: STATUS_TIMEOUT, data: new Buffer(0)};
+        }
+
+        var command = data[0];
+        var block = data[1];
+        if (block >= this.blockCount) {
+            return this._fail();
+        }
+        var sector = Math.floor(block / 4);
+
+        if (command === c.MIFARE_COMMAND_AUTH_A || command === c.MIFARE_COMMAND_AUTH_B) {
+            var trailer = (sector * 4 + 3) * 16;
+            var keyOffset = command === c.MIFARE_COMMAND_AUTH_A ? 0 : 10;
+            var key = this.memory.slice(trailer + keyOffset, trailer + keyOffset + 6);
+
+            if (data.length < 12 || !key.equals(data.slice(2, 8)) || !this.uid.slice(0, 4).equals(data.slice(8, 12))) {
+                return this._fail();
+            }
+            this.authenticatedSector = sector;
+            return {status: STATUS_OK, data: new Buffer(0)};
+        }
+
+        if (this.authenticatedSector !== sector) {
+            return this._fail();
+        }
+
+        if (command === c.MIFARE_COMMAND_READ) {
+            var blockData = new Buffer(this.memory.slice(block * 16, block * 16 + 16));
+            if (block % 4 === 3) {
+                blockData.fill(0, 0, 6); // Key A is never readable
+            }
+            return {status: STATUS_OK, data: blockData};
+        }
+
+        if (command === c.MIFARE_COMMAND_WRITE_16 && data.length >= 18 && block !== 0) {
+            data.copy(this.memory, block * 16, 2, 18);
+            return {status: STATUS_OK, data: new Buffer(0)};
+        }
+
+        return this._fail();
+    }
+}
+
+/*
+    ISO/IEC 14443-4 (ISO-DEP) card answering APDUs
+*/
+class VirtualIsoDepTag extends VirtualTag {
+    /*
+        @constructor
+        @param {object} [options]
+        @param {(Buffer|array)} [options.uid] - 7 byte UID
+        @param {(Buffer|array)} [options.ats] - Answer to select, including its length byte
+        @param {function} [options.handler] - Called with each command APDU (Buffer), returns the response
+            APDU (Buffer or array).  Defaults to answering 6D 00 (instruction not supported).
+    */
+    constructor(options) {
+        options = options || {};
+        super({
+            uid: options.uid || [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06],
+            atqa: [0x03, 0x44],
+            sak: 0x20,
+            ats: options.ats || [0x06, 0x75, 0x77, 0x81, 0x02, 0x80]
+        });
+
+        this.handler = options.handler || (() => [0x6D, 0x00]);
+    }
+
+    transceive(data) {
+        if (!this.isActive) {
+            return {status: STATUS_TIMEOUT, data: new Buffer(0)};
+        }
+        return {status: STATUS_OK, data: toBuffer(this.handler(data))};
+    }
+}
+
+exports.VirtualTag = VirtualTag;
+exports.VirtualNtag215 = VirtualNtag215;
+exports.VirtualMifareClassic1K = VirtualMifareClassic1K;
+exports.VirtualIsoDepTag = VirtualIsoDepTag;
@@ -0,0 +1,61 @@
+'use strict';
+var assert = require('assert');
+
+var pn532 = require('../src/pn532');
+var helpers = require('./helpers');
+
+describe('PN532 APDU exchange', function() {
+    var rfid;
+    var simulator;
+    var received;
+
+    // Card answering 6C 04 (wrong Le, 4 bytes available) to any command which does not expect exactly 4 bytes
+    function createCard() {
+        return new pn532.VirtualIsoDepTag({
+            handler: (command) => {
+                received.push(command);
+                var parsed = pn532.apdu.parseCommand(command);
+                return parsed.le === 4 ? [0x01, 0x02, 0x03, 0x04, 0x90, 0x00] : [0x6C, 0x04];
+            }
+        });
+    }
+
+    function exchange(command) {
+        simulator.placeTag(createCard());
+        return rfid.scanTag().then((tags) => rfid.transceiveApdu(tags[0], command));
+    }
+
+    beforeEach(function() {
+        received = [];
+        return helpers.createReader().then((reader) => {
+            rfid = reader.rfid;
+            simulator = reader.simulator;
+        });
+    });
+
+    afterEach(function() {
+        return rfid.close();
+    });
+
+    it('resends a command answered with 6C, replacing its Le', function() {
+        return exchange([0x00, 0xB0, 0x00, 0x00, 0x10]).then((response) => {
+            assert(response.ok);
+            assert.deepStrictEqual(response.data, new Buffer([0x01, 0x02, 0x03, 0x04]));
+            assert.deepStrictEqual(received[1], new Buffer([0x00, 0xB0, 0x00, 0x00, 0x04]));
+        });
+    });
+
+    it('resends a command answered with 6C, appending Le to its data', function() {
+        return exchange([0x00, 0xCA, 0x00, 0x00, 0x02, 0xAA, 0xBB]).then((response) => {
+            assert(response.ok);
+            assert.deepStrictEqual(received[1], new Buffer([0x00, 0xCA, 0x00, 0x00, 0x02, 0xAA, 0xBB, 0x04]));
+        });
+    });
+
+    it('resends a command answered with 6C, appending Le to a command of 4 bytes', function() {
+        return exchange([0x00, 0xCA, 0x01, 0x02]).then((response) => {
+            assert(response.ok);
+            assert.deepStrictEqual(received[1], new Buffer([0x00, 0xCA, 0x01, 0x02, 0x04]));
+        });
+    });
+});
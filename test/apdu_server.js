@@ -0,0 +1,65 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var helpers = require('./helpers');
+
+describe('ApduServer', function() {
+    var rfid;
+    var simulator;
+    var server;
+
+    beforeEach(function() {
+        return helpers.createReader().then((reader) => {
+            rfid = reader.rfid;
+            simulator = reader.simulator;
+            server = new pn532.ApduServer(rfid, {'F0010203040506': () => [0x90, 0x00]});
+        });
+    });
+
+    afterEach(function() {
+        return server.stop().then(() => rfid.close());
+    });
+
+    it('aborts its command waiting for an initiator when stopped', function() {
+        var error = null;
+        server.on('error', (serverError) => error = serverError);
+        server.start();
+        return new Promise((resolve) => setTimeout(resolve, 20))
+            .then(() => server.stop())
+            .then(() => {
+                assert(!server.isRunning);
+                assert.strictEqual(error, null);
+                // Queued behind TgInitAsTarget if it was still waiting for an initiator
+                return helpers.within(rfid.getFirmwareVersion(), 100);
+            });
+    });
+
+    it('leaves the command of the user alone when stopped', function() {
+        var tag = new pn532.VirtualNtag215({uid: [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]});
+        var scan = rfid.scanTag({timeout: 0});
+        server.start();
+        return server.stop()
+            .then(() => {
+                simulator.placeTag(tag);
+                return scan;
+            })
+            .then((tags) => assert.strictEqual(tags[0].uid, '04:01:02:03:04:05:06'));
+    });
+
+    it('removes its queued command when stopped', function() {
+        var scan = rfid.scanTag({timeout: 0});
+        server.start();
+        return server.stop()
+            .then(() => {
+                rfid.abortCommand();
+                return helpers.rejection(scan);
+            })
+            .then((error) => {
+                assert(error instanceof errors.CommandAbortedError);
+                // Queued behind TgInitAsTarget if it was still queued
+                return helpers.within(rfid.getFirmwareVersion(), 100);
+            });
+    });
+});
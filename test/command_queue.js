@@ -0,0 +1,111 @@
+'use strict';
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+
+require('../src/pn532'); // Sets up the loggers
+var errors = require('../src/errors');
+var frame = require('../src/frame');
+var FrameEmitter = require('../src/frame_emitter').FrameEmitter;
+var commandQueue = require('../src/command_queue');
+var CommandQueue = commandQueue.CommandQueue;
+
+// Transport acknowledging each command, then answering [command + 1, first parameter] after responseDelay(parameter)
+class FakeHal extends EventEmitter {
+    constructor(ackDelay, responseDelay) {
+        super();
+        this.ackDelay = ackDelay;
+        this.responseDelay = responseDelay;
+        this.acksReceived = 0;
+        this.parameters = []; // First parameter of each command written
+    }
+
+    write(buffer) {
+        if (frame.AckFrame.isFrame(buffer)) {
+            this.acksReceived++;
+            return;
+        }
+        var command = buffer[6];
+        var parameter = buffer[7];
+        this.parameters.push(parameter);
+        setTimeout(() => this.emit('data', new frame.AckFrame().toBuffer()), this.ackDelay(parameter));
+        setTimeout(() => this.emit('data', new frame.DataFrame([command + 1, parameter]).toBuffer()),
+                   this.responseDelay(parameter));
+    }
+}
+
+describe('CommandQueue', function() {
+    it('resolves with the response of the command', function() {
+        var hal = new FakeHal(() => 0, () => 5);
+        var queue = new CommandQueue(hal, new FrameEmitter(hal));
+        return queue.enqueue([0x40, 0x07]).then((response) => {
+            assert.strictEqual(response.getDataCommand(), 0x41);
+            assert.deepStrictEqual(response.getDataBody(), new Buffer([0x07]));
+        });
+    });
+
+    it('sends the queued commands by priority, in order within a priority', function() {
+        var hal = new FakeHal(() => 0, (parameter) => parameter === 0 ? 20 : 1);
+        var queue = new CommandQueue(hal, new FrameEmitter(hal));
+        var resolved = [];
+        var send = (parameter, priority) => queue.enqueue([0x40, parameter], {priority: priority})
+            .then((response) => resolved.push(response.getDataBody()[0]));
+
+        // Queued while command 0 is busy
+        return Promise.all([
+            send(0, commandQueue.PRIORITY_NORMAL),
+            send(1, commandQueue.PRIORITY_LOW),
+            send(2, commandQueue.PRIORITY_NORMAL),
+            send(3, commandQueue.PRIORITY_HIGH),
+            send(4, commandQueue.PRIORITY_LOW),
+            send(5, commandQueue.PRIORITY_HIGH),
+            send(6, commandQueue.PRIORITY_NORMAL)
+        ]).then(() => {
+            assert.deepStrictEqual(hal.parameters, [0, 3, 5, 2, 6, 1, 4]);
+            assert.deepStrictEqual(resolved, hal.parameters);
+        });
+    });
+
+    it('aborts a command not answered in time', function() {
+        var hal = new FakeHal(() => 0, () => 200);
+        var queue = new CommandQueue(hal, new FrameEmitter(hal), {timeout: 20});
+        return queue.enqueue([0x40, 0x01]).then(() => assert.fail('Expected a timeout'), (error) => {
+            assert(error instanceof errors.CommandTimeoutError);
+            assert.strictEqual(hal.acksReceived, 1);
+        });
+    });
+
+    it('never resolves a command with the late response of an aborted one', function() {
+        // Command 1 answers after its timeout, while command 2 waits for its ACK
+        var hal = new FakeHal((parameter) => parameter === 2 ? 30 : 0, (parameter) => parameter === 1 ? 35 : 50);
+        var queue = new CommandQueue(hal, new FrameEmitter(hal), {timeout: 20});
+        return queue.enqueue([0x40, 0x01])
+            .then(() => assert.fail('Expected a timeout'),
+                  (error) => assert(error instanceof errors.CommandTimeoutError))
+            .then(() => queue.enqueue([0x40, 0x02], {timeout: 100}))
+            .then((response) => assert.deepStrictEqual(response.getDataBody(), new Buffer([0x02])));
+    });
+
+    it('drops the late response of an aborted command received with no command pending', function() {
+        var hal = new FakeHal(() => 0, (parameter) => parameter === 1 ? 40 : 5);
+        var queue = new CommandQueue(hal, new FrameEmitter(hal), {timeout: 20});
+        return queue.enqueue([0x40, 0x01]).catch(() => {})
+            .then(() => new Promise((resolve) => setTimeout(resolve, 40)))
+            .then(() => queue.enqueue([0x40, 0x02]))
+            .then((response) => assert.deepStrictEqual(response.getDataBody(), new Buffer([0x02])));
+    });
+
+    it('fails the current and the queued commands without writing to the transport', function() {
+        var hal = new FakeHal(() => 0, () => 200);
+        var queue = new CommandQueue(hal, new FrameEmitter(hal));
+        var error = new errors.TransportClosedError();
+        var commands = [queue.enqueue([0x40, 0x01]), queue.enqueue([0x40, 0x02])].map((command) => {
+            return command.then(() => assert.fail('Expected a failure'), (failure) => failure);
+        });
+        queue.fail(error);
+        return Promise.all(commands).then((failures) => {
+            assert.deepStrictEqual(failures, [error, error]);
+            assert.deepStrictEqual(hal.parameters, [0x01]);
+            assert.strictEqual(hal.acksReceived, 0);
+        });
+    });
+});
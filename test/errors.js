@@ -0,0 +1,63 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var c = require('../src/constants');
+
+var MI  = 0x40; // More information
+var NAD = 0x80; // NAD present
+
+describe('StatusError', function() {
+    it('maps each status byte to its subclass', function() {
+        var classes = [
+            [0x01, errors.TargetTimeoutError],
+            [0x02, errors.TransmissionError],
+            [0x03, errors.TransmissionError],
+            [0x04, errors.TransmissionError],
+            [0x05, errors.TransmissionError],
+            [0x06, errors.TransmissionError],
+            [0x0B, errors.TransmissionError],
+            [0x14, errors.AuthenticationError],
+            [0x27, errors.WrongContextError],
+            [0x29, errors.TargetReleasedError]
+        ];
+        classes.forEach((entry) => {
+            var error = errors.StatusError.fromStatus(entry[0], c.COMMAND_IN_DATA_EXCHANGE);
+            assert.strictEqual(error.constructor, entry[1], 'status 0x' + entry[0].toString(16));
+            assert(error instanceof errors.StatusError && error instanceof errors.PN532Error);
+            assert.strictEqual(error.name, entry[1].name);
+            assert.strictEqual(error.command, c.COMMAND_IN_DATA_EXCHANGE);
+        });
+
+        // Other codes are plain StatusErrors
+        [0x07, 0x0E, 0x10, 0x13, 0x25, 0x2E].forEach((status) => {
+            assert.strictEqual(errors.StatusError.fromStatus(status).constructor, errors.StatusError);
+        });
+    });
+
+    it('describes the error code', function() {
+        var error = errors.StatusError.fromStatus(0x14);
+        assert.strictEqual(error.code, 0x14);
+        assert.strictEqual(error.codeName, 'MIFARE_AUTHENTICATION');
+        assert.strictEqual(error.meaning, errors.STATUS_CODES[0x14][1]);
+        assert.strictEqual(error.message, 'MIFARE: authentication error (status 0x14)');
+
+        var unknown = errors.StatusError.fromStatus(0x3F);
+        assert.strictEqual(unknown.codeName, 'UNKNOWN');
+        assert.strictEqual(unknown.constructor, errors.StatusError);
+    });
+
+    it('strips the MI and NAD bits off the status byte', function() {
+        assert(!errors.StatusError.isError(0x00));
+        assert(!errors.StatusError.isError(MI));
+        assert(!errors.StatusError.isError(NAD | MI));
+        assert(errors.StatusError.isError(MI | 0x01));
+
+        var error = errors.StatusError.fromStatus(NAD | MI | 0x01);
+        assert(error instanceof errors.TargetTimeoutError);
+        assert.strictEqual(error.status, NAD | MI | 0x01);
+        assert.strictEqual(error.code, 0x01);
+        assert.strictEqual(error.codeName, 'TIMEOUT');
+        assert(errors.StatusError.fromStatus(MI | 0x14) instanceof errors.AuthenticationError);
+    });
+});
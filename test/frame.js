@@ -0,0 +1,137 @@
+'use strict';
+var assert = require('assert');
+
+var frame = require('../src/frame');
+var c = require('../src/constants');
+
+// Response to GetFirmwareVersion: 00 00 FF 06 FA D5 03 32 01 06 07 E8 00
+var FIRMWARE_FRAME = new frame.DataFrame([0x03, 0x32, 0x01, 0x06, 0x07], c.DIRECTION_PN532_TO_HOST).toBuffer();
+
+describe('Frames', function() {
+    describe('DataFrame.checkFrame()', function() {
+        it('accepts a whole frame', function() {
+            assert.deepStrictEqual(FIRMWARE_FRAME, new Buffer([
+                0x00, 0x00, 0xFF, 0x06, 0xFA, 0xD5, 0x03, 0x32, 0x01, 0x06, 0x07, 0xE8, 0x00
+            ]));
+            assert.deepStrictEqual(frame.DataFrame.checkFrame(FIRMWARE_FRAME),
+                                   {complete: true, length: FIRMWARE_FRAME.length, error: null});
+            // Bytes following the frame are left alone
+            var followed = Buffer.concat([FIRMWARE_FRAME, new Buffer([0x00, 0x00, 0xFF])]);
+            assert.strictEqual(frame.DataFrame.checkFrame(followed).length, FIRMWARE_FRAME.length);
+        });
+
+        it('waits for the rest of a truncated frame', function() {
+            for (var length = 0; length < FIRMWARE_FRAME.length; length++) {
+                assert.deepStrictEqual(frame.DataFrame.checkFrame(FIRMWARE_FRAME.slice(0, length)), {complete: false});
+            }
+        });
+
+        it('rejects a wrong length checksum (LCS) without trusting the length', function() {
+            var corrupted = new Buffer(FIRMWARE_FRAME);
+            corrupted[4] ^= 0x01;
+            assert.deepStrictEqual(frame.DataFrame.checkFrame(corrupted),
+                                   {complete: true, length: 3, error: 'Invalid length checksum (LCS)'});
+            // Even when the frame is not there yet
+            assert.strictEqual(frame.DataFrame.checkFrame(corrupted.slice(0, 5)).error,
+                               'Invalid length checksum (LCS)');
+        });
+
+        it('rejects a wrong data checksum (DCS) and a missing postamble', function() {
+            var corrupted = new Buffer(FIRMWARE_FRAME);
+            corrupted[7] ^= 0x01;
+            assert.deepStrictEqual(frame.DataFrame.checkFrame(corrupted), {
+                complete: true,
+                length: FIRMWARE_FRAME.length,
+                error: 'Invalid data checksum (DCS)'
+            });
+
+            corrupted = new Buffer(FIRMWARE_FRAME);
+            corrupted[corrupted.length - 1] = 0x42;
+            assert.strictEqual(frame.DataFrame.checkFrame(corrupted).error, 'Missing postamble');
+            assert(!frame.DataFrame.isFrame(corrupted));
+        });
+    });
+
+    describe('extended frames', function() {
+        // Data of the frame: command then body, length bytes
+        function dataOf(length) {
+            var data = [0x41];
+            while (data.length < length) {
+                data.push(data.length & 0xFF);
+            }
+            return data;
+        }
+
+        it('round-trips the data around the limit of normal frames (LEN of 254 bytes)', function() {
+            [1, 252, 253, 254, 255, 300, 1000].forEach((length) => {
+                var data = dataOf(length);
+                var buffer = new frame.DataFrame(data, c.DIRECTION_PN532_TO_HOST).toBuffer();
+                var isExtended = length + 1 > 0xFE; // LEN counts the TFI
+
+                assert.strictEqual(buffer.length, length + (isExtended ? 11 : 8), 'length ' + length);
+                if (isExtended) {
+                    // 00 00 FF FF FF LENM LENL LCS TFI
+                    assert.deepStrictEqual(Array.from(buffer.slice(0, 5)), [0x00, 0x00, 0xFF, 0xFF, 0xFF]);
+                    assert.strictEqual(buffer.readUInt16BE(5), length + 1);
+                    assert.strictEqual((buffer[5] + buffer[6] + buffer[7]) & 0xFF, 0);
+                    assert.strictEqual(buffer[8], c.DIRECTION_PN532_TO_HOST);
+                } else {
+                    assert.strictEqual(buffer[3], length + 1);
+                    assert.strictEqual((buffer[3] + buffer[4]) & 0xFF, 0);
+                }
+                assert.deepStrictEqual(frame.DataFrame.checkFrame(buffer),
+                                       {complete: true, length: buffer.length, error: null});
+
+                var decoded = frame.Frame.fromBuffer(buffer);
+                assert.strictEqual(decoded.isExtended(), isExtended);
+                assert.strictEqual(decoded.getFrameLength(), buffer.length);
+                assert.strictEqual(decoded.getDataCommand(), 0x41);
+                assert.deepStrictEqual(Array.from(decoded.getDataBody()), data.slice(1));
+                assert.deepStrictEqual(decoded.toBuffer(), buffer);
+            });
+        });
+
+        it('checks the length checksum of extended frames, and waits for their whole header', function() {
+            var buffer = new frame.DataFrame(dataOf(300), c.DIRECTION_PN532_TO_HOST).toBuffer();
+            for (var length = 0; length < buffer.length; length++) {
+                assert.deepStrictEqual(frame.DataFrame.checkFrame(buffer.slice(0, length)), {complete: false});
+            }
+
+            var corrupted = new Buffer(buffer);
+            corrupted[6] ^= 0x01;
+            assert.strictEqual(frame.DataFrame.checkFrame(corrupted).error, 'Invalid length checksum (LCS)');
+            corrupted = new Buffer(buffer);
+            corrupted[200] ^= 0x01;
+            assert.strictEqual(frame.DataFrame.checkFrame(corrupted).error, 'Invalid data checksum (DCS)');
+        });
+    });
+
+    describe('Frame.findStart()', function() {
+        it('finds the preamble and start code after garbage', function() {
+            assert.strictEqual(frame.Frame.findStart(FIRMWARE_FRAME), 0);
+            assert.strictEqual(frame.Frame.findStart(Buffer.concat([new Buffer([0xFF, 0x00, 0x42]), FIRMWARE_FRAME])),
+                               3);
+            // 00 FF alone is no start code
+            assert.strictEqual(frame.Frame.findStart(new Buffer([0x42, 0x00, 0xFF, 0x00, 0x00])), -1);
+            assert.strictEqual(frame.Frame.findStart(new Buffer(0)), -1);
+        });
+    });
+
+    describe('Frame.fromBuffer()', function() {
+        it('tells the types of frames apart', function() {
+            assert(frame.Frame.fromBuffer(new frame.AckFrame().toBuffer()) instanceof frame.AckFrame);
+            assert(frame.Frame.fromBuffer(new frame.NackFrame().toBuffer()) instanceof frame.NackFrame);
+            assert(frame.Frame.fromBuffer(new frame.ErrorFrame().toBuffer()) instanceof frame.ErrorFrame);
+
+            var response = frame.Frame.fromBuffer(FIRMWARE_FRAME);
+            assert(response instanceof frame.DataFrame);
+            assert.strictEqual(response.getDirection(), c.DIRECTION_PN532_TO_HOST);
+            assert.strictEqual(response.getDataCommand(), 0x03);
+            assert.deepStrictEqual(response.getDataBody(), new Buffer([0x32, 0x01, 0x06, 0x07]));
+
+            var corrupted = new Buffer(FIRMWARE_FRAME);
+            corrupted[8] ^= 0x01;
+            assert.throws(() => frame.Frame.fromBuffer(corrupted));
+        });
+    });
+});
@@ -0,0 +1,130 @@
+'use strict';
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+
+require('../src/pn532'); // Sets up the loggers
+var errors = require('../src/errors');
+var frame = require('../src/frame');
+var FrameEmitter = require('../src/frame_emitter').FrameEmitter;
+var c = require('../src/constants');
+
+var response = (data) => new frame.DataFrame(data, c.DIRECTION_PN532_TO_HOST).toBuffer();
+
+// Transport whose data is given by the test, keeping what the FrameEmitter writes
+class FakeHal extends EventEmitter {
+    constructor() {
+        super();
+        this.writes = [];
+    }
+
+    write(buffer) {
+        this.writes.push(buffer);
+    }
+}
+
+describe('FrameEmitter', function() {
+    var hal;
+    var emitter;
+    var events; // [event, argument] of each event emitted
+
+    function createEmitter(options) {
+        hal = new FakeHal();
+        emitter = new FrameEmitter(hal, options);
+        events = [];
+        ['response', 'frameError', 'error'].forEach((event) => {
+            emitter.on(event, (argument) => events.push([event, argument]));
+        });
+    }
+
+    // Bodies of the responses emitted
+    function responses() {
+        return events
+            .filter((event) => event[0] === 'response')
+            .map((event) => Array.from(event[1].getDataBody()));
+    }
+
+    beforeEach(function() {
+        createEmitter();
+    });
+
+    it('emits the frames received in pieces, byte by byte or several at once', function() {
+        var data = Buffer.concat([response([0x4B, 0x01]), new frame.AckFrame().toBuffer(), response([0x4B, 0x02])]);
+        for (var i = 0; i < data.length; i++) {
+            hal.emit('data', data.slice(i, i + 1));
+        }
+        hal.emit('data', data);
+
+        assert.deepStrictEqual(responses(), [[0x01], [0x02], [0x01], [0x02]]);
+        assert.strictEqual(emitter.buffer.length, 0);
+    });
+
+    it('emits extended frames, split within their header', function() {
+        var body = [];
+        for (var i = 0; i < 300; i++) {
+            body.push(i & 0xFF);
+        }
+        // LEN of 254 bytes (normal frame), 255 bytes and 302 bytes (extended frames)
+        var frames = [body.slice(0, 252), body.slice(0, 253), body].map((bytes) => response([0x4B].concat(bytes)));
+        var data = Buffer.concat(frames);
+        var second = frames[0].length;
+        var third = second + frames[1].length;
+        hal.emit('data', data.slice(0, second + 6));         // 00 00 FF FF FF LENM
+        hal.emit('data', data.slice(second + 6, third + 8)); // LENL LCS ... 00 00 FF FF FF LENM LENL LCS
+        hal.emit('data', data.slice(third + 8));
+
+        assert.deepStrictEqual(responses(), [body.slice(0, 252), body.slice(0, 253), body]);
+        assert(events.every((event) => event[0] === 'response'));
+    });
+
+    it('drops garbage before a frame, keeping what may start the next start code', function() {
+        hal.emit('data', new Buffer([0x42, 0xFF, 0x13, 0x00, 0x00]));
+        hal.emit('data', response([0x4B, 0x01]).slice(2));
+        hal.emit('data', Buffer.concat([new Buffer([0xFF, 0xFF, 0x00]), response([0x4B, 0x02])]));
+
+        assert.deepStrictEqual(responses(), [[0x01], [0x02]]);
+        assert(events.every((event) => event[0] === 'response'));
+    });
+
+    it('emits frameError for a bad data checksum, then resyncs on the next frame', function() {
+        var corrupted = response([0x4B, 0x01]);
+        corrupted[6] ^= 0x01;
+        hal.emit('data', Buffer.concat([corrupted, response([0x4B, 0x02])]));
+
+        assert.strictEqual(events[0][0], 'frameError');
+        assert(events[0][1] instanceof errors.FrameError);
+        assert.strictEqual(events[0][1].message, 'Invalid data checksum (DCS)');
+        assert.deepStrictEqual(events[0][1].buffer, corrupted);
+        assert.deepStrictEqual(responses(), [[0x02]]);
+        assert.deepStrictEqual(hal.writes, []);
+    });
+
+    it('emits frameError for a bad length checksum, then resyncs on the next frame', function() {
+        var corrupted = response([0x4B, 0x01]);
+        corrupted[3] = 0xF0; // The length would swallow the next frame
+        hal.emit('data', Buffer.concat([corrupted, response([0x4B, 0x02])]));
+
+        assert.deepStrictEqual(events.map((event) => event[0]), ['frameError', 'response']);
+        assert.strictEqual(events[0][1].message, 'Invalid length checksum (LCS)');
+        assert.deepStrictEqual(responses(), [[0x02]]);
+    });
+
+    it('sends a NACK for each invalid frame with nackOnError', function() {
+        createEmitter({nackOnError: true});
+        var corrupted = response([0x4B, 0x01]);
+        corrupted[corrupted.length - 1] = 0x42; // No postamble
+        hal.emit('data', corrupted);
+        hal.emit('data', response([0x4B, 0x01]));
+
+        assert.strictEqual(hal.writes.length, 1);
+        assert(frame.NackFrame.isFrame(hal.writes[0]));
+        assert.deepStrictEqual(events.map((event) => event[0]), ['frameError', 'response']);
+    });
+
+    it('emits an ApplicationError for an error frame', function() {
+        hal.emit('data', Buffer.concat([new frame.ErrorFrame().toBuffer(), response([0x4B, 0x01])]));
+
+        assert.strictEqual(events[0][0], 'error');
+        assert(events[0][1] instanceof errors.ApplicationError);
+        assert.deepStrictEqual(responses(), [[0x01]]);
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+/*
+    Helpers shared by the tests
+*/
+var pn532 = require('../src/pn532');
+
+/*
+    Create a PN532 backed by a PN532_Simulator
+
+    @param {object} [options] - Options of PN532
+    @returns {Promise<object>} Resolves with {rfid, simulator} once the PN532 is ready
+*/
+function createReader(options) {
+    var simulator = new pn532.PN532_Simulator();
+    var rfid = new pn532.PN532(simulator, options);
+    return new Promise((resolve, reject) => {
+        rfid.once('ready', () => resolve({rfid: rfid, simulator: simulator}));
+        rfid.once('error', reject);
+    });
+}
+
+/*
+    @param {EventEmitter} emitter
+    @param {string} event
+    @returns {Promise} Resolves with the argument of the next event
+*/
+function once(emitter, event) {
+    return new Promise((resolve) => emitter.once(event, resolve));
+}
+
+/*
+    @param {Promise} promise
+    @returns {Promise<Error>} Resolves with the error the promise rejected with, rejects if it resolved
+*/
+function rejection(promise) {
+    return promise.then(() => {
+        throw new Error('Expected the promise to reject');
+    }, (error) => error);
+}
+
+/*
+    @param {Promise} promise
+    @param {number} milliseconds
+    @returns {Promise} Settles as the promise, rejects if it did not settle within the milliseconds (ie. a command
+        queued behind one which waits forever)
+*/
+function within(promise, milliseconds) {
+    return new Promise((resolve, reject) => {
+        var timer = setTimeout(() => reject(new Error('Not settled within ' + milliseconds + 'ms')), milliseconds);
+        promise.then((value) => {
+            clearTimeout(timer);
+            resolve(value);
+        }, (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+exports.createReader = createReader;
+exports.once = once;
+exports.rejection = rejection;
+exports.within = within;
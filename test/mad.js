@@ -0,0 +1,64 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var mad = pn532.mad;
+
+// MAD1 example of NXP AN10787: blocks 1 and 2 of sector 0, CRC 0x89
+var AN10787_MAD1 = new Buffer([
+    0x89, 0x01, 0x01, 0x08, 0x01, 0x08, 0x01, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x04, 0x00,
+    0x03, 0x10, 0x03, 0x10, 0x02, 0x10, 0x02, 0x10, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x11, 0x30
+]);
+
+describe('MAD', function() {
+    it('computes the CRC of the AN10787 example', function() {
+        assert.strictEqual(mad.crc8(AN10787_MAD1.slice(1)), 0x89);
+        assert.strictEqual(mad.crc8([]), 0xC7); // Preset
+    });
+
+    it('decodes the AN10787 example', function() {
+        var directory = mad.decodeMad(AN10787_MAD1);
+        assert.strictEqual(directory.publisherSector, 1);
+        assert.deepStrictEqual(directory.aids, [
+            null, 0x0801, 0x0801, 0x0801, 0x0000, 0x0000, 0x0000, mad.AID_ADDITIONAL_INFO,
+            0x1003, 0x1003, 0x1002, 0x1002, 0x0000, 0x0000, 0x0000, 0x3011
+        ]);
+    });
+
+    it('stores AID_NDEF as 03 E1', function() {
+        var aids = [null, mad.AID_NDEF, mad.AID_NDEF];
+        var encoded = mad.encodeMad(aids);
+        assert.deepStrictEqual(encoded.mad1.slice(2, 6), new Buffer([0x03, 0xE1, 0x03, 0xE1]));
+        assert.strictEqual(encoded.mad1.length, 32);
+        assert.strictEqual(encoded.mad2, null);
+        assert.deepStrictEqual(mad.decodeMad(encoded.mad1).aids.slice(0, 4), [null, mad.AID_NDEF, mad.AID_NDEF, 0]);
+    });
+
+    it('round-trips the MAD1 and MAD2 of a 4K tag', function() {
+        var aids = [];
+        for (var sector = 0; sector < 40; sector++) {
+            aids.push(sector === mad.MAD1_SECTOR || sector === mad.MAD2_SECTOR ? null : 0x4800 + sector);
+        }
+        var encoded = mad.encodeMad(aids, {publisherSector: 17});
+        assert.strictEqual(encoded.mad1.length, 32);
+        assert.strictEqual(encoded.mad2.length, 48);
+        assert.strictEqual(encoded.mad2[0], mad.crc8(encoded.mad2.slice(1)));
+
+        var directory = mad.decodeMad(encoded.mad1, encoded.mad2);
+        assert.deepStrictEqual(directory.aids, aids);
+        assert.strictEqual(directory.publisherSector, 17);
+        // Without MAD2, only the sectors of MAD1
+        assert.deepStrictEqual(mad.decodeMad(encoded.mad1).aids, aids.slice(0, 16));
+    });
+
+    it('rejects a directory whose CRC does not match', function() {
+        var corrupted = new Buffer(AN10787_MAD1);
+        corrupted[20] ^= 0x01;
+        assert.throws(() => mad.decodeMad(corrupted), errors.PN532Error);
+
+        var encoded = mad.encodeMad(new Array(40).fill(mad.AID_NDEF));
+        encoded.mad2[47] ^= 0x80;
+        assert.throws(() => mad.decodeMad(encoded.mad1, encoded.mad2), /MAD2 CRC mismatch/);
+    });
+});
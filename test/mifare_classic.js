@@ -0,0 +1,242 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var mifareClassic = pn532.mifareClassic;
+var mad = pn532.mad;
+var ndef = pn532.ndef;
+var c = require('../src/constants');
+var helpers = require('./helpers');
+
+var KEY_A = [0xA0, 0xA1, 0xA2, 0xA3, 0xA4, 0xA5];
+var KEY_B = [0xB0, 0xB1, 0xB2, 0xB3, 0xB4, 0xB5];
+
+describe('MIFARE Classic sector trailers', function() {
+    it('round-trips every access condition of every group of blocks', function() {
+        for (var group = 0; group < 4; group++) {
+            for (var condition = 0; condition < 8; condition++) {
+                // The other groups take another condition, so that each bit is checked in its place
+                var conditions = [0, 1, 2, 3].map((other) => other === group ? condition : 7 - condition);
+                var decoded = mifareClassic.decodeTrailer(mifareClassic.encodeTrailer({
+                    keyA: KEY_A,
+                    conditions: conditions,
+                    gpb: 0x40,
+                    keyB: KEY_B
+                }));
+
+                assert.deepStrictEqual(decoded.conditions, conditions);
+                assert.deepStrictEqual(decoded.keyA, new Buffer(KEY_A));
+                assert.deepStrictEqual(decoded.keyB, new Buffer(KEY_B));
+                assert.strictEqual(decoded.gpb, 0x40);
+                assert.strictEqual(decoded.permissions[3], mifareClassic.TRAILER_PERMISSIONS[conditions[3]]);
+            }
+        }
+    });
+
+    it('encodes the access bits of the datasheet and of the NFC Forum mapping', function() {
+        assert.deepStrictEqual(mifareClassic.encodeAccessBits(mifareClassic.ACCESS_TRANSPORT),
+                               new Buffer([0xFF, 0x07, 0x80]));
+        assert.deepStrictEqual(mifareClassic.encodeAccessBits(mifareClassic.ACCESS_MAD),
+                               new Buffer([0x78, 0x77, 0x88]));
+        assert.deepStrictEqual(mifareClassic.encodeAccessBits(mifareClassic.ACCESS_NDEF),
+                               new Buffer([0x7F, 0x07, 0x88]));
+    });
+
+    it('encodes access conditions given as the permissions they grant', function() {
+        for (var condition = 0; condition < 8; condition++) {
+            var permissions = [
+                mifareClassic.DATA_BLOCK_PERMISSIONS[condition],
+                mifareClassic.DATA_BLOCK_PERMISSIONS[condition],
+                mifareClassic.DATA_BLOCK_PERMISSIONS[condition],
+                mifareClassic.TRAILER_PERMISSIONS[condition]
+            ];
+            var decoded = mifareClassic.decodeAccessBits(mifareClassic.encodeAccessBits(permissions));
+
+            assert.deepStrictEqual(decoded.slice(0, 3), [condition, condition, condition]);
+            // Trailer conditions 110 and 111 grant the same permissions
+            assert.deepStrictEqual(mifareClassic.TRAILER_PERMISSIONS[decoded[3]], permissions[3]);
+        }
+    });
+
+    it('rejects access bits whose inverted copies do not match', function() {
+        var trailer = mifareClassic.encodeTrailer({keyA: KEY_A, conditions: mifareClassic.ACCESS_NDEF, keyB: KEY_B});
+        for (var bit = 0; bit < 24; bit++) {
+            var corrupted = new Buffer(trailer);
+            corrupted[6 + (bit >> 3)] ^= 1 << (bit & 7);
+            assert.throws(() => mifareClassic.decodeTrailer(corrupted), errors.PN532Error);
+        }
+    });
+
+    it('rejects invalid access conditions and trailers of the wrong size', function() {
+        assert.throws(() => mifareClassic.encodeAccessBits([0, 0, 0, 8]), errors.PN532Error);
+        assert.throws(() => mifareClassic.encodeAccessBits([0, 0, 1]), errors.PN532Error);
+        assert.throws(() => mifareClassic.decodeTrailer(new Buffer(15)), errors.PN532Error);
+    });
+
+    it('gives the permissions of a block from the trailer of its sector', function() {
+        var trailer = mifareClassic.encodeTrailer({keyA: KEY_A, conditions: mifareClassic.ACCESS_MAD, keyB: KEY_B});
+        assert.deepStrictEqual(mifareClassic.getBlockPermissions(trailer, 5).write, [mifareClassic.KEY_B]);
+        assert.deepStrictEqual(mifareClassic.getBlockPermissions(trailer, 7).writeKeyA, [mifareClassic.KEY_B]);
+    });
+});
+
+describe('MifareClassic', function() {
+    var rfid;
+    var virtualTag;
+    var authentications; // [sector, key type] of each authentication the tag received
+    var card;
+
+    function scan(options) {
+        return rfid.scanTag().then((tags) => {
+            card = new pn532.MifareClassic(tags[0], options);
+        });
+    }
+
+    beforeEach(function() {
+        virtualTag = new pn532.VirtualMifareClassic1K({uid: [0x11, 0x22, 0x33, 0x44]});
+        // Sector 1 with its own keys
+        mifareClassic.encodeTrailer({keyA: KEY_A, conditions: mifareClassic.ACCESS_TRANSPORT, keyB: KEY_B})
+            .copy(virtualTag.memory, mifareClassic.getTrailerBlock(1) * 16);
+
+        authentications = [];
+        var transceive = virtualTag.transceive.bind(virtualTag);
+        virtualTag.transceive = (data) => {
+            if (data[0] === c.MIFARE_COMMAND_AUTH_A || data[0] === c.MIFARE_COMMAND_AUTH_B) {
+                authentications.push([mifareClassic.getSector(data[1]),
+                                      data[0] === c.MIFARE_COMMAND_AUTH_A ? mifareClassic.KEY_A : mifareClassic.KEY_B]);
+            }
+            return transceive(data);
+        };
+
+        return helpers.createReader().then((reader) => {
+            rfid = reader.rfid;
+            reader.simulator.placeTag(virtualTag);
+        });
+    });
+
+    afterEach(function() {
+        return rfid.close();
+    });
+
+    it('falls back on the next key of the key store, keeping the key that succeeded', function() {
+        var keyStore = new pn532.KeyStore({defaultKeys: ['000000000000', KEY_A], useWellKnownKeys: false});
+        return scan({keyStore: keyStore})
+            .then(() => card.authenticate(1))
+            .then((result) => {
+                // The wrong key as key A then key B, then the right key A (the tag selected again after each failure)
+                assert.deepStrictEqual(authentications, [[1, 'A'], [1, 'B'], [1, 'A']]);
+                assert.strictEqual(result.keyType, mifareClassic.KEY_A);
+                assert.deepStrictEqual(keyStore.getKey(1, mifareClassic.KEY_A), new Buffer(KEY_A));
+                assert.deepStrictEqual(keyStore.getCandidates(1)[0].key, new Buffer(KEY_A));
+                return card.read(4);
+            })
+            .then(() => helpers.rejection(card.authenticate(2)))
+            .then((error) => assert(error instanceof errors.AuthenticationError));
+    });
+
+    it('authenticates each sector crossed, once', function() {
+        var keyStore = new pn532.KeyStore({keys: {1: {A: KEY_A}}});
+        var data = new Buffer(32).fill(0x42);
+        return scan({keyStore: keyStore})
+            .then(() => card.readBlocks(1, 5)) // Blocks 1 to 3 (sector 0, its trailer included), 4 and 5 (sector 1)
+            .then((read) => {
+                assert.strictEqual(read.length, 5 * 16);
+                assert.deepStrictEqual(authentications, [[0, 'A'], [1, 'A']]);
+                return card.writeBlocks(8, data);
+            })
+            .then(() => {
+                assert.deepStrictEqual(authentications.slice(2), [[2, 'A']]);
+                assert.deepStrictEqual(virtualTag.memory.slice(8 * 16, 10 * 16), data);
+                // Key B asked for: authenticated again
+                return card.write(9, new Buffer(16).fill(0x43), {keyType: mifareClassic.KEY_B});
+            })
+            .then(() => assert.deepStrictEqual(authentications.slice(3), [[2, 'B']]));
+    });
+
+    it('authenticates again once the target was listed again (ie. by a poll)', function() {
+        return scan()
+            .then(() => card.read(8))
+            .then(() => rfid.scanTag()) // Resets the authentication on the tag, keeping the target
+            .then((tags) => {
+                assert.strictEqual(tags[0], card.target);
+                return card.read(9);
+            })
+            .then(() => {
+                assert.deepStrictEqual(authentications, [[2, 'A'], [2, 'A']]);
+                return card.target.select();
+            })
+            .then(() => card.read(10))
+            .then(() => assert.strictEqual(authentications.length, 3));
+    });
+
+    it('formats the tag for NDEF, then writes and reads NDEF messages across sectors', function() {
+        var keyB = [0x0A, 0x1B, 0x2C, 0x3D, 0x4E, 0x5F];
+        var records = [ndef.textRecord('test'), ndef.mimeRecord('application/octet-stream', new Buffer(300).fill(7))];
+        var formatted;
+        return scan()
+            .then(() => card.formatNdef({keyB: keyB}))
+            .then(() => {
+                // MAD in sector 0 (AIDs 03 E1), trailers with the public keys A and key B
+                assert.deepStrictEqual(virtualTag.memory.slice(16 + 2, 16 + 4), new Buffer([0x03, 0xE1]));
+                var trailer = mifareClassic.decodeTrailer(virtualTag.memory.slice(3 * 16, 4 * 16));
+                assert.deepStrictEqual(trailer.keyB, new Buffer(keyB));
+                assert.deepStrictEqual(trailer.conditions, mifareClassic.ACCESS_MAD);
+                trailer = mifareClassic.decodeTrailer(virtualTag.memory.slice(7 * 16, 8 * 16));
+                assert.deepStrictEqual(virtualTag.memory.slice(7 * 16, 7 * 16 + 6),
+                                       new Buffer(mifareClassic.NFC_KEY_A));
+                assert.deepStrictEqual(trailer.conditions, mifareClassic.ACCESS_NDEF);
+                // A new reader only knows the public keys
+                return scan({keyStore: new pn532.KeyStore({useWellKnownKeys: false})});
+            })
+            .then(() => card.readMad())
+            .then((directory) => {
+                assert.deepStrictEqual(directory.aids, [null].concat(new Array(15).fill(mad.AID_NDEF)));
+                return card.readNdef();
+            })
+            .then((message) => {
+                assert.deepStrictEqual(message, new Buffer(0));
+                return card.writeNdef(records);
+            })
+            .then(() => {
+                formatted = ndef.encodeMessage(records);
+                // 3 byte TLV length, the message then spanning several sectors
+                assert.deepStrictEqual(virtualTag.memory.slice(4 * 16, 4 * 16 + 4),
+                                       new Buffer([0x03, 0xFF, formatted.length >> 8, formatted.length & 0xFF]));
+                return card.readNdef();
+            })
+            .then((message) => {
+                assert.deepStrictEqual(message, formatted);
+                return helpers.rejection(card.writeNdef([ndef.mimeRecord('text/plain', new Buffer(15 * 48))]));
+            })
+            .then((error) => {
+                assert(error instanceof errors.PN532Error);
+                return card.readNdef();
+            })
+            .then((message) => assert.deepStrictEqual(message, formatted));
+    });
+
+    it('refuses to write block 0, trailers unless allowed, and invalid trailers', function() {
+        var block = new Buffer(16).fill(0x00);
+        var trailer = mifareClassic.encodeTrailer({keyA: KEY_A, conditions: mifareClassic.ACCESS_NDEF, keyB: KEY_B});
+        var corrupted = new Buffer(trailer);
+        corrupted[7] ^= 0x10;
+
+        return scan()
+            .then(() => Promise.all([
+                card.write(0, block),
+                card.write(11, trailer),
+                card.write(11, corrupted, {allowTrailer: true})
+            ].map(helpers.rejection)))
+            .then((rejections) => {
+                rejections.forEach((error) => assert(error instanceof errors.PN532Error));
+                // Nothing reached the tag
+                assert.deepStrictEqual(authentications, []);
+                assert.deepStrictEqual(virtualTag.memory.slice(11 * 16, 12 * 16), new Buffer([
+                    0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x07, 0x80, 0x69, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF
+                ]));
+                return card.write(11, trailer, {allowTrailer: true});
+            })
+            .then(() => assert.deepStrictEqual(virtualTag.memory.slice(11 * 16, 12 * 16), trailer));
+    });
+});
@@ -0,0 +1,164 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var ndef = pn532.ndef;
+var helpers = require('./helpers');
+
+// Encodes then decodes records, checking their fields survived
+function roundTrip(records, options) {
+    var decoded = ndef.decodeMessage(ndef.encodeMessage(records, options));
+    assert.strictEqual(decoded.length, records.length);
+    decoded.forEach((record, index) => {
+        assert.strictEqual(record.tnf, records[index].tnf);
+        assert.deepStrictEqual(record.type, records[index].type);
+        assert.deepStrictEqual(record.id, records[index].id);
+        assert.deepStrictEqual(record.payload, records[index].payload);
+    });
+    return decoded;
+}
+
+function assertMalformed(message) {
+    assert.throws(() => ndef.decodeMessage(message), errors.NdefError);
+}
+
+describe('NDEF', function() {
+    describe('round trips', function() {
+        it('encodes the empty message as a single empty record', function() {
+            assert.deepStrictEqual(ndef.encodeMessage([]), new Buffer([0xD0, 0x00, 0x00]));
+            assert.deepStrictEqual(ndef.decodeMessage([0xD0, 0x00, 0x00]), [new ndef.NdefRecord()]);
+            assert.deepStrictEqual(ndef.decodeMessage([]), []);
+        });
+
+        it('round-trips the records of every helper', function() {
+            var decoded = roundTrip([
+                ndef.textRecord('Bonjour', {language: 'fr', id: 'title'}),
+                ndef.textRecord('Grüße', {encoding: ndef.ENCODING_UTF16}),
+                ndef.uriRecord('https://www.example.com/path'),
+                ndef.uriRecord('urn:nfc:sn:snep'),
+                ndef.mimeRecord('application/json', '{"a":1}'),
+                ndef.externalRecord('example.com:ticket', [0x01, 0x02]),
+                ndef.aarRecord('com.example.app'),
+                new ndef.NdefRecord({tnf: ndef.TNF_UNKNOWN, payload: [0xFF]})
+            ]);
+
+            assert.deepStrictEqual(ndef.decodeText(decoded[0]), {text: 'Bonjour', language: 'fr', encoding: 'utf8'});
+            assert.deepStrictEqual(ndef.decodeText(decoded[1]), {text: 'Grüße', language: 'en', encoding: 'utf16'});
+            assert.strictEqual(decoded[2].payload[0], 0x02); // 'https://www.' abbreviated
+            assert.strictEqual(ndef.decodeUri(decoded[2]), 'https://www.example.com/path');
+            assert.strictEqual(ndef.decodeUri(decoded[3]), 'urn:nfc:sn:snep');
+            assert.strictEqual(ndef.decodeAar(decoded[6]), 'com.example.app');
+        });
+
+        it('decodes UTF-16 text with a little-endian byte order mark', function() {
+            var record = new ndef.NdefRecord({
+                tnf: ndef.TNF_WELL_KNOWN,
+                type: ndef.RTD_TEXT,
+                payload: Buffer.concat([new Buffer([0x82, 0x65, 0x6E, 0xFF, 0xFE]), new Buffer('hi', 'utf16le')])
+            });
+            assert.strictEqual(ndef.decodeText(record).text, 'hi');
+        });
+
+        it('round-trips records of more than 255 bytes (normal records)', function() {
+            var payload = new Buffer(300).fill(0x5A);
+            var message = ndef.encodeMessage([ndef.mimeRecord('application/octet-stream', payload)]);
+            assert.strictEqual(message[0] & 0x10, 0); // SR cleared
+            roundTrip([ndef.mimeRecord('application/octet-stream', payload)]);
+        });
+
+        it('reassembles chunked records', function() {
+            var records = [
+                ndef.mimeRecord('text/plain', 'chunked payload', {id: 'a'}),
+                ndef.uriRecord('https://example.com')
+            ];
+            var message = ndef.encodeMessage(records, {chunkSize: 4});
+            assert.strictEqual(message[0] & 0x20, 0x20); // CF set on the first chunk
+            roundTrip(records, {chunkSize: 4});
+        });
+
+        it('round-trips Smart Posters', function() {
+            var record = ndef.smartPosterRecord('https://example.com', {
+                title: [{text: 'Example', language: 'en'}, {text: 'Exemple', language: 'fr'}],
+                action: ndef.ACTION_SAVE,
+                size: 1024,
+                type: 'text/html',
+                icons: [{mimeType: 'image/png', data: [0x89, 0x50]}]
+            });
+            var poster = ndef.decodeSmartPoster(roundTrip([record])[0]);
+
+            assert.strictEqual(poster.uri, 'https://example.com');
+            assert.deepStrictEqual(poster.titles.map((title) => title.text), ['Example', 'Exemple']);
+            assert.strictEqual(poster.action, ndef.ACTION_SAVE);
+            assert.strictEqual(poster.size, 1024);
+            assert.strictEqual(poster.type, 'text/html');
+            assert.deepStrictEqual(poster.icons, [{mimeType: 'image/png', data: new Buffer([0x89, 0x50])}]);
+        });
+    });
+
+    describe('malformed messages', function() {
+        var message = ndef.encodeMessage([ndef.uriRecord('https://example.com', {id: 'id'})]);
+
+        it('rejects every truncation of a message', function() {
+            for (var length = 1; length < message.length; length++) {
+                assertMalformed(message.slice(0, length));
+            }
+        });
+
+        it('rejects a record truncated before its ID length or payload length', function() {
+            assertMalformed([0xD9, 0x00, 0x00]); // SR and IL, no ID length
+            assertMalformed([0xD1, 0x01]);       // SR, no payload length
+            assertMalformed([0xC1, 0x01, 0x00, 0x00]); // Normal record, payload length truncated
+        });
+
+        it('rejects a missing or misplaced message begin flag', function() {
+            assertMalformed([0x50, 0x00, 0x00]);
+            assertMalformed([0x90, 0x00, 0x00, 0xD0, 0x00, 0x00]);
+        });
+
+        it('rejects a missing message end flag', function() {
+            assertMalformed([0x90, 0x00, 0x00]);
+            assertMalformed([0x90, 0x00, 0x00, 0x10, 0x00, 0x00]);
+        });
+
+        it('rejects chunks with a type or an ID, and TNF_UNCHANGED outside of a chunked record', function() {
+            // First chunk, then a middle chunk with a type
+            assertMalformed([0xB2, 0x01, 0x01, 0x61, 0x01, 0x56, 0x01, 0x01, 0x61, 0x02]);
+            // Middle chunk with an ID
+            assertMalformed([0xB2, 0x01, 0x01, 0x61, 0x01, 0x5E, 0x00, 0x01, 0x01, 0x69, 0x02]);
+            assertMalformed([0xD6, 0x00, 0x00]);
+        });
+
+        it('rejects a message ending with a chunk', function() {
+            assertMalformed([0xF2, 0x01, 0x01, 0x61, 0x01]);
+        });
+
+        it('rejects records which cannot be encoded', function() {
+            assert.throws(() => ndef.encodeMessage([{tnf: ndef.TNF_UNCHANGED}]), errors.NdefError);
+            assert.throws(() => ndef.encodeMessage([{tnf: ndef.TNF_EMPTY, payload: [0x01]}]), errors.NdefError);
+            assert.throws(() => ndef.encodeMessage([{tnf: ndef.TNF_UNKNOWN, type: 'a'}]), errors.NdefError);
+            assert.throws(() => ndef.textRecord('a', {encoding: 'latin1'}), errors.NdefError);
+            assert.throws(() => ndef.externalRecord('ticket', []), errors.NdefError);
+        });
+    });
+
+    describe('PN532.writeNdef()', function() {
+        var rfid;
+
+        beforeEach(function() {
+            return helpers.createReader().then((reader) => {
+                rfid = reader.rfid;
+            });
+        });
+
+        afterEach(function() {
+            return rfid.close();
+        });
+
+        it('rejects anything but NdefRecords', function() {
+            var message = ndef.encodeMessage([ndef.uriRecord('https://example.com')]);
+            return Promise.all([message, Array.from(message)].map((data) => helpers.rejection(rfid.writeNdef(data))))
+                .then((rejections) => rejections.forEach((error) => assert(error instanceof pn532.NdefError)));
+        });
+    });
+});
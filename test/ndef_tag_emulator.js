@@ -0,0 +1,156 @@
+'use strict';
+var assert = require('assert');
+
+var pn532 = require('../src/pn532');
+var apdu = pn532.apdu;
+var ndef = pn532.ndef;
+var helpers = require('./helpers');
+
+var NDEF_APPLICATION_AID = 'D2760000850101';
+var CC_FILE_ID = [0xE1, 0x03];
+var NDEF_FILE_ID = [0xE1, 0x04];
+
+describe('NdefTagEmulator', function() {
+    var reader;
+    var card;
+    var emulator;
+    var target;
+    var message = ndef.encodeMessage([ndef.uriRecord('https://example.com')]);
+
+    function selectFile(fileId) {
+        return target.transceiveApdu(apdu.buildCommand(apdu.CLA_ISO, apdu.INS_SELECT, apdu.P1_SELECT_BY_ID, 0x0C,
+                                                       fileId));
+    }
+
+    function readBinary(offset, length) {
+        return target.transceiveApdu(apdu.buildCommand(apdu.CLA_ISO, apdu.INS_READ_BINARY, offset >> 8,
+                                                       offset & 0xFF, null, length));
+    }
+
+    function updateBinary(offset, data) {
+        return target.transceiveApdu(apdu.buildCommand(apdu.CLA_ISO, apdu.INS_UPDATE_BINARY, offset >> 8,
+                                                       offset & 0xFF, data));
+    }
+
+    // Reader and card emulating the Type 4 tag, the reader listing the card as an ISO/IEC14443-4 target
+    function emulate(options) {
+        emulator = card.rfid.emulateNdefTag(message, options);
+        var activated = helpers.once(emulator, 'activated');
+        return reader.rfid.scanTag()
+            .then((tags) => {
+                target = tags[0];
+                return activated;
+            });
+    }
+
+    beforeEach(function() {
+        return Promise.all([helpers.createReader(), helpers.createReader()]).then((readers) => {
+            reader = readers[0];
+            card = readers[1];
+            reader.simulator.connectPeer(card.simulator);
+        });
+    });
+
+    afterEach(function() {
+        return emulator.stop().then(() => Promise.all([reader.rfid.close(), card.rfid.close()]));
+    });
+
+    it('is listed as an ISO-DEP card serving the NDEF application', function() {
+        return emulate()
+            .then(() => {
+                assert.strictEqual(target.family, pn532.FAMILY_ISO_DEP);
+                return target.selectAid(NDEF_APPLICATION_AID);
+            })
+            .then((response) => {
+                assert(response.ok);
+                return target.selectAid('F0010203040506');
+            })
+            .then((response) => assert.strictEqual(response.sw, apdu.SW_FILE_NOT_FOUND));
+    });
+
+    it('serves the capability container and the NDEF file', function() {
+        var read;
+        return emulate()
+            .then(() => {
+                read = helpers.once(emulator, 'read');
+                return target.selectAid(NDEF_APPLICATION_AID);
+            })
+            .then(() => selectFile(CC_FILE_ID))
+            .then(() => readBinary(0, 15))
+            .then((response) => {
+                // CCLEN, mapping version 2.0, MLe, MLc, then the NDEF file control TLV: read only
+                assert.deepStrictEqual(response.data, new Buffer([
+                    0x00, 0x0F, 0x20, 0x00, 0xFF, 0x00, 0xFF,
+                    0x04, 0x06, 0xE1, 0x04, 0x00, 2 + message.length, 0x00, 0xFF
+                ]));
+                return selectFile(NDEF_FILE_ID);
+            })
+            .then(() => readBinary(0, 2))
+            .then((response) => {
+                assert.strictEqual(response.data.readUInt16BE(0), message.length);
+                return readBinary(2, message.length);
+            })
+            .then((response) => {
+                assert.deepStrictEqual(response.data, message);
+                return read;
+            })
+            .then((readMessage) => assert.deepStrictEqual(readMessage, message));
+    });
+
+    it('emits the message written with UPDATE BINARY', function() {
+        var written = ndef.encodeMessage([ndef.textRecord('written by the reader')]);
+        var nlen = new Buffer(2);
+        nlen.writeUInt16BE(written.length, 0);
+        var write;
+        return emulate({writable: true})
+            .then(() => {
+                write = helpers.once(emulator, 'write');
+                return target.selectAid(NDEF_APPLICATION_AID);
+            })
+            .then(() => selectFile(NDEF_FILE_ID))
+            // Clears NLEN, writes the message, then its NLEN
+            .then(() => updateBinary(0, [0x00, 0x00]))
+            .then(() => updateBinary(2, written))
+            .then(() => updateBinary(0, nlen))
+            .then((response) => {
+                assert(response.ok);
+                return write;
+            })
+            .then((writtenMessage) => {
+                assert.deepStrictEqual(writtenMessage, written);
+                assert.deepStrictEqual(emulator.message, written);
+                return readBinary(2, written.length);
+            })
+            .then((response) => assert.deepStrictEqual(response.data, written));
+    });
+
+    it('rejects offsets out of the files, and writes of a read-only tag', function() {
+        return emulate({maxNdefSize: 64})
+            .then(() => target.selectAid(NDEF_APPLICATION_AID))
+            .then(() => readBinary(0, 2))
+            .then((response) => {
+                assert.strictEqual(response.sw, 0x6986); // No file selected
+                return selectFile(NDEF_FILE_ID);
+            })
+            .then(() => readBinary(65, 1))
+            .then((response) => {
+                assert.strictEqual(response.sw, apdu.SW_WRONG_P1P2);
+                return readBinary(60, 10);
+            })
+            .then((response) => {
+                assert(response.ok);
+                assert.strictEqual(response.data.length, 4); // Up to the end of the file
+                return updateBinary(0, [0x00, 0x00]);
+            })
+            .then((response) => {
+                assert.strictEqual(response.sw, apdu.SW_SECURITY_NOT_SATISFIED);
+                emulator.writable = true;
+                return updateBinary(60, [0x01, 0x02, 0x03, 0x04, 0x05]);
+            })
+            .then((response) => {
+                assert.strictEqual(response.sw, apdu.SW_WRONG_P1P2);
+                return selectFile([0xE1, 0x05]);
+            })
+            .then((response) => assert.strictEqual(response.sw, apdu.SW_FILE_NOT_FOUND));
+    });
+});
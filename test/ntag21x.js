@@ -0,0 +1,173 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var ntag21x = pn532.ntag21x;
+var helpers = require('./helpers');
+
+var UID = [0x04, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC];
+
+// Key pair of a test authority (private key 0123456789ABCDEF0011223344556677), signing the UID as NXP does
+var TEST_PUBLIC_KEY = '041B9D07A4A7B5ECE086032A4AFE231336A22D290CBBAF36B8468E9D4A55FC6948';
+var TEST_SIGNATURE = new Buffer('FA7EB44ECC4834E1C1639A24AE1DE3BB030E0BB506CA8B04D261941DBEFEEAB1', 'hex');
+
+// Signature made with OpenSSL (secp128r1, SHA-256): the message verified is the hash truncated to 128 bits
+var OPENSSL_PUBLIC_KEY = '04B31457A519986B58FBC71250C23864EABF6F2D38F3C9341B91AB0C9C2B6FD5B5';
+var OPENSSL_SIGNATURE = new Buffer('966AD7C4663CF56E9510C69A5704D0E497EF83BD67652A6ADAEB6441FB9E7FB0', 'hex');
+var OPENSSL_MESSAGE = new Buffer('3E1ED45EB057F911F6B0401A4DB6125F', 'hex');
+
+var CFG0_PAGE = ntag21x.CONFIG_PAGES['NTAG215'];
+
+describe('NTAG21x', function() {
+    describe('verifySignature()', function() {
+        it('accepts valid signatures', function() {
+            assert(ntag21x.verifySignature(OPENSSL_MESSAGE, OPENSSL_SIGNATURE, OPENSSL_PUBLIC_KEY));
+            assert(ntag21x.verifySignature(UID, TEST_SIGNATURE, TEST_PUBLIC_KEY));
+        });
+
+        it('rejects tampered signatures and other messages', function() {
+            var tampered = new Buffer(TEST_SIGNATURE);
+            tampered[20] ^= 0x01;
+            assert(!ntag21x.verifySignature(UID, tampered, TEST_PUBLIC_KEY));
+            assert(!ntag21x.verifySignature([0x04, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBD], TEST_SIGNATURE,
+                                            TEST_PUBLIC_KEY));
+            assert(!ntag21x.verifySignature(UID, TEST_SIGNATURE)); // Not signed by NXP
+            assert(!ntag21x.verifySignature(UID, new Buffer(32).fill(0)));
+        });
+
+        it('rejects malformed keys and signatures', function() {
+            assert.throws(() => ntag21x.verifySignature(UID, TEST_SIGNATURE, '04AABB'), errors.PN532Error);
+            assert.throws(() => ntag21x.verifySignature(UID, TEST_SIGNATURE.slice(1), TEST_PUBLIC_KEY),
+                          errors.PN532Error);
+        });
+    });
+
+    describe('on the simulator', function() {
+        var rfid;
+        var simulator;
+        var virtualTag;
+        var tag;
+
+        function scan() {
+            return rfid.scanTag().then((tags) => {
+                tag = new pn532.Ntag21x(tags[0]);
+            });
+        }
+
+        function configPage(offset) {
+            return virtualTag.memory.slice((CFG0_PAGE + offset) * 4, (CFG0_PAGE + offset + 1) * 4);
+        }
+
+        beforeEach(function() {
+            virtualTag = new pn532.VirtualNtag215({uid: UID, signature: TEST_SIGNATURE, counter: 5});
+            return helpers.createReader().then((reader) => {
+                rfid = reader.rfid;
+                simulator = reader.simulator;
+                simulator.placeTag(virtualTag);
+                return scan();
+            });
+        });
+
+        afterEach(function() {
+            return rfid.close();
+        });
+
+        it('verifies the originality signature of the UID', function() {
+            return tag.verifyOriginality(TEST_PUBLIC_KEY).then((result) => {
+                assert(result.isOriginal);
+                assert.deepStrictEqual(result.signature, TEST_SIGNATURE);
+            });
+        });
+
+        it('detects a clone: a copied signature with another UID', function() {
+            simulator.removeTag(virtualTag);
+            simulator.placeTag(new pn532.VirtualNtag215({uid: [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06],
+                                                          signature: TEST_SIGNATURE}));
+            return scan()
+                .then(() => tag.verifyOriginality(TEST_PUBLIC_KEY))
+                .then((result) => assert(!result.isOriginal));
+        });
+
+        it('writes the password, PACK, ACCESS and AUTH0 bytes', function() {
+            var password = [0x12, 0x34, 0x56, 0x78];
+            return tag.setPassword(password, [0xCA, 0xFE], {firstPage: 0x10, protectReads: true, authLimit: 3})
+                .then(() => {
+                    assert.strictEqual(configPage(0)[3], 0x10); // AUTH0
+                    assert.strictEqual(configPage(1)[0], ntag21x.ACCESS_PROT | 3);
+                    assert.deepStrictEqual(configPage(2), new Buffer(password));
+                    assert.deepStrictEqual(configPage(3), new Buffer([0xCA, 0xFE, 0x00, 0x00]));
+                    return scan();
+                })
+                .then(() => helpers.rejection(tag.readPages(0x10, 1)))
+                .then((error) => {
+                    assert(error instanceof errors.StatusError);
+                    return scan();
+                })
+                .then(() => tag.authenticate(password, {pack: [0xCA, 0xFE]}))
+                .then((pack) => {
+                    assert.deepStrictEqual(pack, new Buffer([0xCA, 0xFE]));
+                    return tag.readConfiguration();
+                })
+                .then((config) => {
+                    assert.strictEqual(config.auth0, 0x10);
+                    assert(config.isProtected && config.protectReads);
+                    assert.strictEqual(config.authLimit, 3);
+                    return tag.readPages(0x10, 1);
+                });
+        });
+
+        it('clears the password protection', function() {
+            var password = [0x12, 0x34, 0x56, 0x78];
+            return tag.setPassword(password, [0xCA, 0xFE], {protectReads: true, authLimit: 2})
+                .then(() => tag.authenticate(password))
+                .then(() => tag.clearPassword())
+                .then(() => {
+                    assert.strictEqual(configPage(0)[3], ntag21x.AUTH0_DISABLED);
+                    assert.strictEqual(configPage(1)[0], 0x00);
+                    assert.deepStrictEqual(configPage(2), new Buffer([0xFF, 0xFF, 0xFF, 0xFF]));
+                    assert.deepStrictEqual(configPage(3), new Buffer([0x00, 0x00, 0x00, 0x00]));
+                });
+        });
+
+        it('rejects a wrong password, selecting the tag again', function() {
+            return helpers.rejection(tag.authenticate([0x00, 0x00, 0x00, 0x00]))
+                .then((error) => {
+                    assert(error instanceof errors.StatusError);
+                    // The tag halted on the NAK, it answers again once selected
+                    assert(virtualTag.isActive);
+                    return tag.readPages(4, 1);
+                });
+        });
+
+        it('rejects a tag answering another PACK than expected', function() {
+            // The default password is accepted, the tag answering the default PACK 00 00
+            return helpers.rejection(tag.authenticate([0xFF, 0xFF, 0xFF, 0xFF], {pack: [0xCA, 0xFE]}))
+                .then((error) => {
+                    assert(error instanceof errors.PN532Error);
+                    assert(!(error instanceof errors.StatusError));
+                });
+        });
+
+        it('reads the NFC counter once enabled', function() {
+            return helpers.rejection(tag.readCounter())
+                .then((error) => {
+                    assert(error instanceof errors.StatusError); // Disabled
+                    return scan();
+                })
+                .then(() => tag.configureCounter({enabled: true}))
+                .then(() => {
+                    assert.strictEqual(configPage(1)[0], ntag21x.ACCESS_NFC_CNT_EN);
+                    return tag.readCounter();
+                })
+                .then((counter) => {
+                    assert.strictEqual(counter, 5);
+                    // The first read after the next activation counts
+                    return scan();
+                })
+                .then(() => tag.readPages(4, 1))
+                .then(() => tag.readCounter())
+                .then((counter) => assert.strictEqual(counter, 6));
+        });
+    });
+});
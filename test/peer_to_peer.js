@@ -0,0 +1,108 @@
+'use strict';
+var assert = require('assert');
+
+var pn532 = require('../src/pn532');
+var ndef = pn532.ndef;
+var helpers = require('./helpers');
+
+describe('PeerToPeer', function() {
+    var rfid;
+    var simulator;
+
+    beforeEach(function() {
+        return helpers.createReader().then((reader) => {
+            rfid = reader.rfid;
+            simulator = reader.simulator;
+        });
+    });
+
+    afterEach(function() {
+        return rfid.close();
+    });
+
+    it('aborts its command waiting for a peer when stopped', function() {
+        var peerToPeer = new pn532.PeerToPeer(rfid);
+        peerToPeer.start();
+        return new Promise((resolve) => setTimeout(resolve, 20))
+            .then(() => peerToPeer.stop())
+            .then(() => {
+                assert(!peerToPeer.isRunning);
+                // Queued behind TgInitAsTarget if it was still waiting for a peer
+                return helpers.within(rfid.getFirmwareVersion(), 100);
+            });
+    });
+
+    it('leaves the command of the user alone when stopped', function() {
+        var peerToPeer = new pn532.PeerToPeer(rfid);
+        var tag = new pn532.VirtualNtag215({uid: [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]});
+        var scan = rfid.scanTag({timeout: 0});
+        peerToPeer.start();
+        return peerToPeer.stop()
+            .then(() => {
+                simulator.placeTag(tag);
+                return scan;
+            })
+            .then((tags) => {
+                assert.strictEqual(tags[0].uid, '04:01:02:03:04:05:06');
+                // Queued behind the command of the peer-to-peer mode if it was still queued
+                return helpers.within(rfid.getFirmwareVersion(), 100);
+            });
+    });
+
+    describe('between two linked simulators', function() {
+        var peer;
+        var peerSimulator;
+        var peerToPeer;
+
+        beforeEach(function() {
+            return helpers.createReader().then((reader) => {
+                peer = reader.rfid;
+                peerSimulator = reader.simulator;
+                simulator.connectPeer(peerSimulator);
+                peerToPeer = peer.startPeerToPeer();
+            });
+        });
+
+        afterEach(function() {
+            return peerToPeer.stop().then(() => peer.close());
+        });
+
+        it('pushes an NDEF message to the SNEP server of the peer', function() {
+            var message = ndef.encodeMessage([ndef.textRecord('hello')]);
+            var received = helpers.once(peer, 'ndefReceived');
+            return rfid.snepPush(message)
+                .then(() => received)
+                .then((receivedMessage) => assert.deepStrictEqual(receivedMessage, message));
+        });
+
+        it('fragments a message longer than the MIU of the peer', function() {
+            var payload = new Buffer(1000).fill(0xA5);
+            var message = ndef.encodeMessage([ndef.mimeRecord('application/octet-stream', payload)]);
+            var received = helpers.once(peer, 'ndefReceived');
+            return rfid.snepPush(message)
+                .then(() => received)
+                .then((receivedMessage) => assert.deepStrictEqual(receivedMessage, message));
+        });
+
+        it('receives the message pushed by the target', function() {
+            var message = ndef.encodeMessage([ndef.uriRecord('https://example.com')]);
+            peerToPeer.once('activated', () => peerToPeer.push(message));
+            var initiator = rfid.startPeerToPeer({role: pn532.PeerToPeer.ROLE_INITIATOR});
+            return helpers.once(rfid, 'ndefReceived')
+                .then((receivedMessage) => assert.deepStrictEqual(receivedMessage, message))
+                .then(() => initiator.stop());
+        });
+
+        it('deactivates the link of the target once the initiator is done', function() {
+            var activated = helpers.once(peerToPeer, 'activated');
+            var deactivated = helpers.once(peerToPeer, 'deactivated');
+            return rfid.snepPush([ndef.textRecord('bye')])
+                .then(() => activated)
+                .then(() => deactivated)
+                .then(() => {
+                    assert(!peerToPeer.isActive);
+                    assert(peerToPeer.isRunning); // Waiting for the next peer
+                });
+        });
+    });
+});
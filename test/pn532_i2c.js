@@ -0,0 +1,142 @@
+'use strict';
+var assert = require('assert');
+
+var pn532 = require('../src/pn532');
+var frame = require('../src/frame');
+var c = require('../src/constants');
+
+/*
+    I2C bus (node-i2c's read/write) in front of a PN532_Simulator.  Each read starts with the status byte: 0x00 for
+    the first busyReads status reads of each frame, then 0x01 and the frame, which a read consumes.  Frames can be
+    held back for delay milliseconds, as a PN532 slow to answer.
+*/
+class FakeI2cBus {
+    constructor(simulator, busyReads, delay) {
+        this.simulator = simulator;
+        this.busyReads = busyReads;
+        this.delay = delay || 0;
+        this.frames = [];
+        this.writes = [];
+        this.reads = []; // Lengths read
+        this.watchers = [];
+        this._busy = busyReads;
+
+        simulator.on('data', (buffer) => {
+            setTimeout(() => {
+                this.frames.push(buffer);
+                this.watchers.forEach((watcher) => watcher(null, 0));
+            }, this.delay);
+        });
+        simulator.init();
+
+        // IRQ pin, low while a frame is ready
+        this.irq = {
+            readSync: () => this.frames.length ? 0 : 1,
+            watch: (callback) => this.watchers.push(callback),
+            unwatch: (callback) => {
+                this.watchers = this.watchers.filter((watcher) => watcher !== callback);
+            }
+        };
+    }
+
+    write(buffer, callback) {
+        this.writes.push(new Buffer(buffer));
+        this.simulator.write(buffer);
+        setImmediate(() => callback(null));
+    }
+
+    read(length, callback) {
+        this.reads.push(length);
+        var data = new Buffer(length).fill(c.I2C_BUSY);
+        if (this.frames.length && this._busy > 0) {
+            this._busy--;
+        } else if (this.frames.length) {
+            data[0] = c.I2C_READY;
+            if (length > 1) {
+                this.frames.shift().copy(data, 1, 0, length - 1);
+                this._busy = this.busyReads;
+            }
+        }
+        setImmediate(() => callback(null, data));
+    }
+}
+
+describe('PN532_I2C', function() {
+    var rfid;
+    var bus;
+
+    /*
+        Reader on a fake bus, polling the status byte (busy for 2 reads) or waiting for the IRQ line
+
+        @param {boolean} [useIrq=false]
+        @param {number} [delay=0] - Milliseconds before the fake PN532 has each frame ready
+    */
+    function createReader(useIrq, delay) {
+        var simulator = new pn532.PN532_Simulator();
+        simulator.placeTag(new pn532.VirtualNtag215({uid: [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66]}));
+        bus = new FakeI2cBus(simulator, useIrq ? 0 : 2, delay);
+        var options = useIrq ? {irq: bus.irq} : {pollInterval: 1};
+        // No resend while the test runs, whatever the load of the machine
+        rfid = new pn532.PN532(new pn532.PN532_I2C(bus, options), {ackTimeout: 10000});
+        return new Promise((resolve) => rfid.once('ready', resolve));
+    }
+
+    afterEach(function() {
+        return rfid.close();
+    });
+
+    it('polls the status byte until the PN532 is ready', function() {
+        return createReader()
+            .then(() => rfid.scanTag())
+            .then((tags) => {
+                assert.strictEqual(tags[0].uid, '04:11:22:33:44:55:66');
+                // Busy status reads before each frame
+                var statusReads = bus.reads.filter((length) => length === 1).length;
+                assert(statusReads >= 2 * 2, 'status read ' + statusReads + ' times');
+            });
+    });
+
+    it('reads the header of the response, then NACKs to read it whole', function() {
+        return createReader()
+            .then(() => {
+                bus.reads = [];
+                bus.writes = [];
+                return rfid.getFirmwareVersion();
+            })
+            .then(() => {
+                var reads = bus.reads.filter((length) => length > 1);
+                // ACK (6 bytes), header (8 bytes) then the whole response frame, each after the status byte
+                var response = new frame.DataFrame([0x03, 0x32, 0x01, 0x06, 0x07], 0xD5).toBuffer();
+                assert.deepStrictEqual(reads, [6 + 1, 8 + 1, response.length + 1]);
+                assert.strictEqual(bus.writes.length, 2);
+                assert(frame.NackFrame.isFrame(bus.writes[1]));
+            });
+    });
+
+    it('waits for a late ACK instead of resending the command', function() {
+        // Each frame, the ACK included, is ready only after I2C_READYTIMEOUT
+        return createReader(false, 2 * c.I2C_READYTIMEOUT)
+            .then(() => {
+                bus.reads = [];
+                bus.writes = [];
+                return rfid.getFirmwareVersion();
+            })
+            .then((firmware) => {
+                assert.strictEqual(firmware.Ver, 1);
+                assert.strictEqual(firmware.Rev, 6);
+                // The command then the NACK, never a resend
+                assert.strictEqual(bus.writes.length, 2);
+                assert(frame.NackFrame.isFrame(bus.writes[1]));
+                assert.strictEqual(bus.frames.length, 0);
+            });
+    });
+
+    it('waits for the IRQ line instead of polling the status byte', function() {
+        return createReader(true)
+            .then(() => rfid.scanTag())
+            .then((tags) => {
+                assert.strictEqual(tags[0].uid, '04:11:22:33:44:55:66');
+                assert.strictEqual(bus.reads.filter((length) => length === 1).length, 0);
+            });
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var helpers = require('./helpers');
+
+describe('PN532 with the simulator', function() {
+    var rfid;
+    var simulator;
+    var tag;
+
+    beforeEach(function() {
+        var options = {pollInterval: 20, scanTimeout: 20, presenceTimeout: 20, pollIdleTime: 50};
+        return helpers.createReader(options).then((reader) => {
+            rfid = reader.rfid;
+            simulator = reader.simulator;
+            tag = new pn532.VirtualNtag215({uid: [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]});
+        });
+    });
+
+    afterEach(function() {
+        return rfid.close();
+    });
+
+    it('scans the tag placed in the field', function() {
+        simulator.placeTag(tag);
+        return rfid.scanTag().then((tags) => {
+            assert.strictEqual(tags.length, 1);
+            assert.strictEqual(tags[0].uid, '04:01:02:03:04:05:06');
+        });
+    });
+
+    it('finds no tag in an empty field', function() {
+        return rfid.scanTag({timeout: 20}).then((tags) => assert.deepStrictEqual(tags, []),
+                                               (error) => assert(error instanceof errors.CommandTimeoutError));
+    });
+
+    it('reads the empty NDEF message of a new tag', function() {
+        simulator.placeTag(tag);
+        return rfid.scanTag()
+            .then(() => rfid.readNdefData())
+            .then((data) => assert.strictEqual(data.length, 0));
+    });
+
+    it('writes then reads an NDEF message', function() {
+        var message = pn532.ndef.encodeMessage([pn532.ndef.uriRecord('https://example.com')]);
+        simulator.placeTag(tag);
+        return rfid.scanTag()
+            .then(() => rfid.writeNdefData(message, {verify: true}))
+            .then(() => rfid.readNdefData())
+            .then((data) => assert.deepStrictEqual(data, message))
+            .then(() => {
+                // The message is in the memory of the tag, after the NDEF TLV header
+                assert.deepStrictEqual(tag.memory.slice(16, 18), new Buffer([0x03, message.length]));
+            });
+    });
+
+    it('writes a message spanning several FAST_READ frames', function() {
+        var message = new Buffer(400).fill(0x55);
+        simulator.placeTag(tag);
+        return rfid.scanTag()
+            .then(() => rfid.writeNdefData(message))
+            .then(() => rfid.readNdefData())
+            .then((data) => assert.deepStrictEqual(data, message));
+    });
+
+    it('rejects reads before a scan', function() {
+        return helpers.rejection(rfid.readNdefData())
+            .then((error) => assert(error instanceof errors.PN532Error));
+    });
+
+    it('rejects reads of a tag removed from the field', function() {
+        simulator.placeTag(tag);
+        return rfid.scanTag()
+            .then(() => simulator.removeTag(tag))
+            .then(() => helpers.rejection(rfid.readNdefData()))
+            .then((error) => assert(error instanceof errors.TargetTimeoutError));
+    });
+
+    it('emits tagPresent then tagRemoved when polling', function() {
+        simulator.placeTag(tag);
+        var present = helpers.once(rfid, 'tagPresent');
+        return present
+            .then((found) => {
+                assert.strictEqual(found.uid, '04:01:02:03:04:05:06');
+                var removed = helpers.once(rfid, 'tagRemoved');
+                simulator.removeTag(tag);
+                return removed;
+            })
+            .then((removed) => assert.strictEqual(removed.uid, '04:01:02:03:04:05:06'));
+    });
+
+    it('keeps the targets of the user while polls miss the tag', function() {
+        simulator.placeTag(tag);
+        return rfid.scanTag()
+            .then((tags) => {
+                simulator.removeTag(tag);
+                rfid.startPolling();
+                return delay(200).then(() => {
+                    assert(tags[0].isValid);
+                    assert.deepStrictEqual(rfid.targets, tags);
+                });
+            });
+    });
+
+    it('does not poll during an exclusive sequence', function() {
+        var present = false;
+        rfid.on('tagPresent', () => present = true);
+        rfid.startPolling();
+        return rfid.exclusive(() => {
+            simulator.placeTag(tag);
+            return delay(200).then(() => assert(!present));
+        }).then(() => helpers.once(rfid, 'tagPresent'));
+    });
+});
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,150 @@
+'use strict';
+var assert = require('assert');
+
+var pn532 = require('../src/pn532');
+var frame = require('../src/frame');
+var c = require('../src/constants');
+
+var reverseBits = (byte) => {
+    var reversed = 0;
+    for (var i = 0; i < 8; i++) {
+        reversed = (reversed << 1) | ((byte >> i) & 0x01);
+    }
+    return reversed;
+};
+
+/*
+    SPI device (spi-device's transfer/close) in front of a PN532_Simulator.  The PN532 sends and receives LSB
+    first: when the device is not configured lsbFirst, each byte reaches it with its bits reversed.  A data read
+    consumes the frame ready, as the I2C fake bus does.
+*/
+class FakeSpiDevice {
+    constructor(simulator, lsbFirst) {
+        this.simulator = simulator;
+        this.lsbFirst = lsbFirst;
+        this.frames = [];
+        this.transfers = []; // {operation, raw, length} of each transfer, operation as the PN532 sees it
+        this.isClosed = false;
+        this.cs = null;      // Fake chip select, checked to be low during each transfer
+
+        simulator.on('data', (buffer) => this.frames.push(buffer));
+        simulator.init();
+    }
+
+    transfer(message, callback) {
+        var transfer = message[0];
+        var toPn532 = (byte) => this.lsbFirst ? byte : reverseBits(byte);
+        var sent = new Buffer(transfer.sendBuffer).map(toPn532);
+        var operation = sent[0];
+        this.transfers.push({operation: operation, raw: transfer.sendBuffer[0], length: transfer.byteLength});
+        if (this.cs && this.cs.value !== 0) {
+            return setImmediate(() => callback(new Error('Transfer with the PN532 not selected')));
+        }
+
+        var received = new Buffer(transfer.byteLength).fill(0);
+        if (operation === c.SPI_DATA_WRITE) {
+            this.simulator.write(sent.slice(1));
+        } else if (operation === c.SPI_STATUS_READ) {
+            received[1] = this.frames.length ? c.SPI_READY : 0x00;
+        } else if (operation === c.SPI_DATA_READ && this.frames.length) {
+            this.frames.shift().copy(received, 1, 0, transfer.byteLength - 1);
+        }
+        received.map(toPn532).copy(transfer.receiveBuffer);
+        setImmediate(() => callback(null, message));
+    }
+
+    close(callback) {
+        this.isClosed = true;
+        setImmediate(() => callback(null));
+    }
+}
+
+// Chip select GPIO (onoff's writeSync), keeping the values written
+class FakeGpio {
+    constructor() {
+        this.value = null;
+        this.values = [];
+    }
+
+    writeSync(value) {
+        this.value = value;
+        this.values.push(value);
+    }
+}
+
+describe('PN532_SPI', function() {
+    var rfid;
+    var device;
+
+    function createReader(options) {
+        options = Object.assign({pollInterval: 1}, options);
+        var simulator = new pn532.PN532_Simulator();
+        simulator.placeTag(new pn532.VirtualNtag215({uid: [0x04, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66]}));
+        device = new FakeSpiDevice(simulator, !!options.lsbFirst);
+        device.cs = options.cs || null;
+        rfid = new pn532.PN532(new pn532.PN532_SPI(device, options), {ackTimeout: 10000});
+        return new Promise((resolve) => rfid.once('ready', resolve));
+    }
+
+    afterEach(function() {
+        return rfid.close().then(() => assert(device.isClosed));
+    });
+
+    it('writes, polls the status, then reads the ACK, the header and the whole response', function() {
+        return createReader({lsbFirst: true})
+            .then(() => {
+                device.transfers = [];
+                return rfid.getFirmwareVersion();
+            })
+            .then((firmware) => {
+                assert.strictEqual(firmware.Ver, 1);
+                var operations = device.transfers.map((transfer) => transfer.operation);
+                var reads = device.transfers.filter((transfer) => transfer.operation === c.SPI_DATA_READ);
+                var writes = device.transfers.filter((transfer) => transfer.operation === c.SPI_DATA_WRITE);
+
+                assert.strictEqual(operations[0], c.SPI_DATA_WRITE);
+                assert(device.transfers.every((transfer) => transfer.raw === transfer.operation));
+                assert.strictEqual(operations[1], c.SPI_STATUS_READ);
+                assert(operations.every((operation) => [c.SPI_DATA_WRITE, c.SPI_STATUS_READ,
+                                                        c.SPI_DATA_READ].indexOf(operation) !== -1));
+                // ACK, header then the whole frame after a NACK, each byte count after the operation byte
+                var response = new frame.DataFrame([0x03, 0x32, 0x01, 0x06, 0x07], 0xD5).toBuffer();
+                assert.deepStrictEqual(reads.map((transfer) => transfer.length), [1 + 6, 1 + 8, 1 + response.length]);
+                assert.strictEqual(writes.length, 2);
+                // Each read follows a status read reporting the frame ready
+                device.transfers.forEach((transfer, index) => {
+                    if (transfer.operation === c.SPI_DATA_READ) {
+                        assert.strictEqual(device.transfers[index - 1].operation, c.SPI_STATUS_READ);
+                    }
+                });
+            });
+    });
+
+    it('reverses the bits of each byte unless the device transfers LSB first', function() {
+        return createReader()
+            .then(() => rfid.scanTag())
+            .then((tags) => {
+                assert.strictEqual(tags[0].uid, '04:11:22:33:44:55:66');
+                // The operation bytes as sent on the bus, MSB first: DW 0x80, SR 0x40 and DR 0xC0
+                var raw = device.transfers.map((transfer) => transfer.raw);
+                [0x80, 0x40, 0xC0].forEach((byte) => assert(raw.indexOf(byte) !== -1, '0x' + byte.toString(16)));
+                assert(raw.every((byte) => [0x80, 0x40, 0xC0].indexOf(byte) !== -1));
+            });
+    });
+
+    it('drives chip select around each transfer', function() {
+        var cs = new FakeGpio();
+        return createReader({cs: cs, csDelay: 0})
+            .then(() => rfid.scanTag())
+            .then((tags) => {
+                assert.strictEqual(tags[0].uid, '04:11:22:33:44:55:66');
+                // High once initialized, then low and high again for each transfer
+                assert.strictEqual(cs.values[0], 1);
+                assert.strictEqual(cs.values.length, 1 + 2 * device.transfers.length);
+                for (var i = 1; i < cs.values.length; i += 2) {
+                    assert.deepStrictEqual(cs.values.slice(i, i + 2), [0, 1]);
+                }
+                assert.strictEqual(cs.value, 1);
+            });
+    });
+});
@@ -0,0 +1,124 @@
+'use strict';
+var assert = require('assert');
+var net = require('net');
+
+var pn532 = require('../src/pn532');
+var helpers = require('./helpers');
+
+var WAKEUP = new Buffer([0x55, 0x55, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+
+/*
+    Loopback ser2net: a TCP server forwarding the bytes of each connection to a PN532_Simulator, and its answers back
+*/
+function createServer() {
+    var server = net.createServer((socket) => {
+        server.sockets.push(socket);
+        server.received.push(new Buffer(0));
+        var index = server.received.length - 1;
+        var simulator = new pn532.PN532_Simulator();
+        simulator.init();
+        simulator.on('data', (data) => socket.destroyed || socket.write(data));
+        socket.on('data', (data) => {
+            server.received[index] = Buffer.concat([server.received[index], data]);
+            // The simulator ignores the wakeup preamble like any byte outside of a frame
+            simulator.write(data);
+        });
+    });
+    server.sockets = [];
+    server.received = []; // Bytes received by each connection
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('PN532_TCP', function() {
+    var server;
+    var hal;
+    var rfid;
+
+    beforeEach(function() {
+        return createServer().then((created) => {
+            server = created;
+            hal = new pn532.PN532_TCP({host: '127.0.0.1', port: server.address().port});
+            rfid = new pn532.PN532(hal);
+            return helpers.once(rfid, 'ready');
+        });
+    });
+
+    afterEach(function() {
+        return rfid.close().then(() => new Promise((resolve) => server.close(resolve)));
+    });
+
+    it('connects and exchanges frames, starting with the wakeup preamble', function() {
+        return rfid.getFirmwareVersion().then((version) => {
+            assert.strictEqual(version.IC, 0x32);
+            assert.deepStrictEqual(server.received[0].slice(0, WAKEUP.length), WAKEUP);
+            // The preamble is sent once per connection
+            assert.strictEqual(server.received[0].indexOf(WAKEUP, 1), -1);
+        });
+    });
+
+    it('rejects the commands in flight and queued when the connection drops, until it reconnects', function() {
+        var scan = helpers.rejection(rfid.scanTag({timeout: 0})); // Waits for a tag which never comes
+        var queued = helpers.rejection(rfid.getFirmwareVersion());
+        var closed = helpers.once(rfid, 'close');
+        return new Promise((resolve) => setTimeout(resolve, 20))
+            .then(() => {
+                server.sockets[0].destroy();
+                return Promise.all([scan, queued, closed]);
+            })
+            .then((results) => {
+                assert(results[0] instanceof pn532.TransportClosedError);
+                assert(results[1] instanceof pn532.TransportClosedError);
+                return helpers.rejection(helpers.within(rfid.getFirmwareVersion(), 100));
+            })
+            .then((error) => {
+                assert(error instanceof pn532.TransportClosedError);
+                return hal.init();
+            })
+            .then(() => rfid.getFirmwareVersion())
+            .then((version) => assert.strictEqual(version.IC, 0x32));
+    });
+
+    it('reconnects after the connection was closed, waking the PN532 up again', function() {
+        var closed = helpers.once(hal, 'close');
+        server.sockets[0].destroy();
+        return closed
+            .then(() => {
+                assert.strictEqual(hal.isAwake, false);
+                return hal.init();
+            })
+            .then(() => rfid.getFirmwareVersion())
+            .then((version) => {
+                assert.strictEqual(version.IC, 0x32);
+                assert.strictEqual(server.received.length, 2);
+                assert.deepStrictEqual(server.received[1].slice(0, WAKEUP.length), WAKEUP);
+            });
+    });
+});
+
+describe('PN532_TCP connection', function() {
+    var connect = net.connect;
+
+    afterEach(function() {
+        net.connect = connect;
+    });
+
+    it('rejects when the connection times out', function() {
+        // A socket which never connects
+        net.connect = () => new net.Socket();
+        var hal = new pn532.PN532_TCP({host: '192.0.2.1', port: 2000, connectTimeout: 20});
+        return helpers.rejection(hal.init()).then((error) => {
+            assert(error instanceof pn532.PN532Error);
+            assert(/Timed out connecting/.test(error.message));
+        });
+    });
+
+    it('rejects when the connection is refused', function() {
+        return createServer()
+            .then((server) => {
+                var port = server.address().port;
+                return new Promise((resolve) => server.close(() => resolve(port)));
+            })
+            .then((port) => helpers.rejection(new pn532.PN532_TCP({host: '127.0.0.1', port: port}).init()))
+            .then((error) => assert.strictEqual(error.code, 'ECONNREFUSED'));
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var helpers = require('./helpers');
+
+describe('Target', function() {
+    var rfid;
+    var simulator;
+    var virtualTag;
+    var exchanges;
+
+    // Spies on the commands a tag receives
+    function spy(tag) {
+        var transceive = tag.transceive.bind(tag);
+        tag.transceive = (data) => {
+            exchanges.push(data);
+            return transceive(data);
+        };
+        return tag;
+    }
+
+    // Asserts the promise rejects with a StaleTargetError of the target, without a command reaching the tag
+    function assertStale(promise, target, reason) {
+        var count = exchanges.length;
+        return helpers.rejection(promise).then((error) => {
+            assert(error instanceof errors.StaleTargetError);
+            assert.strictEqual(error.target, target);
+            assert.strictEqual(error.reason, reason);
+            assert.strictEqual(exchanges.length, count);
+        });
+    }
+
+    beforeEach(function() {
+        exchanges = [];
+        virtualTag = spy(new pn532.VirtualNtag215({uid: [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06]}));
+        return helpers.createReader().then((reader) => {
+            rfid = reader.rfid;
+            simulator = reader.simulator;
+            simulator.placeTag(virtualTag);
+        });
+    });
+
+    afterEach(function() {
+        return rfid.close();
+    });
+
+    it('rejects every use of a released target', function() {
+        var target;
+        return rfid.scanTag()
+            .then((tags) => {
+                target = tags[0];
+                return target.release();
+            })
+            .then(() => {
+                assert(target.isReleased && !target.isSelected && !target.isValid);
+                assert.deepStrictEqual(rfid.targets, []);
+                return Promise.all([
+                    assertStale(target.read(4), target, 'released'),
+                    assertStale(target.write(4, [0x01, 0x02, 0x03, 0x04]), target, 'released'),
+                    assertStale(new pn532.Type2Tag(target).readNdef(), target, 'released'),
+                    assertStale(target.select(), target, 'released'),
+                    assertStale(target.release(), target, 'released')
+                ]);
+            });
+    });
+
+    it('releases all the targets with logical number 0', function() {
+        simulator.placeTag(spy(new pn532.VirtualNtag215({uid: [0x04, 0x0A, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F]})));
+        var found;
+        return rfid.scanTag({maxTargets: 2})
+            .then((tags) => {
+                found = tags;
+                assert.strictEqual(tags.length, 2);
+                return rfid.releaseTarget(0);
+            })
+            .then(() => Promise.all(found.map((target) => assertStale(target.read(4), target, 'released'))));
+    });
+
+    it('rejects the use of a target replaced by a new scan', function() {
+        var other = spy(new pn532.VirtualNtag215({uid: [0x04, 0x0A, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F]}));
+        var replaced;
+        return rfid.scanTag()
+            .then((tags) => {
+                replaced = tags[0];
+                simulator.removeTag(virtualTag);
+                simulator.placeTag(other);
+                return rfid.scanTag();
+            })
+            .then((tags) => {
+                // Same logical number, another tag
+                assert.strictEqual(tags[0].tagNumber, replaced.tagNumber);
+                assert.notStrictEqual(tags[0], replaced);
+                assert(!replaced.isValid && !replaced.isReleased);
+                return assertStale(replaced.read(4), replaced, 'replaced by a new scan')
+                    .then(() => tags[0].read(0));
+            })
+            .then((data) => assert.strictEqual(data[1], 0x0A));
+    });
+
+    it('rejects the use of a target once a scan finds no tag', function() {
+        var target;
+        return rfid.scanTag()
+            .then((tags) => {
+                target = tags[0];
+                simulator.removeTag(virtualTag);
+                return helpers.rejection(rfid.scanTag({timeout: 20}));
+            })
+            .then((error) => {
+                assert(error instanceof errors.CommandTimeoutError);
+                return assertStale(target.read(4), target, 'replaced by a new scan');
+            });
+    });
+
+    it('keeps the target of a tag listed again', function() {
+        var target;
+        return rfid.scanTag()
+            .then((tags) => {
+                target = tags[0];
+                return target.deselect();
+            })
+            .then(() => {
+                assert(!target.isSelected && target.isValid);
+                return rfid.scanTag();
+            })
+            .then((tags) => {
+                assert.strictEqual(tags[0], target);
+                assert(target.isSelected && target.isValid);
+                return target.read(4);
+            });
+    });
+});
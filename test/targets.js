@@ -0,0 +1,172 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var targets = require('../src/targets');
+var c = require('../src/constants');
+var helpers = require('./helpers');
+
+// InAutoPoll entry: type, length, then the target data starting with its logical number
+var entry = (type, data) => [type, data.length].concat(data);
+
+var FELICA_IDM = [0x01, 0x2E, 0x4C, 0xC2, 0x3A, 0x1B, 0x6F, 0x10];
+var FELICA_PMM = [0x03, 0x01, 0x4B, 0x02, 0x4F, 0x49, 0x93, 0xFF];
+
+describe('Target parsing', function() {
+    describe('parseAutoPoll()', function() {
+        it('parses a MIFARE Classic and a FeliCa card found together', function() {
+            var body = new Buffer([0x02].concat(
+                entry(c.AUTOPOLL_MIFARE, [0x01, 0x00, 0x04, 0x08, 0x04, 0xDE, 0xAD, 0xBE, 0xEF]),
+                // POL_RES of 20 bytes: length, response code, IDm, PMm and system code
+                entry(c.AUTOPOLL_FELICA212, [0x02, 0x14, 0x01].concat(FELICA_IDM, FELICA_PMM, [0x12, 0xFC]))
+            ));
+            var found = targets.parseAutoPoll(body);
+
+            assert.strictEqual(found.length, 2);
+            assert.strictEqual(found[0].tagNumber, 1);
+            assert.strictEqual(found[0].autoPollType, c.AUTOPOLL_MIFARE);
+            assert.strictEqual(found[0].type, targets.TYPE_ISO14443A);
+            assert.strictEqual(found[0].family, targets.FAMILY_CLASSIC_1K);
+            assert.strictEqual(found[0].uid, 'de:ad:be:ef');
+
+            assert.strictEqual(found[1].tagNumber, 2);
+            assert.strictEqual(found[1].autoPollType, c.AUTOPOLL_FELICA212);
+            assert.strictEqual(found[1].type, targets.TYPE_FELICA);
+            assert.strictEqual(found[1].family, targets.FAMILY_FELICA);
+            assert.deepStrictEqual(found[1].IDm, new Buffer(FELICA_IDM));
+            assert.deepStrictEqual(found[1].PMm, new Buffer(FELICA_PMM));
+            assert.strictEqual(found[1].uid, '01:2e:4c:c2:3a:1b:6f:10');
+            assert.strictEqual(found[1].systemCode, 0x12FC);
+        });
+
+        it('parses an ISO/IEC14443-4A card with its ATS and an ISO/IEC14443-4B card', function() {
+            var atqb = [0x50, 0x11, 0x22, 0x33, 0x44, 0x00, 0x00, 0x00, 0x00, 0x00, 0x81, 0x81];
+            var body = new Buffer([0x02].concat(
+                entry(c.AUTOPOLL_ISO14443_4A, [0x01, 0x03, 0x44, 0x20, 0x07, 0x04, 0x3C, 0x5D, 0x2A, 0x8B, 0x2B, 0x80,
+                                               0x06, 0x75, 0x77, 0x81, 0x02, 0x80]),
+                entry(c.AUTOPOLL_ISO14443_4B, [0x02].concat(atqb, [0x01, 0x00]))
+            ));
+            var found = targets.parseAutoPoll(body);
+
+            assert.strictEqual(found[0].family, targets.FAMILY_DESFIRE);
+            assert.strictEqual(found[0].uid, '04:3c:5d:2a:8b:2b:80');
+            assert.deepStrictEqual(found[0].ATS, new Buffer([0x06, 0x75, 0x77, 0x81, 0x02, 0x80]));
+            // T0 0x75: TA, TB and TC present
+            assert.deepStrictEqual(found[0].historicalBytes, new Buffer([0x80]));
+
+            assert.strictEqual(found[1].type, targets.TYPE_ISO14443B);
+            assert.strictEqual(found[1].autoPollType, c.AUTOPOLL_ISO14443_4B);
+            assert.strictEqual(found[1].uid, '11:22:33:44'); // PUPI
+            assert.strictEqual(found[1].family, targets.FAMILY_ISO_DEP);
+            assert.deepStrictEqual(found[1].ATTRIB_RES, new Buffer([0x00]));
+        });
+
+        it('parses Jewel, DEP and unknown types', function() {
+            var nfcid3 = [0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A];
+            var generalBytes = [0x46, 0x66, 0x6D, 0x01, 0x01, 0x11];
+            var body = new Buffer([0x03].concat(
+                entry(c.AUTOPOLL_JEWEL, [0x01, 0x0C, 0x00, 0xA1, 0xB2, 0xC3, 0xD4]),
+                // ATR_RES: D5 01, NFCID3t, DIDt, BSt, BRt, TO, PPt, general bytes
+                entry(c.AUTOPOLL_DEP_PASSIVE_106, [0x02, 0xD5, 0x01].concat(nfcid3, [0x00, 0x00, 0x00, 0x0E, 0x32],
+                                                                           generalBytes)),
+                entry(0x30, [0x03, 0xAA, 0xBB])
+            ));
+            var found = targets.parseAutoPoll(body);
+
+            assert.strictEqual(found.length, 3);
+            assert.strictEqual(found[0].type, targets.TYPE_JEWEL);
+            assert.strictEqual(found[0].uid, 'a1:b2:c3:d4');
+            assert.deepStrictEqual(found[0].ATQA, new Buffer([0x0C, 0x00]));
+
+            assert.strictEqual(found[1].type, targets.TYPE_DEP);
+            assert.strictEqual(found[1].tagNumber, 2);
+            assert.strictEqual(found[1].uid, '01:02:03:04:05:06:07:08:09:0a');
+            assert.deepStrictEqual(found[1].generalBytes, new Buffer(generalBytes));
+
+            // Kept raw
+            assert.deepStrictEqual(found[2], {tagNumber: 3, data: new Buffer([0xAA, 0xBB]), autoPollType: 0x30});
+        });
+
+        it('parses a response with no target', function() {
+            assert.deepStrictEqual(targets.parseAutoPoll(new Buffer([0x00])), []);
+        });
+    });
+
+    describe('parseListPassiveTarget()', function() {
+        // Family of an ISO14443A target listed with its ATQA (SENS_RES), SAK (SEL_RES) and ATS
+        function familyOf(atqa, sak, ats) {
+            var uid = [0x04, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06];
+            var body = new Buffer([0x01, 0x01].concat(atqa, [sak, uid.length], uid, ats || []));
+            return targets.parseListPassiveTarget(c.CARD_ISO14443A, body)[0].family;
+        }
+
+        it('classifies the families of real cards by SAK and ATQA', function() {
+            var ats = [0x06, 0x75, 0x77, 0x81, 0x02, 0x80];
+            assert.strictEqual(familyOf([0x00, 0x44], 0x00), targets.FAMILY_ULTRALIGHT);    // NTAG215
+            assert.strictEqual(familyOf([0x00, 0x04], 0x08), targets.FAMILY_CLASSIC_1K);
+            assert.strictEqual(familyOf([0x00, 0x02], 0x18), targets.FAMILY_CLASSIC_4K);
+            assert.strictEqual(familyOf([0x00, 0x04], 0x09), targets.FAMILY_CLASSIC_MINI);
+            assert.strictEqual(familyOf([0x00, 0x04], 0x28, ats), targets.FAMILY_CLASSIC_1K); // SmartMX emulating it
+            assert.strictEqual(familyOf([0x00, 0x02], 0x38, ats), targets.FAMILY_CLASSIC_4K);
+            assert.strictEqual(familyOf([0x03, 0x44], 0x20, ats), targets.FAMILY_DESFIRE);  // DESFire EV1
+            assert.strictEqual(familyOf([0x00, 0x04], 0x20, [0x05, 0x78, 0x80, 0x70, 0x02]),
+                               targets.FAMILY_ISO_DEP);                                     // Android HCE
+            assert.strictEqual(familyOf([0x00, 0x44], 0x10), targets.FAMILY_UNKNOWN);        // MIFARE Plus SL2
+        });
+
+        it('parses two targets listed together', function() {
+            var body = new Buffer([
+                0x02,
+                0x01, 0x00, 0x44, 0x00, 0x07, 0x04, 0x12, 0x34, 0x56, 0x78, 0x9A, 0xBC,
+                0x02, 0x00, 0x04, 0x08, 0x04, 0xDE, 0xAD, 0xBE, 0xEF
+            ]);
+            var found = targets.parseListPassiveTarget(c.CARD_ISO14443A, body);
+            assert.deepStrictEqual(found.map((target) => [target.tagNumber, target.uid, target.family]), [
+                [1, '04:12:34:56:78:9a:bc', targets.FAMILY_ULTRALIGHT],
+                [2, 'de:ad:be:ef', targets.FAMILY_CLASSIC_1K]
+            ]);
+        });
+    });
+
+    describe('scanTag({maxTargets: 2}) on the simulator', function() {
+        var rfid;
+
+        beforeEach(function() {
+            return helpers.createReader().then((reader) => {
+                rfid = reader.rfid;
+                reader.simulator.placeTag(new pn532.VirtualNtag215());
+                reader.simulator.placeTag(new pn532.VirtualMifareClassic1K({uid: [0xDE, 0xAD, 0xBE, 0xEF]}));
+            });
+        });
+
+        afterEach(function() {
+            return rfid.close();
+        });
+
+        it('lists both tags, each usable through its own logical number', function() {
+            var found;
+            return rfid.scanTag({maxTargets: 2})
+                .then((tags) => {
+                    found = tags;
+                    assert.deepStrictEqual(tags.map((tag) => [tag.tagNumber, tag.family]), [
+                        [1, pn532.FAMILY_ULTRALIGHT],
+                        [2, pn532.FAMILY_CLASSIC_1K]
+                    ]);
+                    assert.deepStrictEqual(rfid.targets, tags);
+                    return new pn532.MifareClassic(tags[1]).read(1);
+                })
+                .then(() => found[0].read(0))
+                .then((data) => assert.deepStrictEqual(data.slice(0, 3), new Buffer([0x04, 0x12, 0x34])));
+        });
+
+        it('lists one tag by default, and 2 at most', function() {
+            return rfid.scanTag()
+                .then((tags) => {
+                    assert.strictEqual(tags.length, 1);
+                    return helpers.rejection(rfid.scanTag({maxTargets: 3}));
+                })
+                .then((error) => assert(error instanceof errors.PN532Error));
+        });
+    });
+});
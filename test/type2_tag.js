@@ -0,0 +1,339 @@
+'use strict';
+var assert = require('assert');
+
+var errors = require('../src/errors');
+var pn532 = require('../src/pn532');
+var type2Tag = pn532.type2Tag;
+var ndef = pn532.ndef;
+var c = require('../src/constants');
+var helpers = require('./helpers');
+
+var HEADER = new Buffer([
+    0x04, 0x12, 0x34, 0xB8, 0x56, 0x78, 0x9A, 0xBC, 0x00, 0x48, 0x00, 0x00, 0xE1, 0x10, 0x06, 0x00
+]);
+
+// Memory from page 0, the data area holding the bytes given from page 4 then zeros
+function memoryOf(dataArea, size) {
+    var memory = new Buffer(HEADER.length + (size || 48)).fill(0);
+    HEADER.copy(memory);
+    new Buffer(dataArea).copy(memory, HEADER.length);
+    return memory;
+}
+
+describe('Type 2 tags', function() {
+    describe('parseTlvs()', function() {
+        it('skips the areas of the Lock Control and Memory Control TLVs', function() {
+            var message = [0xD1, 0x01, 0x06, 0x55, 0x04, 0x61, 0x2E, 0x63, 0x6F, 0x6D];
+            var result = type2Tag.parseTlvs(memoryOf([
+                0x01, 0x03, 0x40, 0x10, 0x43,   // Lock Control: bytes 32 and 33 (4 major offsets of 8 bytes), 16 bits
+                0x02, 0x03, 0x42, 0x04, 0x03,   // Memory Control: bytes 34 to 37
+                0x00,                           // NULL
+                0x03, 0x0A                      // NDEF TLV, its value interrupted by bytes 32 to 37
+            ].concat(message.slice(0, 3), [0xAA, 0xAA, 0xBB, 0xBB, 0xBB, 0xBB], message.slice(3), [0xFE])));
+
+            assert.deepStrictEqual(result.lockAreas, [{address: 32, size: 2, lockBitCount: 16,
+                                                       bytesLockedPerLockBit: 16}]);
+            assert.deepStrictEqual(result.reservedAreas, [{address: 34, size: 4}]);
+            assert.deepStrictEqual(result.tlvs.map((tlv) => [tlv.type, tlv.address, tlv.length, tlv.end]), [
+                [0x01, 16, 3, 21],
+                [0x02, 21, 3, 26],
+                [0x03, 27, 10, 45]
+            ]);
+            assert.deepStrictEqual(result.tlvs[2].value, new Buffer(message));
+        });
+
+        it('ends the data area at lock or reserved bytes', function() {
+            var result = type2Tag.parseTlvs(memoryOf([0x02, 0x03, 0x40, 0x20, 0x03, 0x03, 0x08]));
+            assert.deepStrictEqual(result.reservedAreas, [{address: 32, size: 32}]);
+            assert.deepStrictEqual(result.tlvs.map((tlv) => [tlv.type, tlv.end]), [[0x02, 21], [0x03, 31]]);
+        });
+
+        it('takes a Lock Control TLV of 256 bits for a size of 0', function() {
+            var result = type2Tag.parseTlvs(memoryOf([0x01, 0x03, 0x0F, 0x00, 0x00, 0xFE]));
+            assert.deepStrictEqual(result.lockAreas, [{address: 15, size: 32, lockBitCount: 256,
+                                                       bytesLockedPerLockBit: 1}]);
+        });
+
+        it('reads 3 byte lengths', function() {
+            var value = new Buffer(300);
+            for (var i = 0; i < value.length; i++) {
+                value[i] = i & 0xFF;
+            }
+            var result = type2Tag.parseTlvs(memoryOf(Buffer.concat([
+                new Buffer([0x03, 0xFF, 0x01, 0x2C]), value, new Buffer([0xFE])
+            ]), 320));
+            assert.strictEqual(result.tlvs.length, 1);
+            assert.strictEqual(result.tlvs[0].length, 300);
+            assert.deepStrictEqual(result.tlvs[0].value, value);
+            assert.strictEqual(result.tlvs[0].end, 16 + 4 + 300);
+        });
+
+        it('skips NULL TLVs and stops at the Terminator TLV', function() {
+            var result = type2Tag.parseTlvs(memoryOf([
+                0x00, 0x00, 0x03, 0x00, 0x00, 0xFD, 0x01, 0x42, 0x03, 0x01, 0x99, 0xFE, 0x03, 0x05
+            ]));
+            assert.deepStrictEqual(result.tlvs.map((tlv) => [tlv.type, tlv.address, tlv.length]), [
+                [0x03, 18, 0],
+                [0xFD, 21, 1],
+                [0x03, 24, 1]
+            ]);
+            assert.deepStrictEqual(result.tlvs[2].value, new Buffer([0x99]));
+
+            // A data area of NULL TLVs holds no TLV
+            assert.deepStrictEqual(type2Tag.parseTlvs(memoryOf([])).tlvs, []);
+        });
+
+        it('rejects TLVs exceeding the data area, and control TLVs of the wrong size', function() {
+            assert.throws(() => type2Tag.parseTlvs(memoryOf([0x03, 0x30, 0x00])), errors.PN532Error);
+            assert.throws(() => type2Tag.parseTlvs(memoryOf([0x03, 0xFF, 0x01, 0x00])), errors.PN532Error);
+            // The bytes reserved (32 to 63) do not count in the data area
+            assert.throws(() => type2Tag.parseTlvs(memoryOf([0x02, 0x03, 0x40, 0x20, 0x03, 0x03, 0x10])),
+                          errors.PN532Error);
+            assert.throws(() => type2Tag.parseTlvs(memoryOf([0x01, 0x02, 0x40, 0x10])), errors.PN532Error);
+        });
+    });
+
+    describe('identify()', function() {
+        var rfid;
+        var simulator;
+        var placed;
+
+        /*
+            Type 2 tag of pageCount pages answering GET_VERSION with version, or refusing it (halting) without
+
+            @param {number} pageCount
+            @param {array} [version]
+        */
+        class VirtualType2Tag extends pn532.VirtualNtag215 {
+            constructor(pageCount, version) {
+                super();
+                this.pageCount = pageCount;
+                this.version = version;
+            }
+
+            transceive(data) {
+                if (this.isActive && data[0] === c.MIFARE_COMMAND_GET_VERSION) {
+                    return this.version ? {status: 0x00, data: new Buffer(this.version)} : this._fail();
+                }
+                return super.transceive(data);
+            }
+        }
+
+        // Identifies the virtual tag (in place of the previous one), then checks the tag still answers
+        function identify(virtualTag) {
+            if (placed) {
+                simulator.removeTag(placed);
+            }
+            placed = virtualTag;
+            simulator.placeTag(virtualTag);
+            return rfid.scanTag().then((tags) => {
+                var tag = new pn532.Type2Tag(tags[0]);
+                return tag.identify().then((chip) => {
+                    assert(virtualTag.isActive);
+                    return tag.readPages(4, 4).then(() => {
+                        return {tag: tag, chip: chip};
+                    });
+                });
+            });
+        }
+
+        beforeEach(function() {
+            placed = null;
+            return helpers.createReader().then((reader) => {
+                rfid = reader.rfid;
+                simulator = reader.simulator;
+            });
+        });
+
+        afterEach(function() {
+            return rfid.close();
+        });
+
+        it('parses GET_VERSION', function() {
+            var version = [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x11, 0x03];
+            assert.deepStrictEqual(type2Tag.parseVersion(version), {
+                vendorId: 0x04,
+                productType: 0x04,
+                productSubtype: 0x02,
+                majorVersion: 0x01,
+                minorVersion: 0x00,
+                storageSize: 0x11,
+                protocolType: 0x03
+            });
+            assert.throws(() => type2Tag.parseVersion(version.slice(1)), errors.PN532Error);
+        });
+
+        it('identifies the chips answering GET_VERSION', function() {
+            return identify(new pn532.VirtualNtag215())
+                .then((result) => {
+                    assert.strictEqual(result.chip.name, type2Tag.CHIP_NTAG215);
+                    assert.deepStrictEqual(result.tag.version, new Buffer([0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x11,
+                                                                           0x03]));
+                    return result.tag.getTagInfo();
+                })
+                .then((info) => {
+                    assert.strictEqual(info.chip, type2Tag.CHIP_NTAG215);
+                    assert.deepStrictEqual(info.userMemory, {firstPage: 4, lastPage: 129, size: 504});
+                    assert.strictEqual(info.cc.dataAreaSize, 496);
+                    assert(!info.lock.isLocked && !info.isReadOnly);
+                    return identify(new VirtualType2Tag(20, [0x00, 0x04, 0x03, 0x01, 0x01, 0x00, 0x0B, 0x03]));
+                })
+                .then((result) => assert.strictEqual(result.chip.name, type2Tag.CHIP_ULTRALIGHT_EV1_1));
+        });
+
+        it('sizes the chips answering an unknown version', function() {
+            // 1024 bytes of user memory
+            return identify(new VirtualType2Tag(300, [0x00, 0x04, 0x04, 0x02, 0x01, 0x00, 0x14, 0x03]))
+                .then((result) => {
+                    assert.strictEqual(result.chip.name, type2Tag.CHIP_UNKNOWN);
+                    assert.strictEqual(result.chip.pageCount, 4 + 256);
+                    assert.strictEqual(result.tag.version[6], 0x14);
+                });
+        });
+
+        it('tells NTAG203 and MIFARE Ultralight apart by their size, selecting them again', function() {
+            return identify(new VirtualType2Tag(42))
+                .then((result) => {
+                    assert.strictEqual(result.chip.name, type2Tag.CHIP_NTAG203);
+                    assert.strictEqual(result.tag.version, null);
+                    return identify(new VirtualType2Tag(16));
+                })
+                .then((result) => {
+                    assert.strictEqual(result.chip.name, type2Tag.CHIP_ULTRALIGHT);
+                    return result.tag.getTagInfo();
+                })
+                .then((info) => assert.strictEqual(info.lock.dynamicBytes, null));
+        });
+    });
+
+    describe('on the simulator', function() {
+        var rfid;
+        var virtualTag;
+        var writes; // [page, data] of each WRITE the tag received
+        var tag;
+
+        function page(number) {
+            return virtualTag.memory.slice(number * 4, number * 4 + 4);
+        }
+
+        // Makes the tag store the byte at offset of a page written with another value
+        function corruptWrites(number, offset) {
+            var transceive = virtualTag.transceive;
+            virtualTag.transceive = (data) => {
+                if (data[0] === c.MIFARE_COMMAND_WRITE_4 && data[1] === number) {
+                    data = new Buffer(data);
+                    data[2 + offset] ^= 0xFF;
+                }
+                return transceive(data);
+            };
+        }
+
+        beforeEach(function() {
+            virtualTag = new pn532.VirtualNtag215();
+            writes = [];
+            var transceive = virtualTag.transceive.bind(virtualTag);
+            virtualTag.transceive = (data) => {
+                if (data[0] === c.MIFARE_COMMAND_WRITE_4) {
+                    writes.push([data[1], new Buffer(data.slice(2, 6))]);
+                }
+                return transceive(data);
+            };
+
+            return helpers.createReader().then((reader) => {
+                rfid = reader.rfid;
+                reader.simulator.placeTag(virtualTag);
+                return rfid.scanTag();
+            }).then((tags) => {
+                tag = new pn532.Type2Tag(tags[0]);
+            });
+        });
+
+        afterEach(function() {
+            return rfid.close();
+        });
+
+        it('writes an empty NDEF TLV first, then the message, then its length', function() {
+            var message = ndef.encodeMessage([ndef.uriRecord('https://example.com/a/longer/path')]);
+            return tag.writeNdef(message)
+                .then(() => {
+                    var pages = writes.map((write) => write[0]);
+                    var lastPage = 4 + Math.floor((2 + message.length) / 4); // Terminator TLV included
+                    var messagePages = [];
+                    for (var number = 5; number <= lastPage; number++) {
+                        messagePages.push(number);
+                    }
+                    assert.deepStrictEqual(pages, [4].concat(messagePages, [4]));
+                    assert.deepStrictEqual(writes[0][1].slice(0, 3),
+                                           new Buffer([c.TAG_MEM_NDEF_TLV, 0x00, c.TAG_MEM_TERMINATOR_TLV]));
+                    assert.deepStrictEqual(writes[writes.length - 1][1].slice(0, 2),
+                                           new Buffer([c.TAG_MEM_NDEF_TLV, message.length]));
+                    return tag.readNdef();
+                })
+                .then((read) => assert.deepStrictEqual(read, message));
+        });
+
+        it('keeps the header pages of a 3 byte length empty until the message is written', function() {
+            var message = ndef.encodeMessage([ndef.mimeRecord('text/plain', new Buffer(300).fill(0x61))]);
+            return tag.writeNdef(message, {verify: true}).then(() => {
+                assert.strictEqual(writes[0][0], 4);
+                assert.deepStrictEqual(writes[0][1].slice(0, 3),
+                                       new Buffer([c.TAG_MEM_NDEF_TLV, 0x00, c.TAG_MEM_TERMINATOR_TLV]));
+                assert.deepStrictEqual(writes[writes.length - 1], [4, new Buffer([
+                    c.TAG_MEM_NDEF_TLV, 0xFF, message.length >> 8, message.length & 0xFF
+                ])]);
+                assert.strictEqual(writes.filter((write) => write[0] === 4).length, 2);
+            });
+        });
+
+        it('rejects a message exceeding the data area before any write', function() {
+            // The CC declares 496 bytes, the TLV taking 4 of them
+            var message = ndef.encodeMessage([ndef.mimeRecord('text/plain', new Buffer(480))]);
+            assert(message.length > 492);
+            return helpers.rejection(tag.writeNdef(message))
+                .then((error) => {
+                    assert(error instanceof errors.PN532Error);
+                    assert.deepStrictEqual(writes, []);
+                    // 492 bytes fill the data area, leaving the Terminator TLV out
+                    var payload = new Buffer(492 - (message.length - 480)).fill(0x62);
+                    return tag.writeNdef([ndef.mimeRecord('text/plain', payload)], {verify: true});
+                })
+                .then(() => {
+                    assert.strictEqual(writes[writes.length - 2][0], 4 + 496 / 4 - 1);
+                });
+        });
+
+        it('reads back the message written to verify it', function() {
+            corruptWrites(6, 1);
+            var records = [ndef.textRecord('verified')];
+            return helpers.rejection(tag.writeNdef(records, {verify: true}))
+                .then((error) => {
+                    assert(error instanceof errors.PN532Error);
+                    assert(/differs/.test(error.message));
+                    // Without verify, the same write resolves
+                    return tag.writeNdef(records);
+                });
+        });
+
+        it('makes the tag read-only: CC write access, then the dynamic and static lock bits', function() {
+            return tag.makeReadOnly()
+                .then(() => {
+                    assert.deepStrictEqual(writes.map((write) => write[0]), [3, 130, 2]);
+                    assert.deepStrictEqual(page(3), new Buffer([0xE1, 0x10, 0x3E, 0x0F]));
+                    // 24 dynamic lock bits for the 448 bytes past the first 48, byte 3 (RFUI) untouched
+                    assert.deepStrictEqual(page(130), new Buffer([0xFF, 0xFF, 0xFF, 0xBD]));
+                    assert.deepStrictEqual(page(2).slice(2), new Buffer([0xFF, 0xFF]));
+                    return tag.getTagInfo();
+                })
+                .then((info) => {
+                    assert(info.isReadOnly);
+                    assert(info.lock.isLocked);
+                    writes = [];
+                    return helpers.rejection(tag.writeNdef([ndef.textRecord('too late')]));
+                })
+                .then((error) => {
+                    assert(error instanceof errors.PN532Error);
+                    assert.deepStrictEqual(writes, []);
+                });
+        });
+    });
+});